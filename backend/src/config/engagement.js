@@ -0,0 +1,26 @@
+/**
+ * Engagement Analytics Configuration
+ * Listing views, inquiries, favorites and phone reveals counted once per visitor per UAE day
+ */
+
+// Crawlers, link previews, uptime monitors and scripted clients are not counted
+const BOT_USER_AGENT_PATTERN =
+  /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|whatsapp|telegram|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|scrapy|httpclient|java\//i;
+
+// Engagement events are deleted after this long
+const EVENT_RETENTION_DAYS = 730;
+
+// Dashboard date range (?from=&to=) defaults and limits
+const DEFAULT_DASHBOARD_DAYS = 30;
+const MAX_DASHBOARD_DAYS = 366;
+
+// Listings shown in the per-agent breakdown
+const MAX_AGENT_DASHBOARD_LISTINGS = 50;
+
+module.exports = {
+  BOT_USER_AGENT_PATTERN,
+  EVENT_RETENTION_DAYS,
+  DEFAULT_DASHBOARD_DAYS,
+  MAX_DASHBOARD_DAYS,
+  MAX_AGENT_DASHBOARD_LISTINGS,
+};
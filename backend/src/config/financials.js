@@ -0,0 +1,93 @@
+/**
+ * Property Financials Configuration
+ * UAE mortgage caps (UAE Central Bank), purchase costs and investment assumptions used by
+ * GET /api/properties/:id/financials. Amounts are in AED; rates are fractions (0.04 = 4%)
+ */
+
+// Buyer residency options accepted by the calculator
+const RESIDENCY_TYPES = ["national", "resident", "non_resident"];
+
+// Price above which the lower loan-to-value cap applies to a first home
+const LTV_PRICE_THRESHOLD = 5000000;
+
+// Maximum loan-to-value by residency (first home at/under and above the threshold, additional homes)
+const LOAN_TO_VALUE_CAPS = {
+  national: { firstHome: 0.85, firstHomeAboveThreshold: 0.7, additionalHome: 0.65 },
+  resident: { firstHome: 0.8, firstHomeAboveThreshold: 0.7, additionalHome: 0.6 },
+  non_resident: { firstHome: 0.5, firstHomeAboveThreshold: 0.5, additionalHome: 0.5 },
+};
+
+// Off-plan purchases are capped at 50% regardless of residency
+const OFF_PLAN_LTV_CAP = 0.5;
+
+const MORTGAGE_DEFAULTS = {
+  interestRate: 0.045, // Annual rate
+  termYears: 25,
+  maxTermYears: 25,
+};
+
+// Land department fees by emirate (transfer fee on the price, mortgage registration on the loan)
+const LAND_DEPARTMENT_FEES = {
+  Dubai: {
+    name: "Dubai Land Department (DLD)",
+    transferFeeRate: 0.04,
+    transferAdminFee: 580,
+    mortgageRegistrationRate: 0.0025,
+    mortgageRegistrationAdminFee: 290,
+  },
+  "Abu Dhabi": {
+    name: "Abu Dhabi Department of Municipalities and Transport",
+    transferFeeRate: 0.02,
+    transferAdminFee: 0,
+    mortgageRegistrationRate: 0.001,
+    mortgageRegistrationAdminFee: 0,
+  },
+  default: {
+    name: "Land department",
+    transferFeeRate: 0.04,
+    transferAdminFee: 0,
+    mortgageRegistrationRate: 0.0025,
+    mortgageRegistrationAdminFee: 0,
+  },
+};
+
+// Other purchase costs
+const PURCHASE_COSTS = {
+  vatRate: 0.05, // VAT charged on service fees (agency, trustee, bank)
+  agencyFeeRate: 0.02,
+  // Registration trustee fee depends on the price
+  trusteeFeeThreshold: 500000,
+  trusteeFeeBelowThreshold: 2000,
+  trusteeFeeAboveThreshold: 4000,
+  titleDeedFee: 250,
+  bankArrangementFeeRate: 0.01,
+  bankArrangementFeeMax: 30000,
+  valuationFee: 3000,
+};
+
+// Investment assumptions for net yield estimates
+const YIELD_ASSUMPTIONS = {
+  serviceChargePerSqft: 15, // Annual, overridable per request
+  maintenanceRate: 0.01, // Of the annual rent
+  vacancyRate: 0.05, // Of the annual rent
+  managementFeeRate: 0.05, // Of the annual rent
+};
+
+// Comparables used for rent and value estimates
+const COMPARABLES = {
+  minCount: 3, // Broaden the match when fewer listings are found
+  maxCount: 200,
+  maxAgeMonths: 24, // Ignore listings older than this
+};
+
+module.exports = {
+  RESIDENCY_TYPES,
+  LTV_PRICE_THRESHOLD,
+  LOAN_TO_VALUE_CAPS,
+  OFF_PLAN_LTV_CAP,
+  MORTGAGE_DEFAULTS,
+  LAND_DEPARTMENT_FEES,
+  PURCHASE_COSTS,
+  YIELD_ASSUMPTIONS,
+  COMPARABLES,
+};
@@ -0,0 +1,42 @@
+/**
+ * Duplicate Image Configuration
+ * How property photo uploads that match another listing's photos are handled
+ */
+
+// "warn" saves the upload and returns a warning, "block" rejects it (DUPLICATE_IMAGE_MODE overrides)
+const DUPLICATE_IMAGE_MODES = ["warn", "block"];
+const DUPLICATE_IMAGE_MODE = DUPLICATE_IMAGE_MODES.includes(process.env.DUPLICATE_IMAGE_MODE)
+  ? process.env.DUPLICATE_IMAGE_MODE
+  : "warn";
+
+// Hashes are indexed by byte (8 bands of 8 bits) - candidates share at least one band, which
+// finds every match up to PHASH_BAND_COUNT - 1 differing bits
+const PHASH_BAND_COUNT = 8;
+const MAX_DUPLICATE_DISTANCE = PHASH_BAND_COUNT - 1;
+
+// Most perceptual hash bits (of 64) that may differ for two photos to count as the same picture
+// 0 only matches re-encoded copies; around 6 also catches resized, recompressed or lightly edited ones
+const configuredDistance = parseInt(process.env.DUPLICATE_IMAGE_MAX_DISTANCE, 10);
+const DUPLICATE_IMAGE_MAX_DISTANCE = Number.isInteger(configuredDistance)
+  ? Math.min(MAX_DUPLICATE_DISTANCE, Math.max(0, configuredDistance))
+  : 6;
+
+// Other listings reported per uploaded photo
+const DUPLICATE_IMAGE_MATCH_LIMIT = 5;
+
+// Duplicate groups returned per page of the SuperAdmin report
+const DUPLICATE_REPORT_PAGE_SIZE = 20;
+
+// The report is rebuilt in the background and served from memory in between
+const DUPLICATE_REPORT_REFRESH_MS = 60 * 60 * 1000; // 1 hour
+
+module.exports = {
+  DUPLICATE_IMAGE_MODES,
+  DUPLICATE_IMAGE_MODE,
+  PHASH_BAND_COUNT,
+  MAX_DUPLICATE_DISTANCE,
+  DUPLICATE_IMAGE_MAX_DISTANCE,
+  DUPLICATE_IMAGE_MATCH_LIMIT,
+  DUPLICATE_REPORT_PAGE_SIZE,
+  DUPLICATE_REPORT_REFRESH_MS,
+};
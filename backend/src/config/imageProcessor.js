@@ -5,6 +5,16 @@
 
 const sharp = require("sharp");
 const path = require("path");
+const { encode: encodeBlurhash } = require("blurhash");
+
+// Placeholder settings (shown while the real image loads)
+const BLURHASH_SIZE = 32; // Pixels sampled on the longest side
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+const LQIP_WIDTH = 16;
+const LQIP_QUALITY = 30;
+
+// Perceptual hash grid (PHASH_SIZE x PHASH_SIZE bits)
+const PHASH_SIZE = 8;
 
 /**
  * Process and compress image buffer (preserves original dimensions)
@@ -86,6 +96,182 @@ const processImage = async (imageBuffer, options = {}) => {
   }
 };
 
+/**
+ * Create a downscaled copy of an image in another format (responsive variants)
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {Object} options - { width, format ("webp" | "avif"), quality, effort }
+ * @returns {Promise<Object>} - { buffer, width, height, size }
+ */
+const createImageVariant = async (imageBuffer, options = {}) => {
+  try {
+    const { width, format = "webp", quality = 80, effort } = options;
+
+    const { data, info } = await sharp(imageBuffer)
+      .rotate() // Apply EXIF orientation before the metadata is stripped
+      .resize({ width, withoutEnlargement: true })
+      .toFormat(format, {
+        quality,
+        ...(effort !== undefined && { effort }),
+      })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    };
+  } catch (error) {
+    console.error("❌ Image variant error:", error);
+    throw new Error(`Image variant generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Overlay a logo on an image (brand watermark)
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {Object} options - { logo (buffer), position (sharp gravity name), opacity (0-1),
+ *   scale (logo width / image width), margin (edge gap / image width), quality }
+ * @returns {Promise<Buffer>} - Watermarked WebP buffer
+ */
+const applyWatermark = async (imageBuffer, options = {}) => {
+  try {
+    const {
+      logo,
+      position = "southeast",
+      opacity = 0.4,
+      scale = 0.2,
+      margin = 0.03,
+      quality = 90,
+    } = options;
+
+    // Dimensions after EXIF rotation (orientations 5-8 swap width and height)
+    const metadata = await sharp(imageBuffer).metadata();
+    const swapped = metadata.orientation >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+
+    const { data: logoBuffer, info: logoInfo } = await sharp(logo)
+      .resize({
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * 0.5)),
+        fit: "inside",
+      })
+      .ensureAlpha()
+      // Scale the logo's alpha channel to the requested opacity
+      .composite([
+        {
+          input: Buffer.from([0, 0, 0, Math.round(255 * opacity)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: "dest-in",
+        },
+      ])
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const gap = Math.round(width * margin);
+    const freeX = Math.max(0, width - logoInfo.width);
+    const freeY = Math.max(0, height - logoInfo.height);
+    const left = position.includes("west")
+      ? Math.min(gap, freeX)
+      : position.includes("east")
+      ? Math.max(0, freeX - gap)
+      : Math.round(freeX / 2);
+    const top = position.includes("north")
+      ? Math.min(gap, freeY)
+      : position.includes("south")
+      ? Math.max(0, freeY - gap)
+      : Math.round(freeY / 2);
+
+    return await sharp(imageBuffer)
+      .rotate()
+      .composite([{ input: logoBuffer, left, top }])
+      .webp({ quality })
+      .toBuffer();
+  } catch (error) {
+    console.error("❌ Watermark error:", error);
+    throw new Error(`Watermarking failed: ${error.message}`);
+  }
+};
+
+/**
+ * Compute loading placeholders for an image: a blurhash string, a tiny base64 WebP (LQIP) and the
+ * dominant color
+ * @param {Buffer} imageBuffer - Image buffer
+ * @returns {Promise<Object>} - { blurhash, lqip (data URI), dominantColor (#rrggbb) }
+ */
+const getImagePlaceholders = async (imageBuffer) => {
+  try {
+    const image = sharp(imageBuffer).rotate();
+
+    const [{ data: pixels, info }, lqipBuffer, stats] = await Promise.all([
+      image
+        .clone()
+        .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true }),
+      image
+        .clone()
+        .resize({ width: LQIP_WIDTH })
+        .webp({ quality: LQIP_QUALITY })
+        .toBuffer(),
+      image.clone().stats(),
+    ]);
+
+    const { r, g, b } = stats.dominant;
+    const toHex = (value) => value.toString(16).padStart(2, "0");
+
+    return {
+      blurhash: encodeBlurhash(
+        new Uint8ClampedArray(pixels),
+        info.width,
+        info.height,
+        BLURHASH_COMPONENTS.x,
+        BLURHASH_COMPONENTS.y
+      ),
+      lqip: `data:image/webp;base64,${lqipBuffer.toString("base64")}`,
+      dominantColor: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+    };
+  } catch (error) {
+    console.error("❌ Image placeholder error:", error);
+    throw new Error(`Image placeholder generation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Compute a perceptual hash (dHash) of an image: 64 bits from comparing neighbouring pixels of a
+ * 9x8 grayscale thumbnail, so re-encoded, resized or lightly edited copies hash alike
+ * @param {Buffer} imageBuffer - Image buffer
+ * @returns {Promise<string>} - 16 character hex hash
+ */
+const getPerceptualHash = async (imageBuffer) => {
+  try {
+    const pixels = await sharp(imageBuffer)
+      .rotate()
+      .grayscale()
+      .resize(PHASH_SIZE + 1, PHASH_SIZE, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    let hash = "";
+    for (let row = 0; row < PHASH_SIZE; row++) {
+      let bits = 0;
+      for (let col = 0; col < PHASH_SIZE; col++) {
+        const offset = row * (PHASH_SIZE + 1) + col;
+        bits = (bits << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+      }
+      hash += bits.toString(16).padStart(2, "0");
+    }
+
+    return hash;
+  } catch (error) {
+    console.error("❌ Perceptual hash error:", error);
+    throw new Error(`Perceptual hash failed: ${error.message}`);
+  }
+};
+
 /**
  * Get image metadata
  * @param {Buffer} imageBuffer - Image buffer
@@ -101,6 +287,7 @@ const getImageMetadata = async (imageBuffer) => {
       size: metadata.size,
       hasAlpha: metadata.hasAlpha,
       channels: metadata.channels,
+      orientation: metadata.orientation,
     };
   } catch (error) {
     console.error("❌ Error getting image metadata:", error);
@@ -158,6 +345,10 @@ const validateImage = async (imageBuffer, options = {}) => {
 
 module.exports = {
   processImage,
+  createImageVariant,
+  applyWatermark,
+  getImagePlaceholders,
+  getPerceptualHash,
   getImageMetadata,
   validateImage,
 };
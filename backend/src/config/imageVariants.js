@@ -0,0 +1,36 @@
+/**
+ * Responsive Image Variant Configuration
+ * Widths and formats generated for uploaded images (used for srcset in API responses)
+ */
+
+// Variant widths in pixels (IMAGE_VARIANT_WIDTHS="320,640,1024,1920" overrides)
+const IMAGE_VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || "320,640,1024,1920")
+  .split(",")
+  .map((width) => parseInt(width, 10))
+  .filter((width) => Number.isInteger(width) && width > 0)
+  .sort((a, b) => a - b);
+
+// Formats generated (one srcset per format)
+const IMAGE_VARIANT_FORMATS = ["webp", "avif"];
+
+// AVIF is only generated up to this width (IMAGE_VARIANT_AVIF_MAX_WIDTH overrides) - large AVIF
+// encodes dominate upload time, while phones gain the most from the smaller files. Wider screens
+// use the WebP srcset
+const AVIF_MAX_WIDTH = parseInt(process.env.IMAGE_VARIANT_AVIF_MAX_WIDTH, 10) || 640;
+
+// Encoder quality per format (AVIF looks comparable to WebP at a lower setting)
+const IMAGE_VARIANT_QUALITY = {
+  webp: 80,
+  avif: 50,
+};
+
+// AVIF encoder effort (0-9) - higher is smaller but much slower to upload
+const AVIF_EFFORT = 4;
+
+module.exports = {
+  IMAGE_VARIANT_WIDTHS,
+  IMAGE_VARIANT_FORMATS,
+  IMAGE_VARIANT_QUALITY,
+  AVIF_MAX_WIDTH,
+  AVIF_EFFORT,
+};
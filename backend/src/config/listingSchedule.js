@@ -0,0 +1,25 @@
+/**
+ * Listing Schedule Configuration
+ * Scheduled publishing and automatic expiry of live listings
+ */
+
+// Default lifetime of a live listing per listing type (listing types without one never expire)
+const LISTING_LIFETIME_DAYS = {
+  rent: 60,
+};
+
+// A renewal extends the expiry date by this long
+const RENEWAL_DAYS = 60;
+
+// Owners are reminded this long before their listing expires
+const EXPIRY_REMINDER_DAYS = 3;
+
+// Renew links keep working this long after the listing expired
+const RENEW_LINK_GRACE_DAYS = 30;
+
+module.exports = {
+  LISTING_LIFETIME_DAYS,
+  RENEWAL_DAYS,
+  EXPIRY_REMINDER_DAYS,
+  RENEW_LINK_GRACE_DAYS,
+};
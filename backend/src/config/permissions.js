@@ -32,6 +32,58 @@ const rolePermissions = {
       Delete: "any",
       Approve: "any", // SuperAdmin can approve/reject blog categories
     },
+    savedSearches: {
+      Read: "any", // SuperAdmin can view all property alerts
+      Delete: "any",
+    },
+    portalFeeds: {
+      Create: "any",
+      Read: "any",
+      Update: "any",
+      Delete: "any",
+    },
+    developers: {
+      Create: "any",
+      Read: "any",
+      Update: "any",
+      Delete: "any",
+      Approve: "any", // SuperAdmin can approve/reject developers
+    },
+    projects: {
+      Create: "any",
+      Read: "any",
+      Update: "any",
+      Delete: "any",
+      Approve: "any", // SuperAdmin can approve/reject projects
+    },
+    valuations: {
+      Read: "any",
+      Update: "any",
+      Delete: "any",
+    },
+    leads: {
+      Create: "any",
+      Read: "any", // SuperAdmin sees the whole pipeline
+      Update: "any",
+      Delete: "any",
+    },
+    inquiryRouting: {
+      Create: "any",
+      Read: "any",
+      Update: "any",
+      Delete: "any",
+    },
+    viewings: {
+      Read: "any", // SuperAdmin sees every agent's calendar
+      Update: "any",
+    },
+    analytics: {
+      Read: "any", // SuperAdmin sees engagement for every listing and agent
+    },
+    storage: {
+      Read: "any", // SuperAdmin reviews orphaned uploads and dangling references
+      Update: "any", // SuperAdmin triggers reconciliation
+    },
   },
   admin: {
     properties: {
@@ -56,6 +108,34 @@ const rolePermissions = {
       Update: "own", // Admin can only update their own categories
       Delete: "own", // Admin can only delete their own categories
     },
+    developers: {
+      Create: "any",
+      Read: "any", // Approved developers + their own
+      Update: "own", // Admin can only update their own developers
+      Delete: "own", // Admin can only delete their own developers
+    },
+    projects: {
+      Create: "any",
+      Read: "any", // Approved projects + their own
+      Update: "own", // Admin can only update their own projects
+      Delete: "own", // Admin can only delete their own projects
+    },
+    valuations: {
+      Read: "any", // Admins follow up on the valuation request queue
+      Update: "any",
+    },
+    leads: {
+      Create: "any",
+      Read: "own", // Admin can only read leads assigned to them
+      Update: "own", // Admin can only update leads assigned to them
+    },
+    viewings: {
+      Read: "own", // Admin can only read their own viewings and availability
+      Update: "own", // Admin can only manage their own viewings and availability
+    },
+    analytics: {
+      Read: "own", // Admin can only see engagement for their own listings
+    },
   },
   visitor: {
     properties: {
@@ -67,6 +147,12 @@ const rolePermissions = {
     blogCategories: {
       Read: "any",
     },
+    developers: {
+      Read: "published_only",
+    },
+    projects: {
+      Read: "published_only",
+    },
   },
 };
 
@@ -75,11 +161,12 @@ const buildPropertyQuery = (user) => {
   const userRole = user?.role || "visitor";
 
   if (userRole === "SuperAdmin") {
-    // SuperAdmin can see all non-draft properties + their own drafts
+    // SuperAdmin can see all non-draft properties + their own drafts + scheduled listings
     return {
       $or: [
         { status: { $ne: "draft" } }, // All non-draft properties
         { status: "draft", createdBy: user.id }, // Their own drafts
+        { status: "draft", approvalStatus: { $in: ["pending", "approved"] } }, // Scheduled listings awaiting launch
       ],
     };
   } else if (userRole === "admin") {
@@ -91,6 +178,23 @@ const buildPropertyQuery = (user) => {
   }
 };
 
+// Helper to build developer/project query filters (approval workflow entities)
+const buildCatalogQuery = (user) => {
+  const userRole = user?.role || "visitor";
+  const published = { approvalStatus: "approved", isActive: true };
+
+  if (userRole === "SuperAdmin") {
+    // SuperAdmin can see everything, including pending and rejected entries
+    return {};
+  } else if (userRole === "admin") {
+    // Admin can see published entries + their own
+    return { $or: [published, { createdBy: user.id }] };
+  } else {
+    // Visitors can only see published entries
+    return published;
+  }
+};
+
 // Helper to build user query filters (for SuperAdmin user management)
 const buildUserQuery = (user) => {
   const userRole = user?.role || "visitor";
@@ -104,8 +208,43 @@ const buildUserQuery = (user) => {
   }
 };
 
+// Helper to build lead query filters (CRM pipeline)
+const buildLeadQuery = (user) => {
+  const userRole = user?.role || "visitor";
+
+  if (userRole === "SuperAdmin") {
+    // SuperAdmin can see all leads
+    return {};
+  } else if (userRole === "admin") {
+    // Admin can only see leads assigned to them
+    return { assignedTo: user.id };
+  } else {
+    // Visitors cannot query leads
+    return { _id: null }; // Return impossible query
+  }
+};
+
+// Helper to build viewing query filters (agent calendars)
+const buildViewingQuery = (user) => {
+  const userRole = user?.role || "visitor";
+
+  if (userRole === "SuperAdmin") {
+    // SuperAdmin can see all viewings
+    return {};
+  } else if (userRole === "admin") {
+    // Admin can only see viewings they host
+    return { agent: user.id };
+  } else {
+    // Visitors manage their viewing through signed links instead
+    return { _id: null }; // Return impossible query
+  }
+};
+
 module.exports = {
   rolePermissions,
   buildPropertyQuery,
+  buildCatalogQuery,
   buildUserQuery,
+  buildLeadQuery,
+  buildViewingQuery,
 };
@@ -0,0 +1,125 @@
+/**
+ * Portal Syndication Feed Defaults
+ * Default vocabulary mappings for the UAE portal XML feeds. Each feed gets a copy of its
+ * portal's mappings when it is created, which SuperAdmins can then edit per feed
+ * (PUT /api/portal-feeds/:id) without a code change.
+ *
+ * Mapping keys:
+ * - propertyTypes: our propertyType -> portal property type
+ * - listingTypes: our listingType -> portal offering type / purpose
+ * - commercialListingTypes: listingType mapping used for commercialPropertyTypes
+ * - commercialPropertyTypes: our property types listed as commercial
+ * - emirates: our emirate -> portal city (unmapped emirates are sent as-is)
+ * - areas: our area -> portal community (unmapped areas are sent as-is)
+ * - amenities: our amenity -> portal amenity code/name
+ * - includeUnmappedAmenities: send amenities without a mapping under their own name
+ */
+
+const PORTAL_FEED_DEFAULTS = {
+  propertyFinder: {
+    name: "Property Finder",
+    mappings: {
+      propertyTypes: {
+        apartment: "AP",
+        villa: "VH",
+        townhouse: "TH",
+        penthouse: "PH",
+        studio: "AP",
+        office: "OF",
+      },
+      listingTypes: {
+        sale: "RS",
+        rent: "RR",
+        "off plan": "RS",
+      },
+      commercialListingTypes: {
+        sale: "CS",
+        rent: "CR",
+        "off plan": "CS",
+      },
+      commercialPropertyTypes: ["office"],
+      emirates: {},
+      areas: {},
+      amenities: {
+        "Air Conditioning": "AC",
+        Balcony: "BA",
+        "Built-in Wardrobes": "BW",
+        Concierge: "CS",
+        "Concierge Service": "CS",
+        "Covered Parking": "CP",
+        "Maid Room": "MR",
+        "Pets Allowed": "PA",
+        "Private Garden": "PG",
+        Jacuzzi: "PJ",
+        "Private Pool": "PP",
+        Security: "SE",
+        "24/7 Security": "SE",
+        "Swimming Pool": "SP",
+        "Community Pool": "SP",
+        Gym: "SY",
+        "Community Gym": "SY",
+        "Study Room": "ST",
+        "Walk-in Closet": "WC",
+        "Sea View": "VW",
+        "Marina View": "VW",
+        "City View": "BL",
+        "BBQ Area": "BR",
+        Playground: "PR",
+      },
+      includeUnmappedAmenities: false,
+    },
+  },
+  bayut: {
+    name: "Bayut",
+    mappings: {
+      propertyTypes: {
+        apartment: "Apartment",
+        villa: "Villa",
+        townhouse: "Townhouse",
+        penthouse: "Penthouse",
+        studio: "Apartment",
+        office: "Office",
+      },
+      listingTypes: {
+        sale: "Buy",
+        rent: "Rent",
+        "off plan": "Buy",
+      },
+      commercialListingTypes: {
+        sale: "Buy",
+        rent: "Rent",
+        "off plan": "Buy",
+      },
+      commercialPropertyTypes: ["office"],
+      emirates: {},
+      areas: {},
+      amenities: {
+        "Air Conditioning": "Central A/C & Heating",
+        "Central Heating": "Central A/C & Heating",
+        Balcony: "Balcony or Terrace",
+        Terrace: "Balcony or Terrace",
+        "Swimming Pool": "Swimming Pool",
+        "Community Pool": "Swimming Pool",
+        Gym: "Gym or Health Club",
+        "Community Gym": "Gym or Health Club",
+        "Covered Parking": "Covered Parking",
+        "Maid Room": "Maids Room",
+        "Study Room": "Study Room",
+        "24/7 Security": "24 Hours Concierge",
+        "Pets Allowed": "Pets Allowed",
+        "Private Garden": "Private Garden",
+        "Private Pool": "Private Swimming Pool",
+        Jacuzzi: "Jacuzzi",
+      },
+      includeUnmappedAmenities: true,
+    },
+  },
+};
+
+// Portals with a feed format
+const PORTALS = Object.keys(PORTAL_FEED_DEFAULTS);
+
+module.exports = {
+  PORTAL_FEED_DEFAULTS,
+  PORTALS,
+};
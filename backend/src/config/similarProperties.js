@@ -0,0 +1,43 @@
+/**
+ * Similar Properties Configuration
+ * Weights and thresholds for the "You may also like" recommendations on the detail page
+ */
+
+// Share of the match score per criterion (criteria the listing has no data for are left out)
+const SIMILARITY_WEIGHTS = {
+  location: 30, // Same area, or within NEARBY_RADIUS_KM
+  price: 25, // Within PRICE_BAND of the listing price
+  bedrooms: 20, // Same bedroom count (half for one more/fewer)
+  amenities: 15, // Overlap of the amenities relevant to the property type
+  propertyType: 10,
+};
+
+// Other listings within ±20% of the price count as a price match
+const PRICE_BAND = 0.2;
+
+// Listings in another area this close (by coordinates) still count as nearby
+const NEARBY_RADIUS_KM = 3;
+
+// Listings returned by default and at most (?limit=)
+const DEFAULT_SIMILAR_LIMIT = 6;
+const MAX_SIMILAR_LIMIT = 12;
+
+// Below this score (0-100) a listing is not recommended
+const MIN_SIMILARITY_SCORE = 30;
+
+// Newest candidates scored per request
+const MAX_SIMILAR_CANDIDATES = 500;
+
+// Listings whose recommendations are kept in memory
+const MAX_CACHED_RECOMMENDATIONS = 500;
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  PRICE_BAND,
+  NEARBY_RADIUS_KM,
+  DEFAULT_SIMILAR_LIMIT,
+  MAX_SIMILAR_LIMIT,
+  MIN_SIMILARITY_SCORE,
+  MAX_SIMILAR_CANDIDATES,
+  MAX_CACHED_RECOMMENDATIONS,
+};
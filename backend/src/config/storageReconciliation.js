@@ -0,0 +1,36 @@
+/**
+ * Storage Reconciliation Configuration
+ * How uploaded files that no record references (orphans) are cleaned up
+ */
+
+// "report" only lists problems, "quarantine" moves orphans aside and deletes them after
+// STORAGE_QUARANTINE_DAYS, "delete" removes them right away (STORAGE_RECONCILE_MODE overrides)
+const STORAGE_RECONCILE_MODES = ["report", "quarantine", "delete"];
+const STORAGE_RECONCILE_MODE = STORAGE_RECONCILE_MODES.includes(process.env.STORAGE_RECONCILE_MODE)
+  ? process.env.STORAGE_RECONCILE_MODE
+  : "quarantine";
+
+// Days a quarantined file is kept (and restored if a record references it again) before deletion
+const configuredQuarantineDays = parseInt(process.env.STORAGE_QUARANTINE_DAYS, 10);
+const STORAGE_QUARANTINE_DAYS = Number.isInteger(configuredQuarantineDays)
+  ? Math.max(0, configuredQuarantineDays)
+  : 7;
+
+// Files younger than this are never orphans - uploads are saved before the record that uses them
+// (and /api/upload/images files wait for the form to be submitted)
+const ORPHAN_GRACE_HOURS = 24;
+
+// How often the scheduled reconciliation runs
+const STORAGE_RECONCILE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Files or references listed per category in a report (counts always cover all of them)
+const STORAGE_REPORT_ITEM_LIMIT = 200;
+
+module.exports = {
+  STORAGE_RECONCILE_MODES,
+  STORAGE_RECONCILE_MODE,
+  STORAGE_QUARANTINE_DAYS,
+  ORPHAN_GRACE_HOURS,
+  STORAGE_RECONCILE_INTERVAL_MS,
+  STORAGE_REPORT_ITEM_LIMIT,
+};
@@ -0,0 +1,35 @@
+/**
+ * Viewing Scheduling Configuration
+ * Agent availability is entered in UAE local time (Gulf Standard Time, UTC+4, no daylight
+ * saving), so slots are converted with a fixed offset
+ */
+
+const VIEWING_TIMEZONE = "Asia/Dubai";
+const VIEWING_UTC_OFFSET_MINUTES = 4 * 60;
+
+// Defaults for agents who have not configured their availability yet
+const DEFAULT_AVAILABILITY = {
+  // Sunday (0) - Saturday (6); Monday to Saturday, 10:00-18:00
+  weeklyHours: [1, 2, 3, 4, 5, 6].map((dayOfWeek) => ({
+    dayOfWeek,
+    start: "10:00",
+    end: "18:00",
+  })),
+  slotMinutes: 30,
+  minNoticeHours: 4, // Earliest bookable slot from now
+  maxDaysAhead: 30, // Latest bookable day from today
+};
+
+// Longest range the public slots endpoint returns in one call
+const MAX_SLOT_RANGE_DAYS = 14;
+
+// Reschedule/cancel links stay valid until this long after the viewing starts
+const MANAGE_TOKEN_GRACE_HOURS = 24;
+
+module.exports = {
+  VIEWING_TIMEZONE,
+  VIEWING_UTC_OFFSET_MINUTES,
+  DEFAULT_AVAILABILITY,
+  MAX_SLOT_RANGE_DAYS,
+  MANAGE_TOKEN_GRACE_HOURS,
+};
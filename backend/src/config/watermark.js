@@ -0,0 +1,58 @@
+/**
+ * Watermark Configuration
+ * Brand logo overlaid on uploaded property photos (originals are kept unwatermarked privately)
+ */
+
+const path = require("path");
+
+// Watermark uploads unless a route or property switches it off (WATERMARK_ENABLED=false disables)
+const WATERMARK_ENABLED = process.env.WATERMARK_ENABLED !== "false";
+
+// Logo image (PNG with transparency works best) - uploads are left unwatermarked if it is missing
+const WATERMARK_LOGO_PATH =
+  process.env.WATERMARK_LOGO_PATH || path.join(__dirname, "../assets/watermark.png");
+
+// Corner or edge of the photo the logo is placed in
+const WATERMARK_POSITIONS = [
+  "center",
+  "north",
+  "south",
+  "east",
+  "west",
+  "northeast",
+  "northwest",
+  "southeast",
+  "southwest",
+];
+const WATERMARK_POSITION = WATERMARK_POSITIONS.includes(process.env.WATERMARK_POSITION)
+  ? process.env.WATERMARK_POSITION
+  : "southeast";
+
+// Logo opacity (0-1)
+const WATERMARK_OPACITY = Math.min(
+  1,
+  Math.max(0, parseFloat(process.env.WATERMARK_OPACITY) || 0.4)
+);
+
+// Logo width as a share of the photo width
+const WATERMARK_SCALE = Math.min(
+  1,
+  Math.max(0.01, parseFloat(process.env.WATERMARK_SCALE) || 0.2)
+);
+
+// Gap between the logo and the photo edge as a share of the photo width
+const WATERMARK_MARGIN = 0.03;
+
+// Quality of the watermarked WebP copy
+const WATERMARK_QUALITY = 90;
+
+module.exports = {
+  WATERMARK_ENABLED,
+  WATERMARK_LOGO_PATH,
+  WATERMARK_POSITIONS,
+  WATERMARK_POSITION,
+  WATERMARK_OPACITY,
+  WATERMARK_SCALE,
+  WATERMARK_MARGIN,
+  WATERMARK_QUALITY,
+};
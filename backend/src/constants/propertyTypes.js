@@ -47,6 +47,9 @@ const APPROVAL_STATUS = [
 
 const AREA_UNITS = ["sqft", "sqm"];
 
+// Square feet per square metre
+const SQM_TO_SQFT = 10.7639;
+
 const PARKING_TYPES = ["covered", "open", "garage", "street"];
 
 const PRICE_TYPES = ["total", "per_sqft", "per_sqm"];
@@ -55,6 +58,54 @@ const COUNTRIES = ["UAE"];
 
 const CURRENCIES = ["AED"];
 
+// Construction status of off-plan projects
+const PROJECT_STATUS = ["upcoming", "under construction", "completed"];
+
+// Payment plan stages, in payment order (e.g. 10/50/40 = booking/construction/handover)
+const PAYMENT_PLAN_STAGES = [
+  "booking",
+  "construction",
+  "handover",
+  "post_handover",
+];
+
+// Follow-up status of instant valuation requests
+const VALUATION_REQUEST_STATUS = ["new", "contacted", "in_progress", "closed"];
+
+// Lead pipeline stages, in order (won/lost close the lead)
+const LEAD_STATUS = ["new", "contacted", "viewing", "negotiating", "won", "lost"];
+const CLOSED_LEAD_STATUSES = ["won", "lost"];
+
+// Where a lead came from (website forms or entered by staff)
+const LEAD_SOURCES = ["contact", "property_inquiry", "valuation", "viewing", "manual"];
+
+// Viewing appointment status (confirmed viewings block the agent's slot)
+const VIEWING_STATUS = ["confirmed", "cancelled", "completed", "no_show"];
+
+// Listing engagement recorded for the analytics dashboards (once per visitor per day)
+const ENGAGEMENT_EVENT_TYPES = ["view", "inquiry", "favorite", "phone_reveal"];
+
+// Price bucket boundaries (AED) for search facets - rentals are annual rents
+const PRICE_FACET_BOUNDARIES = {
+  sale: [0, 500000, 1000000, 2000000, 3000000, 5000000, 10000000],
+  rent: [0, 50000, 75000, 100000, 150000, 250000, 500000],
+};
+
+// Property fields recorded in the price/status history timeline
+const PROPERTY_HISTORY_FIELDS = ["price", "status", "approvalStatus"];
+
+// Only show a "price reduced" badge for reductions made within this many days
+const PRICE_CHANGE_BADGE_DAYS = 30;
+
+// Emirates where public listings need a valid advertising permit (Dubai: RERA / Trakheesi)
+const PERMIT_REQUIRED_EMIRATES = ["Dubai"];
+
+// Listing statuses that count as actively advertised for permit enforcement
+const PERMIT_ENFORCED_STATUSES = ["available", "pending"];
+
+// Live listing statuses that are archived when the listing expires
+const EXPIRING_STATUSES = ["available", "pending"];
+
 // Emirate-Area mapping for validation
 const EMIRATE_AREA_MAP = {
   Dubai: [
@@ -473,10 +524,25 @@ module.exports = {
   PROPERTY_STATUS,
   APPROVAL_STATUS,
   AREA_UNITS,
+  SQM_TO_SQFT,
   PARKING_TYPES,
   PRICE_TYPES,
   COUNTRIES,
   CURRENCIES,
+  PROJECT_STATUS,
+  PAYMENT_PLAN_STAGES,
+  VALUATION_REQUEST_STATUS,
+  LEAD_STATUS,
+  CLOSED_LEAD_STATUSES,
+  LEAD_SOURCES,
+  VIEWING_STATUS,
+  ENGAGEMENT_EVENT_TYPES,
+  PRICE_FACET_BOUNDARIES,
+  PROPERTY_HISTORY_FIELDS,
+  PRICE_CHANGE_BADGE_DAYS,
+  PERMIT_REQUIRED_EMIRATES,
+  PERMIT_ENFORCED_STATUSES,
+  EXPIRING_STATUSES,
   EMIRATE_AREA_MAP,
   PROPERTY_TYPE_AMENITIES_MAP,
 };
@@ -0,0 +1,207 @@
+/**
+ * Analytics Controller
+ * Listing engagement dashboards (views, inquiries, favorites, phone reveals) per property and
+ * per agent, plus the public phone-reveal event
+ */
+
+const mongoose = require("mongoose");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { MAX_AGENT_DASHBOARD_LISTINGS } = require("../config/engagement");
+const {
+  recordEngagementEvent,
+  parseDashboardRange,
+  getConversionRates,
+  emptyEngagementCounts,
+  getEngagementDashboard,
+} = require("../utils/engagement");
+
+/**
+ * Record a phone-number reveal on a listing (once per visitor per day, bots ignored)
+ * @route POST /api/analytics/properties/:id/phone-reveal
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const recordPhoneReveal = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const property = mongoose.Types.ObjectId.isValid(id)
+      ? await Property.findOne({ _id: id, ...(req.queryFilters || {}) }).select("_id")
+      : null;
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found or not available for public viewing",
+      });
+    }
+
+    const recorded = await recordEngagementEvent(req, property._id, "phone_reveal");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recorded,
+      },
+    });
+  } catch (error) {
+    console.error("Error recording phone reveal:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to record phone reveal",
+    });
+  }
+};
+
+/**
+ * Get the engagement dashboard of a listing (?from=&to= as YYYY-MM-DD, UAE days)
+ * @route GET /api/analytics/properties/:id
+ * @access Admin (own listings) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertyAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { range, errors } = parseDashboardRange(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date range",
+        details: errors,
+      });
+    }
+
+    const property = mongoose.Types.ObjectId.isValid(id)
+      ? await Property.findOne({ _id: id, ...req.queryFilters })
+          .select("title slug status createdBy")
+          .populate("createdBy", "name email")
+      : null;
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found",
+      });
+    }
+
+    const { byProperty, ...dashboard } = await getEngagementDashboard([property._id], range);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        property: {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+          status: property.status,
+          agent: property.createdBy,
+        },
+        ...dashboard,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching property analytics:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property analytics",
+    });
+  }
+};
+
+/**
+ * Get the engagement dashboard of an agent's listings with a per-listing breakdown
+ * Use "me" as the agent ID for the signed-in agent (?from=&to= as YYYY-MM-DD, UAE days)
+ * @route GET /api/analytics/agents/:agentId
+ * @access Admin (own listings) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAgentAnalytics = async (req, res) => {
+  try {
+    const agentId =
+      req.params.agentId === "me" ? req.user.id.toString() : req.params.agentId;
+
+    if (req.userRole !== "SuperAdmin" && agentId !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied - You can only view analytics for your own listings",
+      });
+    }
+
+    const { range, errors } = parseDashboardRange(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid date range",
+        details: errors,
+      });
+    }
+
+    const agent = mongoose.Types.ObjectId.isValid(agentId)
+      ? await User.findById(agentId).select("name email role")
+      : null;
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        error: "Agent not found",
+      });
+    }
+
+    const properties = await Property.find({ createdBy: agent._id, ...req.queryFilters })
+      .select("title slug status")
+      .lean();
+
+    const { byProperty, ...dashboard } = await getEngagementDashboard(
+      properties.map((property) => property._id),
+      range
+    );
+
+    // Listings ranked by unique views
+    const listings = properties
+      .map((property) => {
+        const totals =
+          byProperty.get(property._id.toString()) || emptyEngagementCounts();
+        return {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+          status: property.status,
+          totals,
+          conversion: getConversionRates(totals),
+        };
+      })
+      .sort((a, b) => b.totals.views - a.totals.views || b.totals.inquiries - a.totals.inquiries)
+      .slice(0, MAX_AGENT_DASHBOARD_LISTINGS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        agent: {
+          id: agent._id,
+          name: agent.name,
+          email: agent.email,
+        },
+        listingCount: properties.length,
+        ...dashboard,
+        listings,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching agent analytics:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch agent analytics",
+    });
+  }
+};
+
+module.exports = {
+  recordPhoneReveal,
+  getPropertyAnalytics,
+  getAgentAnalytics,
+};
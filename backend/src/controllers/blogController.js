@@ -370,6 +370,14 @@ const createBlogWithImages = async (req, res) => {
       url: img.url,
       alt: img.altText || `Blog image ${index + 1}`,
       caption: img.caption || '',
+      publicId: img.publicId,
+      width: img.width,
+      height: img.height,
+      variants: img.variants,
+      srcset: img.srcset,
+      blurhash: img.blurhash,
+      lqip: img.lqip,
+      dominantColor: img.dominantColor,
     }));
 
     // Create blog with processed images
@@ -567,6 +575,11 @@ const updateBlog = async (req, res) => {
           format: image.format,
           width: image.width,
           height: image.height,
+          variants: image.variants,
+          srcset: image.srcset,
+          blurhash: image.blurhash,
+          lqip: image.lqip,
+          dominantColor: image.dominantColor,
         };
       });
 
@@ -0,0 +1,459 @@
+/**
+ * Developer Controller
+ * Property developers behind off-plan projects; admin entries need SuperAdmin approval
+ */
+
+const Developer = require("../models/Developer");
+const Project = require("../models/Project");
+const { escapeRegex } = require("../utils/propertySearch");
+const { deleteImageFiles } = require("../utils/imageFiles");
+
+// Fields admins can set on a developer
+const DEVELOPER_FIELDS = [
+  "name",
+  "description",
+  "logo",
+  "website",
+  "email",
+  "phone",
+  "establishedYear",
+  "isActive",
+];
+
+/**
+ * Pick the editable developer fields from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Developer data
+ */
+const pickDeveloperFields = (body) =>
+  Object.fromEntries(
+    DEVELOPER_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+/**
+ * Build the query for a developer ID or slug within the ACL filters
+ * @param {string} id - Developer ID or slug
+ * @param {Object} queryFilters - ACL filters from buildCatalogQuery
+ * @returns {Object} - MongoDB query
+ */
+const buildDeveloperQuery = (id, queryFilters = {}) => ({
+  ...queryFilters,
+  ...(id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id }),
+});
+
+/**
+ * Handle errors shared by the developer endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleDeveloperError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: "A developer with this name already exists",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Get developers with search and pagination
+ * Visitors see approved, active developers; admins also see their own
+ * @route GET /api/developers
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDevelopers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      approvalStatus,
+      sortBy = "name",
+      sortOrder = "asc",
+    } = req.query;
+
+    const filter = { ...req.queryFilters };
+
+    // Approval status filter for admin dashboards (visitors only see approved developers)
+    if (approvalStatus && req.userRole !== "visitor") {
+      filter.approvalStatus = approvalStatus;
+    }
+
+    if (search) {
+      filter.name = new RegExp(escapeRegex(String(search)), "i");
+    }
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Sorting
+    const validSortFields = ["name", "createdAt", "establishedYear"];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : "name";
+    const sortOptions = { [sortField]: sortOrder === "desc" ? -1 : 1 };
+
+    const [developers, totalCount] = await Promise.all([
+      Developer.find(filter)
+        .populate("createdBy", "name email role")
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Developer.countDocuments(filter),
+    ]);
+
+    // Published project counts per developer
+    const projectCounts = await Project.aggregate([
+      {
+        $match: {
+          developer: { $in: developers.map((developer) => developer._id) },
+          approvalStatus: "approved",
+          isActive: true,
+        },
+      },
+      { $group: { _id: "$developer", count: { $sum: 1 } } },
+    ]);
+    const countByDeveloper = new Map(
+      projectCounts.map(({ _id, count }) => [_id.toString(), count])
+    );
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        developers: developers.map((developer) => ({
+          ...developer,
+          projectCount: countByDeveloper.get(developer._id.toString()) || 0,
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching developers:", error);
+    handleDeveloperError(res, error, "Failed to fetch developers");
+  }
+};
+
+/**
+ * Get a developer by ID or slug with its projects
+ * @route GET /api/developers/:id
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeveloper = async (req, res) => {
+  try {
+    const developer = await Developer.findOne(
+      buildDeveloperQuery(req.params.id, req.queryFilters)
+    ).populate("createdBy updatedBy", "name email role");
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        error: "Developer not found",
+      });
+    }
+
+    // Same visibility rules as the developer itself
+    const projects = await Project.find({
+      ...req.queryFilters,
+      developer: developer._id,
+    })
+      .select(
+        "name slug location status handoverDate completionPercentage images approvalStatus"
+      )
+      .sort({ handoverDate: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        developer,
+        projects,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching developer:", error);
+    handleDeveloperError(res, error, "Failed to fetch developer");
+  }
+};
+
+/**
+ * Create a developer (SuperAdmin entries are approved immediately)
+ * @route POST /api/developers
+ * @access Admin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createDeveloper = async (req, res) => {
+  try {
+    const developer = await Developer.create({
+      ...pickDeveloperFields(req.body),
+      createdBy: req.user.id,
+      approvalStatus: req.user.role === "SuperAdmin" ? "approved" : "pending",
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { developer },
+      message:
+        developer.approvalStatus === "approved"
+          ? "Developer created successfully"
+          : "Developer created and submitted for approval",
+    });
+  } catch (error) {
+    console.error("Error creating developer:", error);
+    handleDeveloperError(res, error, "Failed to create developer");
+  }
+};
+
+/**
+ * Update a developer (admin edits go back to pending approval)
+ * @route PUT /api/developers/:id
+ * @access Admin (own) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateDeveloper = async (req, res) => {
+  try {
+    const developer = await Developer.findById(req.params.id);
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        error: "Developer not found",
+      });
+    }
+
+    if (
+      req.requireOwnership &&
+      developer.createdBy?.toString() !== req.user.id.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. You can only update developers you created.",
+      });
+    }
+
+    const previousLogo = developer.logo?.publicId;
+
+    Object.assign(developer, pickDeveloperFields(req.body));
+    developer.updatedBy = req.user.id;
+    developer.approvalStatus =
+      req.user.role === "SuperAdmin" ? "approved" : "pending";
+    developer.rejectionReason = undefined;
+
+    await developer.save();
+
+    // Remove the replaced logo file
+    if (previousLogo && previousLogo !== developer.logo?.publicId) {
+      await deleteImageFiles([previousLogo]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { developer },
+      message: "Developer updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating developer:", error);
+    handleDeveloperError(res, error, "Failed to update developer");
+  }
+};
+
+/**
+ * Delete a developer without projects
+ * Admins can only delete their own pending or rejected developers
+ * @route DELETE /api/developers/:id
+ * @access Admin (own) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteDeveloper = async (req, res) => {
+  try {
+    const developer = await Developer.findById(req.params.id);
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        error: "Developer not found",
+      });
+    }
+
+    if (req.requireOwnership) {
+      if (developer.createdBy?.toString() !== req.user.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied. You can only delete developers you created.",
+        });
+      }
+
+      if (developer.approvalStatus === "approved") {
+        return res.status(403).json({
+          success: false,
+          error:
+            "Cannot delete approved developers. Please contact a Super Admin if you need to remove this developer.",
+        });
+      }
+    }
+
+    const projectCount = await Project.countDocuments({
+      developer: developer._id,
+    });
+    if (projectCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete developer. It has ${projectCount} project(s). Please reassign or delete the projects first.`,
+      });
+    }
+
+    await developer.deleteOne();
+
+    if (developer.logo?.publicId) {
+      await deleteImageFiles([developer.logo.publicId]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Developer deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting developer:", error);
+    handleDeveloperError(res, error, "Failed to delete developer");
+  }
+};
+
+/**
+ * Approve a pending developer (SuperAdmin only)
+ * @route PATCH /api/developers/:id/approve
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveDeveloper = async (req, res) => {
+  try {
+    const developer = await Developer.findById(req.params.id);
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        error: "Developer not found",
+      });
+    }
+
+    if (developer.approvalStatus !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Developer is already ${developer.approvalStatus}`,
+      });
+    }
+
+    developer.approvalStatus = "approved";
+    developer.rejectionReason = undefined;
+    developer.updatedBy = req.user.id;
+    await developer.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Developer "${developer.name}" has been approved`,
+      data: { developer },
+    });
+  } catch (error) {
+    console.error("Error approving developer:", error);
+    handleDeveloperError(res, error, "Failed to approve developer");
+  }
+};
+
+/**
+ * Reject a pending developer with a reason (SuperAdmin only)
+ * @route PATCH /api/developers/:id/reject
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectDeveloper = async (req, res) => {
+  try {
+    const { rejectionReason } = req.body;
+
+    if (!rejectionReason || rejectionReason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Rejection reason is required",
+      });
+    }
+
+    const developer = await Developer.findById(req.params.id);
+
+    if (!developer) {
+      return res.status(404).json({
+        success: false,
+        error: "Developer not found",
+      });
+    }
+
+    if (developer.approvalStatus !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Developer is already ${developer.approvalStatus}`,
+      });
+    }
+
+    developer.approvalStatus = "rejected";
+    developer.rejectionReason = rejectionReason.trim();
+    developer.updatedBy = req.user.id;
+    await developer.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Developer "${developer.name}" has been rejected`,
+      data: { developer },
+    });
+  } catch (error) {
+    console.error("Error rejecting developer:", error);
+    handleDeveloperError(res, error, "Failed to reject developer");
+  }
+};
+
+module.exports = {
+  getDevelopers,
+  getDeveloper,
+  createDeveloper,
+  updateDeveloper,
+  deleteDeveloper,
+  approveDeveloper,
+  rejectDeveloper,
+};
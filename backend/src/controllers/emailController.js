@@ -1,4 +1,30 @@
 const { createTransporter } = require('../config/email');
+const { createLeadFromSubmission } = require('../utils/leads');
+const { escapeHtml } = require('../utils/propertySearch');
+const { trackEngagementEvent } = require('../utils/engagement');
+
+/**
+ * Respond to a failed form submission
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleFormError = (res, error, message) => {
+  // Invalid lead data (e.g. a malformed email address)
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      details: Object.values(error.errors).map((err) => err.message)
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
 
 /**
  * Send email from contact form
@@ -18,8 +44,7 @@ const sendContactEmail = async (req, res) => {
       minSize,
       bedrooms,
       bathrooms,
-      message,
-      recipient = process.env.EMAIL_USER
+      message
     } = req.body;
 
     // Validate required fields
@@ -30,12 +55,22 @@ const sendContactEmail = async (req, res) => {
       });
     }
 
+    // Keep the inquiry as a lead before emailing it to the team inbox
+    const { routing } = await createLeadFromSubmission({
+      source: 'contact',
+      name: `${firstName} ${lastName}`,
+      email,
+      phone,
+      message,
+      requirements: { propertyStatus, userInfo, maxPrice, minSize, bedrooms, bathrooms }
+    });
+
     const transporter = createTransporter();
 
     // Setup email data
     const mailOptions = {
       from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
-      to: recipient,
+      to: routing.to,
       subject: `Contact Form: ${propertyStatus || 'General'} Inquiry from ${firstName} ${lastName}`,
       html: `
         <h2>Contact Form Submission</h2>
@@ -63,11 +98,7 @@ const sendContactEmail = async (req, res) => {
     });
   } catch (error) {
     console.error('Error sending email:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send email',
-      error: error.message
-    });
+    handleFormError(res, error, 'Failed to send email');
   }
 };
 
@@ -86,8 +117,7 @@ const sendPropertyInquiryEmail = async (req, res) => {
       propertyId,
       propertyTitle,
       agent,
-      type = 'property_inquiry',
-      recipient = process.env.EMAIL_USER
+      type = 'property_inquiry'
     } = req.body;
 
     // Validate required fields
@@ -107,31 +137,51 @@ const sendPropertyInquiryEmail = async (req, res) => {
       });
     }
 
+    // Keep the inquiry as a lead; the recipient is resolved from the listing, never from the client
+    const { property, routing } = await createLeadFromSubmission({
+      source: 'property_inquiry',
+      name,
+      email,
+      phone,
+      message,
+      requirements: { type },
+      propertyId
+    });
+
+    if (property) {
+      trackEngagementEvent(req, property._id, 'inquiry', { visitorId: email });
+    }
+
+    const title = escapeHtml(property?.title || propertyTitle || 'Property');
+    const agentName = escapeHtml(routing.agent?.name || agent || 'EarlyBirds Properties Team');
+
     const transporter = createTransporter();
 
-    // Email to agent/company
+    // Email to the listing's agent (or fallback agent / team inbox), team inbox in copy
     const agentEmailOptions = {
       from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
-      to: recipient,
-      subject: `New Property Inquiry - ${propertyTitle || 'Property'}`,
+      to: routing.to,
+      cc: routing.cc,
+      subject: `New Property Inquiry - ${property?.title || propertyTitle || 'Property'}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #bd8c31;">New Property Inquiry</h2>
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h3>Contact Information:</h3>
-            <p><strong>Name:</strong> ${name}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Phone:</strong> ${phone}</p>
+            <p><strong>Name:</strong> ${escapeHtml(name)}</p>
+            <p><strong>Email:</strong> ${escapeHtml(email)}</p>
+            <p><strong>Phone:</strong> ${escapeHtml(phone)}</p>
           </div>
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h3>Property Details:</h3>
-            <p><strong>Property ID:</strong> ${propertyId || 'N/A'}</p>
-            <p><strong>Property Title:</strong> ${propertyTitle || 'N/A'}</p>
-            <p><strong>Agent:</strong> ${agent}</p>
+            <p><strong>Property ID:</strong> ${property?._id || 'N/A'}</p>
+            <p><strong>Property Title:</strong> ${title}</p>
+            <p><strong>Agent:</strong> ${agentName}</p>
+            ${routing.routedBy === 'rule' ? '<p><strong>Routing:</strong> The listing owner is inactive, so this inquiry was routed to you by a fallback rule.</p>' : ''}
           </div>
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h3>Message:</h3>
-            <p>${message}</p>
+            <p>${escapeHtml(message)}</p>
           </div>
           <p style="color: #666; font-size: 12px;">This inquiry was submitted through the EarlyBirds Properties website.</p>
         </div>
@@ -147,14 +197,14 @@ const sendPropertyInquiryEmail = async (req, res) => {
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #bd8c31;">Thank you for your inquiry!</h2>
-          <p>Dear ${name},</p>
+          <p>Dear ${escapeHtml(name)},</p>
           <p>Thank you for your interest in our property. We have received your inquiry and our team will get back to you within 24 hours.</p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h3>Your Inquiry Details:</h3>
-            <p><strong>Property:</strong> ${propertyTitle || 'Property'}</p>
-            <p><strong>Agent:</strong> ${agent}</p>
-            <p><strong>Your Message:</strong> ${message}</p>
+            <p><strong>Property:</strong> ${title}</p>
+            <p><strong>Agent:</strong> ${agentName}</p>
+            <p><strong>Your Message:</strong> ${escapeHtml(message)}</p>
           </div>
           
           <p>If you have any urgent questions, please don't hesitate to contact us directly:</p>
@@ -180,86 +230,7 @@ const sendPropertyInquiryEmail = async (req, res) => {
     });
   } catch (error) {
     console.error('Error sending property inquiry email:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send property inquiry',
-      error: error.message
-    });
-  }
-};
-
-/**
- * Send instant valuation email
- * @route POST /api/email/instant-valuation
- * @access Public
- */
-const sendInstantValuationEmail = async (req, res) => {
-  try {
-    const {
-      name,
-      email,
-      phone,
-      propertyStatus,
-      propertyType,
-      emirate,
-      beds,
-      size,
-      price,
-      images,
-      recipient = process.env.EMAIL_USER
-    } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !phone || !propertyStatus || !propertyType || !emirate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields'
-      });
-    }
-
-    const transporter = createTransporter();
-
-    // Setup email data
-    const mailOptions = {
-      from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
-      to: recipient,
-      subject: `Instant Valuation Request: ${propertyType} in ${emirate}`,
-      html: `
-        <h2>Instant Valuation Request</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Phone:</strong> ${phone}</p>
-        <p><strong>Property Status:</strong> ${propertyStatus}</p>
-        <p><strong>Property Type:</strong> ${propertyType}</p>
-        <p><strong>Emirate:</strong> ${emirate}</p>
-        ${beds ? `<p><strong>Bedrooms:</strong> ${beds}</p>` : ''}
-        ${size ? `<p><strong>Size (Sq Ft):</strong> ${size}</p>` : ''}
-        ${price ? `<p><strong>Expected Price:</strong> ${price}</p>` : ''}
-        ${images && images.length > 0 ? `
-          <p><strong>Images:</strong></p>
-          <ul>
-            ${images.map(image => `<li><a href="${image.url}" target="_blank">${image.originalName || 'Property Image'}</a></li>`).join('')}
-          </ul>
-        ` : "<p><strong>Images:</strong> No images uploaded</p>"}
-      `,
-      replyTo: email
-    };
-
-    // Send mail
-    const info = await transporter.sendMail(mailOptions);
-
-    res.status(200).json({
-      success: true,
-      message: 'Valuation request sent successfully',
-      messageId: info.messageId
-    });
-  } catch (error) {
-    console.error('Error sending valuation email:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send valuation request',
-      error: error.message
-    });
+    handleFormError(res, error, 'Failed to send property inquiry');
   }
 };
 
@@ -316,7 +287,6 @@ const sendJobApplicationEmail = async (data) => {
 
 module.exports = {
   sendContactEmail,
-  sendInstantValuationEmail,
   sendPropertyInquiryEmail,
   sendJobApplicationEmail
 };
\ No newline at end of file
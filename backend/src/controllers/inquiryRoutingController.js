@@ -0,0 +1,214 @@
+/**
+ * Inquiry Routing Controller
+ * SuperAdmin management of the fallback rules that route inquiries about listings whose owner
+ * has been deactivated (see utils/inquiryRouting)
+ */
+
+const mongoose = require("mongoose");
+const InquiryRoutingRule = require("../models/InquiryRoutingRule");
+const User = require("../models/User");
+
+/**
+ * Handle errors shared by the routing rule endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleRoutingRuleError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      error: "A rule for this emirate and listing type already exists",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Check that the agent of a rule is an active admin
+ * @param {string} agentId - User ID
+ * @returns {Promise<boolean>} - True if inquiries can be routed to the user
+ */
+const isRoutableAgent = async (agentId) =>
+  mongoose.Types.ObjectId.isValid(String(agentId)) &&
+  Boolean(
+    await User.exists({
+      _id: String(agentId),
+      role: { $in: ["SuperAdmin", "admin"] },
+      isActive: true,
+    })
+  );
+
+/**
+ * Get all routing rules
+ * @route GET /api/inquiry-routing
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRoutingRules = async (req, res) => {
+  try {
+    const rules = await InquiryRoutingRule.find()
+      .populate("agent", "name email isActive")
+      .sort({ emirate: 1, listingType: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        teamInboxConfigured: Boolean(process.env.INQUIRY_TEAM_EMAIL),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching inquiry routing rules:", error);
+    handleRoutingRuleError(res, error, "Failed to fetch inquiry routing rules");
+  }
+};
+
+/**
+ * Create a routing rule
+ * @route POST /api/inquiry-routing
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRoutingRule = async (req, res) => {
+  try {
+    const { emirate, listingType, agent, isActive } = req.body;
+
+    if (!(await isRoutableAgent(agent))) {
+      return res.status(400).json({
+        success: false,
+        error: "Agent must be an active admin",
+      });
+    }
+
+    const rule = await InquiryRoutingRule.create({
+      emirate: emirate || null,
+      listingType: listingType || null,
+      agent,
+      isActive,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+
+    await rule.populate("agent", "name email isActive");
+
+    res.status(201).json({
+      success: true,
+      message: "Routing rule created successfully",
+      data: {
+        rule,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating inquiry routing rule:", error);
+    handleRoutingRuleError(res, error, "Failed to create inquiry routing rule");
+  }
+};
+
+/**
+ * Update a routing rule
+ * @route PUT /api/inquiry-routing/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRoutingRule = async (req, res) => {
+  try {
+    const { emirate, listingType, agent, isActive } = req.body;
+
+    const rule = await InquiryRoutingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Routing rule not found",
+      });
+    }
+
+    if (agent !== undefined) {
+      if (!(await isRoutableAgent(agent))) {
+        return res.status(400).json({
+          success: false,
+          error: "Agent must be an active admin",
+        });
+      }
+      rule.agent = agent;
+    }
+
+    if (emirate !== undefined) rule.emirate = emirate || null;
+    if (listingType !== undefined) rule.listingType = listingType || null;
+    if (isActive !== undefined) rule.isActive = isActive;
+    rule.updatedBy = req.user.id;
+
+    await rule.save();
+    await rule.populate("agent", "name email isActive");
+
+    res.status(200).json({
+      success: true,
+      message: "Routing rule updated successfully",
+      data: {
+        rule,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating inquiry routing rule:", error);
+    handleRoutingRuleError(res, error, "Failed to update inquiry routing rule");
+  }
+};
+
+/**
+ * Delete a routing rule
+ * @route DELETE /api/inquiry-routing/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRoutingRule = async (req, res) => {
+  try {
+    const rule = await InquiryRoutingRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Routing rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Routing rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting inquiry routing rule:", error);
+    handleRoutingRuleError(res, error, "Failed to delete inquiry routing rule");
+  }
+};
+
+module.exports = {
+  getRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+};
@@ -0,0 +1,411 @@
+/**
+ * Lead Controller
+ * CRM pipeline for website inquiries: admins work the leads assigned to them, the SuperAdmin
+ * sees and assigns all leads
+ */
+
+const mongoose = require("mongoose");
+const Lead = require("../models/Lead");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { LEAD_STATUS, CLOSED_LEAD_STATUSES } = require("../constants/propertyTypes");
+const { escapeRegex } = require("../utils/propertySearch");
+
+/**
+ * Handle errors shared by the lead endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleLeadError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Check that a user can be assigned leads (active admin or SuperAdmin)
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if the user can be assigned
+ */
+const isAssignableUser = async (userId) =>
+  mongoose.Types.ObjectId.isValid(String(userId)) &&
+  Boolean(
+    await User.exists({
+      _id: String(userId),
+      role: { $in: ["SuperAdmin", "admin"] },
+      isActive: true,
+    })
+  );
+
+/**
+ * Get leads with filtering, pagination and pipeline counts
+ * @route GET /api/leads
+ * @access Admin (assigned leads) / SuperAdmin (all leads)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeads = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      source,
+      assignedTo,
+      property,
+      search,
+      followUpDue,
+      createdFrom,
+      createdTo,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = { $in: String(status).split(",") };
+    }
+
+    if (source) {
+      filter.source = { $in: String(source).split(",") };
+    }
+
+    // Assignee filter for the SuperAdmin (admins only see their own leads)
+    if (assignedTo && req.userRole === "SuperAdmin") {
+      filter.assignedTo = assignedTo === "unassigned" ? null : String(assignedTo);
+    }
+
+    if (property) {
+      filter.property = String(property);
+    }
+
+    if (followUpDue === "true") {
+      filter.followUpAt = { $lte: new Date() };
+      filter.status = { $nin: CLOSED_LEAD_STATUSES, ...(filter.status || {}) };
+    }
+
+    if (createdFrom || createdTo) {
+      filter.createdAt = {
+        ...(createdFrom && { $gte: new Date(String(createdFrom)) }),
+        ...(createdTo && { $lte: new Date(String(createdTo)) }),
+      };
+    }
+
+    if (search) {
+      const searchRegex = new RegExp(escapeRegex(String(search)), "i");
+      filter.$or = [
+        { name: searchRegex },
+        { email: searchRegex },
+        { phone: searchRegex },
+        { message: searchRegex },
+      ];
+    }
+
+    const query = { ...filter, ...req.queryFilters };
+
+    // Aggregations don't cast IDs, so the pipeline counts need an ObjectId assignee
+    const pipelineMatch = req.queryFilters.assignedTo
+      ? {
+          ...req.queryFilters,
+          assignedTo: new mongoose.Types.ObjectId(req.queryFilters.assignedTo),
+        }
+      : req.queryFilters;
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Sorting
+    const validSortFields = ["createdAt", "updatedAt", "followUpAt", "status"];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
+    const sortOptions = { [sortField]: sortOrder === "asc" ? 1 : -1 };
+
+    const [leads, totalCount, pipelineCounts] = await Promise.all([
+      Lead.find(query)
+        .select("-notes -statusHistory")
+        .populate("property", "title slug")
+        .populate("assignedTo", "name email")
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Lead.countDocuments(query),
+      // Pipeline counts across everything the user can see
+      Lead.aggregate([
+        { $match: pipelineMatch },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        leads,
+        pipeline: Object.fromEntries(
+          LEAD_STATUS.map((value) => [
+            value,
+            pipelineCounts.find(({ _id }) => _id === value)?.count || 0,
+          ])
+        ),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching leads:", error);
+    handleLeadError(res, error, "Failed to fetch leads");
+  }
+};
+
+/**
+ * Get a lead with its notes and stage history
+ * @route GET /api/leads/:id
+ * @access Admin (assigned leads) / SuperAdmin (all leads)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLead = async (req, res) => {
+  try {
+    const lead = await Lead.findOne({ _id: req.params.id, ...req.queryFilters })
+      .populate("property", "title slug price listingType status location.area")
+      .populate("agent assignedTo createdBy updatedBy", "name email")
+      .populate("notes.createdBy statusHistory.changedBy", "name email")
+      .populate("valuationRequest", "estimate status");
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: "Lead not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lead,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching lead:", error);
+    handleLeadError(res, error, "Failed to fetch lead");
+  }
+};
+
+/**
+ * Create a lead manually (e.g. a phone or walk-in inquiry)
+ * Admin leads are assigned to themselves; the SuperAdmin may assign anyone
+ * @route POST /api/leads
+ * @access Admin/SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLead = async (req, res) => {
+  try {
+    const { name, email, phone, message, property, status, followUpAt, assignedTo, note } =
+      req.body;
+
+    let assignee = req.user.id;
+    if (req.userRole === "SuperAdmin" && assignedTo !== undefined) {
+      if (assignedTo && !(await isAssignableUser(assignedTo))) {
+        return res.status(400).json({
+          success: false,
+          error: "Assignee must be an active admin",
+        });
+      }
+      assignee = assignedTo || null;
+    }
+
+    let linkedProperty = null;
+    if (property) {
+      linkedProperty = mongoose.Types.ObjectId.isValid(String(property))
+        ? await Property.findById(String(property)).select("createdBy")
+        : null;
+
+      if (!linkedProperty) {
+        return res.status(400).json({
+          success: false,
+          error: "Property not found",
+        });
+      }
+    }
+
+    const lead = new Lead({
+      source: "manual",
+      name,
+      email,
+      phone,
+      message,
+      status,
+      followUpAt: followUpAt || null,
+      property: linkedProperty?._id || null,
+      agent: linkedProperty?.createdBy || null,
+      assignedTo: assignee,
+      notes: note ? [{ text: note, createdBy: req.user.id }] : [],
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    lead.$locals.changedBy = req.user.id;
+
+    await lead.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Lead created successfully",
+      data: {
+        lead,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating lead:", error);
+    handleLeadError(res, error, "Failed to create lead");
+  }
+};
+
+/**
+ * Update a lead: pipeline stage, follow-up reminder, note and (SuperAdmin) assignment
+ * @route PATCH /api/leads/:id
+ * @access Admin (assigned leads) / SuperAdmin (all leads)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLead = async (req, res) => {
+  try {
+    const { status, followUpAt, note, assignedTo, phone } = req.body;
+
+    if (
+      [status, followUpAt, assignedTo, phone].every((value) => value === undefined) &&
+      !note
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Nothing to update",
+        details: ["Provide a status, followUpAt, assignedTo, phone or note"],
+      });
+    }
+
+    if (assignedTo !== undefined && req.userRole !== "SuperAdmin") {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied - Only the SuperAdmin can reassign leads",
+      });
+    }
+
+    const lead = await Lead.findOne({ _id: req.params.id, ...req.queryFilters });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: "Lead not found",
+      });
+    }
+
+    if (status !== undefined) {
+      lead.status = status;
+    }
+
+    if (followUpAt !== undefined) {
+      lead.followUpAt = followUpAt || null;
+    }
+
+    if (phone !== undefined) {
+      lead.phone = phone;
+    }
+
+    if (assignedTo !== undefined) {
+      if (assignedTo && !(await isAssignableUser(assignedTo))) {
+        return res.status(400).json({
+          success: false,
+          error: "Assignee must be an active admin",
+        });
+      }
+      lead.assignedTo = assignedTo || null;
+    }
+
+    if (note) {
+      lead.notes.push({
+        text: note,
+        createdBy: req.user.id,
+      });
+    }
+
+    lead.updatedBy = req.user.id;
+    lead.$locals.changedBy = req.user.id;
+    await lead.save();
+
+    await lead.populate("assignedTo updatedBy notes.createdBy", "name email");
+
+    res.status(200).json({
+      success: true,
+      message: "Lead updated successfully",
+      data: {
+        lead,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating lead:", error);
+    handleLeadError(res, error, "Failed to update lead");
+  }
+};
+
+/**
+ * Delete a lead
+ * @route DELETE /api/leads/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteLead = async (req, res) => {
+  try {
+    const lead = await Lead.findByIdAndDelete(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: "Lead not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Lead deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting lead:", error);
+    handleLeadError(res, error, "Failed to delete lead");
+  }
+};
+
+module.exports = {
+  getLeads,
+  getLead,
+  createLead,
+  updateLead,
+  deleteLead,
+};
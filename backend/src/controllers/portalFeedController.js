@@ -0,0 +1,352 @@
+/**
+ * Portal Feed Controller
+ * SuperAdmins manage syndication feeds; portals fetch them from a token-protected URL
+ */
+
+const PortalFeed = require("../models/PortalFeed");
+const { PORTAL_FEED_DEFAULTS } = require("../config/portalFeeds");
+const {
+  validateFeedMappings,
+  getDefaultFeedMappings,
+  mergeFeedMappings,
+  getPortalFeedState,
+  renderPortalFeed,
+  clearPortalFeedCache,
+  isValidFeedToken,
+  getPortalFeedUrl,
+} = require("../utils/portalFeeds");
+
+/**
+ * Format a feed for API responses
+ * @param {Object} feed - Portal feed (token selected)
+ * @returns {Object} - Feed with its URL
+ */
+const formatFeed = (feed) => {
+  const { token, ...data } = feed.toObject();
+  return {
+    ...data,
+    portalName: PORTAL_FEED_DEFAULTS[feed.portal]?.name,
+    feedUrl: getPortalFeedUrl(feed),
+  };
+};
+
+/**
+ * Handle errors shared by the feed management endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleFeedError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid portal feed ID",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Get all portal feeds (SuperAdmin only)
+ * @route GET /api/portal-feeds
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPortalFeeds = async (req, res) => {
+  try {
+    const feeds = await PortalFeed.find()
+      .select("+token")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        feeds: feeds.map(formatFeed),
+        portals: Object.entries(PORTAL_FEED_DEFAULTS).map(([key, portal]) => ({
+          key,
+          name: portal.name,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching portal feeds:", error);
+    handleFeedError(res, error, "Failed to fetch portal feeds");
+  }
+};
+
+/**
+ * Get a portal feed (SuperAdmin only)
+ * @route GET /api/portal-feeds/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPortalFeed = async (req, res) => {
+  try {
+    const feed = await PortalFeed.findById(req.params.id).select("+token");
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: "Portal feed not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { feed: formatFeed(feed) },
+    });
+  } catch (error) {
+    console.error("Error fetching portal feed:", error);
+    handleFeedError(res, error, "Failed to fetch portal feed");
+  }
+};
+
+/**
+ * Create a portal feed with the portal's default mappings (SuperAdmin only)
+ * @route POST /api/portal-feeds
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPortalFeed = async (req, res) => {
+  try {
+    const { name, portal, mappings } = req.body;
+
+    if (!PORTAL_FEED_DEFAULTS[portal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Portal must be one of: ${Object.keys(PORTAL_FEED_DEFAULTS).join(", ")}`,
+      });
+    }
+
+    const mappingErrors = mappings ? validateFeedMappings(mappings) : [];
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid feed mappings",
+        details: mappingErrors,
+      });
+    }
+
+    const defaultMappings = getDefaultFeedMappings(portal);
+
+    const feed = await PortalFeed.create({
+      name: name || PORTAL_FEED_DEFAULTS[portal].name,
+      portal,
+      mappings: mappings
+        ? mergeFeedMappings(defaultMappings, mappings)
+        : defaultMappings,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Portal feed created successfully",
+      data: { feed: formatFeed(feed) },
+    });
+  } catch (error) {
+    console.error("Error creating portal feed:", error);
+    handleFeedError(res, error, "Failed to create portal feed");
+  }
+};
+
+/**
+ * Update a feed's name, status or mappings (SuperAdmin only)
+ * Mapping entries are merged into the current mappings; null removes an entry
+ * @route PUT /api/portal-feeds/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePortalFeed = async (req, res) => {
+  try {
+    const { name, isActive, mappings, resetMappings } = req.body;
+
+    const feed = await PortalFeed.findById(req.params.id).select("+token");
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: "Portal feed not found",
+      });
+    }
+
+    if (mappings !== undefined) {
+      const mappingErrors = validateFeedMappings(mappings);
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid feed mappings",
+          details: mappingErrors,
+        });
+      }
+    }
+
+    if (name !== undefined) feed.name = name;
+    if (isActive !== undefined) feed.isActive = Boolean(isActive);
+
+    if (resetMappings === true || mappings !== undefined) {
+      const baseMappings =
+        resetMappings === true ? getDefaultFeedMappings(feed.portal) : feed.mappings;
+      feed.mappings = mappings
+        ? mergeFeedMappings(baseMappings, mappings)
+        : baseMappings;
+      feed.markModified("mappings");
+      // Cached listing XML was rendered with the old mappings
+      feed.mappingsUpdatedAt = new Date();
+    }
+
+    feed.updatedBy = req.user.id;
+    await feed.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Portal feed updated successfully",
+      data: { feed: formatFeed(feed) },
+    });
+  } catch (error) {
+    console.error("Error updating portal feed:", error);
+    handleFeedError(res, error, "Failed to update portal feed");
+  }
+};
+
+/**
+ * Issue a new access token, invalidating the current feed URL (SuperAdmin only)
+ * @route POST /api/portal-feeds/:id/token
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regeneratePortalFeedToken = async (req, res) => {
+  try {
+    const feed = await PortalFeed.findById(req.params.id).select("+token");
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: "Portal feed not found",
+      });
+    }
+
+    feed.token = PortalFeed.generateToken();
+    feed.updatedBy = req.user.id;
+    await feed.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Feed token regenerated. Update the feed URL on the portal.",
+      data: { feed: formatFeed(feed) },
+    });
+  } catch (error) {
+    console.error("Error regenerating portal feed token:", error);
+    handleFeedError(res, error, "Failed to regenerate feed token");
+  }
+};
+
+/**
+ * Delete a portal feed (SuperAdmin only)
+ * @route DELETE /api/portal-feeds/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePortalFeed = async (req, res) => {
+  try {
+    const feed = await PortalFeed.findByIdAndDelete(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: "Portal feed not found",
+      });
+    }
+
+    clearPortalFeedCache(feed._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Portal feed deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting portal feed:", error);
+    handleFeedError(res, error, "Failed to delete portal feed");
+  }
+};
+
+/**
+ * Serve the feed XML to a portal (supports ETag / Last-Modified conditional requests)
+ * @route GET /api/portal-feeds/:id/feed.xml?token=
+ * @access Public (feed token required)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPortalFeedXml = async (req, res) => {
+  try {
+    const feed = await PortalFeed.findById(req.params.id).select("+token");
+
+    if (!feed || !feed.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: "Feed not found",
+      });
+    }
+
+    if (!isValidFeedToken(req.query.token, feed.token)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid feed token",
+      });
+    }
+
+    const state = await getPortalFeedState(feed);
+
+    PortalFeed.updateOne(
+      { _id: feed._id },
+      { $set: { lastFetchedAt: new Date() }, $inc: { fetchCount: 1 } },
+      { timestamps: false }
+    ).catch((error) => console.error("Error recording feed fetch:", error));
+
+    res.set({
+      ETag: state.etag,
+      "Last-Modified": state.lastModified.toUTCString(),
+      "Cache-Control": "private, no-cache",
+    });
+
+    // Nothing changed since the portal's last fetch
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const xml = await renderPortalFeed(feed, state);
+
+    res.type("application/xml").status(200).send(xml);
+  } catch (error) {
+    console.error("Error generating portal feed:", error);
+    handleFeedError(res, error, "Failed to generate feed");
+  }
+};
+
+module.exports = {
+  getPortalFeeds,
+  getPortalFeed,
+  createPortalFeed,
+  updatePortalFeed,
+  regeneratePortalFeedToken,
+  deletePortalFeed,
+  getPortalFeedXml,
+};
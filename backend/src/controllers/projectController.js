@@ -0,0 +1,572 @@
+/**
+ * Project Controller
+ * Off-plan / new development projects with payment plans and their available units
+ */
+
+const Project = require("../models/Project");
+const Developer = require("../models/Developer");
+const Property = require("../models/Property");
+const { escapeRegex } = require("../utils/propertySearch");
+const { deleteImageFiles } = require("../utils/imageFiles");
+const {
+  summarizePaymentPlan,
+  getProjectUnits,
+} = require("../utils/projects");
+
+// Fields admins can set on a project
+const PROJECT_FIELDS = [
+  "name",
+  "developer",
+  "description",
+  "location",
+  "status",
+  "launchDate",
+  "handoverDate",
+  "completionPercentage",
+  "paymentPlan",
+  "amenities",
+  "images",
+  "masterPlanImages",
+  "brochureUrl",
+  "isActive",
+];
+
+// Developer fields shown with a project
+const DEVELOPER_SUMMARY_FIELDS = "name slug logo website approvalStatus";
+
+/**
+ * Pick the editable project fields from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Project data
+ */
+const pickProjectFields = (body) =>
+  Object.fromEntries(
+    PROJECT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+/**
+ * Get the image files used by a project
+ * @param {Object} project - Project
+ * @returns {string[]} - Image publicIds
+ */
+const getProjectImageIds = (project) =>
+  [...(project.images || []), ...(project.masterPlanImages || [])].map(
+    (image) => image.publicId
+  );
+
+/**
+ * Check that the user can attach a project to a developer
+ * Admins can use approved developers or developers they created
+ * @param {string} developerId - Developer ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<string|null>} - Error message or null if allowed
+ */
+const getDeveloperLinkError = async (developerId, user) => {
+  const developer = await Developer.findById(developerId).select(
+    "approvalStatus createdBy"
+  );
+
+  if (!developer) {
+    return "Developer not found";
+  }
+
+  if (
+    user.role !== "SuperAdmin" &&
+    developer.approvalStatus !== "approved" &&
+    developer.createdBy?.toString() !== user.id.toString()
+  ) {
+    return "Projects can only be added to approved developers or developers you created";
+  }
+
+  return null;
+};
+
+/**
+ * Handle errors shared by the project endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleProjectError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Get projects with filtering and pagination
+ * Visitors see approved, active projects; admins also see their own
+ * @route GET /api/projects
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProjects = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 12,
+      search,
+      developer,
+      emirate,
+      area,
+      status,
+      approvalStatus,
+      sortBy = "handoverDate",
+      sortOrder = "asc",
+    } = req.query;
+
+    const filter = { ...req.queryFilters };
+
+    // Approval status filter for admin dashboards (visitors only see approved projects)
+    if (approvalStatus && req.userRole !== "visitor") {
+      filter.approvalStatus = approvalStatus;
+    }
+
+    // Developer by ID or slug
+    if (developer) {
+      const developerKey = String(developer);
+      if (developerKey.match(/^[0-9a-fA-F]{24}$/)) {
+        filter.developer = developerKey;
+      } else {
+        const developerDoc = await Developer.findOne({ slug: developerKey }).select(
+          "_id"
+        );
+        filter.developer = developerDoc ? developerDoc._id : null;
+      }
+    }
+    if (emirate) filter["location.emirate"] = emirate;
+    if (area) filter["location.area"] = area;
+    if (status) filter.status = status;
+    if (search) {
+      filter.name = new RegExp(escapeRegex(String(search)), "i");
+    }
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 12));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Sorting
+    const validSortFields = ["handoverDate", "createdAt", "name", "completionPercentage"];
+    const sortField = validSortFields.includes(sortBy) ? sortBy : "handoverDate";
+    const sortOptions = { [sortField]: sortOrder === "desc" ? -1 : 1 };
+
+    const [projects, totalCount] = await Promise.all([
+      Project.find(filter)
+        .populate("developer", DEVELOPER_SUMMARY_FIELDS)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Project.countDocuments(filter),
+    ]);
+
+    // Available unit counts and starting prices per project
+    const unitStats = await Property.aggregate([
+      {
+        $match: {
+          project: { $in: projects.map((project) => project._id) },
+          status: "available",
+          approvalStatus: "approved",
+        },
+      },
+      {
+        $group: {
+          _id: "$project",
+          availableUnits: { $sum: 1 },
+          startingPrice: { $min: "$price" },
+        },
+      },
+    ]);
+    const statsByProject = new Map(
+      unitStats.map(({ _id, ...stats }) => [_id.toString(), stats])
+    );
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projects: projects.map((project) => ({
+          ...project,
+          paymentPlanSummary: summarizePaymentPlan(project.paymentPlan),
+          availableUnits: 0,
+          startingPrice: null,
+          ...statsByProject.get(project._id.toString()),
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching projects:", error);
+    handleProjectError(res, error, "Failed to fetch projects");
+  }
+};
+
+/**
+ * Get the project page by ID or slug: project, developer, payment plan and available units
+ * @route GET /api/projects/:id
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findOne({
+      ...req.queryFilters,
+      ...(id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id }),
+    })
+      .populate("developer", `${DEVELOPER_SUMMARY_FIELDS} description`)
+      .populate("createdBy updatedBy", "name email role");
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    const { units, summary } = await getProjectUnits(project._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: {
+          ...project.toObject(),
+          paymentPlanSummary: summarizePaymentPlan(project.paymentPlan),
+        },
+        units,
+        unitSummary: summary,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching project:", error);
+    handleProjectError(res, error, "Failed to fetch project");
+  }
+};
+
+/**
+ * Create a project (SuperAdmin entries are approved immediately)
+ * @route POST /api/projects
+ * @access Admin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProject = async (req, res) => {
+  try {
+    const projectData = pickProjectFields(req.body);
+
+    if (projectData.developer) {
+      const developerError = await getDeveloperLinkError(
+        projectData.developer,
+        req.user
+      );
+      if (developerError) {
+        return res.status(400).json({
+          success: false,
+          error: developerError,
+        });
+      }
+    }
+
+    const project = await Project.create({
+      ...projectData,
+      createdBy: req.user.id,
+      approvalStatus: req.user.role === "SuperAdmin" ? "approved" : "pending",
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        project: {
+          ...project.toObject(),
+          paymentPlanSummary: summarizePaymentPlan(project.paymentPlan),
+        },
+      },
+      message:
+        project.approvalStatus === "approved"
+          ? "Project created successfully"
+          : "Project created and submitted for approval",
+    });
+  } catch (error) {
+    console.error("Error creating project:", error);
+    handleProjectError(res, error, "Failed to create project");
+  }
+};
+
+/**
+ * Update a project (admin edits go back to pending approval)
+ * Images left out of images/masterPlanImages are deleted
+ * @route PUT /api/projects/:id
+ * @access Admin (own) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (
+      req.requireOwnership &&
+      project.createdBy?.toString() !== req.user.id.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. You can only update projects you created.",
+      });
+    }
+
+    const projectData = pickProjectFields(req.body);
+
+    if (
+      projectData.developer &&
+      projectData.developer.toString() !== project.developer.toString()
+    ) {
+      const developerError = await getDeveloperLinkError(
+        projectData.developer,
+        req.user
+      );
+      if (developerError) {
+        return res.status(400).json({
+          success: false,
+          error: developerError,
+        });
+      }
+    }
+
+    const previousImageIds = getProjectImageIds(project);
+
+    Object.assign(project, projectData);
+    project.updatedBy = req.user.id;
+    project.approvalStatus = req.user.role === "SuperAdmin" ? "approved" : "pending";
+    project.rejectionReason = undefined;
+
+    await project.save();
+
+    // Delete image files no longer used by the project
+    const currentImageIds = getProjectImageIds(project);
+    await deleteImageFiles(
+      previousImageIds.filter((publicId) => !currentImageIds.includes(publicId))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: {
+          ...project.toObject(),
+          paymentPlanSummary: summarizePaymentPlan(project.paymentPlan),
+        },
+      },
+      message: "Project updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating project:", error);
+    handleProjectError(res, error, "Failed to update project");
+  }
+};
+
+/**
+ * Delete a project without linked properties
+ * Admins can only delete their own pending or rejected projects
+ * @route DELETE /api/projects/:id
+ * @access Admin (own) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (req.requireOwnership) {
+      if (project.createdBy?.toString() !== req.user.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied. You can only delete projects you created.",
+        });
+      }
+
+      if (project.approvalStatus === "approved") {
+        return res.status(403).json({
+          success: false,
+          error:
+            "Cannot delete approved projects. Please contact a Super Admin if you need to remove this project.",
+        });
+      }
+    }
+
+    const propertyCount = await Property.countDocuments({ project: project._id });
+    if (propertyCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot delete project. It has ${propertyCount} linked propert${
+          propertyCount === 1 ? "y" : "ies"
+        }. Please unlink or delete them first.`,
+      });
+    }
+
+    await project.deleteOne();
+    await deleteImageFiles(getProjectImageIds(project));
+
+    res.status(200).json({
+      success: true,
+      message: "Project deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting project:", error);
+    handleProjectError(res, error, "Failed to delete project");
+  }
+};
+
+/**
+ * Approve a pending project (SuperAdmin only); its developer must be approved first
+ * @route PATCH /api/projects/:id/approve
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).populate(
+      "developer",
+      "name approvalStatus"
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (project.approvalStatus !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Project is already ${project.approvalStatus}`,
+      });
+    }
+
+    if (project.developer?.approvalStatus !== "approved") {
+      return res.status(400).json({
+        success: false,
+        error: `Approve the developer "${project.developer?.name}" before approving its projects`,
+      });
+    }
+
+    project.approvalStatus = "approved";
+    project.rejectionReason = undefined;
+    project.updatedBy = req.user.id;
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Project "${project.name}" has been approved`,
+      data: { project },
+    });
+  } catch (error) {
+    console.error("Error approving project:", error);
+    handleProjectError(res, error, "Failed to approve project");
+  }
+};
+
+/**
+ * Reject a pending project with a reason (SuperAdmin only)
+ * @route PATCH /api/projects/:id/reject
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectProject = async (req, res) => {
+  try {
+    const { rejectionReason } = req.body;
+
+    if (!rejectionReason || rejectionReason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Rejection reason is required",
+      });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      });
+    }
+
+    if (project.approvalStatus !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Project is already ${project.approvalStatus}`,
+      });
+    }
+
+    project.approvalStatus = "rejected";
+    project.rejectionReason = rejectionReason.trim();
+    project.updatedBy = req.user.id;
+    await project.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Project "${project.name}" has been rejected`,
+      data: { project },
+    });
+  } catch (error) {
+    console.error("Error rejecting project:", error);
+    handleProjectError(res, error, "Failed to reject project");
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  approveProject,
+  rejectProject,
+};
@@ -6,133 +6,70 @@ const {
   EMIRATE_AREA_MAP,
   PROPERTY_STATUS,
 } = require("../constants/propertyTypes");
-const fs = require("fs").promises;
-const path = require("path");
-
-/**
- * Helper function to get valid status transitions
- * This mirrors the frontend logic for consistency
- */
-const getValidStatusTransitions = (
-  currentStatus,
-  previousStatus = undefined
-) => {
-  switch (currentStatus) {
-    case "draft":
-      // From draft: can only go to available (or stay draft)
-      return ["draft", "available"];
-    case "available":
-      // From available: can select any other status
-      return ["available", "pending", "sold", "rented", "archived"];
-    case "pending":
-      // From pending: can select any other status
-      return ["pending", "available", "sold", "rented", "archived"];
-    case "sold":
-    case "rented":
-      // From sold or rented: can only select archived (or keep current)
-      return [currentStatus, "archived"];
-    case "archived":
-      // From archived: can only go back to the previous status
-      const baseOptions = ["archived"];
-
-      if (previousStatus) {
-        // If we know the previous status, allow going back to it only
-        if (!baseOptions.includes(previousStatus)) {
-          baseOptions.push(previousStatus);
-        }
-      } else {
-        // This should not happen in normal flow since properties always have status history
-        // But if it does, we'll only allow staying archived to prevent invalid transitions
-        console.warn(
-          "⚠️ Archived property found without previousStatus - this should not happen"
-        );
-      }
-
-      return baseOptions;
-    default:
-      // Default: all except draft
-      return ["pending", "available", "sold", "rented", "archived"];
-  }
-};
-
-/**
- * Helper function to delete local image files
- * @param {string} publicId - The public ID of the image (filename without extension)
- */
-const deleteLocalImageFiles = async (publicId) => {
-  try {
-    // Determine upload directory based on environment
-    const uploadDir =
-      process.env.NODE_ENV === "production"
-        ? path.join(__dirname, "uploads") // dist/uploads
-        : path.join(__dirname, "../uploads"); // backend/src/uploads
-
-    console.log(
-      `🗑️ DELETE DEBUG - Attempting to delete files for publicId: ${publicId}`
-    );
-    console.log(`🗑️ DELETE DEBUG - Upload directory: ${uploadDir}`);
-
-    // Extract base filename without extension if publicId already includes extension
-    let baseFilename = publicId;
-    const knownExtensions = [".webp", ".jpg", ".jpeg", ".png"];
-    const hasExtension = knownExtensions.some((ext) =>
-      publicId.toLowerCase().endsWith(ext)
-    );
-
-    if (hasExtension) {
-      // Remove extension to get base filename
-      const lastDotIndex = publicId.lastIndexOf(".");
-      baseFilename = publicId.substring(0, lastDotIndex);
-      console.log(
-        `🗑️ DELETE DEBUG - PublicId has extension, using base: ${baseFilename}`
-      );
-    }
-
-    // List of possible file extensions and sizes
-    const possibleFiles = [
-      `${baseFilename}.webp`,
-      `${baseFilename}_thumb.webp`,
-      `${baseFilename}_medium.webp`,
-      `${baseFilename}_large.webp`,
-      `${baseFilename}_original.webp`,
-      `${baseFilename}.jpg`,
-      `${baseFilename}.jpeg`,
-      `${baseFilename}.png`,
-    ];
-
-    // If publicId already had extension, also try the original filename as-is
-    if (hasExtension && !possibleFiles.includes(publicId)) {
-      possibleFiles.push(publicId);
-    }
-
-    let deletedCount = 0;
-    const deletionPromises = possibleFiles.map(async (filename) => {
-      const filePath = path.join(uploadDir, filename);
-      try {
-        await fs.access(filePath); // Check if file exists
-        await fs.unlink(filePath); // Delete the file
-        console.log(`🗑️ DELETE DEBUG - Successfully deleted: ${filename}`);
-        deletedCount++;
-      } catch (error) {
-        // File doesn't exist or couldn't be deleted
-        console.log(
-          `🗑️ DELETE DEBUG - File not found or couldn't delete: ${filename}`
-        );
-      }
-    });
-
-    await Promise.all(deletionPromises);
-    console.log(
-      `🗑️ DELETE DEBUG - Total files deleted for ${publicId}: ${deletedCount}`
-    );
-  } catch (error) {
-    console.error(
-      `❌ Error deleting local files for publicId ${publicId}:`,
-      error
-    );
-    throw error;
-  }
-};
+const {
+  buildPropertyListFilter,
+  castFilterForAggregation,
+} = require("../utils/propertyFilters");
+const { getPropertyFacets } = require("../utils/propertyFacets");
+const { buildHighlights } = require("../utils/propertySearch");
+const { notifySavedSearches } = require("../utils/savedSearchAlerts");
+const PropertyHistory = require("../models/PropertyHistory");
+const {
+  attachPriceChanges,
+  formatHistoryForRole,
+} = require("../utils/propertyHistory");
+const PropertyRevision = require("../models/PropertyRevision");
+const PropertyChangeRequest = require("../models/PropertyChangeRequest");
+const {
+  createSnapshot,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  isImageReferencedByRevisions,
+  deletePropertyRevisions,
+  buildRestoreData,
+} = require("../utils/propertyRevisions");
+const { getClusterCellSize, MAX_CLUSTER_ZOOM } = require("../utils/geo");
+const {
+  deleteLocalImageFiles,
+  deleteImageFiles,
+} = require("../utils/imageFiles");
+const {
+  resolveApprovalStatusForEdit,
+  requiresChangeRequest,
+  submitChangeRequest,
+} = require("../utils/propertyApproval");
+const { getPermitIssue } = require("../utils/propertyPermits");
+const { getValidStatusTransitions } = require("../utils/propertyStatus");
+const {
+  applyListingSchedule,
+  verifyRenewToken,
+  renewListing,
+} = require("../utils/listingSchedule");
+const {
+  parseWatermarkOption,
+  syncPropertyWatermarks,
+  syncRestoredImages,
+} = require("../utils/watermark");
+const { getProjectLinkError } = require("../utils/projects");
+const {
+  parseFinancialOptions,
+  calculatePropertyFinancials,
+} = require("../utils/propertyFinancials");
+const {
+  COMPARE_FIELDS,
+  parseCompareIds,
+  buildPropertyComparison,
+} = require("../utils/propertyCompare");
+const {
+  SIMILAR_FIELDS,
+  findSimilarProperties,
+} = require("../utils/similarProperties");
+const {
+  DEFAULT_SIMILAR_LIMIT,
+  MAX_SIMILAR_LIMIT,
+} = require("../config/similarProperties");
+const { trackEngagementEvent } = require("../utils/engagement");
 
 /**
  * Helper function to get valid status transitions for a given current status
@@ -157,6 +94,16 @@ const getValidTransitions = (currentStatus) => {
   return allStatuses.filter((status) => !invalidForCurrent.includes(status));
 };
 
+/**
+ * Helper function to find a property by ID or slug
+ * @param {string} id - Property ID or slug
+ * @returns {Promise<Object|null>} - Property document
+ */
+const findPropertyByIdOrSlug = (id) =>
+  id.match(/^[0-9a-fA-F]{24}$/)
+    ? Property.findById(id)
+    : Property.findOne({ slug: id });
+
 /**
  * Get all available property types (predefined + approved custom) for Admin Only
  * @param {Object} req - Express request object
@@ -325,6 +272,11 @@ const getAmenitiesForPropertyType = async (req, res) => {
 /**
  * Get all properties with filtering and pagination
  * Role-based access: Visitors see only published properties, Admins see all
+ * Geo modes: near=lat,lng&radius=km (sorted by distance, distance in km returned)
+ * or bbox=minLng,minLat,maxLng,maxLat (map viewport)
+ * Facets: facets=true adds filter counts to the page, facets=only returns just the counts
+ * Search: search=terms uses the weighted text index; results default to sortBy=relevance
+ * and include a relevance score and highlighted snippets
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -333,134 +285,139 @@ const getProperties = async (req, res) => {
     const {
       page = 1,
       limit = 10,
-      emirate,
-      area,
-      propertyType,
-      listingType,
-      minPrice,
-      maxPrice,
-      bedrooms,
-      status,
-      approvalStatus,
-      search,
-      sortBy = "createdAt",
+      sortBy,
       sortOrder = "desc",
+      facets,
     } = req.query;
 
-    // Start with ACL query filters (set by ACL middleware based on user role)
-    const filter = { ...req.queryFilters } || {};
-
     // Handle status filter based on user role
     const userRole = req.userRole || "visitor";
 
-    // Apply approval status filtering based on user role
-    if (userRole === "SuperAdmin") {
-      // SuperAdmin can see all non-draft properties regardless of approval status
-      // ACL middleware already excludes draft properties
-      // No additional filtering needed
-    } else if (userRole === "admin") {
-      // Admin can see their own properties (all approval statuses)
-      // ACL middleware already filters to own properties via createdBy
-      // No additional approval status filtering needed for own properties
-    } else {
-      // Visitors can only see approved properties
-      filter.approvalStatus = "approved";
-    }
+    // Build the listing filter (ACL, role-based approval, user filters and geo filters)
+    const { filter, facetFilters, near, textSearch, errors } =
+      buildPropertyListFilter(req.query, {
+        userRole,
+        queryFilters: req.queryFilters,
+        user: req.user,
+      });
 
-    // Handle listing status filter
-    if (status) {
-      if (userRole === "admin" || userRole === "SuperAdmin") {
-        // Admin and SuperAdmin can filter by any status
-        filter.status = status;
-      } else {
-        // Visitors can only filter by published statuses
-        const publishedStatuses = ["available", "sold", "rented", "pending"];
-        if (publishedStatuses.includes(status)) {
-          filter.status = status;
-        }
-        // If invalid status requested, ignore it (keep ACL default)
-      }
+    if (sortBy === "relevance" && !textSearch) {
+      errors.push({
+        field: "sortBy",
+        message: "sortBy=relevance requires a search term",
+      });
     }
 
-    // Apply additional user-specified filters
-    if (emirate) filter["location.emirate"] = emirate;
-    if (area) filter["location.area"] = area;
-    if (propertyType) filter.propertyType = propertyType;
-    if (listingType) filter.listingType = listingType;
-    if (bedrooms) filter["details.bedrooms"] = parseInt(bedrooms);
-
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseInt(minPrice);
-      if (maxPrice) filter.price.$lte = parseInt(maxPrice);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors,
+      });
     }
 
-    // Handle approval status filter for admin users
-    if (approvalStatus && (userRole === "admin" || userRole === "SuperAdmin")) {
-      // Override the default approval status filtering with user's specific choice
-      if (
-        approvalStatus === "pending" ||
-        approvalStatus === "approved" ||
-        approvalStatus === "rejected" ||
-        approvalStatus === "not_applicable"
-      ) {
-        // Remove any existing approval status filters
-        delete filter.approvalStatus;
-        delete filter.$or;
-
-        // Apply the specific approval status filter
-        filter.approvalStatus = approvalStatus;
-
-        // For admin users, also ensure they can only see their own properties or approved ones
-        if (userRole === "admin" && req.user && req.user.id) {
-          if (approvalStatus === "approved") {
-            // For approved properties, admin can see all approved properties
-            filter.approvalStatus = "approved";
-          } else {
-            // For pending/rejected, admin can only see their own
-            filter.$and = [
-              { approvalStatus: approvalStatus },
-              { createdBy: req.user.id },
-            ];
-            delete filter.approvalStatus; // Remove the direct filter since we're using $and
-          }
-        }
-      }
-    }
+    // Facets-only mode skips the listing query entirely (used by the search sidebar)
+    if (facets === "only") {
+      const facetCounts = await getPropertyFacets(Property, filter, facetFilters);
 
-    // Handle search filter
-    if (search && search.trim()) {
-      const searchRegex = new RegExp(search.trim(), "i");
-      filter.$and = filter.$and || [];
-      filter.$and.push({
-        $or: [
-          { title: searchRegex },
-          { description: searchRegex },
-          { "location.address": searchRegex },
-          { "location.area": searchRegex },
-          { "location.emirate": searchRegex },
-        ],
+      return res.status(200).json({
+        success: true,
+        data: { facets: facetCounts },
       });
     }
 
-    // Build sort object
-    const sortObject = {};
-    sortObject[sortBy] = sortOrder === "asc" ? 1 : -1;
-
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Execute query
-    const properties = await Property.find(filter)
-      .populate("createdBy", "name email role")
-      .sort(sortObject)
-      .skip(skip)
-      .limit(parseInt(limit));
+    let properties;
+
+    if (near) {
+      // Radius search - $geoNear returns listings ordered by distance with the distance (km) attached
+      const { ["location.coordinates"]: geoFilter, ...geoNearQuery } = filter;
+
+      const pipeline = [
+        {
+          $geoNear: {
+            near: near.point,
+            distanceField: "distance",
+            distanceMultiplier: 0.001, // metres → kilometres
+            maxDistance: near.radiusKm * 1000,
+            spherical: true,
+            query: castFilterForAggregation(Property, geoNearQuery),
+          },
+        },
+      ];
+
+      // Distance ordering is the default for radius searches
+      if (sortBy && sortBy !== "distance") {
+        pipeline.push({ $sort: { [sortBy]: sortOrder === "asc" ? 1 : -1 } });
+      }
+
+      pipeline.push({ $skip: skip }, { $limit: parseInt(limit) });
+
+      properties = await Property.aggregate(pipeline);
+      await Property.populate(properties, {
+        path: "createdBy",
+        select: "name email role",
+      });
+
+      properties = properties.map((property) => ({
+        ...property,
+        distance: Math.round(property.distance * 100) / 100,
+      }));
+    } else if (textSearch) {
+      // Text search - relevance is the default ordering, with the score projected for clients
+      const sortObject =
+        !sortBy || sortBy === "relevance"
+          ? { score: { $meta: "textScore" }, createdAt: -1 }
+          : { [sortBy]: sortOrder === "asc" ? 1 : -1 };
+
+      properties = await Property.find(filter, {
+        score: { $meta: "textScore" },
+      })
+        .populate("createdBy", "name email role")
+        .sort(sortObject)
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const highlightWords = [
+        ...textSearch.terms,
+        ...Object.values(textSearch.expandedTerms).flat(),
+      ];
+
+      properties = properties.map((property) => {
+        const result = property.toJSON();
+        return {
+          ...result,
+          score: Math.round(property.get("score") * 1000) / 1000,
+          highlights: buildHighlights(result, highlightWords),
+        };
+      });
+    } else {
+      // Build sort object
+      const sortObject = {};
+      sortObject[sortBy || "createdAt"] = sortOrder === "asc" ? 1 : -1;
+
+      // Execute query
+      properties = await Property.find(filter)
+        .populate("createdBy", "name email role")
+        .sort(sortObject)
+        .skip(skip)
+        .limit(parseInt(limit));
+    }
+
+    // Add "price reduced by X%" summaries computed from the price history
+    properties = await attachPriceChanges(properties);
 
     // Get total count for pagination
     const total = await Property.countDocuments(filter);
 
+    // Facet counts respect the same ACL and filters as the listing (single aggregation)
+    const facetCounts =
+      facets === "true"
+        ? await getPropertyFacets(Property, filter, facetFilters)
+        : undefined;
+
     res.status(200).json({
       success: true,
       data: {
@@ -471,6 +428,14 @@ const getProperties = async (req, res) => {
           total,
           limit: parseInt(limit),
         },
+        ...(facetCounts && { facets: facetCounts }),
+        // Show how the search was interpreted (e.g. "marna" also searched as "marina")
+        ...(textSearch && {
+          search: {
+            terms: textSearch.terms,
+            expandedTerms: textSearch.expandedTerms,
+          },
+        }),
         // Include filter info for debugging (admin only)
         ...(userRole === "admin" && { appliedFilters: filter }),
       },
@@ -484,6 +449,120 @@ const getProperties = async (req, res) => {
   }
 };
 
+/**
+ * Get map clusters for properties (grid-based clustering by zoom level)
+ * Groups listings into grid cells so the map never receives thousands of pins at once.
+ * Accepts the same filters as getProperties (including bbox/near)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertyClusters = async (req, res) => {
+  try {
+    const zoom = parseInt(req.query.zoom);
+
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+      return res.status(400).json({
+        success: false,
+        error: `zoom is required and must be an integer between 0 and ${MAX_CLUSTER_ZOOM}`,
+      });
+    }
+
+    const userRole = req.userRole || "visitor";
+
+    const { filter, errors } = buildPropertyListFilter(req.query, {
+      userRole,
+      queryFilters: req.queryFilters,
+      user: req.user,
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query parameters",
+        details: errors,
+      });
+    }
+
+    // Only listings with coordinates can be plotted
+    if (!filter["location.coordinates"]) {
+      filter["location.coordinates"] = { $exists: true };
+    }
+
+    const cellSize = getClusterCellSize(zoom);
+
+    const cells = await Property.aggregate([
+      { $match: castFilterForAggregation(Property, filter) },
+      {
+        $project: {
+          title: 1,
+          slug: 1,
+          price: 1,
+          listingType: 1,
+          propertyType: 1,
+          mainImage: { $arrayElemAt: ["$images.url", 0] },
+          lng: { $arrayElemAt: ["$location.coordinates.coordinates", 0] },
+          lat: { $arrayElemAt: ["$location.coordinates.coordinates", 1] },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: ["$lng", cellSize] } },
+            y: { $floor: { $divide: ["$lat", cellSize] } },
+          },
+          count: { $sum: 1 },
+          lng: { $avg: "$lng" },
+          lat: { $avg: "$lat" },
+          minPrice: { $min: "$price" },
+          maxPrice: { $max: "$price" },
+          sample: { $first: "$$ROOT" },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    const clusters = cells.map((cell) => {
+      const cluster = {
+        id: `${zoom}:${cell._id.x}:${cell._id.y}`,
+        count: cell.count,
+        coordinates: [cell.lng, cell.lat],
+        bounds: [
+          cell._id.x * cellSize,
+          cell._id.y * cellSize,
+          (cell._id.x + 1) * cellSize,
+          (cell._id.y + 1) * cellSize,
+        ],
+        minPrice: cell.minPrice,
+        maxPrice: cell.maxPrice,
+      };
+
+      // Single listings are returned as pins with enough data for a map popup
+      if (cell.count === 1) {
+        const { lng, lat, ...property } = cell.sample;
+        cluster.property = property;
+      }
+
+      return cluster;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zoom,
+        cellSize,
+        clusters,
+        total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching property clusters:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property clusters",
+    });
+  }
+};
+
 /**
  * Get single property by ID or slug
  * Role-based access: Visitors see only published properties, Admins see all
@@ -537,9 +616,39 @@ const getProperty = async (req, res) => {
       });
     }
 
+    // Project summary for off-plan units (visitors only see published projects)
+    if (property.project) {
+      await property.populate({
+        path: "project",
+        select: "name slug status handoverDate completionPercentage developer",
+        ...(userRole === "visitor" && {
+          match: { approvalStatus: "approved", isActive: true },
+        }),
+      });
+    }
+
+    const [propertyWithPriceChange] = await attachPriceChanges([property]);
+
+    // Detail page views feed the listing analytics (visitors only)
+    if (userRole === "visitor") {
+      trackEngagementEvent(req, property._id, "view");
+    }
+
+    // Staff also see edits waiting for approval (the live version is what visitors get)
+    const pendingChangeRequest =
+      userRole === "admin" || userRole === "SuperAdmin"
+        ? await PropertyChangeRequest.findOne({
+            property: property._id,
+            status: "pending",
+          }).select("diff source submittedBy submittedAt")
+        : null;
+
     res.status(200).json({
       success: true,
-      data: { property },
+      data: {
+        property: propertyWithPriceChange,
+        ...(pendingChangeRequest && { pendingChangeRequest }),
+      },
     });
   } catch (error) {
     console.error("Error fetching property:", error);
@@ -551,103 +660,406 @@ const getProperty = async (req, res) => {
 };
 
 /**
- * Create property with pre-uploaded image data (for testing/admin)
+ * Get the price, status and approval history of a property
+ * Visitors see price and listing status changes only; admins and SuperAdmins see
+ * the full timeline including approval changes and who made each change
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const createPropertyWithImages = async (req, res) => {
+const getPropertyHistory = async (req, res) => {
   try {
-    // ACL middleware has already verified admin permissions
-    const propertyData = {
-      ...req.body,
-      createdBy: req.user.id,
-    };
-
-    // Set approval status based on property status and user role
-    // Draft properties should not be in approval workflow
-    if (propertyData.status === "draft") {
-      propertyData.approvalStatus = "not_applicable"; // Draft properties are not in approval workflow
-    } else {
-      // SuperAdmin properties are automatically approved, others need approval
-      if (req.user.role === "SuperAdmin") {
-        propertyData.approvalStatus = "approved"; // SuperAdmin properties are auto-approved
-        propertyData.updatedBy = req.user.id; // Set who approved it
-        propertyData.updatedAt = new Date(); // Set when it was approved
-      } else {
-        propertyData.approvalStatus = "pending"; // Non-draft properties need approval
-      }
-    }
+    const { id } = req.params;
+    const userRole = req.userRole || "visitor";
+    const baseQuery = req.queryFilters || {};
 
-    // Handle images from either uploaded files or pre-processed data
-    let imageSource = null;
-    let imageData = [];
+    // Same visibility rules as getProperty (by ID or slug)
+    const lookup = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id };
+    const property = await Property.findOne({ ...lookup, ...baseQuery }).select(
+      "title slug price currency status approvalStatus"
+    );
 
-    if (req.uploadedImages && req.uploadedImages.length > 0) {
-      // Images were just uploaded via file upload
-      imageSource = "uploaded";
-      imageData = req.uploadedImages;
-    } else if (
-      req.body.images &&
-      Array.isArray(req.body.images) &&
-      req.body.images.length > 0
-    ) {
-      // Images were provided as pre-processed data
-      imageSource = "pre-processed";
-      imageData = req.body.images;
-    } else {
-      return res.status(400).json({
+    if (!property) {
+      return res.status(404).json({
         success: false,
         error:
-          "At least one property image is required. Either upload image files or provide pre-processed image data.",
+          userRole === "admin"
+            ? "Property not found"
+            : "Property not found or not available for public viewing",
       });
     }
 
-    propertyData.images = imageData.map((image, index) => {
-      return {
-        url: image.url, // Use image URL
-        publicId: image.publicId,
-        altText: image.altText || `Property image ${index + 1}`,
-        order: image.order !== undefined ? image.order : index,
-        isMain: image.isMain !== undefined ? image.isMain : index === 0,
-        originalName: image.originalName,
-        size: image.size,
-        format: image.format,
-      };
+    const isStaff = userRole === "admin" || userRole === "SuperAdmin";
+
+    let historyQuery = PropertyHistory.find({ property: property._id }).sort({
+      changedAt: -1,
     });
+    if (isStaff) {
+      historyQuery = historyQuery.populate("changedBy", "name email role");
+    }
 
-    const property = new Property(propertyData);
-    await property.save();
+    const [entries, [propertyWithPriceChange]] = await Promise.all([
+      historyQuery.lean(),
+      attachPriceChanges([property]),
+    ]);
 
-    // Prepare response object
-    const response = {
+    res.status(200).json({
       success: true,
       data: {
-        property,
+        property: {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+          price: property.price,
+          currency: property.currency,
+          status: property.status,
+          ...(isStaff && { approvalStatus: property.approvalStatus }),
+          priceChange: propertyWithPriceChange.priceChange,
+        },
+        history: formatHistoryForRole(entries, userRole),
       },
-      message: `Property created successfully with ${propertyData.images.length} ${imageSource} images`,
-    };
-
-    // Add warnings if any exist
-    if (req.validationWarnings && req.validationWarnings.length > 0) {
-      response.warnings = req.validationWarnings;
-    }
-
-    res.status(201).json(response);
+    });
   } catch (error) {
-    console.error("Error creating property with images:", error);
+    console.error("Error fetching property history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property history",
+    });
+  }
+};
 
-    // Handle MongoDB duplicate key errors
-    if (error.code === 11000) {
-      const field = Object.keys(error.keyPattern)[0];
-      const value = error.keyValue[field];
+/**
+ * Get mortgage, purchase cost and rental yield figures for a property
+ * Query: residency (national | resident | non_resident), firstHome, downPayment or
+ * downPaymentPercent, interestRate (%), termYears, serviceChargePerSqft
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertyFinancials = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userRole = req.userRole || "visitor";
+    const baseQuery = req.queryFilters || {};
 
-      // Provide user-friendly error messages
-      let userFriendlyField = field;
-      let userFriendlyMessage = `${field.charAt(0).toUpperCase() + field.slice(1)
-        } already exists`;
+    const { options, errors } = parseFinancialOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid calculator options",
+        details: errors,
+      });
+    }
 
-      if (field === "slug") {
-        userFriendlyField = "title"; // Map slug errors to title field for frontend
+    // Same visibility rules as getProperty (by ID or slug)
+    const lookup = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id };
+    const property = await Property.findOne({ ...lookup, ...baseQuery }).select(
+      "title slug listingType propertyType price priceType currency location details"
+    );
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error:
+          userRole === "admin"
+            ? "Property not found"
+            : "Property not found or not available for public viewing",
+      });
+    }
+
+    const result = await calculatePropertyFinancials(property, options);
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: result.errors[0].message,
+        details: result.errors,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        property: {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+        },
+        financials: result.financials,
+        disclaimer:
+          "Estimates only. Fees, loan-to-value limits and rates vary by bank and are subject to approval.",
+      },
+    });
+  } catch (error) {
+    console.error("Error calculating property financials:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to calculate property financials",
+    });
+  }
+};
+
+/**
+ * Get "You may also like" listings for a property
+ * Other approved, available listings of the same listing type in the same emirate, scored by
+ * location, a ±20% price band, bedrooms and amenity overlap, each with a match explanation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSimilarProperties = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userRole = req.userRole || "visitor";
+    const baseQuery = req.queryFilters || {};
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_SIMILAR_LIMIT, 1),
+      MAX_SIMILAR_LIMIT
+    );
+
+    // Same visibility rules as getProperty (by ID or slug)
+    const lookup = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id };
+    const property = await Property.findOne({ ...lookup, ...baseQuery })
+      .select(SIMILAR_FIELDS)
+      .lean();
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error:
+          userRole === "admin"
+            ? "Property not found"
+            : "Property not found or not available for public viewing",
+      });
+    }
+
+    const { recommendations, cached } = await findSimilarProperties(property, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        property: {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+        },
+        properties: recommendations,
+        count: recommendations.length,
+        cached,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching similar properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch similar properties",
+    });
+  }
+};
+
+/**
+ * Compare listings side by side (?ids=a,b,c)
+ * Returns normalised price, price per sqft, details, amenities and location rows
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const compareProperties = async (req, res) => {
+  try {
+    const { ids, errors } = parseCompareIds(req.query.ids);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid comparison",
+        details: errors,
+      });
+    }
+
+    // Same visibility rules as getProperty
+    const properties = await Property.find({
+      _id: { $in: ids },
+      ...(req.queryFilters || {}),
+    })
+      .select(COMPARE_FIELDS)
+      .lean();
+
+    if (properties.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Properties not found or not available for public viewing",
+      });
+    }
+
+    // Keep the requested column order
+    const byId = new Map(properties.map((property) => [property._id.toString(), property]));
+    const ordered = ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...buildPropertyComparison(ordered),
+        missing: ids.filter((id) => !byId.has(id)),
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compare properties",
+    });
+  }
+};
+
+/**
+ * Create property with pre-uploaded image data (for testing/admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPropertyWithImages = async (req, res) => {
+  try {
+    // ACL middleware has already verified admin permissions
+    const propertyData = {
+      ...req.body,
+      createdBy: req.user.id,
+    };
+
+    const projectError = await getProjectLinkError(propertyData.project, req.user);
+    if (projectError) {
+      return res.status(400).json({
+        success: false,
+        error: projectError,
+        details: [{ field: "project", message: projectError }],
+      });
+    }
+
+    // Listings created as available need a valid advertising permit where required
+    const permitIssue =
+      propertyData.status !== "draft" && getPermitIssue(propertyData);
+    if (permitIssue) {
+      return res.status(400).json({
+        success: false,
+        error: permitIssue,
+        details: [{ field: "permit", message: permitIssue }],
+      });
+    }
+
+    // A future publishAt keeps the listing as a draft until its launch date
+    const { errors: scheduleErrors, scheduled } = applyListingSchedule(propertyData);
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid listing schedule",
+        details: scheduleErrors,
+      });
+    }
+
+    // Per-property watermark setting ("" follows the upload route default)
+    const watermark = parseWatermarkOption(propertyData.watermark);
+    if (watermark === undefined) {
+      delete propertyData.watermark;
+    } else {
+      propertyData.watermark = watermark;
+    }
+
+    // Set approval status based on property status and user role
+    // Draft properties should not be in approval workflow (scheduled ones are reviewed before launch)
+    if (propertyData.status === "draft" && !scheduled) {
+      propertyData.approvalStatus = "not_applicable"; // Draft properties are not in approval workflow
+    } else {
+      // SuperAdmin properties are automatically approved, others need approval
+      if (req.user.role === "SuperAdmin") {
+        propertyData.approvalStatus = "approved"; // SuperAdmin properties are auto-approved
+        propertyData.updatedBy = req.user.id; // Set who approved it
+        propertyData.updatedAt = new Date(); // Set when it was approved
+      } else {
+        propertyData.approvalStatus = "pending"; // Non-draft properties need approval
+      }
+    }
+
+    // Handle images from either uploaded files or pre-processed data
+    let imageSource = null;
+    let imageData = [];
+
+    if (req.uploadedImages && req.uploadedImages.length > 0) {
+      // Images were just uploaded via file upload
+      imageSource = "uploaded";
+      imageData = req.uploadedImages;
+    } else if (
+      req.body.images &&
+      Array.isArray(req.body.images) &&
+      req.body.images.length > 0
+    ) {
+      // Images were provided as pre-processed data
+      imageSource = "pre-processed";
+      imageData = req.body.images;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error:
+          "At least one property image is required. Either upload image files or provide pre-processed image data.",
+      });
+    }
+
+    propertyData.images = imageData.map((image, index) => {
+      return {
+        url: image.url, // Use image URL
+        publicId: image.publicId,
+        altText: image.altText || `Property image ${index + 1}`,
+        order: image.order !== undefined ? image.order : index,
+        isMain: image.isMain !== undefined ? image.isMain : index === 0,
+        originalName: image.originalName,
+        size: image.size,
+        format: image.format,
+        width: image.width,
+        height: image.height,
+        watermarked: image.watermarked,
+        variants: image.variants,
+        srcset: image.srcset,
+        blurhash: image.blurhash,
+        lqip: image.lqip,
+        dominantColor: image.dominantColor,
+        phash: image.phash,
+      };
+    });
+
+    const property = new Property(propertyData);
+    // Photos follow the property's watermark setting
+    await syncPropertyWatermarks(property);
+    await property.save();
+
+    // First revision - the starting point for diffs and rollbacks
+    await recordRevision(property, { userId: req.user.id, reason: "create" });
+
+    // SuperAdmin listings go live immediately, so alert saved-search subscribers now
+    notifySavedSearches(property).catch((error) =>
+      console.error("Error sending saved search alerts:", error)
+    );
+
+    // Prepare response object
+    const response = {
+      success: true,
+      data: {
+        property,
+      },
+      message: `Property created successfully with ${propertyData.images.length} ${imageSource} images`,
+    };
+
+    // Add warnings if any exist
+    if (req.validationWarnings && req.validationWarnings.length > 0) {
+      response.warnings = req.validationWarnings;
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    console.error("Error creating property with images:", error);
+
+    // Handle MongoDB duplicate key errors
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      const value = error.keyValue[field];
+
+      // Provide user-friendly error messages
+      let userFriendlyField = field;
+      let userFriendlyMessage = `${field.charAt(0).toUpperCase() + field.slice(1)
+        } already exists`;
+
+      if (field === "slug") {
+        userFriendlyField = "title"; // Map slug errors to title field for frontend
         userFriendlyMessage =
           "A property with this title already exists. Please choose a different title.";
       }
@@ -739,6 +1151,66 @@ const updateProperty = async (req, res) => {
       Object.keys(propertyData)
     );
 
+    // Linking to a different project
+    if (
+      propertyData.project &&
+      propertyData.project.toString() !== existingProperty.project?.toString()
+    ) {
+      const projectError = await getProjectLinkError(propertyData.project, req.user);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          error: projectError,
+          details: [{ field: "project", message: projectError }],
+        });
+      }
+    }
+
+    // Location and advertising permit the listing will have after this update
+    const permitState = {
+      location: propertyData.location || existingProperty.location,
+      permit:
+        propertyData.permit !== undefined
+          ? propertyData.permit
+          : existingProperty.permit,
+    };
+    const permitIssue = getPermitIssue(permitState);
+
+    // Published listings cannot be edited into an invalid permit state
+    if (
+      permitIssue &&
+      existingProperty.status === "available" &&
+      (propertyData.status || existingProperty.status) === "available" &&
+      (propertyData.location !== undefined || propertyData.permit !== undefined)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: permitIssue,
+        details: [{ field: "permit", message: permitIssue }],
+      });
+    }
+
+    // A future publishAt keeps a submitted draft as a draft until its launch date
+    const { errors: scheduleErrors, scheduled } = applyListingSchedule(
+      propertyData,
+      existingProperty
+    );
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid listing schedule",
+        details: scheduleErrors,
+      });
+    }
+
+    // Per-property watermark setting ("" follows the upload route default)
+    const watermark = parseWatermarkOption(propertyData.watermark);
+    if (watermark === undefined) {
+      delete propertyData.watermark;
+    } else {
+      propertyData.watermark = watermark;
+    }
+
     // Validate status transitions if status is being updated
     if (
       propertyData.status &&
@@ -750,9 +1222,22 @@ const updateProperty = async (req, res) => {
       // Validate status transitions using the same logic as frontend
       const allowedStatuses = getValidStatusTransitions(
         currentStatus,
-        existingProperty.previousStatus
+        existingProperty.previousStatus,
+        permitState
       );
 
+      if (
+        newStatus === "available" &&
+        permitIssue &&
+        !allowedStatuses.includes(newStatus)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: permitIssue,
+          details: [{ field: "permit", message: permitIssue }],
+        });
+      }
+
       if (!allowedStatuses.includes(newStatus)) {
         return res.status(400).json({
           success: false,
@@ -782,58 +1267,28 @@ const updateProperty = async (req, res) => {
     };
 
 
-    // Helper function to clear rejection reason
-    const clearRejectionReason = () => {
-      if (existingProperty.rejectionReason !== undefined) {
-        existingProperty.rejectionReason = undefined;
-      }
-    };
-
     // Handle approval status based on status changes and user role
-    if (propertyData.status !== undefined) {
-      const currentStatus = existingProperty.status;
-      const newStatus = propertyData.status;
+    const approvalStatus = resolveApprovalStatusForEdit(
+      existingProperty.status,
+      propertyData.status !== undefined
+        ? propertyData.status
+        : existingProperty.status,
+      req.user.role
+    );
+    if (approvalStatus !== undefined) {
+      updateData.approvalStatus = approvalStatus;
+      // Clear any previous rejection reason
+      existingProperty.rejectionReason = undefined;
+    }
 
-      // If changing FROM draft TO non-draft: needs approval (or auto-approve for SuperAdmin)
-      if (currentStatus === "draft" && newStatus !== "draft") {
-        if (req.user.role === "SuperAdmin") {
-          updateData.approvalStatus = "approved"; // SuperAdmin properties are auto-approved
-          // updatedBy and updatedAt will be set automatically
-        } else {
-          updateData.approvalStatus = "pending";
-        }
-        clearRejectionReason();
-      }
-      // If changing FROM non-draft TO draft: remove from approval workflow
-      else if (currentStatus !== "draft" && newStatus === "draft") {
-        updateData.approvalStatus = "not_applicable";
-        clearRejectionReason();
-      }
-      // If staying non-draft and making other changes: reset to pending for re-approval (or auto-approve for SuperAdmin)
-      else if (currentStatus !== "draft" && newStatus !== "draft") {
-        // Only reset to pending if this is an admin making changes (SuperAdmin gets auto-approved)
-        if (req.user.role === "admin") {
-          updateData.approvalStatus = "pending";
-          clearRejectionReason();
-        } else if (req.user.role === "SuperAdmin") {
-          updateData.approvalStatus = "approved"; // SuperAdmin properties are auto-approved
-          // updatedBy and updatedAt will be set automatically
-          clearRejectionReason();
-        }
-      }
-      // If staying draft: keep current approval status (should be "not_applicable")
-    } else {
-      // If no status change but other property changes and not draft: reset to pending for admin (or auto-approve for SuperAdmin)
-      if (existingProperty.status !== "draft") {
-        if (req.user.role === "admin") {
-          updateData.approvalStatus = "pending";
-          clearRejectionReason();
-        } else if (req.user.role === "SuperAdmin") {
-          updateData.approvalStatus = "approved"; // SuperAdmin properties are auto-approved
-          // updatedBy and updatedAt will be set automatically
-          clearRejectionReason();
-        }
-      }
+    // Scheduled drafts are (re-)reviewed before launch, unscheduled ones leave the workflow
+    if ((propertyData.status || existingProperty.status) === "draft") {
+      updateData.approvalStatus = scheduled
+        ? req.user.role === "SuperAdmin"
+          ? "approved"
+          : "pending"
+        : "not_applicable";
+      if (scheduled) existingProperty.rejectionReason = undefined;
     }
 
     // Handle image updates (same approach as createProperty)
@@ -879,152 +1334,523 @@ const updateProperty = async (req, res) => {
           format: image.format,
           width: image.width,
           height: image.height,
+          watermarked: image.watermarked,
+          variants: image.variants,
+          srcset: image.srcset,
+          blurhash: image.blurhash,
+          lqip: image.lqip,
+          dominantColor: image.dominantColor,
+          phash: image.phash,
         };
       });
 
-      finalImages = [...finalImages, ...newImages];
+      finalImages = [...finalImages, ...newImages];
+    }
+
+    // Process images if any image update was requested
+    if (imageUpdateRequested) {
+      // Find images that were removed and delete them from local storage
+      const currentImageIds = existingProperty.images.map(
+        (img) => img.publicId
+      );
+      const finalImageIds = finalImages.map((img) => img.publicId);
+      const removedImageIds = currentImageIds.filter(
+        (id) => !finalImageIds.includes(id)
+      );
+
+      // Removed images stay on disk while the revision history references them;
+      // they are deleted when the revisions that use them are pruned
+      if (removedImageIds.length > 0) {
+        console.log(
+          `📷 ${removedImageIds.length} images removed from property (kept for revision history):`,
+          removedImageIds
+        );
+      }
+
+      // Ensure only one image is marked as main
+      if (finalImages.length > 0) {
+        const mainImages = finalImages.filter((img) => img.isMain);
+        if (mainImages.length > 1) {
+          // If multiple images are marked as main, keep only the first one
+          let foundMain = false;
+          finalImages = finalImages.map((img) => {
+            if (img.isMain && !foundMain) {
+              foundMain = true;
+              return img;
+            } else if (img.isMain && foundMain) {
+              return { ...img, isMain: false };
+            }
+            return img;
+          });
+        } else if (mainImages.length === 0) {
+          // If no image is marked as main, mark the first one as main
+          finalImages[0].isMain = true;
+        }
+
+        // Update order to be sequential
+        finalImages = finalImages.map((img, index) => ({
+          ...img,
+          order: index,
+        }));
+      }
+
+      // Validate that at least one image remains after update
+      if (finalImages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "At least one image is required",
+          details: [
+            {
+              field: "images",
+              message: "At least one image is required",
+            },
+          ],
+        });
+      }
+
+      updateData.images = finalImages;
+      console.log(
+        `📷 Image update requested - Final images count: ${finalImages.length}`
+      );
+    } else {
+      // If no image data is provided at all, keep existing images unchanged
+      console.log("📷 No image changes requested, keeping existing images");
+    }
+
+    // Edits to approved listings by admins wait for approval; the approved version stays live
+    if (requiresChangeRequest(existingProperty, req.user.role)) {
+      const { changeRequest, orphanedImageIds } = await submitChangeRequest(
+        existingProperty,
+        updateData,
+        {
+          userId: req.user.id,
+          addedImageIds: (req.uploadedImages || []).map((image) => image.publicId),
+        }
+      );
+      await deleteImageFiles(orphanedImageIds);
+
+      const liveProperty = await Property.findById(existingProperty._id).populate(
+        "createdBy updatedBy",
+        "name email"
+      );
+
+      if (!changeRequest) {
+        return res.status(200).json({
+          success: true,
+          data: { property: liveProperty },
+          message: "No changes detected",
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          property: liveProperty,
+          changeRequest: {
+            id: changeRequest._id,
+            status: changeRequest.status,
+            diff: changeRequest.diff,
+            submittedAt: changeRequest.submittedAt,
+          },
+        },
+        message:
+          "Changes submitted for approval. The approved version stays live until they are reviewed.",
+        ...(req.validationWarnings?.length > 0 && { warnings: req.validationWarnings }),
+      });
+    }
+
+    // Properties created before revision history get their pre-edit state recorded first
+    await ensureBaselineRevision(existingProperty, req.user.id);
+
+    // Update the existing property object and save it to trigger pre-save hooks
+    Object.assign(existingProperty, updateData);
+
+    // Photos follow the property's watermark setting (regenerated from the private originals)
+    await syncPropertyWatermarks(existingProperty);
+
+    // Save the property to trigger pre-save hooks (including slug generation)
+    const property = await existingProperty.save();
+
+    // Snapshot the saved state so the edit can be compared and rolled back
+    const { orphanedImageIds } = await recordRevision(property, {
+      userId: req.user.id,
+    });
+    await deleteImageFiles(orphanedImageIds);
+
+    // Populate the user fields
+    await property.populate("createdBy updatedBy", "name email");
+
+    const response = {
+      success: true,
+      data: { property },
+      message: "Property updated successfully",
+    };
+
+    // Add warnings if any exist
+    if (req.validationWarnings && req.validationWarnings.length > 0) {
+      response.warnings = req.validationWarnings;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Error updating property:", error);
+
+    // Handle MongoDB duplicate key errors
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      const value = error.keyValue[field];
+
+      // Provide user-friendly error messages
+      let userFriendlyField = field;
+      let userFriendlyMessage = `${field.charAt(0).toUpperCase() + field.slice(1)
+        } already exists`;
+
+      if (field === "slug") {
+        userFriendlyField = "title"; // Map slug errors to title field for frontend
+        userFriendlyMessage =
+          "A property with this title already exists. Please choose a different title.";
+      }
+
+      const errorResponse = {
+        success: false,
+        error: `Property with this ${field === "slug" ? "title" : field
+          } already exists`,
+        details: [
+          {
+            field: userFriendlyField,
+            message: userFriendlyMessage,
+          },
+        ],
+      };
+
+      return res.status(400).json(errorResponse);
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update property",
+    });
+  }
+};
+
+/**
+ * Helper function to load a property for revision endpoints with the ownership check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Property document, or null if a response was already sent
+ */
+const loadPropertyForRevisions = async (req, res) => {
+  const property = await findPropertyByIdOrSlug(req.params.id);
+
+  if (!property) {
+    res.status(404).json({
+      success: false,
+      error: "Property not found",
+    });
+    return null;
+  }
+
+  // Check ownership for admin users (SuperAdmin can access any property)
+  if (req.requireOwnership && req.userRole === "admin") {
+    if (property.createdBy?.toString() !== req.user.id.toString()) {
+      res.status(403).json({
+        success: false,
+        error: "Access denied - You can only access revisions of properties you created",
+      });
+      return null;
+    }
+  }
+
+  return property;
+};
+
+/**
+ * Get the revision history of a property (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertyRevisions = async (req, res) => {
+  try {
+    const property = await loadPropertyForRevisions(req, res);
+    if (!property) return;
+
+    const revisions = await PropertyRevision.find({ property: property._id })
+      .select("-snapshot")
+      .populate("createdBy", "name email role")
+      .sort({ revisionNumber: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        property: {
+          id: property._id,
+          title: property.title,
+          slug: property.slug,
+          status: property.status,
+          approvalStatus: property.approvalStatus,
+        },
+        revisions,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching property revisions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property revisions",
+    });
+  }
+};
+
+/**
+ * Get a field-level diff between two revisions of a property (Admin only)
+ * Query: from=<revisionNumber>&to=<revisionNumber|current> (to defaults to the current property)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertyRevisionDiff = async (req, res) => {
+  try {
+    const { from, to = "current" } = req.query;
+    const fromNumber = parseInt(from);
+    const toNumber = to === "current" ? null : parseInt(to);
+
+    if (!Number.isInteger(fromNumber) || (to !== "current" && !Number.isInteger(toNumber))) {
+      return res.status(400).json({
+        success: false,
+        error: "from must be a revision number and to must be a revision number or 'current'",
+      });
+    }
+
+    const property = await loadPropertyForRevisions(req, res);
+    if (!property) return;
+
+    const revisionNumbers = [fromNumber, toNumber].filter((number) => number !== null);
+    const revisions = await PropertyRevision.find({
+      property: property._id,
+      revisionNumber: { $in: revisionNumbers },
+    });
+
+    const fromRevision = revisions.find((revision) => revision.revisionNumber === fromNumber);
+    const toRevision =
+      toNumber === null
+        ? null
+        : revisions.find((revision) => revision.revisionNumber === toNumber);
+
+    if (!fromRevision || (toNumber !== null && !toRevision)) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      });
+    }
+
+    const changes = diffSnapshots(
+      fromRevision.snapshot,
+      toRevision ? toRevision.snapshot : createSnapshot(property)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: fromNumber,
+        to: toNumber === null ? "current" : toNumber,
+        changes,
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing property revisions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to compare property revisions",
+    });
+  }
+};
+
+/**
+ * Restore the content of a property revision (Admin only)
+ * Workflow fields (status, approval, ownership) are kept; the restore goes through the
+ * same approval flow as a normal edit (admin edits need re-approval or a change request
+ * for approved listings, SuperAdmin auto-approves)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const restorePropertyRevision = async (req, res) => {
+  try {
+    const revisionNumber = Number(req.params.revisionNumber);
+
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        error: "revisionNumber must be a positive integer",
+      });
+    }
+
+    const property = await loadPropertyForRevisions(req, res);
+    if (!property) return;
+
+    const revision = await PropertyRevision.findOne({
+      property: property._id,
+      revisionNumber,
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: "Revision not found",
+      });
     }
 
-    // Process images if any image update was requested
-    if (imageUpdateRequested) {
-      // Find images that were removed and delete them from local storage
-      const currentImageIds = existingProperty.images.map(
-        (img) => img.publicId
-      );
-      const finalImageIds = finalImages.map((img) => img.publicId);
-      const removedImageIds = currentImageIds.filter(
-        (id) => !finalImageIds.includes(id)
+    // Restoring an approved listing as an admin proposes the revision as a change set
+    if (requiresChangeRequest(property, req.user.role)) {
+      const { changeRequest, orphanedImageIds } = await submitChangeRequest(
+        property,
+        buildRestoreData(revision.snapshot),
+        {
+          userId: req.user.id,
+          source: "restore",
+          restoredFrom: revisionNumber,
+        }
       );
+      await deleteImageFiles(orphanedImageIds);
 
-      if (removedImageIds.length > 0) {
-        console.log(
-          `🗑️ UPDATE DEBUG - Found ${removedImageIds.length} images to delete:`,
-          removedImageIds
-        );
-
-        // Delete removed images from local storage
-        const deletePromises = removedImageIds.map(async (publicId) => {
-          try {
-            await deleteLocalImageFiles(publicId);
-            console.log(
-              `✅ Successfully deleted local files for removed image: ${publicId}`
-            );
-          } catch (error) {
-            console.error(
-              `❌ Failed to delete local files for image ${publicId}:`,
-              error
-            );
-            // Continue with update even if image deletion fails
-          }
+      if (!changeRequest) {
+        return res.status(200).json({
+          success: true,
+          message: `Property already matches revision ${revisionNumber}`,
+          data: { property },
         });
-
-        await Promise.allSettled(deletePromises);
       }
 
-      // Ensure only one image is marked as main
-      if (finalImages.length > 0) {
-        const mainImages = finalImages.filter((img) => img.isMain);
-        if (mainImages.length > 1) {
-          // If multiple images are marked as main, keep only the first one
-          let foundMain = false;
-          finalImages = finalImages.map((img) => {
-            if (img.isMain && !foundMain) {
-              foundMain = true;
-              return img;
-            } else if (img.isMain && foundMain) {
-              return { ...img, isMain: false };
-            }
-            return img;
-          });
-        } else if (mainImages.length === 0) {
-          // If no image is marked as main, mark the first one as main
-          finalImages[0].isMain = true;
-        }
+      return res.status(202).json({
+        success: true,
+        message: `Restore of revision ${revisionNumber} submitted for approval. The approved version stays live until it is reviewed.`,
+        data: {
+          property,
+          changeRequest: {
+            id: changeRequest._id,
+            status: changeRequest.status,
+            diff: changeRequest.diff,
+            submittedAt: changeRequest.submittedAt,
+          },
+        },
+      });
+    }
 
-        // Update order to be sequential
-        finalImages = finalImages.map((img, index) => ({
-          ...img,
-          order: index,
-        }));
-      }
+    const restoreData = buildRestoreData(revision.snapshot);
 
-      // Validate that at least one image remains after update
-      if (finalImages.length === 0) {
+    // Same project and permit checks as updateProperty - the snapshot may predate a rejected or
+    // deleted project, or an expired permit
+    if (
+      restoreData.project &&
+      restoreData.project.toString() !== property.project?.toString()
+    ) {
+      const projectError = await getProjectLinkError(restoreData.project, req.user);
+      if (projectError) {
         return res.status(400).json({
           success: false,
-          error: "At least one image is required",
-          details: [
-            {
-              field: "images",
-              message: "At least one image is required",
-            },
-          ],
+          error: projectError,
+          details: [{ field: "project", message: projectError }],
         });
       }
+    }
 
-      updateData.images = finalImages;
-      console.log(
-        `📷 Image update requested - Final images count: ${finalImages.length}`
-      );
-    } else {
-      // If no image data is provided at all, keep existing images unchanged
-      console.log("📷 No image changes requested, keeping existing images");
+    const permitIssue =
+      property.status === "available" &&
+      getPermitIssue({
+        location: restoreData.location !== undefined ? restoreData.location : property.location,
+        permit: restoreData.permit !== undefined ? restoreData.permit : property.permit,
+      });
+    if (permitIssue) {
+      return res.status(400).json({
+        success: false,
+        error: permitIssue,
+        details: [{ field: "permit", message: permitIssue }],
+      });
     }
 
-    // Update the existing property object and save it to trigger pre-save hooks
-    Object.assign(existingProperty, updateData);
+    await ensureBaselineRevision(property, req.user.id);
 
-    // Save the property to trigger pre-save hooks (including slug generation)
-    const property = await existingProperty.save();
+    const currentImages = property.images.map((image) => image.toObject());
 
-    // Populate the user fields
-    await property.populate("createdBy updatedBy", "name email");
+    Object.assign(property, restoreData);
+    property.updatedBy = req.user.id;
+    property.updatedAt = new Date();
+
+    // Restored photos match the files on disk and follow the property's watermark setting
+    await syncRestoredImages(property, currentImages);
+
+    // Same approval flow as updateProperty (status itself is not changed by a restore)
+    const approvalStatus = resolveApprovalStatusForEdit(
+      property.status,
+      property.status,
+      req.user.role
+    );
+    if (approvalStatus !== undefined) {
+      property.approvalStatus = approvalStatus;
+      property.rejectionReason = undefined;
+    }
+
+    await property.save();
+
+    const { revision: newRevision, orphanedImageIds } = await recordRevision(
+      property,
+      {
+        userId: req.user.id,
+        reason: "restore",
+        restoredFrom: revisionNumber,
+      }
+    );
+    await deleteImageFiles(orphanedImageIds);
 
+    await property.populate("createdBy updatedBy", "name email");
 
     res.status(200).json({
       success: true,
-      data: { property },
-      message: "Property updated successfully",
+      message: `Property restored to revision ${revisionNumber}`,
+      data: {
+        property,
+        revision: {
+          revisionNumber: newRevision.revisionNumber,
+          restoredFrom: revisionNumber,
+          changedFields: newRevision.changedFields,
+        },
+      },
     });
   } catch (error) {
-    console.error("Error updating property:", error);
+    console.error("Error restoring property revision:", error);
 
-    // Handle MongoDB duplicate key errors
+    // A restored title can clash with a property created since the revision
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern)[0];
-      const value = error.keyValue[field];
-
-      // Provide user-friendly error messages
-      let userFriendlyField = field;
-      let userFriendlyMessage = `${field.charAt(0).toUpperCase() + field.slice(1)
-        } already exists`;
-
-      if (field === "slug") {
-        userFriendlyField = "title"; // Map slug errors to title field for frontend
-        userFriendlyMessage =
-          "A property with this title already exists. Please choose a different title.";
-      }
-
-      const errorResponse = {
+      return res.status(400).json({
         success: false,
-        error: `Property with this ${field === "slug" ? "title" : field
-          } already exists`,
+        error: `Property with this ${field === "slug" ? "title" : field} already exists`,
         details: [
           {
-            field: userFriendlyField,
-            message: userFriendlyMessage,
+            field: field === "slug" ? "title" : field,
+            message:
+              "Another property now uses this revision's title. Rename it before restoring.",
           },
         ],
-      };
-
-      return res.status(400).json(errorResponse);
+      });
     }
 
     if (error.name === "ValidationError") {
       const errors = Object.values(error.errors).map((err) => ({
         field: err.path,
         message: err.message,
-        value: err.value
+        value: err.value,
       }));
       return res.status(400).json({
         success: false,
@@ -1035,7 +1861,188 @@ const updateProperty = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      error: "Failed to update property",
+      error: "Failed to restore property revision",
+    });
+  }
+};
+
+/**
+ * Renew a listing for another renewal period (expired listings go back online)
+ * @route POST /api/properties/:id/renew
+ * @access Admin (own listings) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const renewProperty = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let property;
+    if (id.match(/^[0-9a-fA-F]{24}$/)) {
+      property = await Property.findById(id);
+    } else {
+      property = await Property.findOne({ slug: id });
+    }
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found",
+      });
+    }
+
+    // Check ownership for admin users (SuperAdmin can renew any property)
+    if (req.requireOwnership && req.userRole === "admin") {
+      const ownerId = property.createdBy?.toString();
+      if (ownerId !== req.user.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied - You can only renew properties you created",
+        });
+      }
+    }
+
+    // Renewing only extends the listing, so it does not go through change requests
+    const result = await renewListing(property, { userId: req.user.id });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Listing renewed successfully",
+      data: {
+        id: result.property._id,
+        status: result.property.status,
+        expiresAt: result.property.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error renewing property:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to renew property",
+    });
+  }
+};
+
+/**
+ * Load the listing behind a renew link
+ * @param {string} token - Renew link token
+ * @returns {Promise<Object>} - { property, alreadyRenewed } or { status, error }
+ */
+const findRenewLinkProperty = async (token) => {
+  const link = verifyRenewToken(token);
+  if (!link) {
+    return { status: 400, error: "Invalid or expired renew link" };
+  }
+
+  const property = await Property.findById(link.propertyId);
+  if (!property) {
+    return { status: 404, error: "Property not found" };
+  }
+
+  // Links are tied to the expiry date they were sent for
+  return {
+    property,
+    alreadyRenewed: property.expiresAt?.getTime() !== link.expiresAt,
+  };
+};
+
+/**
+ * Get the listing behind a renew link, for the confirmation page (nothing is changed)
+ * @route GET /api/properties/renew/:token
+ * @access Public (signed link)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRenewLink = async (req, res) => {
+  try {
+    const { property, alreadyRenewed, status, error } = await findRenewLinkProperty(
+      req.params.token
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: property._id,
+        title: property.title,
+        status: property.status,
+        expiresAt: property.expiresAt,
+        alreadyRenewed,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching renew link:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch renew link",
+    });
+  }
+};
+
+/**
+ * Renew a listing once its owner confirms the link from its expiry emails
+ * @route POST /api/properties/renew/:token
+ * @access Public (signed link)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const renewPropertyFromLink = async (req, res) => {
+  try {
+    const { property, alreadyRenewed, status, error } = await findRenewLinkProperty(
+      req.params.token
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (alreadyRenewed) {
+      return res.status(200).json({
+        success: true,
+        message: "Listing has already been renewed",
+        data: {
+          id: property._id,
+          status: property.status,
+          expiresAt: property.expiresAt,
+        },
+      });
+    }
+
+    const result = await renewListing(property);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Listing renewed successfully",
+      data: {
+        id: result.property._id,
+        status: result.property.status,
+        expiresAt: result.property.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error renewing property from link:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to renew property",
     });
   }
 };
@@ -1116,8 +2123,25 @@ const deleteProperty = async (req, res) => {
       );
     }
 
-    // Delete property from database
+    // Delete images kept only for the revision history or proposed in change requests
+    const currentImageIds = (property.images || []).map((image) => image.publicId);
+    const revisionImageIds = await deletePropertyRevisions([property._id]);
+    const changeRequests = await PropertyChangeRequest.find({
+      property: property._id,
+    }).select("addedImageIds");
+    const changeRequestImageIds = changeRequests.flatMap(
+      (request) => request.addedImageIds
+    );
+    await deleteImageFiles(
+      Array.from(new Set([...revisionImageIds, ...changeRequestImageIds])).filter(
+        (publicId) => !currentImageIds.includes(publicId)
+      )
+    );
+    await PropertyChangeRequest.deleteMany({ property: property._id });
+
+    // Delete property and its history from database
     await Property.findByIdAndDelete(property._id);
+    await PropertyHistory.deleteMany({ property: property._id });
 
     res.status(200).json({
       success: true,
@@ -1182,15 +2206,21 @@ const deletePropertyImage = async (req, res) => {
 
     const imageToDelete = property.images[imageIndex];
 
-    // Delete from local storage
-    try {
-      await deleteLocalImageFiles(imageToDelete.publicId);
+    // Delete from local storage (unless a revision still references the image)
+    if (await isImageReferencedByRevisions(property._id, imageToDelete.publicId)) {
       console.log(
-        `✅ Successfully deleted local files for image: ${imageToDelete.publicId}`
+        `📷 Keeping local files for image ${imageToDelete.publicId} (referenced by revision history)`
       );
-    } catch (error) {
-      console.error("Failed to delete image from local storage:", error);
-      // Continue with database deletion even if local file deletion fails
+    } else {
+      try {
+        await deleteLocalImageFiles(imageToDelete.publicId);
+        console.log(
+          `✅ Successfully deleted local files for image: ${imageToDelete.publicId}`
+        );
+      } catch (error) {
+        console.error("Failed to delete image from local storage:", error);
+        // Continue with database deletion even if local file deletion fails
+      }
     }
 
     // Remove from property
@@ -1290,9 +2320,20 @@ module.exports = {
   getAmenitiesForPropertyType,
   getAvailablePropertyTypes,
   getProperties,
+  getPropertyClusters,
   getProperty,
+  getPropertyHistory,
+  getPropertyFinancials,
+  getSimilarProperties,
+  compareProperties,
   createPropertyWithImages,
   updateProperty,
+  getPropertyRevisions,
+  getPropertyRevisionDiff,
+  restorePropertyRevision,
+  renewProperty,
+  getRenewLink,
+  renewPropertyFromLink,
   deleteProperty,
   deletePropertyImage,
   setMainPropertyImage,
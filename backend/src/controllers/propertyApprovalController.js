@@ -5,6 +5,23 @@
 
 const Property = require("../models/Property");
 const User = require("../models/User");
+const PropertyChangeRequest = require("../models/PropertyChangeRequest");
+const { notifySavedSearches } = require("../utils/savedSearchAlerts");
+const {
+  diffChanges,
+  findUnusedImages,
+  applyChangeRequest,
+} = require("../utils/propertyApproval");
+const { recordRevision } = require("../utils/propertyRevisions");
+const { deleteImageFiles } = require("../utils/imageFiles");
+const { getPermitIssue } = require("../utils/propertyPermits");
+const { syncPropertyWatermarks, syncRestoredImages } = require("../utils/watermark");
+const { getCachedDuplicateImageReport } = require("../utils/imageDuplicates");
+const {
+  MAX_DUPLICATE_DISTANCE,
+  DUPLICATE_IMAGE_MAX_DISTANCE,
+  DUPLICATE_REPORT_PAGE_SIZE,
+} = require("../config/imageDuplicates");
 
 /**
  * Get properties pending approval (SuperAdmin only)
@@ -15,6 +32,7 @@ const getPendingProperties = async (req, res) => {
   try {
     const {
       page = 1,
+      changesPage = 1,
       limit = 10,
       sortBy = "createdAt",
       sortOrder = "desc",
@@ -47,17 +65,53 @@ const getPendingProperties = async (req, res) => {
     const totalProperties = await Property.countDocuments(query);
     const totalPages = Math.ceil(totalProperties / parseInt(limit));
 
+    // Pending change sets for already approved (live) properties
+    const changeQuery = { status: "pending" };
+    if (createdBy) changeQuery.submittedBy = createdBy;
+    if (propertyType || emirate) {
+      const propertyFilter = {};
+      if (propertyType) propertyFilter.propertyType = propertyType;
+      if (emirate) propertyFilter["location.emirate"] = emirate;
+      changeQuery.property = {
+        $in: await Property.find(propertyFilter).distinct("_id"),
+      };
+    }
+
+    // Change sets are paged on their own (changesPage), independent of the property list
+    const changesSkip = (parseInt(changesPage) - 1) * parseInt(limit);
+    const pendingChanges = await PropertyChangeRequest.find(changeQuery)
+      .select("-changes")
+      .populate("property", "title slug status approvalStatus images")
+      .populate("submittedBy", "name email username")
+      .sort({ submittedAt: sortOrder === "desc" ? -1 : 1 })
+      .skip(changesSkip)
+      .limit(parseInt(limit));
+
+    const totalPendingChanges = await PropertyChangeRequest.countDocuments(
+      changeQuery
+    );
+    const totalChangePages = Math.ceil(totalPendingChanges / parseInt(limit));
+
     res.status(200).json({
       success: true,
       data: {
         properties,
+        pendingChanges,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
           totalProperties,
+          totalPendingChanges,
           hasNextPage: parseInt(page) < totalPages,
           hasPrevPage: parseInt(page) > 1,
         },
+        changesPagination: {
+          currentPage: parseInt(changesPage),
+          totalPages: totalChangePages,
+          totalPendingChanges,
+          hasNextPage: parseInt(changesPage) < totalChangePages,
+          hasPrevPage: parseInt(changesPage) > 1,
+        },
       },
     });
   } catch (error) {
@@ -100,6 +154,15 @@ const approveProperty = async (req, res) => {
       });
     }
 
+    const permitIssue =
+      property.status === "available" && getPermitIssue(property);
+    if (permitIssue) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot approve: ${permitIssue}`,
+      });
+    }
+
     // Update property approval status
     property.approvalStatus = "approved";
     property.updatedBy = req.user.id;
@@ -110,6 +173,11 @@ const approveProperty = async (req, res) => {
 
     await property.save();
 
+    // Alert saved-search subscribers in the background (don't delay the approval response)
+    notifySavedSearches(property).catch((error) =>
+      console.error("Error sending saved search alerts:", error)
+    );
+
     res.status(200).json({
       success: true,
       message: `Property "${property.title}" has been approved`,
@@ -204,6 +272,220 @@ const rejectProperty = async (req, res) => {
   }
 };
 
+/**
+ * Get a pending change set with its diff (SuperAdmin only)
+ * currentDiff is recomputed against the live property in case it changed since submission
+ * @route GET /api/property-approval/changes/:id
+ * @access SuperAdmin only
+ */
+const getPropertyChangeRequest = async (req, res) => {
+  try {
+    const changeRequest = await PropertyChangeRequest.findById(req.params.id)
+      .populate("submittedBy", "name email username")
+      .populate("reviewedBy", "name email username");
+
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Change request not found",
+      });
+    }
+
+    const property = await Property.findById(changeRequest.property).populate(
+      "createdBy",
+      "name email"
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        changeRequest,
+        property,
+        currentDiff:
+          property && changeRequest.status === "pending"
+            ? diffChanges(property, changeRequest.changes)
+            : changeRequest.diff,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching change request:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch change request",
+    });
+  }
+};
+
+/**
+ * Approve a pending change set and merge it into the live property (SuperAdmin only)
+ * @route PATCH /api/property-approval/changes/:id/approve
+ * @access SuperAdmin only
+ */
+const approvePropertyChanges = async (req, res) => {
+  try {
+    const changeRequest = await PropertyChangeRequest.findById(req.params.id);
+
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Change request not found",
+      });
+    }
+
+    if (changeRequest.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Change request is already ${changeRequest.status}`,
+      });
+    }
+
+    const property = await Property.findById(changeRequest.property);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found",
+      });
+    }
+
+    const currentImages = property.images.map((image) => image.toObject());
+
+    applyChangeRequest(property, changeRequest, req.user.id);
+
+    const permitIssue =
+      property.status === "available" && getPermitIssue(property);
+    if (permitIssue) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot approve: ${permitIssue}`,
+      });
+    }
+
+    // Photos follow the property's watermark setting. Restored photos first take the state of the
+    // files on disk, which may have been rewritten since the revision was saved
+    if (changeRequest.source === "restore") {
+      await syncRestoredImages(property, currentImages);
+    } else {
+      await syncPropertyWatermarks(property);
+    }
+
+    await property.save();
+
+    changeRequest.status = "approved";
+    changeRequest.reviewedBy = req.user.id;
+    changeRequest.reviewedAt = new Date();
+    await changeRequest.save();
+
+    // Snapshot the merged state (attributed to the admin who made the edit)
+    const { orphanedImageIds } = await recordRevision(property, {
+      userId: changeRequest.submittedBy,
+      reason: changeRequest.source === "restore" ? "restore" : "update",
+      restoredFrom: changeRequest.restoredFrom,
+    });
+    await deleteImageFiles(orphanedImageIds);
+
+    await property.populate("createdBy updatedBy", "name email");
+
+    res.status(200).json({
+      success: true,
+      message: `Changes to "${property.title}" have been approved`,
+      data: {
+        property,
+        changeRequest: {
+          id: changeRequest._id,
+          status: changeRequest.status,
+          diff: changeRequest.diff,
+          reviewedAt: changeRequest.reviewedAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error approving property changes:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "These changes conflict with another property (duplicate title). Reject them and ask for a different title.",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to approve property changes",
+    });
+  }
+};
+
+/**
+ * Reject a pending change set; the live property is left unchanged (SuperAdmin only)
+ * @route PATCH /api/property-approval/changes/:id/reject
+ * @access SuperAdmin only
+ */
+const rejectPropertyChanges = async (req, res) => {
+  try {
+    const { rejectionReason } = req.body;
+
+    const changeRequest = await PropertyChangeRequest.findById(req.params.id);
+
+    if (!changeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Change request not found",
+      });
+    }
+
+    if (changeRequest.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error: `Change request is already ${changeRequest.status}`,
+      });
+    }
+
+    changeRequest.status = "rejected";
+    changeRequest.rejectionReason = rejectionReason;
+    changeRequest.reviewedBy = req.user.id;
+    changeRequest.reviewedAt = new Date();
+    await changeRequest.save();
+
+    // Images uploaded only for the rejected changes are no longer needed
+    const property = await Property.findById(changeRequest.property);
+    if (property) {
+      await deleteImageFiles(
+        await findUnusedImages(property, changeRequest.addedImageIds)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Property changes have been rejected",
+      data: {
+        changeRequest: {
+          id: changeRequest._id,
+          status: changeRequest.status,
+          rejectionReason: changeRequest.rejectionReason,
+          reviewedAt: changeRequest.reviewedAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error rejecting property changes:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reject property changes",
+    });
+  }
+};
+
 /**
  * Get approval statistics (SuperAdmin only)
  * @route GET /api/properties/approval-stats
@@ -247,6 +529,10 @@ const getApprovalStats = async (req, res) => {
         "title approvalStatus updatedAt rejectionReason createdBy updatedBy"
       );
 
+    formattedStats.pendingChanges = await PropertyChangeRequest.countDocuments({
+      status: "pending",
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -267,9 +553,65 @@ const getApprovalStats = async (req, res) => {
   }
 };
 
+/**
+ * Report of photos used on more than one property (SuperAdmin only)
+ * Groups near-identical photos by perceptual hash, most widely shared first. Served from the report
+ * built by the scheduler (built here only when none is cached yet)
+ * @route GET /api/property-approval/duplicate-images
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object (query: page, limit, maxDistance)
+ * @param {Object} res - Express response object
+ */
+const getDuplicateImageReport = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit) || DUPLICATE_REPORT_PAGE_SIZE)
+    );
+    const requestedDistance = parseInt(req.query.maxDistance);
+    const maxDistance = Number.isInteger(requestedDistance)
+      ? Math.min(MAX_DUPLICATE_DISTANCE, Math.max(0, requestedDistance))
+      : DUPLICATE_IMAGE_MAX_DISTANCE;
+
+    const { groups, totalProperties, generatedAt } = await getCachedDuplicateImageReport({
+      maxDistance,
+    });
+    const totalGroups = groups.length;
+    const totalPages = Math.ceil(totalGroups / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groups: groups.slice((page - 1) * limit, page * limit),
+        maxDistance,
+        totalProperties,
+        generatedAt,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalGroups,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error building duplicate image report:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build duplicate image report",
+    });
+  }
+};
+
 module.exports = {
   getPendingProperties,
   approveProperty,
   rejectProperty,
+  getPropertyChangeRequest,
+  approvePropertyChanges,
+  rejectPropertyChanges,
   getApprovalStats,
+  getDuplicateImageReport,
 };
@@ -0,0 +1,148 @@
+const {
+  readImportSheet,
+  readImageArchive,
+  validateImportRows,
+  createImportedProperty,
+} = require("../utils/propertyImport");
+
+/**
+ * Format a row for the import report
+ * @param {Object} row - Validated row
+ * @param {string} status - "valid", "invalid", "created" or "failed"
+ * @param {Object} extra - Additional report fields
+ * @returns {Object} - Row report
+ */
+const formatRowReport = (row, status, extra = {}) => ({
+  row: row.rowNumber,
+  title: row.data.title || null,
+  status,
+  errors: row.errors,
+  ...extra,
+});
+
+/**
+ * Import properties from a CSV/XLSX file and a zip of images (Admin only)
+ * With ?dryRun=true rows are only validated and nothing is saved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importProperties = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const sheetFile = req.files.file[0];
+    const archiveFile = req.files.images?.[0];
+
+    let sheetRows;
+    let archive = null;
+
+    try {
+      sheetRows = await readImportSheet(sheetFile);
+      if (archiveFile) {
+        archive = readImageArchive(archiveFile);
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: "Failed to read import files",
+        details: parseError.message,
+      });
+    }
+
+    if (sheetRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "The import file has no property rows",
+      });
+    }
+
+    const rows = await validateImportRows(sheetRows, archive, req.user);
+    const validRows = rows.filter((row) => row.errors.length === 0);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          summary: {
+            totalRows: rows.length,
+            validRows: validRows.length,
+            invalidRows: rows.length - validRows.length,
+          },
+          rows: rows.map((row) =>
+            formatRowReport(row, row.errors.length === 0 ? "valid" : "invalid")
+          ),
+        },
+        message: `Dry run: ${validRows.length} of ${rows.length} rows are valid`,
+      });
+    }
+
+    // Create valid rows one by one so a failure only affects its own row
+    const report = [];
+    let createdCount = 0;
+
+    for (const row of rows) {
+      if (row.errors.length > 0) {
+        report.push(formatRowReport(row, "invalid"));
+        continue;
+      }
+
+      try {
+        const property = await createImportedProperty(row, archive, req.user.id);
+        createdCount++;
+        report.push(
+          formatRowReport(row, "created", {
+            property: {
+              _id: property._id,
+              slug: property.slug,
+              status: property.status,
+              approvalStatus: property.approvalStatus,
+            },
+          })
+        );
+      } catch (createError) {
+        console.error(`❌ Failed to import row ${row.rowNumber}:`, createError);
+        row.errors.push({ field: null, message: createError.message });
+        report.push(formatRowReport(row, "failed"));
+      }
+    }
+
+    const summary = {
+      totalRows: rows.length,
+      created: createdCount,
+      invalid: rows.length - validRows.length,
+      failed: validRows.length - createdCount,
+    };
+
+    console.log(
+      `📥 Property import by ${req.user.id}: ${createdCount} of ${rows.length} rows created`
+    );
+
+    if (createdCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No properties were imported",
+        details: { summary, rows: report },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        dryRun: false,
+        summary,
+        rows: report,
+      },
+      message: `Imported ${createdCount} of ${rows.length} properties`,
+    });
+  } catch (error) {
+    console.error("Error importing properties:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to import properties",
+    });
+  }
+};
+
+module.exports = {
+  importProperties,
+};
@@ -0,0 +1,384 @@
+/**
+ * Saved Search Controller
+ * Visitors save property search filters against their email and receive new-listing alerts
+ */
+
+const SavedSearch = require("../models/SavedSearch");
+const {
+  sanitizeSavedSearchFilters,
+  describeFilters,
+  sendConfirmationEmail,
+} = require("../utils/savedSearchAlerts");
+
+// Maximum number of active saved searches per email address
+const MAX_SEARCHES_PER_EMAIL = 10;
+
+/**
+ * Create a saved search (double opt-in - alerts start after email confirmation)
+ * @route POST /api/saved-searches
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const { email, name, filters: rawFilters, frequency = "instant" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is required",
+      });
+    }
+
+    const { filters, errors } = sanitizeSavedSearchFilters(rawFilters);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid search filters",
+        details: errors,
+      });
+    }
+
+    const activeSearches = await SavedSearch.countDocuments({
+      email: String(email).toLowerCase().trim(),
+      isActive: true,
+    });
+
+    if (activeSearches >= MAX_SEARCHES_PER_EMAIL) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_SEARCHES_PER_EMAIL} active property alerts`,
+      });
+    }
+
+    const savedSearch = new SavedSearch({
+      email,
+      name,
+      filters,
+      frequency,
+      visitorSession: req.visitorSession?._id || null,
+    });
+
+    await savedSearch.save();
+
+    try {
+      await sendConfirmationEmail(savedSearch);
+    } catch (emailError) {
+      console.error("Error sending saved search confirmation email:", emailError);
+      // The search is kept; the visitor can request a new alert if the email never arrives
+    }
+
+    res.status(201).json({
+      success: true,
+      message:
+        "Property alert created. Please check your email to confirm the subscription.",
+      data: {
+        savedSearch: {
+          id: savedSearch._id,
+          name: savedSearch.name,
+          summary: describeFilters(savedSearch.filters),
+          filters: savedSearch.filters,
+          frequency: savedSearch.frequency,
+          isConfirmed: savedSearch.isConfirmed,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error creating saved search:", error);
+
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create property alert",
+    });
+  }
+};
+
+/**
+ * Get the saved search behind a confirmation link, for the confirmation page (nothing is changed)
+ * @route GET /api/saved-searches/confirm/:token
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSavedSearchConfirmLink = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      confirmToken: req.params.token,
+      isActive: true,
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: "Confirmation link is invalid or the alert was removed",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: describeFilters(savedSearch.filters),
+        frequency: savedSearch.frequency,
+        isConfirmed: savedSearch.isConfirmed,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching saved search confirmation link:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property alert",
+    });
+  }
+};
+
+/**
+ * Confirm a saved search once the visitor confirms the link from the confirmation email
+ * @route POST /api/saved-searches/confirm/:token
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const confirmSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      confirmToken: req.params.token,
+      isActive: true,
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: "Confirmation link is invalid or the alert was removed",
+      });
+    }
+
+    if (!savedSearch.isConfirmed) {
+      savedSearch.isConfirmed = true;
+      savedSearch.confirmedAt = new Date();
+      await savedSearch.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Your property alert is now active",
+      data: {
+        summary: describeFilters(savedSearch.filters),
+        frequency: savedSearch.frequency,
+      },
+    });
+  } catch (error) {
+    console.error("Error confirming saved search:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to confirm property alert",
+    });
+  }
+};
+
+/**
+ * Get the saved search behind an unsubscribe link, for the confirmation page (nothing is changed)
+ * @route GET /api/saved-searches/unsubscribe/:token
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSavedSearchUnsubscribeLink = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      unsubscribeToken: req.params.token,
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: "Unsubscribe link is invalid",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary: describeFilters(savedSearch.filters),
+        isActive: savedSearch.isActive,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching saved search unsubscribe link:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch property alert",
+    });
+  }
+};
+
+/**
+ * Unsubscribe from a single saved search once the visitor confirms the link from an alert email
+ * @route POST /api/saved-searches/unsubscribe/:token
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({
+      unsubscribeToken: req.params.token,
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: "Unsubscribe link is invalid",
+      });
+    }
+
+    if (savedSearch.isActive) {
+      savedSearch.isActive = false;
+      savedSearch.unsubscribedAt = new Date();
+      savedSearch.pendingMatches = [];
+      await savedSearch.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "You have been unsubscribed from this property alert",
+    });
+  } catch (error) {
+    console.error("Error unsubscribing saved search:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unsubscribe from property alert",
+    });
+  }
+};
+
+/**
+ * Get saved searches with statistics (SuperAdmin only)
+ * @route GET /api/saved-searches
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = "active",
+      frequency,
+      email,
+    } = req.query;
+
+    const query = {};
+
+    if (status === "active") {
+      query.isActive = true;
+      query.isConfirmed = true;
+    } else if (status === "unconfirmed") {
+      query.isActive = true;
+      query.isConfirmed = false;
+    } else if (status === "unsubscribed") {
+      query.isActive = false;
+    }
+
+    if (frequency) query.frequency = frequency;
+    if (email) query.email = String(email).toLowerCase().trim();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [savedSearches, total, active, unconfirmed, unsubscribed] =
+      await Promise.all([
+        SavedSearch.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        SavedSearch.countDocuments(query),
+        SavedSearch.countDocuments({ isActive: true, isConfirmed: true }),
+        SavedSearch.countDocuments({ isActive: true, isConfirmed: false }),
+        SavedSearch.countDocuments({ isActive: false }),
+      ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        savedSearches: savedSearches.map((savedSearch) => ({
+          ...savedSearch.toObject(),
+          summary: describeFilters(savedSearch.filters),
+          pendingMatches: savedSearch.pendingMatches.length,
+        })),
+        stats: { active, unconfirmed, unsubscribed },
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching saved searches:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch saved searches",
+    });
+  }
+};
+
+/**
+ * Delete a saved search (SuperAdmin only)
+ * @route DELETE /api/saved-searches/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findByIdAndDelete(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: "Saved search not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Saved search deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid saved search ID",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete saved search",
+    });
+  }
+};
+
+module.exports = {
+  createSavedSearch,
+  getSavedSearchConfirmLink,
+  confirmSavedSearch,
+  getSavedSearchUnsubscribeLink,
+  unsubscribeSavedSearch,
+  getSavedSearches,
+  deleteSavedSearch,
+};
@@ -0,0 +1,109 @@
+/**
+ * Storage Controller (SuperAdmin Only)
+ * Reconciliation of uploaded files with the records that use them: orphaned files, dangling
+ * references and the quarantine of files awaiting deletion
+ */
+
+const {
+  reconcileStorage,
+  isReconciliationRunning,
+  getLastReconciliation,
+} = require("../utils/storageReconciliation");
+const {
+  STORAGE_RECONCILE_MODES,
+  STORAGE_RECONCILE_MODE,
+} = require("../config/storageReconciliation");
+
+/**
+ * Get a fresh storage report (files are not changed) and the result of the last cleanup
+ * @route GET /api/storage/reconciliation
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStorageReport = async (req, res) => {
+  try {
+    if (isReconciliationRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: "Storage reconciliation is already running. Try again shortly.",
+      });
+    }
+
+    const report = await reconcileStorage({ mode: "report", trigger: "report" });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report,
+        lastRun: getLastReconciliation(),
+        configuredMode: STORAGE_RECONCILE_MODE,
+      },
+    });
+  } catch (error) {
+    console.error("Error building storage report:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build storage report",
+    });
+  }
+};
+
+/**
+ * Run a storage reconciliation now
+ * @route POST /api/storage/reconciliation
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object (body.mode: report | quarantine | delete,
+ *   defaults to the configured mode)
+ * @param {Object} res - Express response object
+ */
+const runStorageReconciliation = async (req, res) => {
+  try {
+    const mode = req.body?.mode || STORAGE_RECONCILE_MODE;
+
+    if (!STORAGE_RECONCILE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid reconciliation mode",
+        details: [
+          {
+            field: "mode",
+            message: `Mode must be one of: ${STORAGE_RECONCILE_MODES.join(", ")}`,
+          },
+        ],
+      });
+    }
+
+    if (isReconciliationRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: "Storage reconciliation is already running. Try again shortly.",
+      });
+    }
+
+    console.log(`🧹 Storage reconciliation (${mode}) triggered by ${req.user.id}`);
+    const report = await reconcileStorage({ mode, trigger: "manual" });
+
+    res.status(200).json({
+      success: true,
+      data: { report },
+      message:
+        mode === "report"
+          ? "Storage report generated (no files changed)"
+          : `Storage reconciled: ${report.orphans.quarantined + report.orphans.deleted} orphaned files ${
+              mode === "quarantine" ? "quarantined" : "deleted"
+            }, ${report.quarantine.restored.count} restored`,
+    });
+  } catch (error) {
+    console.error("Error reconciling storage:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reconcile storage",
+    });
+  }
+};
+
+module.exports = {
+  getStorageReport,
+  runStorageReconciliation,
+};
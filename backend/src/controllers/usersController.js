@@ -5,6 +5,9 @@
 
 const User = require("../models/User");
 const Property = require("../models/Property");
+const PropertyHistory = require("../models/PropertyHistory");
+const { deletePropertyRevisions } = require("../utils/propertyRevisions");
+const { findVariantFiles, getOriginalsDir } = require("../utils/imageFiles");
 const fs = require("fs").promises;
 const path = require("path");
 
@@ -51,6 +54,8 @@ const deleteLocalImageFiles = async (publicId) => {
       `${baseFilename}_thumb.jpeg`,
       `${baseFilename}.png`,
       `${baseFilename}_thumb.png`,
+      // Responsive variants
+      ...(await findVariantFiles(uploadDir, baseFilename)),
     ];
 
     console.log(
@@ -71,6 +76,13 @@ const deleteLocalImageFiles = async (publicId) => {
       }
     });
 
+    // Unwatermarked original kept for regeneration
+    deletePromises.push(
+      fs
+        .unlink(path.join(getOriginalsDir(), `${path.basename(baseFilename)}.webp`))
+        .catch(() => {})
+    );
+
     await Promise.all(deletePromises);
     console.log(
       `🗑️ DELETE SUMMARY - Deleted ${deletedCount} files for publicId: ${publicId}`
@@ -618,15 +630,37 @@ const deleteUser = async (req, res) => {
           }
         }
 
+        // Delete images that were only kept for the revision history
+        const currentImageIds = propertiesToDelete.flatMap((property) =>
+          (property.images || []).map((image) => image.publicId)
+        );
+        const revisionImageIds = (
+          await deletePropertyRevisions(
+            propertiesToDelete.map((property) => property._id)
+          )
+        ).filter((publicId) => !currentImageIds.includes(publicId));
+
+        await Promise.allSettled(
+          revisionImageIds.map((publicId) =>
+            deleteLocalImageFiles(publicId).catch((error) => {
+              console.error(`Failed to delete revision image ${publicId}:`, error);
+            })
+          )
+        );
+        totalImagesDeleted += revisionImageIds.length;
+
         console.log(
           `🗑️ Attempted to delete ${totalImagesDeleted} images from local storage`
         );
 
-        // Now delete the properties from database
+        // Now delete the properties and their history from database
         await Property.deleteMany({
           createdBy: id,
           approvalStatus: { $in: ["not_applicable", "rejected"] },
         });
+        await PropertyHistory.deleteMany({
+          property: { $in: propertiesToDelete.map((property) => property._id) },
+        });
       }
     }
 
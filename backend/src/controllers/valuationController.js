@@ -0,0 +1,454 @@
+/**
+ * Valuation Controller
+ * Instant valuation requests: automatic estimate from comparable listings, emailed to the
+ * requester and kept in an admin queue for follow-up
+ */
+
+const ValuationRequest = require("../models/ValuationRequest");
+const User = require("../models/User");
+const {
+  EMIRATES,
+  PROPERTY_TYPES,
+  VALUATION_REQUEST_STATUS,
+} = require("../constants/propertyTypes");
+const { estimateValuation } = require("../utils/propertyValuation");
+const {
+  sendValuationEstimateEmail,
+  sendValuationRequestNotification,
+} = require("../utils/valuationEmails");
+const { escapeRegex } = require("../utils/propertySearch");
+const { createLeadFromSubmission } = require("../utils/leads");
+
+// Maximum number of images linked to a request
+const MAX_VALUATION_IMAGES = 10;
+
+/**
+ * Parse a numeric form value ("1,200", "3", "Studio")
+ * @param {*} value - Form value
+ * @returns {number|undefined} - Number or undefined when empty/invalid
+ */
+const parseFormNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (/^studio$/i.test(String(value).trim())) return 0;
+  const number = parseFloat(String(value).replace(/,/g, ""));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Match a form value against a list of allowed values, ignoring case
+ * @param {*} value - Form value
+ * @param {string[]} allowed - Allowed values
+ * @returns {string|undefined} - Canonical value
+ */
+const matchOption = (value, allowed) =>
+  value === undefined || value === null
+    ? undefined
+    : allowed.find((option) => option.toLowerCase() === String(value).trim().toLowerCase());
+
+/**
+ * Handle errors shared by the valuation endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleValuationError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Create an instant valuation request
+ * Accepts the instant valuation form fields (beds, size, price) as well as area and purpose
+ * @route POST /api/valuations (also POST /api/email/instant-valuation)
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createValuationRequest = async (req, res) => {
+  try {
+    const {
+      name,
+      email,
+      phone,
+      propertyStatus,
+      propertyType,
+      emirate,
+      area,
+      purpose,
+      beds,
+      size,
+      price,
+      images,
+    } = req.body;
+
+    if (!name || !email || !phone || !propertyType || !emirate) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields",
+        details: ["name, email, phone, propertyType and emirate are required"],
+      });
+    }
+
+    const errors = [];
+    const canonicalType = matchOption(propertyType, PROPERTY_TYPES);
+    const canonicalEmirate = matchOption(emirate, EMIRATES);
+
+    if (!canonicalType) {
+      errors.push(`Property type must be one of: ${PROPERTY_TYPES.join(", ")}`);
+    }
+    if (!canonicalEmirate) {
+      errors.push(`Emirate must be one of: ${EMIRATES.join(", ")}`);
+    }
+    if (purpose !== undefined && !["sale", "rent"].includes(purpose)) {
+      errors.push("Purpose must be sale or rent");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const valuationRequest = new ValuationRequest({
+      name,
+      email,
+      phone,
+      propertyStatus,
+      // Older forms only send a property status such as "For Rent"
+      purpose: purpose || (/rent/i.test(propertyStatus || "") ? "rent" : "sale"),
+      propertyType: canonicalType,
+      emirate: canonicalEmirate,
+      area: area ? String(area).trim() : undefined,
+      bedrooms: parseFormNumber(beds),
+      sizeSqft: parseFormNumber(size),
+      expectedPrice: parseFormNumber(price),
+      images: Array.isArray(images)
+        ? images
+            .filter((image) => image && typeof image.url === "string")
+            .slice(0, MAX_VALUATION_IMAGES)
+            .map(({ url, originalName }) => ({ url, originalName }))
+        : [],
+    });
+
+    // Validate the request before looking for comparables
+    await valuationRequest.validate();
+
+    const { estimate, comparables } = await estimateValuation({
+      purpose: valuationRequest.purpose,
+      emirate: valuationRequest.emirate,
+      area: valuationRequest.area,
+      propertyType: valuationRequest.propertyType,
+      bedrooms: valuationRequest.bedrooms,
+      sizeSqft: valuationRequest.sizeSqft,
+    });
+
+    valuationRequest.estimate = estimate;
+    valuationRequest.comparables = comparables;
+    await valuationRequest.save();
+
+    await createLeadFromSubmission({
+      source: "valuation",
+      name: valuationRequest.name,
+      email: valuationRequest.email,
+      phone: valuationRequest.phone,
+      message: `${valuationRequest.purpose === "rent" ? "Rental" : "Sale"} valuation: ${
+        valuationRequest.propertyType
+      } in ${valuationRequest.area || valuationRequest.emirate}`,
+      requirements: { propertyStatus, expectedPrice: valuationRequest.expectedPrice },
+      valuationRequest: valuationRequest._id,
+    });
+
+    try {
+      await sendValuationEstimateEmail(valuationRequest);
+      valuationRequest.estimateEmailedAt = new Date();
+      await valuationRequest.save();
+    } catch (emailError) {
+      console.error("Error sending valuation estimate email:", emailError);
+      // The request stays in the queue; staff follow up regardless
+    }
+
+    try {
+      await sendValuationRequestNotification(valuationRequest);
+    } catch (emailError) {
+      console.error("Error sending valuation request notification:", emailError);
+    }
+
+    console.log(
+      `📊 Valuation request ${valuationRequest._id}: ${
+        estimate.mid
+          ? `${estimate.low}-${estimate.high} AED from ${estimate.comparableCount} comparables`
+          : "no automatic estimate"
+      }`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Valuation request received",
+      data: {
+        id: valuationRequest._id,
+        estimate: estimate.mid ? valuationRequest.estimate : null,
+        reason: estimate.reason,
+        comparables: valuationRequest.comparables,
+        estimateEmailed: Boolean(valuationRequest.estimateEmailedAt),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating valuation request:", error);
+    handleValuationError(res, error, "Failed to create valuation request");
+  }
+};
+
+/**
+ * Get the valuation request queue with filtering and pagination
+ * @route GET /api/valuations
+ * @access Admin/SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getValuationRequests = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      assignedTo,
+      emirate,
+      purpose,
+      search,
+      sortOrder = "desc",
+    } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = String(status);
+    }
+
+    if (assignedTo) {
+      filter.assignedTo = assignedTo === "unassigned" ? null : String(assignedTo);
+    }
+
+    if (emirate) {
+      filter.emirate = String(emirate);
+    }
+
+    if (purpose) {
+      filter.purpose = String(purpose);
+    }
+
+    if (search) {
+      const searchRegex = new RegExp(escapeRegex(String(search)), "i");
+      filter.$or = [
+        { name: searchRegex },
+        { email: searchRegex },
+        { phone: searchRegex },
+        { area: searchRegex },
+      ];
+    }
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [valuationRequests, totalCount, statusCounts] = await Promise.all([
+      ValuationRequest.find(filter)
+        .select("-comparables -notes")
+        .populate("assignedTo", "name email")
+        .sort({ createdAt: sortOrder === "asc" ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      ValuationRequest.countDocuments(filter),
+      ValuationRequest.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valuationRequests,
+        statusCounts: Object.fromEntries(
+          VALUATION_REQUEST_STATUS.map((value) => [
+            value,
+            statusCounts.find(({ _id }) => _id === value)?.count || 0,
+          ])
+        ),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching valuation requests:", error);
+    handleValuationError(res, error, "Failed to fetch valuation requests");
+  }
+};
+
+/**
+ * Get a valuation request with its estimate, comparables and notes
+ * @route GET /api/valuations/:id
+ * @access Admin/SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getValuationRequest = async (req, res) => {
+  try {
+    const valuationRequest = await ValuationRequest.findById(req.params.id)
+      .populate("assignedTo updatedBy notes.createdBy", "name email")
+      .populate("comparables.property", "title slug status approvalStatus");
+
+    if (!valuationRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Valuation request not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valuationRequest,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching valuation request:", error);
+    handleValuationError(res, error, "Failed to fetch valuation request");
+  }
+};
+
+/**
+ * Update the follow-up of a valuation request (status, assignee, note)
+ * @route PATCH /api/valuations/:id
+ * @access Admin/SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateValuationRequest = async (req, res) => {
+  try {
+    const { status, assignedTo, note } = req.body;
+
+    if (status === undefined && assignedTo === undefined && !note) {
+      return res.status(400).json({
+        success: false,
+        error: "Nothing to update",
+        details: ["Provide a status, assignedTo or note"],
+      });
+    }
+
+    const valuationRequest = await ValuationRequest.findById(req.params.id);
+
+    if (!valuationRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Valuation request not found",
+      });
+    }
+
+    if (status !== undefined) {
+      valuationRequest.status = status;
+    }
+
+    if (assignedTo !== undefined) {
+      if (assignedTo) {
+        const assignee = await User.findOne({
+          _id: assignedTo,
+          role: { $in: ["SuperAdmin", "admin"] },
+          isActive: true,
+        }).select("_id");
+
+        if (!assignee) {
+          return res.status(400).json({
+            success: false,
+            error: "Assignee must be an active admin",
+          });
+        }
+      }
+      valuationRequest.assignedTo = assignedTo || null;
+    }
+
+    if (note) {
+      valuationRequest.notes.push({
+        text: note,
+        createdBy: req.user.id,
+      });
+    }
+
+    valuationRequest.updatedBy = req.user.id;
+    await valuationRequest.save();
+
+    await valuationRequest.populate("assignedTo updatedBy notes.createdBy", "name email");
+
+    res.status(200).json({
+      success: true,
+      message: "Valuation request updated successfully",
+      data: {
+        valuationRequest,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating valuation request:", error);
+    handleValuationError(res, error, "Failed to update valuation request");
+  }
+};
+
+/**
+ * Delete a valuation request
+ * @route DELETE /api/valuations/:id
+ * @access SuperAdmin only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteValuationRequest = async (req, res) => {
+  try {
+    const valuationRequest = await ValuationRequest.findByIdAndDelete(req.params.id);
+
+    if (!valuationRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "Valuation request not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Valuation request deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting valuation request:", error);
+    handleValuationError(res, error, "Failed to delete valuation request");
+  }
+};
+
+module.exports = {
+  createValuationRequest,
+  getValuationRequests,
+  getValuationRequest,
+  updateValuationRequest,
+  deleteValuationRequest,
+};
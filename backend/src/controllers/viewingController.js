@@ -0,0 +1,677 @@
+/**
+ * Viewing Controller
+ * Visitors book viewings of a listing in its agent's free slots and manage them through signed
+ * links; agents set their availability and see their calendar
+ */
+
+const mongoose = require("mongoose");
+const Viewing = require("../models/Viewing");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const AgentAvailability = require("../models/AgentAvailability");
+const { VIEWING_TIMEZONE, MAX_SLOT_RANGE_DAYS } = require("../config/viewings");
+const { resolveInquiryRecipients } = require("../utils/inquiryRouting");
+const { createLeadFromSubmission } = require("../utils/leads");
+const {
+  getAgentAvailability,
+  getAvailableSlots,
+  findAvailableSlot,
+  hasOverlappingViewing,
+  createManageToken,
+  verifyManageToken,
+} = require("../utils/viewings");
+const { sendViewingEmails } = require("../utils/viewingEmails");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Listings that can be viewed
+const BOOKABLE_PROPERTY_FILTER = { status: "available", approvalStatus: "approved" };
+
+// Property fields used for bookings and emails
+const VIEWING_PROPERTY_FIELDS = "title slug createdBy listingType location";
+
+// Longest range of the admin calendar
+const MAX_CALENDAR_RANGE_DAYS = 92;
+
+/**
+ * Handle errors shared by the viewing endpoints
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown
+ * @param {string} message - Fallback error message
+ */
+const handleViewingError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid value for ${error.path}`,
+    });
+  }
+
+  // Unique index on confirmed agent/start - someone booked the slot first
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: "This time slot is no longer available",
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+/**
+ * Parse a date query/body value
+ * @param {*} value - Date string
+ * @returns {Date|null} - Date or null when missing/invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Load a bookable listing and the agent who hosts its viewings
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<Object>} - { property, agent } (null when not found/bookable)
+ */
+const loadBookableProperty = async (propertyId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(propertyId))) {
+    return { property: null, agent: null };
+  }
+
+  const property = await Property.findOne({
+    _id: String(propertyId),
+    ...BOOKABLE_PROPERTY_FILTER,
+  }).select(VIEWING_PROPERTY_FIELDS);
+
+  if (!property) return { property: null, agent: null };
+
+  // Same routing as inquiries: the listing's agent, or the fallback agent if deactivated
+  const { agent } = await resolveInquiryRecipients(property);
+  return { property, agent };
+};
+
+/**
+ * Load a viewing from a reschedule/cancel token
+ * @param {string} token - Signed token
+ * @returns {Promise<Object|null>} - Viewing with property and agent populated
+ */
+const loadManagedViewing = async (token) => {
+  const viewingId = verifyManageToken(token);
+  if (!viewingId) return null;
+
+  return Viewing.findById(viewingId)
+    .populate("property", VIEWING_PROPERTY_FIELDS)
+    .populate("agent", "name email");
+};
+
+/**
+ * Send the viewing emails without failing the request
+ * @param {Object} viewing - Viewing
+ * @param {Object} details - sendViewingEmails details
+ */
+const notifyViewing = async (viewing, details) => {
+  try {
+    await sendViewingEmails(viewing, details);
+  } catch (emailError) {
+    console.error("Error sending viewing emails:", emailError);
+  }
+};
+
+/**
+ * Format a viewing for the visitor (no internal fields)
+ * @param {Object} viewing - Viewing with property and agent populated
+ * @returns {Object} - Viewing summary
+ */
+const formatVisitorViewing = (viewing) => ({
+  id: viewing._id,
+  status: viewing.status,
+  start: viewing.start,
+  end: viewing.end,
+  timezone: VIEWING_TIMEZONE,
+  name: viewing.name,
+  property: viewing.property && {
+    id: viewing.property._id,
+    title: viewing.property.title,
+    slug: viewing.property.slug,
+    location: viewing.property.location,
+  },
+  agent: viewing.agent && { name: viewing.agent.name },
+});
+
+/**
+ * Get free viewing slots for a listing
+ * @route GET /api/viewings/properties/:propertyId/slots
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPropertySlots = async (req, res) => {
+  try {
+    const { property, agent } = await loadBookableProperty(req.params.propertyId);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found or not available for viewings",
+      });
+    }
+
+    const from = parseDate(req.query.from) || new Date();
+    const days = Math.min(MAX_SLOT_RANGE_DAYS, Math.max(1, parseInt(req.query.days) || 7));
+    const slots = agent
+      ? await getAvailableSlots(agent._id, from, new Date(from.getTime() + days * DAY_MS))
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        property: { id: property._id, title: property.title, slug: property.slug },
+        agent: agent && { name: agent.name },
+        timezone: VIEWING_TIMEZONE,
+        slots,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching viewing slots:", error);
+    handleViewingError(res, error, "Failed to fetch viewing slots");
+  }
+};
+
+/**
+ * Book a viewing slot for a listing
+ * @route POST /api/viewings
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createViewing = async (req, res) => {
+  try {
+    const { propertyId, start, name, email, phone, message } = req.body;
+    const startDate = parseDate(start);
+
+    if (!propertyId || !startDate || !name || !email || !phone) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields",
+        details: ["propertyId, start, name, email and phone are required"],
+      });
+    }
+
+    const { property, agent } = await loadBookableProperty(propertyId);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found or not available for viewings",
+      });
+    }
+
+    if (!agent) {
+      return res.status(400).json({
+        success: false,
+        error: "Viewings cannot be booked online for this property, please send an inquiry",
+      });
+    }
+
+    const slot = await findAvailableSlot(agent._id, startDate);
+
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        error: "This time slot is no longer available",
+      });
+    }
+
+    const viewing = new Viewing({
+      property: property._id,
+      agent: agent._id,
+      start: slot.start,
+      end: slot.end,
+      name,
+      email,
+      phone,
+      message,
+    });
+
+    await viewing.save();
+
+    if (await hasOverlappingViewing(viewing)) {
+      await Viewing.deleteOne({ _id: viewing._id });
+      return res.status(409).json({
+        success: false,
+        error: "This time slot is no longer available",
+      });
+    }
+
+    const { lead } = await createLeadFromSubmission({
+      source: "viewing",
+      name,
+      email,
+      phone,
+      message,
+      propertyId: property._id,
+      status: "viewing",
+    });
+    viewing.lead = lead._id;
+    await viewing.save();
+
+    await notifyViewing(viewing, { property, agent, event: "booked" });
+
+    res.status(201).json({
+      success: true,
+      message: "Viewing booked. A confirmation has been sent to your email.",
+      data: {
+        viewing: formatVisitorViewing({ ...viewing.toObject(), property, agent }),
+        manageToken: createManageToken(viewing),
+      },
+    });
+  } catch (error) {
+    console.error("Error booking viewing:", error);
+    handleViewingError(res, error, "Failed to book viewing");
+  }
+};
+
+/**
+ * Get a viewing from its reschedule/cancel link
+ * @route GET /api/viewings/manage/:token
+ * @access Public (signed token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getManagedViewing = async (req, res) => {
+  try {
+    const viewing = await loadManagedViewing(req.params.token);
+
+    if (!viewing) {
+      return res.status(404).json({
+        success: false,
+        error: "Viewing not found or link expired",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        viewing: formatVisitorViewing(viewing),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching viewing:", error);
+    handleViewingError(res, error, "Failed to fetch viewing");
+  }
+};
+
+/**
+ * Reschedule a viewing to another free slot
+ * @route PATCH /api/viewings/manage/:token/reschedule
+ * @access Public (signed token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rescheduleViewing = async (req, res) => {
+  try {
+    const startDate = parseDate(req.body.start);
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        error: "A new start time is required",
+      });
+    }
+
+    const viewing = await loadManagedViewing(req.params.token);
+
+    if (!viewing) {
+      return res.status(404).json({
+        success: false,
+        error: "Viewing not found or link expired",
+      });
+    }
+
+    if (viewing.status !== "confirmed" || viewing.start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "Only upcoming confirmed viewings can be rescheduled",
+      });
+    }
+
+    const slot = await findAvailableSlot(viewing.agent._id, startDate, {
+      excludeViewingId: viewing._id,
+    });
+
+    if (!slot) {
+      return res.status(409).json({
+        success: false,
+        error: "This time slot is no longer available",
+      });
+    }
+
+    const previousStart = viewing.start;
+    const previousEnd = viewing.end;
+    viewing.start = slot.start;
+    viewing.end = slot.end;
+    viewing.sequence += 1;
+    viewing.rescheduleCount += 1;
+    await viewing.save();
+
+    if (await hasOverlappingViewing(viewing)) {
+      viewing.start = previousStart;
+      viewing.end = previousEnd;
+      viewing.sequence -= 1;
+      viewing.rescheduleCount -= 1;
+      await viewing.save();
+      return res.status(409).json({
+        success: false,
+        error: "This time slot is no longer available",
+      });
+    }
+
+    await notifyViewing(viewing, {
+      property: viewing.property,
+      agent: viewing.agent,
+      event: "rescheduled",
+      previousStart,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Viewing rescheduled",
+      data: {
+        viewing: formatVisitorViewing(viewing),
+        manageToken: createManageToken(viewing),
+      },
+    });
+  } catch (error) {
+    console.error("Error rescheduling viewing:", error);
+    handleViewingError(res, error, "Failed to reschedule viewing");
+  }
+};
+
+/**
+ * Cancel a viewing from its manage link
+ * @route PATCH /api/viewings/manage/:token/cancel
+ * @access Public (signed token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelViewing = async (req, res) => {
+  try {
+    const viewing = await loadManagedViewing(req.params.token);
+
+    if (!viewing) {
+      return res.status(404).json({
+        success: false,
+        error: "Viewing not found or link expired",
+      });
+    }
+
+    if (viewing.status !== "confirmed") {
+      return res.status(400).json({
+        success: false,
+        error: `Viewing is already ${viewing.status}`,
+      });
+    }
+
+    viewing.status = "cancelled";
+    viewing.cancelledBy = "visitor";
+    viewing.cancellationReason = req.body.reason;
+    viewing.sequence += 1;
+    await viewing.save();
+
+    await notifyViewing(viewing, {
+      property: viewing.property,
+      agent: viewing.agent,
+      event: "cancelled",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Viewing cancelled",
+      data: {
+        viewing: formatVisitorViewing(viewing),
+      },
+    });
+  } catch (error) {
+    console.error("Error cancelling viewing:", error);
+    handleViewingError(res, error, "Failed to cancel viewing");
+  }
+};
+
+/**
+ * Resolve whose availability an admin request is about
+ * Admins manage their own; the SuperAdmin can pass ?agent=<userId>
+ * @param {Object} req - Express request object
+ * @returns {string} - Agent user ID
+ */
+const getAvailabilityAgentId = (req) =>
+  req.userRole === "SuperAdmin" && req.query.agent ? String(req.query.agent) : req.user.id;
+
+/**
+ * Get an agent's viewing availability
+ * @route GET /api/viewings/availability
+ * @access Admin (own) / SuperAdmin (?agent=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const availability = await getAgentAvailability(getAvailabilityAgentId(req));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        availability,
+        timezone: VIEWING_TIMEZONE,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    handleViewingError(res, error, "Failed to fetch availability");
+  }
+};
+
+/**
+ * Set an agent's weekly hours, blackout dates and booking settings
+ * @route PUT /api/viewings/availability
+ * @access Admin (own) / SuperAdmin (?agent=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateAvailability = async (req, res) => {
+  try {
+    const agentId = getAvailabilityAgentId(req);
+
+    if (
+      !(await User.exists({
+        _id: agentId,
+        role: { $in: ["SuperAdmin", "admin"] },
+      }))
+    ) {
+      return res.status(404).json({
+        success: false,
+        error: "Agent not found",
+      });
+    }
+
+    const availability =
+      (await AgentAvailability.findOne({ agent: agentId })) ||
+      new AgentAvailability({ agent: agentId });
+
+    [
+      "weeklyHours",
+      "blackoutDates",
+      "slotMinutes",
+      "minNoticeHours",
+      "maxDaysAhead",
+      "acceptingBookings",
+    ].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        availability[field] = req.body[field];
+      }
+    });
+
+    await availability.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Availability updated successfully",
+      data: {
+        availability,
+        timezone: VIEWING_TIMEZONE,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating availability:", error);
+    handleViewingError(res, error, "Failed to update availability");
+  }
+};
+
+/**
+ * Get upcoming viewings grouped per agent
+ * @route GET /api/viewings/calendar
+ * @access Admin (own viewings) / SuperAdmin (all agents, optional ?agent=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getViewingCalendar = async (req, res) => {
+  try {
+    const from = parseDate(req.query.from) || new Date();
+    const requestedTo = parseDate(req.query.to) || new Date(from.getTime() + 14 * DAY_MS);
+    const to = new Date(
+      Math.min(requestedTo.getTime(), from.getTime() + MAX_CALENDAR_RANGE_DAYS * DAY_MS)
+    );
+
+    const filter = {
+      start: { $gte: from, $lt: to },
+      status: req.query.status ? String(req.query.status) : "confirmed",
+      ...(req.query.agent && req.userRole === "SuperAdmin" && { agent: String(req.query.agent) }),
+      ...req.queryFilters,
+    };
+
+    const viewings = await Viewing.find(filter)
+      .populate("property", "title slug location.area location.emirate")
+      .populate("agent", "name email")
+      .sort({ start: 1 })
+      .lean();
+
+    const agents = new Map();
+    viewings.forEach((viewing) => {
+      const agentId = viewing.agent?._id?.toString() || "unknown";
+      if (!agents.has(agentId)) {
+        agents.set(agentId, { agent: viewing.agent, viewings: [] });
+      }
+      const { agent, ...rest } = viewing;
+      agents.get(agentId).viewings.push(rest);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        timezone: VIEWING_TIMEZONE,
+        totalCount: viewings.length,
+        agents: Array.from(agents.values()),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching viewing calendar:", error);
+    handleViewingError(res, error, "Failed to fetch viewing calendar");
+  }
+};
+
+/**
+ * Record the outcome of a viewing or cancel it as the agent
+ * @route PATCH /api/viewings/:id/status
+ * @access Admin (own viewings) / SuperAdmin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateViewingStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!["completed", "no_show", "cancelled"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Status must be completed, no_show or cancelled",
+      });
+    }
+
+    const viewing = await Viewing.findOne({ _id: req.params.id, ...req.queryFilters })
+      .populate("property", VIEWING_PROPERTY_FIELDS)
+      .populate("agent", "name email");
+
+    if (!viewing) {
+      return res.status(404).json({
+        success: false,
+        error: "Viewing not found",
+      });
+    }
+
+    if (viewing.status !== "confirmed") {
+      return res.status(400).json({
+        success: false,
+        error: `Viewing is already ${viewing.status}`,
+      });
+    }
+
+    if (status !== "cancelled" && viewing.start > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "The outcome can only be recorded once the viewing has started",
+      });
+    }
+
+    viewing.status = status;
+    if (status === "cancelled") {
+      viewing.cancelledBy = "agent";
+      viewing.cancellationReason = reason;
+      viewing.sequence += 1;
+    }
+    await viewing.save();
+
+    if (status === "cancelled") {
+      await notifyViewing(viewing, {
+        property: viewing.property,
+        agent: viewing.agent,
+        event: "cancelled",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Viewing updated successfully",
+      data: {
+        viewing,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating viewing:", error);
+    handleViewingError(res, error, "Failed to update viewing");
+  }
+};
+
+module.exports = {
+  getPropertySlots,
+  createViewing,
+  getManagedViewing,
+  rescheduleViewing,
+  cancelViewing,
+  getAvailability,
+  updateAvailability,
+  getViewingCalendar,
+  updateViewingStatus,
+};
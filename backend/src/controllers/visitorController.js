@@ -0,0 +1,484 @@
+/**
+ * Visitor Controller
+ * Anonymous visitor sessions (opaque X-Visitor-Token) with favorites and comparison sets
+ */
+
+const mongoose = require("mongoose");
+const VisitorSession = require("../models/VisitorSession");
+const SavedSearch = require("../models/SavedSearch");
+const { VISITOR_TOKEN_HEADER } = require("../middleware/visitorSession");
+const {
+  MAX_FAVORITES,
+  MAX_COMPARE_SETS,
+  findVisibleProperties,
+  getFavoriteProperties,
+} = require("../utils/visitorSessions");
+const {
+  COMPARE_FIELDS,
+  parseCompareIds,
+  buildPropertyComparison,
+} = require("../utils/propertyCompare");
+const { trackEngagementEvent } = require("../utils/engagement");
+
+/**
+ * Summary of a visitor session
+ * @param {Object} session - Visitor session document
+ * @returns {Object} - Session summary
+ */
+const formatSession = (session) => ({
+  id: session._id,
+  favorites: session.favorites.map((favorite) => favorite.property),
+  compareSets: session.compareSets.map((set) => ({
+    id: set._id,
+    name: set.name,
+    properties: set.properties,
+    updatedAt: set.updatedAt,
+  })),
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+});
+
+/**
+ * Comparison set with its side-by-side table (only listings still visible are compared)
+ * @param {Object} set - Comparison set subdocument
+ * @returns {Promise<Object>} - Comparison set
+ */
+const formatCompareSet = async (set) => {
+  const properties = await findVisibleProperties(set.properties, COMPARE_FIELDS);
+
+  return {
+    id: set._id,
+    name: set.name,
+    comparison: buildPropertyComparison(properties),
+    createdAt: set.createdAt,
+    updatedAt: set.updatedAt,
+  };
+};
+
+/**
+ * Validate comparison set listings (1 up to the comparison maximum, all visible to visitors)
+ * @param {Array|string} propertyIds - Property IDs
+ * @returns {Promise<Object>} - { ids, errors }
+ */
+const parseCompareSetProperties = async (propertyIds) => {
+  const { ids, errors } = parseCompareIds(propertyIds, { min: 1 });
+  if (errors.length > 0) return { ids, errors };
+
+  const visible = await findVisibleProperties(ids, "_id");
+  const visibleIds = new Set(visible.map((property) => property._id.toString()));
+  const missing = ids.filter((id) => !visibleIds.has(id));
+
+  if (missing.length > 0) {
+    errors.push({
+      field: "propertyIds",
+      message: `Properties not found or not available: ${missing.join(", ")}`,
+    });
+  }
+
+  return { ids, errors };
+};
+
+/**
+ * Create an anonymous visitor session
+ * The token is returned once and must be sent back in the X-Visitor-Token header
+ * @route POST /api/visitor/session
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createVisitorSession = async (req, res) => {
+  try {
+    const { session, token } = await VisitorSession.createWithToken();
+
+    res.status(201).json({
+      success: true,
+      message: "Visitor session created",
+      data: {
+        token,
+        header: VISITOR_TOKEN_HEADER,
+        session: formatSession(session),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating visitor session:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create visitor session",
+    });
+  }
+};
+
+/**
+ * Get the current visitor session
+ * @route GET /api/visitor/session
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVisitorSession = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      session: formatSession(req.visitorSession),
+    },
+  });
+};
+
+/**
+ * Delete the current visitor session with its favorites and comparison sets
+ * @route DELETE /api/visitor/session
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteVisitorSession = async (req, res) => {
+  try {
+    await req.visitorSession.deleteOne();
+
+    // Property alerts stay active, they are no longer linked to the shortlist
+    await SavedSearch.updateMany(
+      { visitorSession: req.visitorSession._id },
+      { visitorSession: null }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Visitor session deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting visitor session:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete visitor session",
+    });
+  }
+};
+
+/**
+ * Get favorite listings (listings no longer published are left out)
+ * @route GET /api/visitor/favorites
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFavorites = async (req, res) => {
+  try {
+    const properties = await getFavoriteProperties(req.visitorSession);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        properties,
+        count: properties.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching favorites:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch favorites",
+    });
+  }
+};
+
+/**
+ * Add a listing to favorites
+ * @route POST /api/visitor/favorites/:propertyId
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addFavorite = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const session = req.visitorSession;
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid property ID",
+      });
+    }
+
+    const [property] = await findVisibleProperties([propertyId], "_id");
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: "Property not found or not available for public viewing",
+      });
+    }
+
+    const alreadyAdded = session.favorites.some(
+      (favorite) => favorite.property.toString() === propertyId
+    );
+
+    if (!alreadyAdded) {
+      if (session.favorites.length >= MAX_FAVORITES) {
+        return res.status(400).json({
+          success: false,
+          error: `You can save at most ${MAX_FAVORITES} favorites`,
+        });
+      }
+
+      session.favorites.push({ property: property._id });
+      await session.save();
+
+      trackEngagementEvent(req, property._id, "favorite");
+    }
+
+    res.status(alreadyAdded ? 200 : 201).json({
+      success: true,
+      message: alreadyAdded ? "Property is already a favorite" : "Property added to favorites",
+      data: {
+        favorites: session.favorites.map((favorite) => favorite.property),
+      },
+    });
+  } catch (error) {
+    console.error("Error adding favorite:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add favorite",
+    });
+  }
+};
+
+/**
+ * Remove a listing from favorites
+ * @route DELETE /api/visitor/favorites/:propertyId
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeFavorite = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const session = req.visitorSession;
+
+    const remaining = session.favorites.filter(
+      (favorite) => favorite.property.toString() !== propertyId
+    );
+
+    if (remaining.length === session.favorites.length) {
+      return res.status(404).json({
+        success: false,
+        error: "Property is not in favorites",
+      });
+    }
+
+    session.favorites = remaining;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Property removed from favorites",
+      data: {
+        favorites: session.favorites.map((favorite) => favorite.property),
+      },
+    });
+  } catch (error) {
+    console.error("Error removing favorite:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove favorite",
+    });
+  }
+};
+
+/**
+ * Get comparison sets with their side-by-side tables
+ * @route GET /api/visitor/compare-sets
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCompareSets = async (req, res) => {
+  try {
+    const compareSets = await Promise.all(
+      req.visitorSession.compareSets.map((set) => formatCompareSet(set))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        compareSets,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching comparison sets:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch comparison sets",
+    });
+  }
+};
+
+/**
+ * Create a comparison set
+ * Body: { name, propertyIds }
+ * @route POST /api/visitor/compare-sets
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCompareSet = async (req, res) => {
+  try {
+    const { name, propertyIds } = req.body;
+    const session = req.visitorSession;
+
+    if (session.compareSets.length >= MAX_COMPARE_SETS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can keep at most ${MAX_COMPARE_SETS} comparison sets`,
+      });
+    }
+
+    const { ids, errors } = await parseCompareSetProperties(propertyIds);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid comparison set",
+        details: errors,
+      });
+    }
+
+    session.compareSets.push({ name, properties: ids });
+    await session.save();
+
+    const set = session.compareSets[session.compareSets.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: "Comparison set created",
+      data: {
+        compareSet: await formatCompareSet(set),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating comparison set:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create comparison set",
+    });
+  }
+};
+
+/**
+ * Rename a comparison set or replace its listings
+ * Body: { name, propertyIds }
+ * @route PUT /api/visitor/compare-sets/:setId
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCompareSet = async (req, res) => {
+  try {
+    const { name, propertyIds } = req.body;
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId)
+      ? req.visitorSession.compareSets.id(req.params.setId)
+      : null;
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: "Comparison set not found",
+      });
+    }
+
+    if (propertyIds !== undefined) {
+      const { ids, errors } = await parseCompareSetProperties(propertyIds);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid comparison set",
+          details: errors,
+        });
+      }
+      set.properties = ids;
+    }
+
+    if (name !== undefined) set.name = name;
+
+    await req.visitorSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comparison set updated",
+      data: {
+        compareSet: await formatCompareSet(set),
+      },
+    });
+  } catch (error) {
+    console.error("Error updating comparison set:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update comparison set",
+    });
+  }
+};
+
+/**
+ * Delete a comparison set
+ * @route DELETE /api/visitor/compare-sets/:setId
+ * @access Public (visitor token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCompareSet = async (req, res) => {
+  try {
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId)
+      ? req.visitorSession.compareSets.id(req.params.setId)
+      : null;
+
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: "Comparison set not found",
+      });
+    }
+
+    set.deleteOne();
+    await req.visitorSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comparison set deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting comparison set:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete comparison set",
+    });
+  }
+};
+
+module.exports = {
+  createVisitorSession,
+  getVisitorSession,
+  deleteVisitorSession,
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  getCompareSets,
+  createCompareSet,
+  updateCompareSet,
+  deleteCompareSet,
+};
@@ -6,7 +6,10 @@
 const {
   rolePermissions,
   buildPropertyQuery,
+  buildCatalogQuery,
   buildUserQuery,
+  buildLeadQuery,
+  buildViewingQuery,
 } = require("../config/permissions");
 
 /**
@@ -43,10 +46,24 @@ const checkPermission = (resource, action) => {
       req.permissionLevel = permissionLevel;
 
       // Set query filters based on resource and user role
-      if (resource === "properties" && action === "Read") {
+      if (
+        (resource === "properties" && action === "Read") ||
+        resource === "analytics"
+      ) {
+        // Engagement dashboards cover exactly the listings the user can read
         req.queryFilters = buildPropertyQuery(req.user);
+      } else if (
+        (resource === "developers" || resource === "projects") &&
+        action === "Read"
+      ) {
+        req.queryFilters = buildCatalogQuery(req.user);
       } else if (resource === "users" && action === "Read") {
         req.queryFilters = buildUserQuery(req.user);
+      } else if (resource === "leads") {
+        // Ownership is by assignment, so the same filter scopes reads and updates
+        req.queryFilters = buildLeadQuery(req.user);
+      } else if (resource === "viewings") {
+        req.queryFilters = buildViewingQuery(req.user);
       }
 
       // For "own" permissions, we need to check ownership in the controller
@@ -8,6 +8,18 @@ const {
   uploadSmartCompressedImages,
 } = require("../config/localUpload");
 const multer = require("multer");
+const path = require("path");
+const {
+  generateImageVariants,
+  saveOriginalImage,
+  createPublicImage,
+  deleteLocalImageFiles,
+  deleteImageFiles,
+} = require("../utils/imageFiles");
+const { resolveUploadWatermark } = require("../utils/watermark");
+const { findDuplicateImages } = require("../utils/imageDuplicates");
+const { DUPLICATE_IMAGE_MODE } = require("../config/imageDuplicates");
+const Property = require("../models/Property");
 
 // Create memory storage for parsing form data without saving files
 const memoryUpload = multer({
@@ -26,6 +38,32 @@ const memoryUpload = multer({
   },
 });
 
+// Spreadsheet and image archive extensions accepted by the bulk property import
+const IMPORT_SHEET_EXTENSIONS = [".csv", ".xlsx"];
+const IMPORT_ARCHIVE_EXTENSIONS = [".zip"];
+
+// Memory storage for bulk import files (parsed and validated before anything is saved)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024, // 200MB limit (image archive)
+    files: 2, // One spreadsheet and one image archive
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const allowedExtensions =
+      file.fieldname === "file"
+        ? IMPORT_SHEET_EXTENSIONS
+        : IMPORT_ARCHIVE_EXTENSIONS;
+
+    if (allowedExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid import file type!"), false);
+    }
+  },
+});
+
 /**
  * Middleware to parse multipart form data without saving files
  * This allows us to validate form fields before processing images
@@ -164,6 +202,17 @@ const optionalImages = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware factory to switch watermarking on or off for the uploads of a route
+ * A "watermark" field in the request still takes precedence
+ * @param {boolean} enabled - Overlay the brand logo on uploads of this route
+ * @returns {Function} - Express middleware
+ */
+const setUploadWatermark = (enabled) => (req, res, next) => {
+  req.watermarkUploads = enabled;
+  next();
+};
+
 /**
  * Middleware to process images from memory after validation passes
  * This processes the images that were parsed earlier by parseMultipartData
@@ -185,6 +234,8 @@ const processValidatedImages = async (req, res, next) => {
       processImage,
       validateImage,
       getImageMetadata,
+      getImagePlaceholders,
+      getPerceptualHash,
     } = require("../config/imageProcessor");
     const path = require("path");
     const fs = require("fs").promises;
@@ -199,6 +250,7 @@ const processValidatedImages = async (req, res, next) => {
     await fs.mkdir(uploadDir, { recursive: true });
 
     const processedImages = [];
+    const watermark = resolveUploadWatermark(req);
 
     for (let i = 0; i < req.pendingImages.length; i++) {
       const file = req.pendingImages[i];
@@ -210,6 +262,12 @@ const processValidatedImages = async (req, res, next) => {
         // Get original image metadata
         const originalMetadata = await getImageMetadata(file.buffer);
 
+        // Blurhash, LQIP and dominant color shown while the image loads
+        const placeholders = await getImagePlaceholders(file.buffer);
+
+        // Perceptual hash of the unwatermarked image (duplicate photo detection)
+        const phash = await getPerceptualHash(file.buffer);
+
         // Generate unique filename
         const timestamp = Date.now();
         const randomString = Math.random().toString(36).substring(2, 15);
@@ -222,11 +280,27 @@ const processValidatedImages = async (req, res, next) => {
         //   quality: 85,
         //   format: "webp",
         // });
-        const processedBuffer = file.buffer;
+        // Brand watermark on the public copy; the original is kept privately for regeneration
+        const publicImage = await createPublicImage(file.buffer, watermark);
+        const processedBuffer = publicImage.buffer;
+        await saveOriginalImage(file.buffer, filename);
 
         // Save the processed buffer to disk
         await fs.writeFile(filepath, processedBuffer);
 
+        // Responsive width variants (WebP and AVIF) next to the public copy
+        let responsive;
+        try {
+          responsive = await generateImageVariants(processedBuffer, filename, {
+            metadata: originalMetadata,
+            uploadDir,
+          });
+        } catch (variantError) {
+          await fs.unlink(filepath).catch(() => {});
+          await deleteLocalImageFiles(filename).catch(() => {});
+          throw variantError;
+        }
+
         // Get the file size after processing
         const stats = await fs.stat(filepath);
         const result = {
@@ -261,6 +335,13 @@ const processValidatedImages = async (req, res, next) => {
           compressed: result.compressed || false,
           quality: result.quality || 85,
           compressionApplied: result.compressed || false,
+          watermarked: publicImage.watermarked,
+          variants: responsive.variants,
+          srcset: responsive.srcset,
+          blurhash: placeholders.blurhash,
+          lqip: placeholders.lqip,
+          dominantColor: placeholders.dominantColor,
+          phash,
           // Add metadata from form data
           altText: metadata.altText || `Property image ${i + 1}`,
           order: metadata.order !== undefined ? parseInt(metadata.order) : i,
@@ -327,6 +408,87 @@ const processValidatedImages = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to check processed property photos against the photos of other properties
+ * Runs after processValidatedImages; depending on DUPLICATE_IMAGE_MODE near-matches are returned as
+ * a "duplicate_images" warning or the upload is rejected and its files removed. The matched
+ * listings are only included for SuperAdmins
+ */
+const checkDuplicateImages = async (req, res, next) => {
+  if (!req.uploadedImages || req.uploadedImages.length === 0) {
+    return next();
+  }
+
+  try {
+    // The property being edited may be addressed by ID or slug
+    let excludePropertyId = null;
+    if (req.params.id) {
+      const existing = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+        ? { _id: req.params.id }
+        : await Property.findOne({ slug: req.params.id }).select("_id").lean();
+      excludePropertyId = existing?._id || null;
+    }
+
+    const duplicates = await findDuplicateImages(req.uploadedImages, {
+      excludePropertyId,
+    });
+
+    if (duplicates.length === 0) {
+      return next();
+    }
+
+    console.log(
+      `🔁 ${duplicates.length} uploaded image(s) match photos of other properties (${DUPLICATE_IMAGE_MODE})`
+    );
+
+    // Only SuperAdmins see which listings matched - others could use this to look into
+    // other agents' drafts and pending listings
+    const showMatches = req.user?.role === "SuperAdmin";
+    const details = duplicates.map((duplicate) =>
+      showMatches
+        ? {
+            field: "images",
+            image: duplicate.originalName,
+            message: `"${duplicate.originalName}" matches a photo already used by ${duplicate.matches
+              .map((match) => `"${match.property.title}"`)
+              .join(", ")}`,
+            matches: duplicate.matches,
+          }
+        : {
+            field: "images",
+            image: duplicate.originalName,
+            message: `"${duplicate.originalName}" matches a photo already used by another listing`,
+            matchCount: duplicate.matches.length,
+          }
+    );
+
+    if (DUPLICATE_IMAGE_MODE === "block") {
+      await deleteImageFiles(req.uploadedImages.map((image) => image.publicId));
+
+      return res.status(409).json({
+        success: false,
+        error: "Some photos are already used by other properties",
+        details,
+      });
+    }
+
+    if (!req.validationWarnings) {
+      req.validationWarnings = [];
+    }
+    req.validationWarnings.push({
+      type: "duplicate_images",
+      message: `${duplicates.length} uploaded photo(s) are already used by other properties.`,
+      duplicates: details,
+    });
+
+    next();
+  } catch (error) {
+    // A failed check should not lose the upload
+    console.error("❌ Duplicate image check error:", error);
+    next();
+  }
+};
+
 /**
  * Middleware to handle smart compressed image uploads (100KB threshold)
  * Supports multiple images with proper error handling (no timeout)
@@ -405,10 +567,70 @@ const handleSmartCompressedImageUpload = (req, res, next) => {
   });
 };
 
+/**
+ * Middleware to parse a bulk property import upload
+ * Expects a CSV/XLSX spreadsheet in "file" and an optional zip of images in "images"
+ */
+const parseImportUpload = (req, res, next) => {
+  const upload = importUpload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "images", maxCount: 1 },
+  ]);
+
+  upload(req, res, (error) => {
+    if (error) {
+      console.error("Import upload parsing error:", error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          success: false,
+          error: "File too large. Maximum size is 200MB per file.",
+        });
+      }
+
+      if (
+        error.code === "LIMIT_FILE_COUNT" ||
+        error.code === "LIMIT_UNEXPECTED_FILE"
+      ) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'Upload one spreadsheet in "file" and at most one image archive in "images".',
+        });
+      }
+
+      if (error.message === "Invalid import file type!") {
+        return res.status(400).json({
+          success: false,
+          error:
+            "The spreadsheet must be a .csv or .xlsx file and the image archive a .zip file.",
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: "Import upload parsing failed. Please try again.",
+      });
+    }
+
+    if (!req.files?.file?.[0]) {
+      return res.status(400).json({
+        success: false,
+        error: "A CSV or XLSX file is required",
+      });
+    }
+
+    next();
+  });
+};
+
 module.exports = {
   handlePropertyImageUpload,
   handleSmartCompressedImageUpload,
   optionalImages,
   parseMultipartData,
+  parseImportUpload,
   processValidatedImages,
+  checkDuplicateImages,
+  setUploadWatermark,
 };
@@ -10,3 +10,47 @@ exports.applyJobLimiter = rateLimit({
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
+
+exports.savedSearchLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // Limit each IP to 10 saved searches per windowMs
+    message: {
+        success: false,
+        error: "Too many property alerts created from this IP, please try again after an hour",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+exports.valuationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // Limit each IP to 10 valuation requests per windowMs
+    message: {
+        success: false,
+        error: "Too many valuation requests from this IP, please try again after an hour",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+exports.viewingLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // Limit each IP to 10 viewing bookings/changes per windowMs
+    message: {
+        success: false,
+        error: "Too many viewing requests from this IP, please try again after an hour",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+exports.visitorSessionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // Limit each IP to 20 new visitor sessions per windowMs
+    message: {
+        success: false,
+        error: "Too many visitor sessions created from this IP, please try again after an hour",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
@@ -10,6 +10,7 @@ const {
 } = require("../constants/propertyTypes");
 
 const { validateImageUrl } = require("./localImageValidation");
+const { createPoint } = require("../utils/geo");
 const Property = require("../models/Property");
 const Blog = require("../models/Blog");
 
@@ -1003,6 +1004,30 @@ const validateCreateProperty = [
   handleValidationErrors,
 ];
 
+/**
+ * Run the property creation rules against property data outside of a request (e.g. import rows)
+ * Rules may normalize the data in place (trimmed text, parsed numbers) like they do for req.body
+ * @param {Object} propertyData - Property fields, same shape as the create request body
+ * @returns {Promise<Object>} - { errors: [{ field, message }], warnings }
+ */
+const checkCreatePropertyRules = async (propertyData) => {
+  const req = { body: propertyData, params: {} };
+
+  // Run the validation chains in order (the trailing middleware only apply to requests)
+  for (const rule of validateCreateProperty) {
+    if (typeof rule.run === "function") {
+      await rule.run(req);
+    }
+  }
+
+  return {
+    errors: validationResult(req)
+      .array({ onlyFirstError: true })
+      .map((error) => ({ field: error.path, message: error.msg })),
+    warnings: req.validationWarnings || [],
+  };
+};
+
 /**
  * Validation rules for updating properties
  */
@@ -1981,9 +2006,11 @@ const validatePropertyQuery = [
       "featured",
       "details.area",
       "details.bedrooms",
+      "distance",
+      "relevance",
     ])
     .withMessage(
-      "Invalid sort field. Valid options: price, createdAt, updatedAt, title, featured, details.area, details.bedrooms"
+      "Invalid sort field. Valid options: price, createdAt, updatedAt, title, featured, details.area, details.bedrooms, distance, relevance"
     ),
 
   query("sortOrder")
@@ -2046,6 +2073,147 @@ const parsePropertyDataFromFormData = (req, res, next) => {
   next();
 };
 
+/**
+ * Clean up a numeric form value - convert invalid values to undefined
+ * @param {*} value - Raw form value
+ * @returns {*} - The value, or undefined for empty/"NaN"/"null"/"undefined"
+ */
+const cleanNumericField = (value) => {
+  if (value === null || value === undefined || value === '' || value === 'NaN' || value === 'null' || value === 'undefined') {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed === '' || trimmed === 'NaN' || trimmed === 'null' || trimmed === 'undefined') {
+      return undefined;
+    }
+  }
+  return value;
+};
+
+/**
+ * Parse flat property form fields (location[...], details[...], amenities[n], permit[...]) into nested objects
+ * Shared by the property form middleware and the bulk import
+ * @param {Object} fields - Flat form fields
+ * @returns {Object} - Property data with nested location, details and amenities
+ */
+const parsePropertyFormFields = (fields) => {
+  // Parse nested objects from form data (new format)
+  const parsedBody = { ...fields };
+
+  // Parse location object
+  if (fields["location[address]"]) {
+    parsedBody.location = {
+      address: fields["location[address]"],
+      emirate: fields["location[emirate]"],
+      area: fields["location[area]"],
+      country: fields["location[country]"],
+      neighborhood: fields["location[neighborhood]"] || "",
+    };
+
+    // Convert map coordinates into a GeoJSON point (only when both are provided)
+    const coordinates = createPoint(
+      fields["location[latitude]"],
+      fields["location[longitude]"]
+    );
+    if (coordinates) {
+      parsedBody.location.coordinates = coordinates;
+    }
+
+    // Remove the individual location fields
+    Object.keys(fields).forEach((key) => {
+      if (key.startsWith("location[")) {
+        delete parsedBody[key];
+      }
+    });
+  }
+
+  // Parse details object
+  const details = {};
+  let hasDetails = false;
+
+  Object.keys(fields).forEach((key) => {
+    if (key.startsWith("details[")) {
+      hasDetails = true;
+      const match = key.match(/details\[([^\]]+)\](?:\[([^\]]+)\])?/);
+      if (match) {
+        const [, field, subfield] = match;
+        if (subfield) {
+          // Nested field like details[parking][available]
+          if (!details[field]) details[field] = {};
+          details[field][subfield] = fields[key];
+        } else {
+          // Direct field like details[bedrooms]
+          details[field] = fields[key];
+        }
+      }
+      delete parsedBody[key];
+    }
+  });
+
+  if (hasDetails) {
+    parsedBody.details = details;
+  }
+
+  // Parse amenities array
+  const amenities = [];
+  Object.keys(fields).forEach((key) => {
+    if (key.startsWith("amenities[")) {
+      const index = parseInt(key.match(/amenities\[(\d+)\]/)[1]);
+      amenities[index] = fields[key];
+      delete parsedBody[key];
+    }
+  });
+
+  if (amenities.length > 0) {
+    parsedBody.amenities = amenities.filter(Boolean); // Remove empty slots
+  }
+
+  // Parse permit object (permit[number], permit[expiresAt], permit[brokerOrn], permit[agentBrn])
+  const permit = {};
+  let hasPermit = false;
+
+  Object.keys(fields).forEach((key) => {
+    const match = key.match(/^permit\[([^\]]+)\]$/);
+    if (match) {
+      hasPermit = true;
+      // Empty fields clear the value
+      permit[match[1]] = fields[key] === "" ? undefined : fields[key];
+      delete parsedBody[key];
+    }
+  });
+
+  if (hasPermit) {
+    parsedBody.permit = permit;
+  }
+
+  // An empty project field unlinks the property from its project
+  if (parsedBody.project === "") {
+    parsedBody.project = null;
+  }
+
+  // Clean numeric fields in the main object
+  if (parsedBody.price !== undefined) {
+    parsedBody.price = cleanNumericField(parsedBody.price);
+  }
+
+  // Clean numeric fields in details object
+  if (parsedBody.details) {
+    ['bedrooms', 'bathrooms', 'area', 'totalFloors', 'landArea', 'yearBuilt'].forEach(field => {
+      if (parsedBody.details[field] !== undefined) {
+        parsedBody.details[field] = cleanNumericField(parsedBody.details[field]);
+      }
+    });
+
+    // Clean parking spaces
+    if (parsedBody.details.parking && parsedBody.details.parking.spaces !== undefined) {
+      parsedBody.details.parking.spaces = cleanNumericField(parsedBody.details.parking.spaces);
+    }
+  }
+
+  return parsedBody;
+};
+
 /**
  * Enhanced middleware to parse both legacy and new FormData formats
  * Handles individual form fields and image metadata
@@ -2059,6 +2227,16 @@ const parseEnhancedFormData = (req, res, next) => {
       const parsedData = JSON.parse(req.body.propertyData);
       Object.assign(req.body, parsedData);
       delete req.body.propertyData;
+
+      // Convert latitude/longitude into a GeoJSON point for the location schema
+      if (req.body.location) {
+        const { latitude, longitude, ...location } = req.body.location;
+        const coordinates = createPoint(latitude, longitude);
+        if (coordinates) {
+          location.coordinates = coordinates;
+        }
+        req.body.location = location;
+      }
     } catch (parseError) {
       return res.status(400).json({
         success: false,
@@ -2071,66 +2249,7 @@ const parseEnhancedFormData = (req, res, next) => {
     console.log("Raw req.files:", req.files ? req.files.length : 0);
 
     // Parse nested objects from form data (new format)
-    const parsedBody = { ...req.body };
-
-    // Parse location object
-    if (req.body["location[address]"]) {
-      parsedBody.location = {
-        address: req.body["location[address]"],
-        emirate: req.body["location[emirate]"],
-        area: req.body["location[area]"],
-        country: req.body["location[country]"],
-        neighborhood: req.body["location[neighborhood]"] || "",
-      };
-
-      // Remove the individual location fields
-      Object.keys(req.body).forEach((key) => {
-        if (key.startsWith("location[")) {
-          delete parsedBody[key];
-        }
-      });
-    }
-
-    // Parse details object
-    const details = {};
-    let hasDetails = false;
-
-    Object.keys(req.body).forEach((key) => {
-      if (key.startsWith("details[")) {
-        hasDetails = true;
-        const match = key.match(/details\[([^\]]+)\](?:\[([^\]]+)\])?/);
-        if (match) {
-          const [, field, subfield] = match;
-          if (subfield) {
-            // Nested field like details[parking][available]
-            if (!details[field]) details[field] = {};
-            details[field][subfield] = req.body[key];
-          } else {
-            // Direct field like details[bedrooms]
-            details[field] = req.body[key];
-          }
-        }
-        delete parsedBody[key];
-      }
-    });
-
-    if (hasDetails) {
-      parsedBody.details = details;
-    }
-
-    // Parse amenities array
-    const amenities = [];
-    Object.keys(req.body).forEach((key) => {
-      if (key.startsWith("amenities[")) {
-        const index = parseInt(key.match(/amenities\[(\d+)\]/)[1]);
-        amenities[index] = req.body[key];
-        delete parsedBody[key];
-      }
-    });
-
-    if (amenities.length > 0) {
-      parsedBody.amenities = amenities.filter(Boolean); // Remove empty slots
-    }
+    const parsedBody = parsePropertyFormFields(req.body);
 
     // Parse tags for blog posts - handle JSON string format
     if (req.body.tags && typeof req.body.tags === "string") {
@@ -2197,39 +2316,6 @@ const parseEnhancedFormData = (req, res, next) => {
       req.imageMetadata = imageMetadata.filter(Boolean); // Store in req for later use
     }
 
-    // Clean up numeric fields - convert invalid values to undefined
-    const cleanNumericField = (value) => {
-      if (value === null || value === undefined || value === '' || value === 'NaN' || value === 'null' || value === 'undefined') {
-        return undefined;
-      }
-      if (typeof value === 'string') {
-        const trimmed = value.trim();
-        if (trimmed === '' || trimmed === 'NaN' || trimmed === 'null' || trimmed === 'undefined') {
-          return undefined;
-        }
-      }
-      return value;
-    };
-
-    // Clean numeric fields in the main object
-    if (parsedBody.price !== undefined) {
-      parsedBody.price = cleanNumericField(parsedBody.price);
-    }
-
-    // Clean numeric fields in details object
-    if (parsedBody.details) {
-      ['bedrooms', 'bathrooms', 'area', 'totalFloors', 'landArea', 'yearBuilt'].forEach(field => {
-        if (parsedBody.details[field] !== undefined) {
-          parsedBody.details[field] = cleanNumericField(parsedBody.details[field]);
-        }
-      });
-
-      // Clean parking spaces
-      if (parsedBody.details.parking && parsedBody.details.parking.spaces !== undefined) {
-        parsedBody.details.parking.spaces = cleanNumericField(parsedBody.details.parking.spaces);
-      }
-    }
-
     // Update req.body with parsed data
     req.body = parsedBody;
     console.log("Final parsed body:", JSON.stringify(req.body, null, 2));
@@ -2739,6 +2825,26 @@ const validatePropertyId = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for property change request ID parameter
+ */
+const validateChangeRequestId = [
+  param("id").custom((id, { req }) => {
+    // Check if ID is provided
+    if (!id || id.trim() === "") {
+      throw new Error("Change request ID is required");
+    }
+
+    // Check if it's a valid MongoDB ObjectId
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+      throw new Error("Invalid change request ID format");
+    }
+
+    return true;
+  }),
+  handleValidationErrors,
+];
+
 /**
  * Validation rules for category ID parameter
  */
@@ -3551,8 +3657,11 @@ module.exports = {
   parseFormDataOnly,
   parsePropertyDataFromFormData,
   parseEnhancedFormData,
+  parsePropertyFormFields,
+  checkCreatePropertyRules,
   // Property approval validations
   validatePropertyId,
+  validateChangeRequestId,
   validateRejection,
   // Category approval validations
   validateCategoryId,
@@ -0,0 +1,75 @@
+const VisitorSession = require("../models/VisitorSession");
+
+// Header carrying the opaque visitor token
+const VISITOR_TOKEN_HEADER = "X-Visitor-Token";
+
+// Refresh lastSeenAt (session expiry) at most this often
+const LAST_SEEN_REFRESH_MS = 60 * 60 * 1000;
+
+/**
+ * Load the anonymous visitor session from the X-Visitor-Token header
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - Session or null when missing/unknown
+ */
+const loadVisitorSession = async (req) => {
+  const session = await VisitorSession.findByToken(req.header(VISITOR_TOKEN_HEADER));
+
+  if (session && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_REFRESH_MS) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+
+  return session;
+};
+
+/**
+ * Visitor session middleware
+ * Requires a valid visitor token and adds the session to req.visitorSession
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const visitorSession = async (req, res, next) => {
+  try {
+    const session = await loadVisitorSession(req);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Visitor session not found. Create one with POST /api/visitor/session",
+      });
+    }
+
+    req.visitorSession = session;
+    next();
+  } catch (error) {
+    console.error("Visitor session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load visitor session",
+    });
+  }
+};
+
+/**
+ * Optional visitor session middleware
+ * Adds the session to req.visitorSession when a valid token is sent, never blocks the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const optionalVisitorSession = async (req, res, next) => {
+  try {
+    req.visitorSession = await loadVisitorSession(req);
+  } catch (error) {
+    console.error("Optional visitor session error:", error);
+    req.visitorSession = null;
+  }
+  next();
+};
+
+module.exports = {
+  VISITOR_TOKEN_HEADER,
+  visitorSession,
+  optionalVisitorSession,
+};
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const { DEFAULT_AVAILABILITY } = require("../config/viewings");
+
+// "HH:MM" in UAE local time
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Bookable hours on a day of the week
+const weeklyHoursSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: [0, "Day of week must be 0 (Sunday) to 6 (Saturday)"],
+      max: [6, "Day of week must be 0 (Sunday) to 6 (Saturday)"],
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Start time must be HH:MM"],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "End time must be HH:MM"],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Day the agent is not available (holiday, leave)
+const blackoutDateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Blackout date must be YYYY-MM-DD"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const agentAvailabilitySchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    weeklyHours: {
+      type: [weeklyHoursSchema],
+      default: DEFAULT_AVAILABILITY.weeklyHours,
+    },
+    blackoutDates: {
+      type: [blackoutDateSchema],
+      default: [],
+    },
+    slotMinutes: {
+      type: Number,
+      enum: {
+        values: [15, 30, 45, 60, 90, 120],
+        message: "Slot length must be 15, 30, 45, 60, 90 or 120 minutes",
+      },
+      default: DEFAULT_AVAILABILITY.slotMinutes,
+    },
+    minNoticeHours: {
+      type: Number,
+      min: [0, "Minimum notice cannot be negative"],
+      max: [168, "Minimum notice cannot exceed 168 hours"],
+      default: DEFAULT_AVAILABILITY.minNoticeHours,
+    },
+    maxDaysAhead: {
+      type: Number,
+      min: [1, "Booking window must be at least 1 day"],
+      max: [180, "Booking window cannot exceed 180 days"],
+      default: DEFAULT_AVAILABILITY.maxDaysAhead,
+    },
+    // Agents can pause bookings without losing their schedule
+    acceptingBookings: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+agentAvailabilitySchema.pre("validate", function (next) {
+  this.weeklyHours.forEach((hours, index) => {
+    if (hours.start && hours.end && hours.start >= hours.end) {
+      this.invalidate(
+        `weeklyHours.${index}.end`,
+        "End time must be after the start time"
+      );
+    }
+
+    // Overlapping windows would offer overlapping slots on the same day
+    const overlapping = this.weeklyHours.some(
+      (other, otherIndex) =>
+        otherIndex < index &&
+        other.dayOfWeek === hours.dayOfWeek &&
+        other.start < hours.end &&
+        other.end > hours.start
+    );
+    if (overlapping) {
+      this.invalidate(
+        `weeklyHours.${index}.start`,
+        "Hours overlap another window on the same day"
+      );
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model("AgentAvailability", agentAvailabilitySchema);
@@ -58,6 +58,32 @@ const blogSchema = new mongoose.Schema(
         url: String,
         alt: String,
         caption: String,
+        publicId: String,
+        width: Number,
+        height: Number,
+        // Responsive width variants (see config/imageVariants)
+        variants: {
+          type: [
+            {
+              _id: false,
+              url: String,
+              width: Number,
+              height: Number,
+              format: String,
+              size: Number,
+            },
+          ],
+          default: undefined,
+        },
+        // Ready-to-use srcset per format
+        srcset: {
+          webp: String,
+          avif: String,
+        },
+        // Placeholders shown while the image loads
+        blurhash: String,
+        lqip: String, // Tiny base64 WebP data URI
+        dominantColor: String, // #rrggbb
       },
     ],
 
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const slugify = require("slugify");
+
+// Uploaded image (from POST /api/upload/images)
+const imageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    publicId: {
+      type: String,
+      required: true,
+      match: [/^[\w.-]+$/, "Invalid image file name"], // Uploads folder file name
+    },
+    altText: {
+      type: String,
+      default: "",
+    },
+    originalName: String,
+    size: Number,
+    format: String,
+  },
+  {
+    _id: false,
+  }
+);
+
+const developerSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Developer name is required"],
+      trim: true,
+      unique: true,
+      maxlength: [100, "Developer name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      maxlength: [5000, "Description cannot exceed 5000 characters"],
+    },
+    logo: {
+      type: imageSchema,
+    },
+    website: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, "Website must be a valid http(s) URL"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    establishedYear: {
+      type: Number,
+      min: [1900, "Established year must be after 1900"],
+      max: [new Date().getFullYear(), "Established year cannot be in the future"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    approvalStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: true,
+      updatedAt: false,
+    },
+  }
+);
+
+// Set updatedAt only when document is modified (not on creation)
+developerSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = new Date();
+  }
+  next();
+});
+
+// Create a unique slug from the name
+developerSchema.pre("save", async function (next) {
+  if (this.isModified("name") || this.isNew) {
+    const baseSlug = slugify(this.name || "", { lower: true, strict: true });
+    let uniqueSlug = baseSlug;
+    let counter = 1;
+
+    while (
+      await this.constructor.exists({ slug: uniqueSlug, _id: { $ne: this._id } })
+    ) {
+      uniqueSlug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    this.slug = uniqueSlug;
+  }
+  next();
+});
+
+// Indexes for better performance
+developerSchema.index({ approvalStatus: 1, isActive: 1 });
+developerSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model("Developer", developerSchema);
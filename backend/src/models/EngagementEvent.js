@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { ENGAGEMENT_EVENT_TYPES } = require("../constants/propertyTypes");
+const { EVENT_RETENTION_DAYS } = require("../config/engagement");
+
+const engagementEventSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ENGAGEMENT_EVENT_TYPES,
+        message: `Event type must be one of: ${ENGAGEMENT_EVENT_TYPES.join(", ")}`,
+      },
+      required: true,
+    },
+    // Hash of the visitor session, inquiry email or IP + user agent (no personal data is stored)
+    visitorHash: {
+      type: String,
+      required: true,
+    },
+    // UAE calendar day (YYYY-MM-DD) the event is counted on
+    day: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Day must be YYYY-MM-DD"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// One event per listing, type, visitor and day
+engagementEventSchema.index(
+  { property: 1, type: 1, visitorHash: 1, day: 1 },
+  { unique: true }
+);
+engagementEventSchema.index({ property: 1, day: 1 });
+engagementEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("EngagementEvent", engagementEventSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { EMIRATES, LISTING_TYPES } = require("../constants/propertyTypes");
+
+// Fallback agent for inquiries about listings whose owner has been deactivated
+// A rule matches on emirate, listingType or both (empty = any)
+const inquiryRoutingRuleSchema = new mongoose.Schema(
+  {
+    emirate: {
+      type: String,
+      enum: {
+        values: [...EMIRATES, null], // null = any emirate
+        message: `Emirate must be one of: ${EMIRATES.join(", ")}`,
+      },
+      default: null,
+    },
+    listingType: {
+      type: String,
+      enum: {
+        values: [...LISTING_TYPES, null], // null = any listing type
+        message: `Listing type must be one of: ${LISTING_TYPES.join(", ")}`,
+      },
+      default: null,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Agent is required"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rule per emirate/listingType combination
+inquiryRoutingRuleSchema.index({ emirate: 1, listingType: 1 }, { unique: true });
+
+inquiryRoutingRuleSchema.pre("validate", function (next) {
+  if (!this.emirate && !this.listingType) {
+    this.invalidate("emirate", "A rule needs an emirate, a listing type or both");
+  }
+  next();
+});
+
+module.exports = mongoose.model("InquiryRoutingRule", inquiryRoutingRuleSchema);
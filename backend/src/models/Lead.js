@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const {
+  LEAD_STATUS,
+  CLOSED_LEAD_STATUSES,
+  LEAD_SOURCES,
+} = require("../constants/propertyTypes");
+
+// Follow-up note added by staff
+const noteSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, "Note cannot exceed 2000 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: true,
+  }
+);
+
+// Pipeline stage change
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null = set by the website form
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const leadSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Phone cannot exceed 30 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Message cannot exceed 5000 characters"],
+    },
+    source: {
+      type: String,
+      enum: LEAD_SOURCES,
+      required: true,
+    },
+    // Extra form answers (budget, size, bedrooms, ...) as submitted
+    requirements: {
+      type: Map,
+      of: String,
+      default: undefined,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      default: null,
+    },
+    // Listing agent (createdBy of the property) at the time of the inquiry
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    valuationRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ValuationRequest",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: LEAD_STATUS,
+      default: LEAD_STATUS[0],
+    },
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    notes: {
+      type: [noteSchema],
+      default: [],
+    },
+    // Follow-up reminder (emailed to the assignee once due)
+    followUpAt: {
+      type: Date,
+      default: null,
+    },
+    followUpReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    lastContactedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null = website form
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the pipeline views and the reminder job
+leadSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
+leadSchema.index({ status: 1, createdAt: -1 });
+leadSchema.index({ followUpAt: 1, followUpReminderSentAt: 1 });
+leadSchema.index({ property: 1 });
+leadSchema.index({ email: 1 });
+
+// Record stage changes and reset the reminder when the follow-up date moves
+// Set lead.$locals.changedBy to the user making the change
+leadSchema.pre("save", function (next) {
+  const changedBy = this.$locals.changedBy || null;
+
+  if (this.isNew) {
+    this.statusHistory = [{ from: null, to: this.status, changedBy }];
+  } else if (this.isModified("status")) {
+    const previous = this.statusHistory[this.statusHistory.length - 1];
+    this.statusHistory.push({
+      from: previous ? previous.to : null,
+      to: this.status,
+      changedBy,
+    });
+
+    if (this.status === "contacted") {
+      this.lastContactedAt = new Date();
+    }
+  }
+
+  this.closedAt = CLOSED_LEAD_STATUSES.includes(this.status)
+    ? this.closedAt || new Date()
+    : null;
+
+  if (!this.isNew && this.isModified("followUpAt")) {
+    this.followUpReminderSentAt = null;
+  }
+
+  next();
+});
+
+module.exports = mongoose.model("Lead", leadSchema);
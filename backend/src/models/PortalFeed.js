@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { PORTALS } = require("../config/portalFeeds");
+
+/**
+ * Generate a random access token for the feed URL
+ * @returns {string} - 64 character hex token
+ */
+const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+const portalFeedSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Feed name is required"],
+      trim: true,
+      maxlength: [100, "Feed name cannot exceed 100 characters"],
+    },
+    portal: {
+      type: String,
+      enum: {
+        values: PORTALS,
+        message: `Portal must be one of: ${PORTALS.join(", ")}`,
+      },
+      required: [true, "Portal is required"],
+    },
+    // Required as ?token= on the feed URL
+    token: {
+      type: String,
+      default: generateToken,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Vocabulary mappings (see config/portalFeeds.js), editable per feed
+    mappings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Changes whenever the mappings change, so cached listing XML is rebuilt
+    mappingsUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFetchedAt: {
+      type: Date,
+      default: null,
+    },
+    fetchCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+portalFeedSchema.statics.generateToken = generateToken;
+
+module.exports = mongoose.model("PortalFeed", portalFeedSchema);
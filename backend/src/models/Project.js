@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const slugify = require("slugify");
+const {
+  EMIRATES,
+  PROJECT_STATUS,
+  PAYMENT_PLAN_STAGES,
+} = require("../constants/propertyTypes");
+
+// Uploaded image (from POST /api/upload/images)
+const imageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    publicId: {
+      type: String,
+      required: true,
+      match: [/^[\w.-]+$/, "Invalid image file name"], // Uploads folder file name
+    },
+    altText: {
+      type: String,
+      default: "",
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    originalName: String,
+    size: Number,
+    format: String,
+  },
+  {
+    _id: true,
+  }
+);
+
+// One payment plan milestone, e.g. "20% on booking" or "10% at 50% construction"
+const paymentMilestoneSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: [true, "Milestone label is required"],
+      trim: true,
+      maxlength: [100, "Milestone label cannot exceed 100 characters"],
+    },
+    stage: {
+      type: String,
+      enum: {
+        values: PAYMENT_PLAN_STAGES,
+        message: `Milestone stage must be one of: ${PAYMENT_PLAN_STAGES.join(", ")}`,
+      },
+      required: [true, "Milestone stage is required"],
+    },
+    percentage: {
+      type: Number,
+      required: [true, "Milestone percentage is required"],
+      min: [0.01, "Milestone percentage must be greater than 0"],
+      max: [100, "Milestone percentage cannot exceed 100"],
+    },
+    // Construction progress that triggers the payment (construction stage)
+    constructionPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    // Months after handover (post_handover stage)
+    monthsAfterHandover: {
+      type: Number,
+      min: 0,
+    },
+    dueDate: {
+      type: Date,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Project name is required"],
+      trim: true,
+      maxlength: [150, "Project name cannot exceed 150 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    developer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Developer",
+      required: [true, "Developer is required"],
+    },
+    description: {
+      type: String,
+      maxlength: [10000, "Description cannot exceed 10000 characters"],
+    },
+    location: {
+      address: {
+        type: String,
+        trim: true,
+      },
+      emirate: {
+        type: String,
+        enum: EMIRATES,
+        required: [true, "Emirate is required"],
+      },
+      area: {
+        type: String,
+        trim: true,
+      },
+    },
+    status: {
+      type: String,
+      enum: PROJECT_STATUS,
+      default: PROJECT_STATUS[0],
+    },
+    launchDate: {
+      type: Date,
+    },
+    handoverDate: {
+      type: Date,
+    },
+    completionPercentage: {
+      type: Number,
+      min: [0, "Completion percentage cannot be negative"],
+      max: [100, "Completion percentage cannot exceed 100"],
+      default: 0,
+    },
+    // Milestones in payment order; percentages add up to 100
+    paymentPlan: {
+      type: [paymentMilestoneSchema],
+      default: [],
+      validate: {
+        validator: (milestones) =>
+          milestones.length === 0 ||
+          Math.abs(
+            milestones.reduce((sum, milestone) => sum + milestone.percentage, 0) -
+              100
+          ) < 0.01,
+        message: "Payment plan percentages must add up to 100",
+      },
+    },
+    amenities: {
+      type: [String],
+      default: [],
+    },
+    images: {
+      type: [imageSchema],
+      default: [],
+    },
+    masterPlanImages: {
+      type: [imageSchema],
+      default: [],
+    },
+    brochureUrl: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    approvalStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: true,
+      updatedAt: false,
+    },
+  }
+);
+
+// Set updatedAt only when document is modified (not on creation)
+projectSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = new Date();
+  }
+  next();
+});
+
+// Completed projects are fully built
+projectSchema.pre("save", function (next) {
+  if (this.isModified("status") && this.status === "completed") {
+    this.completionPercentage = 100;
+  }
+  next();
+});
+
+// Create a unique slug from the name
+projectSchema.pre("save", async function (next) {
+  if (this.isModified("name") || this.isNew) {
+    const baseSlug = slugify(this.name || "", { lower: true, strict: true });
+    let uniqueSlug = baseSlug;
+    let counter = 1;
+
+    while (
+      await this.constructor.exists({ slug: uniqueSlug, _id: { $ne: this._id } })
+    ) {
+      uniqueSlug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    this.slug = uniqueSlug;
+  }
+  next();
+});
+
+// Indexes for better performance
+projectSchema.index({ developer: 1, approvalStatus: 1 });
+projectSchema.index({ approvalStatus: 1, isActive: 1 });
+projectSchema.index({ "location.emirate": 1, "location.area": 1 });
+projectSchema.index({ handoverDate: 1 });
+projectSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model("Project", projectSchema);
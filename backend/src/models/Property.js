@@ -9,8 +9,25 @@ const {
   PRICE_TYPES,
   COUNTRIES,
   CURRENCIES,
+  PROPERTY_HISTORY_FIELDS,
 } = require("../constants/propertyTypes");
 const slugify = require("slugify");
+const PropertyHistory = require("./PropertyHistory");
+const { getHashBands } = require("../utils/imageHashes");
+
+// Downscaled copy of an image generated at upload
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: String,
+    width: Number,
+    height: Number,
+    format: String,
+    size: Number,
+  },
+  {
+    _id: false,
+  }
+);
 
 const imageSchema = new mongoose.Schema(
   {
@@ -38,12 +55,75 @@ const imageSchema = new mongoose.Schema(
     originalName: String,
     size: Number,
     format: String,
+    width: Number,
+    height: Number,
+    // Responsive width variants (see config/imageVariants)
+    variants: {
+      type: [imageVariantSchema],
+      default: undefined,
+    },
+    // Ready-to-use srcset per format
+    srcset: {
+      webp: String,
+      avif: String,
+    },
+    // Public copy carries the brand logo (the original is kept privately)
+    watermarked: {
+      type: Boolean,
+      default: false,
+    },
+    // Placeholders shown while the image loads
+    blurhash: String,
+    lqip: String, // Tiny base64 WebP data URI
+    dominantColor: String, // #rrggbb
+    // Perceptual hash of the unwatermarked photo (duplicate photo detection)
+    phash: String,
+    // Indexed hash bands used to look up near matches (set from phash)
+    phashBands: {
+      type: [String],
+      default: undefined,
+    },
   },
   {
     _id: true,
   }
 );
 
+// Keep the hash bands in step with the hash (also fills them in for older images)
+imageSchema.pre("save", function (next) {
+  if (this.isModified("phash") || (this.phash && !this.phashBands)) {
+    this.phashBands = getHashBands(this.phash);
+  }
+  next();
+});
+
+// GeoJSON point used for map display and geospatial search ([lng, lat] order)
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: (value) =>
+          Array.isArray(value) &&
+          value.length === 2 &&
+          value[0] >= -180 &&
+          value[0] <= 180 &&
+          value[1] >= -90 &&
+          value[1] <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const locationSchema = new mongoose.Schema(
   {
     address: {
@@ -66,6 +146,10 @@ const locationSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    coordinates: {
+      type: pointSchema,
+      required: false,
+    },
   },
   {
     _id: false,
@@ -121,6 +205,36 @@ const detailsSchema = new mongoose.Schema(
   }
 );
 
+// Advertising permit details shown on public listings (required in PERMIT_REQUIRED_EMIRATES)
+const permitSchema = new mongoose.Schema(
+  {
+    // Advertising permit number (Trakheesi in Dubai)
+    number: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Office Registration Number of the brokerage
+    brokerOrn: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    // Broker Registration Number of the listing agent
+    agentBrn: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const propertySchema = new mongoose.Schema(
   {
     title: {
@@ -169,10 +283,24 @@ const propertySchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    permit: {
+      type: permitSchema,
+    },
+    // Off-plan / new development project the unit belongs to
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
     images: {
       type: [imageSchema],
       required: true,
     },
+    // Watermark photos (true / false); null follows the upload route default for each upload
+    watermark: {
+      type: Boolean,
+      default: null,
+    },
     featured: {
       type: Boolean,
       default: false,
@@ -187,6 +315,25 @@ const propertySchema = new mongoose.Schema(
       enum: PROPERTY_STATUS,
       required: false,
     },
+    // Scheduled launch: an approved draft goes live (available) at this time
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    // Live listings are archived at this time unless renewed (rentals get a default lifetime)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the listing was archived because it expired (renewing restores it)
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+    expiryReminderSentAt: {
+      type: Date,
+      default: null,
+    },
     listingType: {
       type: String,
       enum: LISTING_TYPES,
@@ -258,16 +405,38 @@ propertySchema.index({ featured: 1 });
 propertySchema.index({ createdAt: -1 });
 propertySchema.index({ approvalStatus: 1 });
 propertySchema.index({ createdBy: 1, approvalStatus: 1 });
+propertySchema.index({ status: 1, "permit.expiresAt": 1 });
+propertySchema.index({ project: 1, status: 1 });
+propertySchema.index({ status: 1, publishAt: 1 });
+propertySchema.index({ status: 1, expiresAt: 1 });
+propertySchema.index({ "images.phashBands": 1 });
 
-// Text search index
-propertySchema.index({
-  title: "text",
-  description: "text",
-  "location.address": "text",
-  "location.emirate": "text",
-  "location.area": "text",
-  "location.neighborhood": "text",
-});
+// Geospatial index for map search (near/radius, bounding box and clustering)
+propertySchema.index({ "location.coordinates": "2dsphere" });
+
+// Text search index (weighted so title matches rank above description matches)
+// Changing weights requires rebuilding the index: npm run sync-indexes
+propertySchema.index(
+  {
+    title: "text",
+    description: "text",
+    "location.address": "text",
+    "location.emirate": "text",
+    "location.area": "text",
+    "location.neighborhood": "text",
+  },
+  {
+    name: "PropertyTextIndex",
+    weights: {
+      title: 10,
+      "location.area": 5,
+      "location.neighborhood": 4,
+      "location.address": 3,
+      "location.emirate": 2,
+      description: 1,
+    },
+  }
+);
 
 // Convert spaces to hyphens in focusKeyword before saving
 propertySchema.pre("save", function (next) {
@@ -332,4 +501,74 @@ propertySchema.pre("save", function (next) {
   next();
 });
 
+// A new expiry date gets a new reminder
+propertySchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("expiresAt")) {
+    this.expiryReminderSentAt = null;
+  }
+  next();
+});
+
+// Remember the loaded values of tracked fields so changes can be recorded with their old value
+propertySchema.post("init", function () {
+  this.$locals.originalValues = {};
+  PROPERTY_HISTORY_FIELDS.forEach((field) => {
+    this.$locals.originalValues[field] = this.get(field);
+  });
+});
+
+// Collect price/status/approvalStatus changes before saving
+// The acting user is taken from $locals.changedBy if set, otherwise updatedBy/createdBy;
+// automatic changes set $locals.changedBy to null and explain themselves in $locals.historyNote
+propertySchema.pre("save", function (next) {
+  const changedBy =
+    this.$locals.changedBy !== undefined
+      ? this.$locals.changedBy
+      : this.isNew
+      ? this.createdBy
+      : this.updatedBy;
+  const originalValues = this.$locals.originalValues || {};
+
+  this.$locals.historyEntries = PROPERTY_HISTORY_FIELDS.filter(
+    (field) =>
+      this.get(field) !== undefined &&
+      (this.isNew || this.isModified(field)) &&
+      originalValues[field] !== this.get(field)
+  ).map((field) => ({
+    property: this._id,
+    field,
+    oldValue: this.isNew ? null : originalValues[field] ?? null,
+    newValue: this.get(field),
+    currency: field === "price" ? this.currency : undefined,
+    changedBy,
+    note:
+      field === "approvalStatus" && this.get(field) === "rejected"
+        ? this.rejectionReason
+        : this.$locals.historyNote,
+  }));
+
+  next();
+});
+
+// Record the collected changes once the save succeeded
+propertySchema.post("save", async function () {
+  const entries = this.$locals.historyEntries || [];
+  this.$locals.historyEntries = [];
+
+  // The saved values become the baseline for further saves of this document
+  this.$locals.originalValues = {};
+  PROPERTY_HISTORY_FIELDS.forEach((field) => {
+    this.$locals.originalValues[field] = this.get(field);
+  });
+
+  if (entries.length === 0) return;
+
+  try {
+    await PropertyHistory.insertMany(entries);
+  } catch (error) {
+    // History is informational - never fail the property save because of it
+    console.error(`❌ Failed to record history for property ${this._id}:`, error);
+  }
+});
+
 module.exports = mongoose.model("Property", propertySchema);
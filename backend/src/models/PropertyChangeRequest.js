@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const propertyChangeRequestSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    // Proposed field values, applied to the live property on approval
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Field-level diff against the live property at submission time
+    diff: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      default: [],
+    },
+    // Images uploaded with this change set (deleted if it is rejected or superseded)
+    addedImageIds: {
+      type: [String],
+      default: [],
+    },
+    source: {
+      type: String,
+      enum: ["edit", "restore"],
+      default: "edit",
+    },
+    // Revision number being restored (source "restore" only)
+    restoredFrom: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "superseded"],
+      default: "pending",
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Indexes for the approval queue and per-property lookups
+propertyChangeRequestSchema.index({ status: 1, submittedAt: -1 });
+propertyChangeRequestSchema.index({ property: 1, status: 1 });
+
+module.exports = mongoose.model(
+  "PropertyChangeRequest",
+  propertyChangeRequestSchema
+);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { PROPERTY_HISTORY_FIELDS } = require("../constants/propertyTypes");
+
+const propertyHistorySchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: PROPERTY_HISTORY_FIELDS,
+      required: true,
+    },
+    // null for the initial value recorded when the property is created
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Currency at the time of a price change
+    currency: {
+      type: String,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Optional context (e.g. rejection reason)
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// Indexes for the property timeline and price change lookups
+propertyHistorySchema.index({ property: 1, changedAt: -1 });
+propertyHistorySchema.index({ property: 1, field: 1, changedAt: -1 });
+
+module.exports = mongoose.model("PropertyHistory", propertyHistorySchema);
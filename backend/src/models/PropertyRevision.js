@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const propertyRevisionSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    // Sequential per property, starting at 1
+    revisionNumber: {
+      type: Number,
+      required: true,
+    },
+    // Complete property document at the time of the revision
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // What produced the revision
+    reason: {
+      type: String,
+      enum: ["create", "baseline", "update", "restore"],
+      default: "update",
+    },
+    // Top-level fields changed compared to the previous revision
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    // Revision number that was restored (reason "restore" only)
+    restoredFrom: {
+      type: Number,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// One revision number per property; newest revisions first
+propertyRevisionSchema.index(
+  { property: 1, revisionNumber: -1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("PropertyRevision", propertyRevisionSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * Generate a random URL-safe token for confirmation/unsubscribe links
+ * @returns {string} - 64 character hex token
+ */
+const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Search name cannot exceed 100 characters"],
+    },
+    // getProperties query parameters (whitelisted, e.g. { area: "JVC", bedrooms: "2", maxPrice: "1200000" })
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    frequency: {
+      type: String,
+      enum: {
+        values: ["instant", "daily"],
+        message: "Frequency must be one of: instant, daily",
+      },
+      default: "instant",
+    },
+    isConfirmed: {
+      type: Boolean,
+      default: false,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    unsubscribedAt: {
+      type: Date,
+      default: null,
+    },
+    confirmToken: {
+      type: String,
+      default: generateToken,
+      select: false,
+    },
+    unsubscribeToken: {
+      type: String,
+      default: generateToken,
+      select: false,
+    },
+    // Matches waiting for the next daily digest
+    pendingMatches: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Property",
+      },
+    ],
+    // Properties already sent to this subscriber (prevents repeat alerts on re-approval)
+    notifiedProperties: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Property",
+        },
+      ],
+      select: false,
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    alertsSent: {
+      type: Number,
+      default: 0,
+    },
+    // Anonymous visitor who created the alert (their favorites can be merged into alert emails)
+    visitorSession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VisitorSession",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for alert matching, token lookups and the admin view
+savedSearchSchema.index({ isActive: 1, isConfirmed: 1, frequency: 1 });
+savedSearchSchema.index({ email: 1 });
+savedSearchSchema.index({ confirmToken: 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 });
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
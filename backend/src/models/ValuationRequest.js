@@ -0,0 +1,186 @@
+const mongoose = require("mongoose");
+const {
+  EMIRATES,
+  PROPERTY_TYPES,
+  VALUATION_REQUEST_STATUS,
+} = require("../constants/propertyTypes");
+
+// Listing used for the automatic estimate (copied so the record survives listing edits)
+const comparableSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+    },
+    title: String,
+    slug: String,
+    listingType: String,
+    status: String,
+    propertyType: String,
+    area: String,
+    bedrooms: Number,
+    sizeSqft: Number,
+    price: Number, // Total price (annual rent for rentals)
+    pricePerSqft: Number,
+    listedAt: Date,
+  },
+  {
+    _id: false,
+  }
+);
+
+// Follow-up note added by staff
+const noteSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, "Note cannot exceed 2000 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: true,
+  }
+);
+
+const valuationRequestSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone is required"],
+      trim: true,
+      maxlength: [30, "Phone cannot exceed 30 characters"],
+    },
+    // Property status as entered on the form (e.g. vacant, tenanted, for sale)
+    propertyStatus: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Property status cannot exceed 50 characters"],
+    },
+    // Sale value or annual rent
+    purpose: {
+      type: String,
+      enum: ["sale", "rent"],
+      default: "sale",
+    },
+    propertyType: {
+      type: String,
+      enum: {
+        values: PROPERTY_TYPES,
+        message: `Property type must be one of: ${PROPERTY_TYPES.join(", ")}`,
+      },
+      required: [true, "Property type is required"],
+    },
+    emirate: {
+      type: String,
+      enum: {
+        values: EMIRATES,
+        message: `Emirate must be one of: ${EMIRATES.join(", ")}`,
+      },
+      required: [true, "Emirate is required"],
+    },
+    area: {
+      type: String,
+      trim: true,
+    },
+    bedrooms: {
+      type: Number,
+      min: [0, "Bedrooms cannot be negative"],
+    },
+    sizeSqft: {
+      type: Number,
+      min: [1, "Size must be greater than 0"],
+    },
+    expectedPrice: {
+      type: Number,
+      min: [0, "Expected price cannot be negative"],
+    },
+    images: [
+      {
+        url: String,
+        originalName: String,
+        _id: false,
+      },
+    ],
+    // Automatic estimate (null when there were not enough comparables)
+    estimate: {
+      low: Number,
+      mid: Number,
+      high: Number,
+      pricePerSqft: Number,
+      currency: {
+        type: String,
+        default: "AED",
+      },
+      confidence: {
+        type: String,
+        enum: ["high", "medium", "low"],
+      },
+      comparableCount: Number,
+      matchedOn: [String],
+      reason: String, // Why no estimate could be made
+    },
+    comparables: {
+      type: [comparableSchema],
+      default: [],
+    },
+    // Admin follow-up queue
+    status: {
+      type: String,
+      enum: VALUATION_REQUEST_STATUS,
+      default: VALUATION_REQUEST_STATUS[0],
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    notes: {
+      type: [noteSchema],
+      default: [],
+    },
+    estimateEmailedAt: {
+      type: Date,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for the admin queue
+valuationRequestSchema.index({ status: 1, createdAt: -1 });
+valuationRequestSchema.index({ assignedTo: 1, status: 1 });
+valuationRequestSchema.index({ email: 1 });
+
+module.exports = mongoose.model("ValuationRequest", valuationRequestSchema);
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { VIEWING_STATUS } = require("../constants/propertyTypes");
+
+const viewingSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      default: null,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone is required"],
+      trim: true,
+      maxlength: [30, "Phone cannot exceed 30 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    status: {
+      type: String,
+      enum: VIEWING_STATUS,
+      default: VIEWING_STATUS[0],
+    },
+    cancelledBy: {
+      type: String,
+      enum: ["visitor", "agent", null],
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Calendar invite revision (ICS SEQUENCE), bumped on every reschedule/cancellation
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// An agent cannot have two confirmed viewings starting at the same time
+viewingSchema.index(
+  { agent: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: "confirmed" } }
+);
+// Calendar and per-property views
+viewingSchema.index({ agent: 1, status: 1, start: 1 });
+viewingSchema.index({ property: 1, start: 1 });
+
+module.exports = mongoose.model("Viewing", viewingSchema);
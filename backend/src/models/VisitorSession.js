@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Anonymous sessions are removed after this long without activity
+const SESSION_TTL_DAYS = 180;
+
+/**
+ * Hash a visitor token (only the hash is stored, so a database leak exposes no usable tokens)
+ * @param {string} token - Opaque visitor token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Shortlisted listing
+const favoriteSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Property",
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Named set of listings compared side by side
+const compareSetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+      default: "Comparison",
+    },
+    properties: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Property",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const visitorSessionSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    favorites: {
+      type: [favoriteSchema],
+      default: [],
+    },
+    compareSets: {
+      type: [compareSetSchema],
+      default: [],
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expire inactive sessions
+visitorSessionSchema.index(
+  { lastSeenAt: 1 },
+  { expireAfterSeconds: SESSION_TTL_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Create a session and its opaque token (returned once, never stored in clear)
+ * @returns {Promise<Object>} - { session, token }
+ */
+visitorSessionSchema.statics.createWithToken = async function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const session = await this.create({ tokenHash: hashToken(token) });
+  return { session, token };
+};
+
+/**
+ * Find the session of a token
+ * @param {string} token - Opaque visitor token
+ * @returns {Promise<Object|null>} - Session or null
+ */
+visitorSessionSchema.statics.findByToken = function (token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(String(token))) return Promise.resolve(null);
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model("VisitorSession", visitorSessionSchema);
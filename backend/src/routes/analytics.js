@@ -0,0 +1,59 @@
+/**
+ * Analytics Routes
+ * Listing engagement dashboards per property and per agent, public phone-reveal event
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  recordPhoneReveal,
+  getPropertyAnalytics,
+  getAgentAnalytics,
+} = require("../controllers/analyticsController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const { checkPermission } = require("../middleware/acl");
+const { optionalVisitorSession } = require("../middleware/visitorSession");
+
+/**
+ * @route   POST /api/analytics/properties/:id/phone-reveal
+ * @desc    Record a click on "show phone number" for a listing
+ * @access  Public
+ */
+router.post(
+  "/properties/:id/phone-reveal",
+  optionalAuth,
+  optionalVisitorSession,
+  checkPermission("properties", "Read"),
+  recordPhoneReveal
+);
+
+/**
+ * @route   GET /api/analytics/properties/:id
+ * @desc    Daily views, inquiries, favorites and phone reveals of a listing with conversion rates
+ * @access  Admin (own listings) / SuperAdmin
+ */
+router.get(
+  "/properties/:id",
+  auth,
+  checkPermission("analytics", "Read"),
+  getPropertyAnalytics
+);
+
+/**
+ * @route   GET /api/analytics/agents/:agentId
+ * @desc    Engagement across an agent's listings with a per-listing breakdown ("me" for yourself)
+ * @access  Admin (own listings) / SuperAdmin
+ */
+router.get(
+  "/agents/:agentId",
+  auth,
+  checkPermission("analytics", "Read"),
+  getAgentAnalytics
+);
+
+module.exports = router;
@@ -19,6 +19,7 @@ const { checkPermission } = require("../middleware/acl");
 const {
   parseMultipartData,
   processValidatedImages,
+  setUploadWatermark,
 } = require("../middleware/imageUpload");
 const {
   // Re-enabled validation middleware for blog creation
@@ -83,6 +84,7 @@ router.post(
   parseEnhancedFormData,
   validateFocusKeywordUniqueness,
   createBlogValidation,
+  setUploadWatermark(false), // Editorial images are not watermarked
   processValidatedImages,
   createBlogWithImages
 );
@@ -121,6 +123,7 @@ router.put(
   parseEnhancedFormData,
   validateFocusKeywordUniqueness,
   updateBlogValidation,
+  setUploadWatermark(false), // Editorial images are not watermarked
   processValidatedImages,
   updateBlog
 );
@@ -0,0 +1,84 @@
+/**
+ * Developer Routes
+ * Public developer pages, admin management and SuperAdmin approval
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getDevelopers,
+  getDeveloper,
+  createDeveloper,
+  updateDeveloper,
+  deleteDeveloper,
+  approveDeveloper,
+  rejectDeveloper,
+} = require("../controllers/developerController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/developers
+ * @desc    Get developers with filtering and pagination
+ * @access  Public (visitors see approved only) / Admin (also sees own)
+ */
+router.get("/", optionalAuth, checkPermission("developers", "Read"), getDevelopers);
+
+/**
+ * @route   POST /api/developers
+ * @desc    Create developer (admin entries need approval)
+ * @access  Admin only
+ */
+router.post("/", auth, checkPermission("developers", "Create"), createDeveloper);
+
+/**
+ * @route   PATCH /api/developers/:id/approve
+ * @desc    Approve a pending developer
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/:id/approve",
+  auth,
+  checkPermission("developers", "Approve"),
+  approveDeveloper
+);
+
+/**
+ * @route   PATCH /api/developers/:id/reject
+ * @desc    Reject a pending developer
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/:id/reject",
+  auth,
+  checkPermission("developers", "Approve"),
+  rejectDeveloper
+);
+
+router
+  .route("/:id")
+  /**
+   * @route   GET /api/developers/:id
+   * @desc    Developer page by ID or slug (with its projects)
+   * @access  Public (visitors see approved only) / Admin (also sees own)
+   */
+  .get(optionalAuth, checkPermission("developers", "Read"), getDeveloper)
+  /**
+   * @route   PUT /api/developers/:id
+   * @desc    Update developer
+   * @access  Admin (own) / SuperAdmin
+   */
+  .put(auth, checkPermission("developers", "Update"), updateDeveloper)
+  /**
+   * @route   DELETE /api/developers/:id
+   * @desc    Delete developer
+   * @access  Admin (own) / SuperAdmin
+   */
+  .delete(auth, checkPermission("developers", "Delete"), deleteDeveloper);
+
+module.exports = router;
@@ -5,7 +5,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { sendContactEmail, sendInstantValuationEmail, sendPropertyInquiryEmail } = require('../controllers/emailController');
+const { sendContactEmail, sendPropertyInquiryEmail } = require('../controllers/emailController');
+const { createValuationRequest } = require('../controllers/valuationController');
+const { valuationLimiter } = require('../middleware/rateLimiter');
 
 /**
  * @route   POST /api/email/contact
@@ -23,9 +25,9 @@ router.post('/property-inquiry', sendPropertyInquiryEmail);
 
 /**
  * @route   POST /api/email/instant-valuation
- * @desc    Send instant valuation email
+ * @desc    Request an instant valuation (kept for existing forms, same as POST /api/valuations)
  * @access  Public
  */
-router.post('/instant-valuation', sendInstantValuationEmail);
+router.post('/instant-valuation', valuationLimiter, createValuationRequest);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Inquiry Routing Routes
+ * Fallback rules for inquiries about listings whose owner has been deactivated
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+} = require("../controllers/inquiryRoutingController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/inquiry-routing
+ * @desc    Get fallback routing rules
+ * @access  SuperAdmin only
+ */
+router.get("/", auth, checkPermission("inquiryRouting", "Read"), getRoutingRules);
+
+/**
+ * @route   POST /api/inquiry-routing
+ * @desc    Create a fallback routing rule (emirate and/or listingType -> agent)
+ * @access  SuperAdmin only
+ */
+router.post("/", auth, checkPermission("inquiryRouting", "Create"), createRoutingRule);
+
+/**
+ * @route   PUT /api/inquiry-routing/:id
+ * @desc    Update a fallback routing rule
+ * @access  SuperAdmin only
+ */
+router.put("/:id", auth, checkPermission("inquiryRouting", "Update"), updateRoutingRule);
+
+/**
+ * @route   DELETE /api/inquiry-routing/:id
+ * @desc    Delete a fallback routing rule
+ * @access  SuperAdmin only
+ */
+router.delete(
+  "/:id",
+  auth,
+  checkPermission("inquiryRouting", "Delete"),
+  deleteRoutingRule
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * Lead Routes
+ * CRM pipeline for website inquiries (admins see their assigned leads, SuperAdmin sees all)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getLeads,
+  getLead,
+  createLead,
+  updateLead,
+  deleteLead,
+} = require("../controllers/leadController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/leads
+ * @desc    Get leads with filtering, pagination and pipeline counts
+ * @access  Admin (assigned leads) / SuperAdmin (all leads)
+ */
+router.get("/", auth, checkPermission("leads", "Read"), getLeads);
+
+/**
+ * @route   POST /api/leads
+ * @desc    Create a lead manually (phone or walk-in inquiry)
+ * @access  Admin/SuperAdmin
+ */
+router.post("/", auth, checkPermission("leads", "Create"), createLead);
+
+/**
+ * @route   GET /api/leads/:id
+ * @desc    Get a lead with notes and stage history
+ * @access  Admin (assigned leads) / SuperAdmin (all leads)
+ */
+router.get("/:id", auth, checkPermission("leads", "Read"), getLead);
+
+/**
+ * @route   PATCH /api/leads/:id
+ * @desc    Update stage, follow-up reminder or assignment, or add a note
+ * @access  Admin (assigned leads) / SuperAdmin (all leads)
+ */
+router.patch("/:id", auth, checkPermission("leads", "Update"), updateLead);
+
+/**
+ * @route   DELETE /api/leads/:id
+ * @desc    Delete a lead
+ * @access  SuperAdmin only
+ */
+router.delete("/:id", auth, checkPermission("leads", "Delete"), deleteLead);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Portal Feed Routes
+ * Syndication feed management (SuperAdmin) and the token-protected XML feeds (portals)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getPortalFeeds,
+  getPortalFeed,
+  createPortalFeed,
+  updatePortalFeed,
+  regeneratePortalFeedToken,
+  deletePortalFeed,
+  getPortalFeedXml,
+} = require("../controllers/portalFeedController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/portal-feeds/:id/feed.xml
+ * @desc    Portal XML feed of approved, available listings (?token= required)
+ * @access  Public (feed token)
+ */
+router.get("/:id/feed.xml", getPortalFeedXml);
+
+/**
+ * @route   GET /api/portal-feeds
+ * @desc    Get all portal feeds with their URLs
+ * @access  SuperAdmin only
+ */
+router.get("/", auth, checkPermission("portalFeeds", "Read"), getPortalFeeds);
+
+/**
+ * @route   POST /api/portal-feeds
+ * @desc    Create a portal feed (starts with the portal's default mappings)
+ * @access  SuperAdmin only
+ */
+router.post(
+  "/",
+  auth,
+  checkPermission("portalFeeds", "Create"),
+  createPortalFeed
+);
+
+/**
+ * @route   POST /api/portal-feeds/:id/token
+ * @desc    Regenerate the feed access token
+ * @access  SuperAdmin only
+ */
+router.post(
+  "/:id/token",
+  auth,
+  checkPermission("portalFeeds", "Update"),
+  regeneratePortalFeedToken
+);
+
+router
+  .route("/:id")
+  /**
+   * @route   GET /api/portal-feeds/:id
+   * @desc    Get a portal feed
+   * @access  SuperAdmin only
+   */
+  .get(auth, checkPermission("portalFeeds", "Read"), getPortalFeed)
+  /**
+   * @route   PUT /api/portal-feeds/:id
+   * @desc    Update feed name, status or mappings
+   * @access  SuperAdmin only
+   */
+  .put(auth, checkPermission("portalFeeds", "Update"), updatePortalFeed)
+  /**
+   * @route   DELETE /api/portal-feeds/:id
+   * @desc    Delete a portal feed
+   * @access  SuperAdmin only
+   */
+  .delete(auth, checkPermission("portalFeeds", "Delete"), deletePortalFeed);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Project Routes
+ * Public project pages, admin management and SuperAdmin approval
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  approveProject,
+  rejectProject,
+} = require("../controllers/projectController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get projects with filtering and pagination
+ * @access  Public (visitors see approved only) / Admin (also sees own)
+ */
+router.get("/", optionalAuth, checkPermission("projects", "Read"), getProjects);
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create project (admin entries need approval)
+ * @access  Admin only
+ */
+router.post("/", auth, checkPermission("projects", "Create"), createProject);
+
+/**
+ * @route   PATCH /api/projects/:id/approve
+ * @desc    Approve a pending project
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/:id/approve",
+  auth,
+  checkPermission("projects", "Approve"),
+  approveProject
+);
+
+/**
+ * @route   PATCH /api/projects/:id/reject
+ * @desc    Reject a pending project
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/:id/reject",
+  auth,
+  checkPermission("projects", "Approve"),
+  rejectProject
+);
+
+router
+  .route("/:id")
+  /**
+   * @route   GET /api/projects/:id
+   * @desc    Project page by ID or slug (payment plan and available units)
+   * @access  Public (visitors see approved only) / Admin (also sees own)
+   */
+  .get(optionalAuth, checkPermission("projects", "Read"), getProject)
+  /**
+   * @route   PUT /api/projects/:id
+   * @desc    Update project
+   * @access  Admin (own) / SuperAdmin
+   */
+  .put(auth, checkPermission("projects", "Update"), updateProject)
+  /**
+   * @route   DELETE /api/projects/:id
+   * @desc    Delete project
+   * @access  Admin (own) / SuperAdmin
+   */
+  .delete(auth, checkPermission("projects", "Delete"), deleteProject);
+
+module.exports = router;
@@ -5,24 +5,39 @@ const {
   getAmenitiesForPropertyType,
   getAvailablePropertyTypes,
   getProperties,
+  getPropertyClusters,
   getProperty,
+  getPropertyHistory,
+  getPropertyFinancials,
+  getSimilarProperties,
+  compareProperties,
   createPropertyWithImages,
   updateProperty,
+  getPropertyRevisions,
+  getPropertyRevisionDiff,
+  restorePropertyRevision,
+  renewProperty,
+  getRenewLink,
+  renewPropertyFromLink,
   deleteProperty,
   deletePropertyImage,
   setMainPropertyImage,
 } = require("../controllers/propertiesController");
+const { importProperties } = require("../controllers/propertyImportController");
 
 // Import middleware
 const { auth } = require("../middleware/auth");
 const optionalAuth = require("../middleware/optionalAuth");
 const { checkPermission } = require("../middleware/acl");
+const { optionalVisitorSession } = require("../middleware/visitorSession");
 const {
   handlePropertyImageUpload,
   handleSmartCompressedImageUpload,
   optionalImages,
   parseMultipartData,
+  parseImportUpload,
   processValidatedImages,
+  checkDuplicateImages,
 } = require("../middleware/imageUpload");
 const {
   // Validation middleware removed - backend validations disabled
@@ -81,6 +96,68 @@ router.put(
   setMainPropertyImage
 );
 
+/**
+ * @route   GET /api/properties/:id/revisions
+ * @desc    List revisions of a property
+ * @access  Admin only (own properties) / SuperAdmin
+ */
+router.get(
+  "/:id/revisions",
+  auth,
+  checkPermission("properties", "Update"),
+  getPropertyRevisions
+);
+
+/**
+ * @route   GET /api/properties/:id/revisions/diff
+ * @desc    Field-level diff between two revisions (?from=1&to=3, to defaults to current)
+ * @access  Admin only (own properties) / SuperAdmin
+ */
+router.get(
+  "/:id/revisions/diff",
+  auth,
+  checkPermission("properties", "Update"),
+  getPropertyRevisionDiff
+);
+
+/**
+ * @route   POST /api/properties/:id/revisions/:revisionNumber/restore
+ * @desc    Restore a revision (goes through the approval flow like a normal edit)
+ * @access  Admin only (own properties) / SuperAdmin
+ */
+router.post(
+  "/:id/revisions/:revisionNumber/restore",
+  auth,
+  checkPermission("properties", "Update"),
+  restorePropertyRevision
+);
+
+/**
+ * @route   GET /api/properties/renew/:token
+ * @desc    Listing behind a renew link from expiry reminder/expired emails (confirmation page)
+ * @access  Public (signed link)
+ */
+router.get("/renew/:token", getRenewLink);
+
+/**
+ * @route   POST /api/properties/renew/:token
+ * @desc    Renew the listing behind a renew link once the owner confirms
+ * @access  Public (signed link)
+ */
+router.post("/renew/:token", renewPropertyFromLink);
+
+/**
+ * @route   POST /api/properties/:id/renew
+ * @desc    Extend a listing's expiry date (expired listings go back to their previous status)
+ * @access  Admin only (own properties) / SuperAdmin
+ */
+router.post(
+  "/:id/renew",
+  auth,
+  checkPermission("properties", "Update"),
+  renewProperty
+);
+
 /**
  * @route   GET /api/properties
  * @desc    Get all properties with filtering and pagination
@@ -94,6 +171,67 @@ router.get(
   getProperties
 );
 
+/**
+ * @route   GET /api/properties/map/clusters
+ * @desc    Get grid clusters of properties for a map zoom level (accepts the same filters as GET /)
+ * @access  Public (visitors see published only) / Admin (sees all)
+ */
+router.get(
+  "/map/clusters",
+  optionalAuth,
+  checkPermission("properties", "Read"),
+  getPropertyClusters
+);
+
+/**
+ * @route   GET /api/properties/compare
+ * @desc    Compare 2-4 properties side by side (?ids=a,b,c): price, price per sqft, details,
+ *          amenities and location
+ * @access  Public (visitors see published only) / Admin (sees all)
+ */
+router.get(
+  "/compare",
+  optionalAuth,
+  checkPermission("properties", "Read"),
+  compareProperties
+);
+
+/**
+ * @route   GET /api/properties/:id/history
+ * @desc    Get price and status history of a property (public view omits approval changes and actors)
+ * @access  Public (visitors see published only) / Admin (sees all)
+ */
+router.get(
+  "/:id/history",
+  optionalAuth,
+  checkPermission("properties", "Read"),
+  getPropertyHistory
+);
+
+/**
+ * @route   GET /api/properties/:id/financials
+ * @desc    Mortgage (UAE loan-to-value caps), purchase costs and rental yield estimates
+ * @access  Public (visitors see published only) / Admin (sees all)
+ */
+router.get(
+  "/:id/financials",
+  optionalAuth,
+  checkPermission("properties", "Read"),
+  getPropertyFinancials
+);
+
+/**
+ * @route   GET /api/properties/:id/similar
+ * @desc    "You may also like" listings with a match explanation (?limit=, cached until a listing changes)
+ * @access  Public (visitors see published only) / Admin (sees all)
+ */
+router.get(
+  "/:id/similar",
+  optionalAuth,
+  checkPermission("properties", "Read"),
+  getSimilarProperties
+);
+
 /**
  * @route   POST /api/properties
  * @desc    Create property with file uploads (handles both form data and images)
@@ -108,18 +246,34 @@ router.post(
   validateFocusKeywordUniqueness,
   // createPropertyWithImagesValidation, // Validation disabled
   processValidatedImages,
+  checkDuplicateImages,
   createPropertyWithImages
 );
 
+/**
+ * @route   POST /api/properties/import
+ * @desc    Bulk import properties from a CSV/XLSX file ("file") and a zip of images ("images")
+ *          Rows become drafts or pending-approval listings owned by the importer; ?dryRun=true only validates
+ * @access  Admin only
+ */
+router.post(
+  "/import",
+  auth,
+  checkPermission("properties", "Create"),
+  parseImportUpload,
+  importProperties
+);
+
 router
   .route("/:id")
   /**
    * @route   GET /api/properties/:id
-   * @desc    Get single property by ID or slug
+   * @desc    Get single property by ID or slug (visitor requests count as a listing view)
    * @access  Public (visitors see published only) / Admin (sees all)
    */
   .get(
     optionalAuth,
+    optionalVisitorSession,
     checkPermission("properties", "Read"),
     // singlePropertyValidation, // Validation disabled
     getProperty
@@ -137,6 +291,7 @@ router
     validateFocusKeywordUniqueness,
     // updatePropertyValidation, // Validation disabled
     processValidatedImages,
+    checkDuplicateImages,
     updateProperty
   )
   /**
@@ -11,7 +11,11 @@ const {
   getPendingProperties,
   approveProperty,
   rejectProperty,
+  getPropertyChangeRequest,
+  approvePropertyChanges,
+  rejectPropertyChanges,
   getApprovalStats,
+  getDuplicateImageReport,
 } = require("../controllers/propertyApprovalController");
 
 // Import middleware
@@ -19,6 +23,7 @@ const { auth } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/acl");
 const {
   validatePropertyId,
+  validateChangeRequestId,
   validateRejection,
 } = require("../middleware/validation");
 
@@ -46,6 +51,58 @@ router.get(
   getApprovalStats
 );
 
+/**
+ * @route   GET /api/property-approval/duplicate-images
+ * @desc    Get photos used on more than one property (near-identical photos grouped)
+ * @access  SuperAdmin only
+ */
+router.get(
+  "/duplicate-images",
+  auth,
+  checkPermission("properties", "Approve"),
+  getDuplicateImageReport
+);
+
+/**
+ * @route   GET /api/property-approval/changes/:id
+ * @desc    Get a pending change set for an approved property with its diff
+ * @access  SuperAdmin only
+ */
+router.get(
+  "/changes/:id",
+  auth,
+  checkPermission("properties", "Approve"),
+  validateChangeRequestId,
+  getPropertyChangeRequest
+);
+
+/**
+ * @route   PATCH /api/property-approval/changes/:id/approve
+ * @desc    Approve a change set and merge it into the live property
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/changes/:id/approve",
+  auth,
+  checkPermission("properties", "Approve"),
+  validateChangeRequestId,
+  approvePropertyChanges
+);
+
+/**
+ * @route   PATCH /api/property-approval/changes/:id/reject
+ * @desc    Reject a change set (the live property is unchanged)
+ * @access  SuperAdmin only
+ */
+router.patch(
+  "/changes/:id/reject",
+  auth,
+  checkPermission("properties", "Approve"),
+  validateChangeRequestId,
+  validateRejection,
+  rejectPropertyChanges
+);
+
 /**
  * @route   PATCH /api/property-approval/:id/approve
  * @desc    Approve a property
@@ -0,0 +1,86 @@
+/**
+ * Saved Search Routes
+ * Property alerts for visitors (public) and alert management (SuperAdmin)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  createSavedSearch,
+  getSavedSearchConfirmLink,
+  confirmSavedSearch,
+  getSavedSearchUnsubscribeLink,
+  unsubscribeSavedSearch,
+  getSavedSearches,
+  deleteSavedSearch,
+} = require("../controllers/savedSearchController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+const { savedSearchLimiter } = require("../middleware/rateLimiter");
+const { optionalVisitorSession } = require("../middleware/visitorSession");
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a property search and subscribe to new-listing alerts
+ *          (linked to the visitor session when an X-Visitor-Token header is sent)
+ * @access  Public
+ */
+router.post("/", savedSearchLimiter, optionalVisitorSession, createSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/confirm/:token
+ * @desc    Saved search behind a confirmation email link (confirmation page)
+ * @access  Public
+ */
+router.get("/confirm/:token", getSavedSearchConfirmLink);
+
+/**
+ * @route   POST /api/saved-searches/confirm/:token
+ * @desc    Confirm a saved search once the visitor confirms the link
+ * @access  Public
+ */
+router.post("/confirm/:token", confirmSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/unsubscribe/:token
+ * @desc    Saved search behind an unsubscribe link from alert emails (confirmation page)
+ * @access  Public
+ */
+router.get("/unsubscribe/:token", getSavedSearchUnsubscribeLink);
+
+/**
+ * @route   POST /api/saved-searches/unsubscribe/:token
+ * @desc    Unsubscribe from a saved search once the visitor confirms the link
+ * @access  Public
+ */
+router.post("/unsubscribe/:token", unsubscribeSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get saved searches and alert statistics
+ * @access  SuperAdmin only
+ */
+router.get(
+  "/",
+  auth,
+  checkPermission("savedSearches", "Read"),
+  getSavedSearches
+);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  SuperAdmin only
+ */
+router.delete(
+  "/:id",
+  auth,
+  checkPermission("savedSearches", "Delete"),
+  deleteSavedSearch
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Storage Routes (SuperAdmin Only)
+ * Reconciliation of uploaded files with the records that reference them
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getStorageReport,
+  runStorageReconciliation,
+} = require("../controllers/storageController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+
+/**
+ * @route   GET /api/storage/reconciliation
+ * @desc    Orphaned files, dangling references and quarantine contents (no files are changed)
+ * @access  SuperAdmin only
+ */
+router.get(
+  "/reconciliation",
+  auth,
+  checkPermission("storage", "Read"),
+  getStorageReport
+);
+
+/**
+ * @route   POST /api/storage/reconciliation
+ * @desc    Reconcile storage now (body.mode: report, quarantine or delete)
+ * @access  SuperAdmin only
+ */
+router.post(
+  "/reconciliation",
+  auth,
+  checkPermission("storage", "Update"),
+  runStorageReconciliation
+);
+
+module.exports = router;
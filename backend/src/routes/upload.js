@@ -61,6 +61,12 @@ router.post(
           format: image.format,
           width: image.width,
           height: image.height,
+          variants: image.variants,
+          srcset: image.srcset,
+          blurhash: image.blurhash,
+          lqip: image.lqip,
+          dominantColor: image.dominantColor,
+          phash: image.phash,
           compressed: image.compressionApplied,
           quality: image.quality,
           compressionApplied: image.compressionApplied,
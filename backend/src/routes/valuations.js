@@ -0,0 +1,68 @@
+/**
+ * Valuation Routes
+ * Public instant valuation requests and the admin follow-up queue
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  createValuationRequest,
+  getValuationRequests,
+  getValuationRequest,
+  updateValuationRequest,
+  deleteValuationRequest,
+} = require("../controllers/valuationController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+const { valuationLimiter } = require("../middleware/rateLimiter");
+
+/**
+ * @route   POST /api/valuations
+ * @desc    Request an instant valuation (returns and emails the automatic estimate)
+ * @access  Public
+ */
+router.post("/", valuationLimiter, createValuationRequest);
+
+/**
+ * @route   GET /api/valuations
+ * @desc    Get the valuation request queue
+ * @access  Admin/SuperAdmin
+ */
+router.get("/", auth, checkPermission("valuations", "Read"), getValuationRequests);
+
+/**
+ * @route   GET /api/valuations/:id
+ * @desc    Get a valuation request with its comparables and notes
+ * @access  Admin/SuperAdmin
+ */
+router.get("/:id", auth, checkPermission("valuations", "Read"), getValuationRequest);
+
+/**
+ * @route   PATCH /api/valuations/:id
+ * @desc    Update status/assignee or add a follow-up note
+ * @access  Admin/SuperAdmin
+ */
+router.patch(
+  "/:id",
+  auth,
+  checkPermission("valuations", "Update"),
+  updateValuationRequest
+);
+
+/**
+ * @route   DELETE /api/valuations/:id
+ * @desc    Delete a valuation request
+ * @access  SuperAdmin only
+ */
+router.delete(
+  "/:id",
+  auth,
+  checkPermission("valuations", "Delete"),
+  deleteValuationRequest
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * Viewing Routes
+ * Public slot booking and signed manage links, agent availability and calendar
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  getPropertySlots,
+  createViewing,
+  getManagedViewing,
+  rescheduleViewing,
+  cancelViewing,
+  getAvailability,
+  updateAvailability,
+  getViewingCalendar,
+  updateViewingStatus,
+} = require("../controllers/viewingController");
+
+// Import middleware
+const { auth } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/acl");
+const { viewingLimiter } = require("../middleware/rateLimiter");
+
+/**
+ * @route   GET /api/viewings/properties/:propertyId/slots
+ * @desc    Get free viewing slots for a listing (?from=&days=)
+ * @access  Public
+ */
+router.get("/properties/:propertyId/slots", getPropertySlots);
+
+/**
+ * @route   POST /api/viewings
+ * @desc    Book a viewing slot (confirmation emails with .ics invites)
+ * @access  Public
+ */
+router.post("/", viewingLimiter, createViewing);
+
+/**
+ * @route   GET /api/viewings/manage/:token
+ * @desc    Get a viewing from its reschedule/cancel link
+ * @access  Public (signed token)
+ */
+router.get("/manage/:token", getManagedViewing);
+
+/**
+ * @route   PATCH /api/viewings/manage/:token/reschedule
+ * @desc    Move a viewing to another free slot
+ * @access  Public (signed token)
+ */
+router.patch("/manage/:token/reschedule", viewingLimiter, rescheduleViewing);
+
+/**
+ * @route   PATCH /api/viewings/manage/:token/cancel
+ * @desc    Cancel a viewing
+ * @access  Public (signed token)
+ */
+router.patch("/manage/:token/cancel", viewingLimiter, cancelViewing);
+
+/**
+ * @route   GET /api/viewings/availability
+ * @desc    Get weekly hours and blackout dates (SuperAdmin: ?agent=)
+ * @access  Admin/SuperAdmin
+ */
+router.get("/availability", auth, checkPermission("viewings", "Read"), getAvailability);
+
+/**
+ * @route   PUT /api/viewings/availability
+ * @desc    Set weekly hours, blackout dates and booking settings (SuperAdmin: ?agent=)
+ * @access  Admin/SuperAdmin
+ */
+router.put(
+  "/availability",
+  auth,
+  checkPermission("viewings", "Update"),
+  updateAvailability
+);
+
+/**
+ * @route   GET /api/viewings/calendar
+ * @desc    Get upcoming viewings per agent (?from=&to=&agent=&status=)
+ * @access  Admin (own viewings) / SuperAdmin (all agents)
+ */
+router.get("/calendar", auth, checkPermission("viewings", "Read"), getViewingCalendar);
+
+/**
+ * @route   PATCH /api/viewings/:id/status
+ * @desc    Mark a viewing completed/no-show or cancel it as the agent
+ * @access  Admin (own viewings) / SuperAdmin
+ */
+router.patch(
+  "/:id/status",
+  auth,
+  checkPermission("viewings", "Update"),
+  updateViewingStatus
+);
+
+module.exports = router;
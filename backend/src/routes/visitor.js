@@ -0,0 +1,97 @@
+/**
+ * Visitor Routes
+ * Anonymous visitor sessions with favorites and comparison sets (X-Visitor-Token header)
+ */
+
+const express = require("express");
+const router = express.Router();
+
+// Import controllers
+const {
+  createVisitorSession,
+  getVisitorSession,
+  deleteVisitorSession,
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  getCompareSets,
+  createCompareSet,
+  updateCompareSet,
+  deleteCompareSet,
+} = require("../controllers/visitorController");
+
+// Import middleware
+const { visitorSession } = require("../middleware/visitorSession");
+const { visitorSessionLimiter } = require("../middleware/rateLimiter");
+
+/**
+ * @route   POST /api/visitor/session
+ * @desc    Create an anonymous visitor session (returns the token once)
+ * @access  Public
+ */
+router.post("/session", visitorSessionLimiter, createVisitorSession);
+
+/**
+ * @route   GET /api/visitor/session
+ * @desc    Get the current visitor session
+ * @access  Public (visitor token)
+ */
+router.get("/session", visitorSession, getVisitorSession);
+
+/**
+ * @route   DELETE /api/visitor/session
+ * @desc    Delete the visitor session with its favorites and comparison sets
+ * @access  Public (visitor token)
+ */
+router.delete("/session", visitorSession, deleteVisitorSession);
+
+/**
+ * @route   GET /api/visitor/favorites
+ * @desc    Get favorite listings
+ * @access  Public (visitor token)
+ */
+router.get("/favorites", visitorSession, getFavorites);
+
+/**
+ * @route   POST /api/visitor/favorites/:propertyId
+ * @desc    Add a listing to favorites
+ * @access  Public (visitor token)
+ */
+router.post("/favorites/:propertyId", visitorSession, addFavorite);
+
+/**
+ * @route   DELETE /api/visitor/favorites/:propertyId
+ * @desc    Remove a listing from favorites
+ * @access  Public (visitor token)
+ */
+router.delete("/favorites/:propertyId", visitorSession, removeFavorite);
+
+/**
+ * @route   GET /api/visitor/compare-sets
+ * @desc    Get comparison sets with their side-by-side tables
+ * @access  Public (visitor token)
+ */
+router.get("/compare-sets", visitorSession, getCompareSets);
+
+/**
+ * @route   POST /api/visitor/compare-sets
+ * @desc    Create a comparison set ({ name, propertyIds })
+ * @access  Public (visitor token)
+ */
+router.post("/compare-sets", visitorSession, createCompareSet);
+
+/**
+ * @route   PUT /api/visitor/compare-sets/:setId
+ * @desc    Rename a comparison set or replace its listings
+ * @access  Public (visitor token)
+ */
+router.put("/compare-sets/:setId", visitorSession, updateCompareSet);
+
+/**
+ * @route   DELETE /api/visitor/compare-sets/:setId
+ * @desc    Delete a comparison set
+ * @access  Public (visitor token)
+ */
+router.delete("/compare-sets/:setId", visitorSession, deleteCompareSet);
+
+module.exports = router;
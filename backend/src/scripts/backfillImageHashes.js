@@ -0,0 +1,128 @@
+/**
+ * Script to compute perceptual hashes (duplicate photo detection) for existing property images
+ * Hashes the private unwatermarked original where one exists, otherwise the public file in the
+ * uploads folder, for images that have no hash yet (--force recomputes all of them). Images hashed
+ * before hash bands were indexed get their bands without being read again
+ */
+
+require("dotenv").config({ path: "./backend/.env" });
+const mongoose = require("mongoose");
+const fs = require("fs").promises;
+const path = require("path");
+const Property = require("../models/Property");
+const { getPerceptualHash } = require("../config/imageProcessor");
+const { getHashBands } = require("../utils/imageHashes");
+const { getUploadDir, readOriginalImage } = require("../utils/imageFiles");
+
+const force = process.argv.includes("--force");
+
+/**
+ * Read the unwatermarked original of an image, falling back to its public file
+ * @param {Object} image - Image subdocument (publicId and/or url)
+ * @returns {Promise<Buffer|null>} - File contents, null if no file is found
+ */
+const readImageFile = async (image) => {
+  if (image.publicId) {
+    const original = await readOriginalImage(image.publicId);
+    if (original) return original;
+  }
+
+  const uploadDir = getUploadDir();
+  const candidates = [
+    image.publicId,
+    image.publicId && `${image.publicId}.webp`,
+    image.url && path.posix.basename(image.url.split("?")[0]),
+  ].filter(Boolean);
+
+  for (const filename of candidates) {
+    try {
+      return await fs.readFile(path.join(uploadDir, path.basename(filename)));
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+};
+
+const backfillImageHashes = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.DATABASE.replace("<PASSWORD>", process.env.DATABASE_PASSWORD)
+    );
+    console.log("Connected to database");
+    console.log(`Reading images from ${getUploadDir()}`);
+
+    const counts = { updated: 0, banded: 0, missing: 0, failed: 0 };
+    const filter = force
+      ? { "images.0": { $exists: true } }
+      : {
+          $or: [
+            { images: { $elemMatch: { phash: { $in: [null, ""] } } } },
+            { images: { $elemMatch: { phash: { $nin: [null, ""] }, phashBands: null } } },
+          ],
+        };
+
+    const cursor = Property.find(filter).select("images").lean().cursor();
+
+    for await (const property of cursor) {
+      for (const image of property.images) {
+        if (!force && image.phash) {
+          const phashBands = getHashBands(image.phash);
+          if (!image.phashBands && phashBands) {
+            await Property.updateOne(
+              { _id: property._id },
+              { $set: { "images.$[image].phashBands": phashBands } },
+              { arrayFilters: [{ "image._id": image._id }], timestamps: false }
+            );
+            counts.banded++;
+          }
+          continue;
+        }
+
+        const buffer = await readImageFile(image);
+        if (!buffer) {
+          counts.missing++;
+          console.warn(`⚠️ Property ${property._id}: file not found for image ${image._id}`);
+          continue;
+        }
+
+        try {
+          const phash = await getPerceptualHash(buffer);
+
+          // Update the image subdocument directly, so listings get no history entries or revisions
+          await Property.updateOne(
+            { _id: property._id },
+            {
+              $set: {
+                "images.$[image].phash": phash,
+                "images.$[image].phashBands": getHashBands(phash) || null,
+              },
+            },
+            { arrayFilters: [{ "image._id": image._id }], timestamps: false }
+          );
+          counts.updated++;
+        } catch (error) {
+          counts.failed++;
+          console.error(
+            `❌ Property ${property._id}: image ${image._id} failed:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    console.log(
+      `✅ Property images: ${counts.updated} hashed, ${counts.banded} banded, ${counts.missing} missing files, ${counts.failed} failed`
+    );
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling image hashes:", error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+backfillImageHashes();
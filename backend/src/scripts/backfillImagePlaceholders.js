@@ -0,0 +1,116 @@
+/**
+ * Script to compute image placeholders (blurhash, LQIP, dominant color) for existing images
+ * Reads the original files from the uploads folder and fills in property and blog images
+ * that have no placeholders yet (--force recomputes all of them)
+ */
+
+require("dotenv").config({ path: "./backend/.env" });
+const mongoose = require("mongoose");
+const fs = require("fs").promises;
+const path = require("path");
+const Property = require("../models/Property");
+const Blog = require("../models/Blog");
+const { getImagePlaceholders } = require("../config/imageProcessor");
+const { getUploadDir } = require("../utils/imageFiles");
+
+const force = process.argv.includes("--force");
+
+/**
+ * Read the original file of an image from the uploads folder
+ * @param {Object} image - Image subdocument (publicId and/or url)
+ * @returns {Promise<Buffer|null>} - File contents, null if the file is missing
+ */
+const readImageFile = async (image) => {
+  const uploadDir = getUploadDir();
+  const candidates = [
+    image.publicId,
+    image.publicId && `${image.publicId}.webp`,
+    image.url && path.posix.basename(image.url.split("?")[0]),
+  ].filter(Boolean);
+
+  for (const filename of candidates) {
+    try {
+      return await fs.readFile(path.join(uploadDir, path.basename(filename)));
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fill in the placeholders of every image of a model
+ * Updates the image subdocuments directly, so listings get no history entries or revisions
+ * @param {Object} Model - Mongoose model with an images array
+ * @param {string} label - Name used in the logs
+ * @returns {Promise<Object>} - { updated, missing, failed }
+ */
+const backfillModel = async (Model, label) => {
+  const counts = { updated: 0, missing: 0, failed: 0 };
+  const filter = force
+    ? { "images.0": { $exists: true } }
+    : { images: { $elemMatch: { blurhash: { $in: [null, ""] } } } };
+
+  const cursor = Model.find(filter).select("images").lean().cursor();
+
+  for await (const doc of cursor) {
+    for (const image of doc.images) {
+      if (!force && image.blurhash) continue;
+
+      const buffer = await readImageFile(image);
+      if (!buffer) {
+        counts.missing++;
+        console.warn(`⚠️ ${label} ${doc._id}: file not found for image ${image._id}`);
+        continue;
+      }
+
+      try {
+        const placeholders = await getImagePlaceholders(buffer);
+
+        await Model.updateOne(
+          { _id: doc._id },
+          {
+            $set: {
+              "images.$[image].blurhash": placeholders.blurhash,
+              "images.$[image].lqip": placeholders.lqip,
+              "images.$[image].dominantColor": placeholders.dominantColor,
+            },
+          },
+          { arrayFilters: [{ "image._id": image._id }], timestamps: false }
+        );
+        counts.updated++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`❌ ${label} ${doc._id}: image ${image._id} failed:`, error.message);
+      }
+    }
+  }
+
+  console.log(
+    `✅ ${label} images: ${counts.updated} updated, ${counts.missing} missing files, ${counts.failed} failed`
+  );
+  return counts;
+};
+
+const backfillImagePlaceholders = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.DATABASE.replace("<PASSWORD>", process.env.DATABASE_PASSWORD)
+    );
+    console.log("Connected to database");
+    console.log(`Reading images from ${getUploadDir()}`);
+
+    await backfillModel(Property, "Property");
+    await backfillModel(Blog, "Blog");
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling image placeholders:", error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+backfillImagePlaceholders();
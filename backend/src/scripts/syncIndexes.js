@@ -0,0 +1,36 @@
+/**
+ * Script to synchronise Property indexes with the schema
+ * Run after changing index definitions (e.g. text index weights) - drops outdated
+ * indexes such as the previous unweighted text index and builds the current ones
+ */
+
+require("dotenv").config({ path: "./backend/.env" });
+const mongoose = require("mongoose");
+const Property = require("../models/Property");
+
+const syncIndexes = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(
+      process.env.DATABASE.replace("<PASSWORD>", process.env.DATABASE_PASSWORD)
+    );
+    console.log("Connected to database");
+
+    const droppedIndexes = await Property.syncIndexes();
+
+    console.log("✅ Property indexes synchronised");
+    console.log(
+      `Dropped indexes: ${
+        droppedIndexes.length > 0 ? droppedIndexes.join(", ") : "none"
+      }`
+    );
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error synchronising indexes:", error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+syncIndexes();
@@ -29,7 +29,31 @@ const blogRoutes = require("./routes/blogs");
 const blogCategoryRoutes = require("./routes/blogCategories");
 const blogCategoryApprovalRoutes = require("./routes/blogCategoryApproval");
 const jobRoutes = require("./routes/jobs");
+const savedSearchRoutes = require("./routes/savedSearches");
+const portalFeedRoutes = require("./routes/portalFeeds");
+const developerRoutes = require("./routes/developers");
+const projectRoutes = require("./routes/projects");
+const valuationRoutes = require("./routes/valuations");
+const leadRoutes = require("./routes/leads");
+const inquiryRoutingRoutes = require("./routes/inquiryRouting");
+const viewingRoutes = require("./routes/viewings");
+const visitorRoutes = require("./routes/visitor");
+const analyticsRoutes = require("./routes/analytics");
+const storageRoutes = require("./routes/storage");
 const errorHandler = require("./middleware/errorHandler.js");
+const { registerJob, startScheduler, stopScheduler } = require("./utils/scheduler");
+const { sendDailyDigests } = require("./utils/savedSearchAlerts");
+const { expireListingPermits } = require("./utils/propertyPermits");
+const { sendLeadFollowUpReminders } = require("./utils/leads");
+const {
+  publishScheduledListings,
+  expireListings,
+  sendExpiryReminders,
+} = require("./utils/listingSchedule");
+const { runScheduledReconciliation } = require("./utils/storageReconciliation");
+const { STORAGE_RECONCILE_INTERVAL_MS } = require("./config/storageReconciliation");
+const { refreshDuplicateImageReport } = require("./utils/imageDuplicates");
+const { DUPLICATE_REPORT_REFRESH_MS } = require("./config/imageDuplicates");
 
 const app = express();
 
@@ -123,6 +147,10 @@ app.use("/uploads", express.static(path.join(__dirname, "../uploads"), {
     if (path.match(/\.(jpg|jpeg|png|gif|webp|avif|svg)$/i)) {
       res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
     }
+    // Responsive AVIF variants (unknown to the static file MIME table)
+    if (path.match(/\.avif$/i)) {
+      res.setHeader('Content-Type', 'image/avif');
+    }
   }
 }));
 
@@ -150,6 +178,17 @@ app.get("/api", (req, res) => {
       properties: "/api/properties",
       blogs: "/api/blogs",
       blogCategories: "/api/blog-categories",
+      savedSearches: "/api/saved-searches",
+      portalFeeds: "/api/portal-feeds",
+      developers: "/api/developers",
+      projects: "/api/projects",
+      valuations: "/api/valuations",
+      leads: "/api/leads",
+      inquiryRouting: "/api/inquiry-routing",
+      viewings: "/api/viewings",
+      visitor: "/api/visitor",
+      analytics: "/api/analytics",
+      storage: "/api/storage",
     },
   });
 });
@@ -166,6 +205,17 @@ app.use("/api/blogs", blogRoutes);
 app.use("/api/blog-categories", blogCategoryRoutes);
 app.use("/api/blog-category-approval", blogCategoryApprovalRoutes);
 app.use("/api/jobs", jobRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/portal-feeds", portalFeedRoutes);
+app.use("/api/developers", developerRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/valuations", valuationRoutes);
+app.use("/api/leads", leadRoutes);
+app.use("/api/inquiry-routing", inquiryRoutingRoutes);
+app.use("/api/viewings", viewingRoutes);
+app.use("/api/visitor", visitorRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/storage", storageRoutes);
 
 app.use(errorHandler);
 
@@ -180,6 +230,16 @@ const PORT = process.env.PORT || 3000;
 app.set('etag', 'strong'); // Enable ETags for caching
 app.set('x-powered-by', false); // Remove X-Powered-By header (already handled by helmet)
 
+// Background jobs (started once the database is connected)
+registerJob("saved-search-digests", 60 * 60 * 1000, sendDailyDigests); // Hourly check, one digest per search per day
+registerJob("permit-expiry", 60 * 60 * 1000, expireListingPermits); // Unpublish listings whose advertising permit expired
+registerJob("lead-follow-ups", 15 * 60 * 1000, sendLeadFollowUpReminders); // Email assignees when a lead follow-up is due
+registerJob("scheduled-publish", 5 * 60 * 1000, publishScheduledListings); // Publish approved listings at their publishAt
+registerJob("listing-expiry", 60 * 60 * 1000, expireListings); // Archive listings past their expiresAt
+registerJob("listing-expiry-reminders", 60 * 60 * 1000, sendExpiryReminders); // Renew reminders a few days before expiry
+registerJob("storage-reconciliation", STORAGE_RECONCILE_INTERVAL_MS, runScheduledReconciliation); // Quarantine orphaned uploads, purge expired quarantine
+registerJob("duplicate-image-report", DUPLICATE_REPORT_REFRESH_MS, refreshDuplicateImageReport); // Rebuild the cached SuperAdmin duplicate photo report
+
 // Connect to database and start server
 const startServer = async () => {
   try {
@@ -193,6 +253,9 @@ const startServer = async () => {
       console.log(`⚡ Performance optimizations enabled`);
     });
 
+    // Start background jobs
+    startScheduler();
+
     // Optimize server settings for better performance
     server.keepAliveTimeout = 65000; // 65 seconds (slightly longer than load balancer)
     server.headersTimeout = 66000; // 66 seconds (slightly longer than keepAliveTimeout)
@@ -200,6 +263,7 @@ const startServer = async () => {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM signal received: closing HTTP server');
+      stopScheduler();
       server.close(() => {
         console.log('HTTP server closed');
         mongoose.connection.close(false, () => {
@@ -0,0 +1,231 @@
+/**
+ * Engagement Analytics Helpers
+ * Records listing views, inquiries, favorites and phone reveals once per visitor per UAE day
+ * (bots and staff are skipped) and builds daily time series with conversion rates
+ */
+
+const crypto = require("crypto");
+const EngagementEvent = require("../models/EngagementEvent");
+const { ENGAGEMENT_EVENT_TYPES } = require("../constants/propertyTypes");
+const {
+  BOT_USER_AGENT_PATTERN,
+  DEFAULT_DASHBOARD_DAYS,
+  MAX_DASHBOARD_DAYS,
+} = require("../config/engagement");
+const { toLocalDateString } = require("./viewings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event type -> time series / totals key
+const EVENT_KEYS = {
+  view: "views",
+  inquiry: "inquiries",
+  favorite: "favorites",
+  phone_reveal: "phoneReveals",
+};
+
+/**
+ * Check whether a request comes from a crawler or scripted client
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True for bots (and requests without a user agent)
+ */
+const isBotRequest = (req) => {
+  const userAgent = req.get("user-agent");
+  return !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+};
+
+/**
+ * Anonymous visitor identity used to dedupe events
+ * Visitor session, then the given identity (e.g. inquiry email), then IP + user agent
+ * @param {Object} req - Express request object
+ * @param {string} visitorId - Explicit visitor identity
+ * @returns {string} - SHA-256 hex digest
+ */
+const getVisitorHash = (req, visitorId) => {
+  const identity = req.visitorSession
+    ? `session:${req.visitorSession._id}`
+    : visitorId
+    ? `id:${String(visitorId).toLowerCase().trim()}`
+    : `ip:${req.ip}|${req.get("user-agent")}`;
+
+  return crypto.createHash("sha256").update(identity).digest("hex");
+};
+
+/**
+ * Record an engagement event for a listing (ignored for bots, staff and repeats the same day)
+ * @param {Object} req - Express request object
+ * @param {string} propertyId - Property ID
+ * @param {string} type - One of ENGAGEMENT_EVENT_TYPES
+ * @param {Object} options - { visitorId } identity used when there is no visitor session
+ * @returns {Promise<boolean>} - True when a new event was counted
+ */
+const recordEngagementEvent = async (req, propertyId, type, { visitorId } = {}) => {
+  if (!propertyId || !ENGAGEMENT_EVENT_TYPES.includes(type)) return false;
+  if (isBotRequest(req)) return false;
+  if (req.user && ["admin", "SuperAdmin"].includes(req.user.role)) return false;
+
+  const event = {
+    property: propertyId,
+    type,
+    visitorHash: getVisitorHash(req, visitorId),
+    day: toLocalDateString(new Date()),
+  };
+
+  try {
+    const result = await EngagementEvent.updateOne(
+      event,
+      { $setOnInsert: event },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Concurrent duplicate of the same event
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Record an event without delaying the response
+ * @param {Object} req - Express request object
+ * @param {string} propertyId - Property ID
+ * @param {string} type - One of ENGAGEMENT_EVENT_TYPES
+ * @param {Object} options - See recordEngagementEvent
+ */
+const trackEngagementEvent = (req, propertyId, type, options) => {
+  recordEngagementEvent(req, propertyId, type, options).catch((error) =>
+    console.error(`Error recording ${type} engagement event:`, error)
+  );
+};
+
+/**
+ * Parse the dashboard date range (UAE calendar days, inclusive)
+ * @param {Object} query - Request query ({ from, to } as YYYY-MM-DD)
+ * @returns {Object} - { range: { from, to }, errors }
+ */
+const parseDashboardRange = (query) => {
+  const errors = [];
+  const isDay = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+  const to = query.to || toLocalDateString(new Date());
+  if (!isDay(to)) {
+    errors.push({ field: "to", message: "to must be a date (YYYY-MM-DD)" });
+  }
+
+  const from =
+    query.from ||
+    (isDay(to)
+      ? new Date(Date.parse(`${to}T00:00:00Z`) - (DEFAULT_DASHBOARD_DAYS - 1) * DAY_MS)
+          .toISOString()
+          .substring(0, 10)
+      : null);
+  if (!isDay(from)) {
+    errors.push({ field: "from", message: "from must be a date (YYYY-MM-DD)" });
+  }
+
+  if (errors.length === 0) {
+    const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS + 1;
+    if (days < 1) {
+      errors.push({ field: "from", message: "from must not be after to" });
+    } else if (days > MAX_DASHBOARD_DAYS) {
+      errors.push({
+        field: "from",
+        message: `The range cannot exceed ${MAX_DASHBOARD_DAYS} days`,
+      });
+    }
+  }
+
+  return { range: { from, to }, errors };
+};
+
+/**
+ * Conversion rates (% of unique listing views)
+ * @param {Object} totals - { views, inquiries, favorites, phoneReveals }
+ * @returns {Object} - Rates rounded to one decimal (null without views)
+ */
+const getConversionRates = (totals) => {
+  const rate = (count) =>
+    totals.views > 0 ? Math.round((count / totals.views) * 1000) / 10 : null;
+
+  return {
+    inquiryRate: rate(totals.inquiries),
+    favoriteRate: rate(totals.favorites),
+    phoneRevealRate: rate(totals.phoneReveals),
+  };
+};
+
+/**
+ * Empty counters for every event type
+ * @returns {Object} - { views: 0, inquiries: 0, favorites: 0, phoneReveals: 0 }
+ */
+const emptyEngagementCounts = () =>
+  Object.fromEntries(Object.values(EVENT_KEYS).map((key) => [key, 0]));
+
+/**
+ * Daily time series, totals and conversion rates for a set of listings
+ * @param {Array} propertyIds - Property IDs
+ * @param {Object} range - { from, to } (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { range, totals, conversion, series, byProperty }
+ */
+const getEngagementDashboard = async (propertyIds, range) => {
+  const match = {
+    property: { $in: propertyIds },
+    day: { $gte: range.from, $lte: range.to },
+  };
+
+  const [counts, uniqueVisitors] = await Promise.all([
+    EngagementEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { property: "$property", day: "$day", type: "$type" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    EngagementEvent.distinct("visitorHash", match),
+  ]);
+
+  // One entry per day, including days without events
+  const seriesByDay = new Map();
+  for (
+    let time = Date.parse(`${range.from}T00:00:00Z`);
+    time <= Date.parse(`${range.to}T00:00:00Z`);
+    time += DAY_MS
+  ) {
+    seriesByDay.set(new Date(time).toISOString().substring(0, 10), emptyEngagementCounts());
+  }
+
+  const totals = emptyEngagementCounts();
+  const byProperty = new Map();
+
+  counts.forEach(({ _id, count }) => {
+    const key = EVENT_KEYS[_id.type];
+    const propertyId = _id.property.toString();
+
+    seriesByDay.get(_id.day)[key] += count;
+    totals[key] += count;
+
+    if (!byProperty.has(propertyId)) byProperty.set(propertyId, emptyEngagementCounts());
+    byProperty.get(propertyId)[key] += count;
+  });
+
+  return {
+    range,
+    totals: { ...totals, uniqueVisitors: uniqueVisitors.length },
+    conversion: getConversionRates(totals),
+    series: Array.from(seriesByDay, ([date, dayCounts]) => ({ date, ...dayCounts })),
+    byProperty,
+  };
+};
+
+module.exports = {
+  isBotRequest,
+  recordEngagementEvent,
+  trackEngagementEvent,
+  parseDashboardRange,
+  getConversionRates,
+  emptyEngagementCounts,
+  getEngagementDashboard,
+};
@@ -0,0 +1,168 @@
+/**
+ * Geospatial Helpers
+ * Parsing and conversion helpers for GeoJSON property coordinates and map queries
+ */
+
+// Mean earth radius used for $centerSphere and distance calculations
+const EARTH_RADIUS_KM = 6378.1;
+
+// Default and maximum search radius for "near" queries (kilometres)
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 200;
+
+// Number of grid cells per map tile edge when clustering (higher = finer clusters)
+const CLUSTER_GRID_DIVISIONS = 8;
+const MAX_CLUSTER_ZOOM = 20;
+
+/**
+ * Check that a latitude/longitude pair is within valid bounds
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} - True if both values are finite and in range
+ */
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  lat >= -90 &&
+  lat <= 90 &&
+  lng >= -180 &&
+  lng <= 180;
+
+/**
+ * Build a GeoJSON Point from latitude and longitude values
+ * @param {number|string} lat - Latitude
+ * @param {number|string} lng - Longitude
+ * @returns {Object|null} - GeoJSON Point ({ type, coordinates: [lng, lat] }) or null if invalid
+ */
+const createPoint = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === "") return null;
+  if (lng === undefined || lng === null || lng === "") return null;
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (!isValidLatLng(latitude, longitude)) {
+    return null;
+  }
+
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+/**
+ * Parse a "lat,lng" query string value
+ * @param {string} value - Raw query value (e.g. "25.0805,55.1403")
+ * @returns {Object|null} - GeoJSON Point or null if invalid
+ */
+const parseLatLng = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  const parts = value.split(",").map((part) => part.trim());
+  if (parts.length !== 2) return null;
+
+  return createPoint(parts[0], parts[1]);
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box query value
+ * @param {string} value - Raw query value
+ * @returns {Object|null} - { minLng, minLat, maxLng, maxLat } or null if invalid
+ */
+const parseBoundingBox = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  const parts = value.split(",").map((part) => parseFloat(part.trim()));
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+
+  if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng)) {
+    return null;
+  }
+
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return null;
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Convert a bounding box into a closed GeoJSON Polygon (usable with 2dsphere indexes)
+ * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }
+ * @returns {Object} - GeoJSON Polygon
+ */
+const bboxToPolygon = ({ minLng, minLat, maxLng, maxLat }) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat],
+    ],
+  ],
+});
+
+/**
+ * Parse and clamp a radius query value (kilometres)
+ * @param {string|number} value - Raw radius value
+ * @returns {number|null} - Radius in km, default radius if not provided, or null if invalid
+ */
+const parseRadiusKm = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_RADIUS_KM;
+  }
+
+  const radius = parseFloat(value);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return null;
+  }
+
+  return radius;
+};
+
+/**
+ * Great-circle distance between two GeoJSON points (haversine)
+ * @param {Object} pointA - GeoJSON Point
+ * @param {Object} pointB - GeoJSON Point
+ * @returns {number} - Distance in kilometres
+ */
+const distanceKm = (pointA, pointB) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const [lng1, lat1] = pointA.coordinates;
+  const [lng2, lat2] = pointB.coordinates;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Grid cell size (in degrees) used to cluster listings at a given map zoom level
+ * @param {number} zoom - Web map zoom level (0-20)
+ * @returns {number} - Cell edge length in degrees
+ */
+const getClusterCellSize = (zoom) => {
+  const clampedZoom = Math.min(MAX_CLUSTER_ZOOM, Math.max(0, Math.floor(zoom)));
+  return 360 / Math.pow(2, clampedZoom) / CLUSTER_GRID_DIVISIONS;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  MAX_CLUSTER_ZOOM,
+  isValidLatLng,
+  createPoint,
+  parseLatLng,
+  parseBoundingBox,
+  bboxToPolygon,
+  parseRadiusKm,
+  distanceKm,
+  getClusterCellSize,
+};
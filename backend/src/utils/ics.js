@@ -0,0 +1,105 @@
+/**
+ * iCalendar (.ics) Builder
+ * Minimal RFC 5545 event invites for viewing appointments (REQUEST to add/update, CANCEL to remove)
+ */
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} - e.g. 20250101T093000Z
+ */
+const formatIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeIcsText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Quote a parameter value (e.g. CN), which cannot contain double quotes
+ * @param {string} value - Parameter value
+ * @returns {string} - Quoted value
+ */
+const quoteIcsParam = (value = "") => `"${String(value).replace(/["\r\n]/g, "")}"`;
+
+/**
+ * Fold a content line to 75 octets
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Build a calendar with a single event
+ * @param {Object} event - { uid, sequence, start, end, summary, description, location, url,
+ *   organizer: { name, email }, attendees: [{ name, email }], method: "REQUEST"|"CANCEL" }
+ * @returns {string} - iCalendar content
+ */
+const buildIcsEvent = ({
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  method = "REQUEST",
+}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//EarlyBirds Properties//Viewings//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    description && `DESCRIPTION:${escapeIcsText(description)}`,
+    location && `LOCATION:${escapeIcsText(location)}`,
+    url && `URL:${url}`,
+    organizer &&
+      `ORGANIZER;CN=${quoteIcsParam(organizer.name)}:mailto:${organizer.email}`,
+    ...attendees.map(
+      (attendee) =>
+        `ATTENDEE;CN=${quoteIcsParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`
+    ),
+    `STATUS:${method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  buildIcsEvent,
+};
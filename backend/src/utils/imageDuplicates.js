@@ -0,0 +1,271 @@
+/**
+ * Duplicate Image Helpers
+ * Compares the perceptual hashes of property photos to find the same picture used on several
+ * listings (stock photos, photos copied from another agent), including resized or recompressed copies.
+ * Only photos sharing a hash band are compared (see PHASH_BAND_COUNT)
+ */
+
+const Property = require("../models/Property");
+const {
+  PHASH_BAND_COUNT,
+  DUPLICATE_IMAGE_MAX_DISTANCE,
+  DUPLICATE_IMAGE_MATCH_LIMIT,
+  DUPLICATE_REPORT_REFRESH_MS,
+} = require("../config/imageDuplicates");
+const { hashDistance, isComparableHash, getHashBands } = require("./imageHashes");
+
+// Property fields shown next to a duplicated photo
+const DUPLICATE_PROPERTY_FIELDS = "title slug status approvalStatus createdBy";
+
+// Last built report per maxDistance - { groups, totalProperties, generatedAt }
+const reportCache = new Map();
+// Reports being built per maxDistance (concurrent requests share one build)
+const reportBuilds = new Map();
+
+/**
+ * Load every hashed photo of the properties matching a filter
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - { populateCreator } include the creator's name and email
+ * @returns {Promise<Object[]>} - [{ property, imageId, url, phash, bytes }]
+ */
+const loadHashedImages = async (filter, { populateCreator = false } = {}) => {
+  let query = Property.find({ ...filter, "images.phash": { $exists: true, $ne: null } })
+    .select(`${DUPLICATE_PROPERTY_FIELDS} images._id images.url images.phash`)
+    .lean();
+  if (populateCreator) query = query.populate("createdBy", "name email");
+
+  const properties = await query;
+  const images = [];
+
+  for (const { images: propertyImages = [], ...property } of properties) {
+    for (const image of propertyImages) {
+      if (!isComparableHash(image.phash)) continue;
+
+      images.push({
+        property,
+        imageId: image._id,
+        url: image.url,
+        phash: image.phash,
+        bytes: Buffer.from(image.phash, "hex"),
+      });
+    }
+  }
+
+  return images;
+};
+
+/**
+ * Summary of the listing a photo belongs to
+ * @param {Object} property - Lean property
+ * @returns {Object} - { id, title, slug, status, approvalStatus, createdBy }
+ */
+const formatDuplicateProperty = (property) => ({
+  id: property._id,
+  title: property.title,
+  slug: property.slug,
+  status: property.status,
+  approvalStatus: property.approvalStatus,
+  createdBy: property.createdBy,
+});
+
+/**
+ * Find photos of other properties that nearly match newly uploaded images
+ * @param {Object[]} uploadedImages - Processed uploads ({ publicId, originalName, phash })
+ * @param {Object} options - { excludePropertyId } property being edited, { maxDistance }
+ * @returns {Promise<Object[]>} - Uploads with matches:
+ *   [{ publicId, originalName, matches: [{ property, imageId, url, distance }] }]
+ */
+const findDuplicateImages = async (
+  uploadedImages,
+  { excludePropertyId = null, maxDistance = DUPLICATE_IMAGE_MAX_DISTANCE } = {}
+) => {
+  const uploads = (uploadedImages || []).filter((image) => isComparableHash(image.phash));
+  if (uploads.length === 0) return [];
+
+  // Candidates share at least one hash band with an upload
+  const bands = Array.from(new Set(uploads.flatMap((upload) => getHashBands(upload.phash))));
+  const existingImages = await loadHashedImages({
+    ...(excludePropertyId && { _id: { $ne: excludePropertyId } }),
+    "images.phashBands": { $in: bands },
+  });
+
+  return uploads
+    .map((upload) => {
+      const uploadBytes = Buffer.from(upload.phash, "hex");
+      const matches = existingImages
+        .map((image) => ({ image, distance: hashDistance(uploadBytes, image.bytes) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, DUPLICATE_IMAGE_MATCH_LIMIT)
+        .map(({ image, distance }) => ({
+          property: formatDuplicateProperty(image.property),
+          imageId: image.imageId,
+          url: image.url,
+          distance,
+        }));
+
+      return {
+        publicId: upload.publicId,
+        originalName: upload.originalName,
+        matches,
+      };
+    })
+    .filter((upload) => upload.matches.length > 0);
+};
+
+/**
+ * Group the photos that appear on more than one property
+ * Photos are linked when they nearly match a photo of another property; linked photos form a group.
+ * Pairs are only compared within a hash band bucket, one band at a time so requests are served
+ * in between
+ * @param {Object} options - { maxDistance }
+ * @returns {Promise<Object[]>} - Groups, most widely shared first:
+ *   [{ propertyCount, imageCount, maxDistance, properties: [{ property, images: [{ imageId, url, phash }] }] }]
+ */
+const buildDuplicateImageReport = async ({
+  maxDistance = DUPLICATE_IMAGE_MAX_DISTANCE,
+} = {}) => {
+  const images = await loadHashedImages({}, { populateCreator: true });
+
+  // Union-find over photos of different properties that match
+  const parents = images.map((_, index) => index);
+  const findRoot = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const linkDistances = new Map();
+
+  for (let band = 0; band < PHASH_BAND_COUNT; band++) {
+    const buckets = new Map();
+    images.forEach((image, index) => {
+      const key = image.bytes[band];
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    for (const bucket of buckets.values()) {
+      for (let a = 0; a < bucket.length; a++) {
+        for (let b = a + 1; b < bucket.length; b++) {
+          const i = bucket[a];
+          const j = bucket[b];
+          if (images[i].property._id.equals(images[j].property._id)) continue;
+
+          // Pairs sharing an earlier band were compared in that band's pass
+          let comparedBefore = false;
+          for (let earlier = 0; earlier < band && !comparedBefore; earlier++) {
+            comparedBefore = images[i].bytes[earlier] === images[j].bytes[earlier];
+          }
+          if (comparedBefore) continue;
+
+          const distance = hashDistance(images[i].bytes, images[j].bytes);
+          if (distance > maxDistance) continue;
+
+          const rootI = findRoot(i);
+          const rootJ = findRoot(j);
+          const root = Math.min(rootI, rootJ);
+          parents[rootI] = root;
+          parents[rootJ] = root;
+          linkDistances.set(
+            root,
+            Math.max(distance, linkDistances.get(rootI) || 0, linkDistances.get(rootJ) || 0)
+          );
+        }
+      }
+    }
+
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  const groups = new Map();
+  images.forEach((image, index) => {
+    const root = findRoot(index);
+    if (!linkDistances.has(root)) return;
+
+    if (!groups.has(root)) groups.set(root, new Map());
+    const properties = groups.get(root);
+    const propertyId = image.property._id.toString();
+
+    if (!properties.has(propertyId)) {
+      properties.set(propertyId, {
+        property: formatDuplicateProperty(image.property),
+        images: [],
+      });
+    }
+    properties.get(propertyId).images.push({
+      imageId: image.imageId,
+      url: image.url,
+      phash: image.phash,
+    });
+  });
+
+  return [...groups.entries()]
+    .map(([root, properties]) => {
+      const entries = [...properties.values()];
+      return {
+        propertyCount: entries.length,
+        imageCount: entries.reduce((sum, entry) => sum + entry.images.length, 0),
+        maxDistance: linkDistances.get(root),
+        properties: entries,
+      };
+    })
+    .sort((a, b) => b.propertyCount - a.propertyCount || b.imageCount - a.imageCount);
+};
+
+/**
+ * Rebuild the duplicate photo report and cache it (scheduled job)
+ * @param {Object} options - { maxDistance }
+ * @returns {Promise<Object>} - { groups, totalProperties, generatedAt }
+ */
+const refreshDuplicateImageReport = ({ maxDistance = DUPLICATE_IMAGE_MAX_DISTANCE } = {}) => {
+  if (!reportBuilds.has(maxDistance)) {
+    const build = buildDuplicateImageReport({ maxDistance })
+      .then((groups) => {
+        const report = {
+          groups,
+          totalProperties: new Set(
+            groups.flatMap((group) =>
+              group.properties.map((entry) => entry.property.id.toString())
+            )
+          ).size,
+          generatedAt: new Date(),
+        };
+        reportCache.set(maxDistance, report);
+
+        console.log(
+          `🔁 Duplicate image report: ${groups.length} group(s) at distance ${maxDistance}`
+        );
+        return report;
+      })
+      .finally(() => reportBuilds.delete(maxDistance));
+
+    reportBuilds.set(maxDistance, build);
+  }
+
+  return reportBuilds.get(maxDistance);
+};
+
+/**
+ * Get the duplicate photo report, building it only when none is cached or the cached one is stale
+ * @param {Object} options - { maxDistance }
+ * @returns {Promise<Object>} - { groups, totalProperties, generatedAt }
+ */
+const getCachedDuplicateImageReport = async ({
+  maxDistance = DUPLICATE_IMAGE_MAX_DISTANCE,
+} = {}) => {
+  const cached = reportCache.get(maxDistance);
+  if (cached && Date.now() - cached.generatedAt.getTime() < DUPLICATE_REPORT_REFRESH_MS) {
+    return cached;
+  }
+
+  return refreshDuplicateImageReport({ maxDistance });
+};
+
+module.exports = {
+  findDuplicateImages,
+  buildDuplicateImageReport,
+  refreshDuplicateImageReport,
+  getCachedDuplicateImageReport,
+};
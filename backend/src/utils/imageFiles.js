@@ -0,0 +1,465 @@
+/**
+ * Local Image File Helpers
+ * Saves and deletes uploaded image files (and their generated size variants) in the uploads folder.
+ * Unwatermarked originals are kept in a private folder that is not served.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const {
+  validateImage,
+  createImageVariant,
+  applyWatermark,
+  getImagePlaceholders,
+  getPerceptualHash,
+  getImageMetadata,
+} = require("../config/imageProcessor");
+const {
+  IMAGE_VARIANT_WIDTHS,
+  IMAGE_VARIANT_FORMATS,
+  IMAGE_VARIANT_QUALITY,
+  AVIF_MAX_WIDTH,
+  AVIF_EFFORT,
+} = require("../config/imageVariants");
+const {
+  WATERMARK_ENABLED,
+  WATERMARK_LOGO_PATH,
+  WATERMARK_POSITION,
+  WATERMARK_OPACITY,
+  WATERMARK_SCALE,
+  WATERMARK_MARGIN,
+  WATERMARK_QUALITY,
+} = require("../config/watermark");
+
+// Watermark logo contents (null when the logo file is missing), loaded on first use
+let watermarkLogo;
+
+/**
+ * Get the uploads directory for the current environment
+ * @returns {string} - Absolute uploads directory path
+ */
+const getUploadDir = () =>
+  process.env.NODE_ENV === "production"
+    ? path.join(__dirname, "uploads") // dist/uploads
+    : path.join(__dirname, "../uploads"); // backend/src/uploads
+
+/**
+ * Get the private folder of unwatermarked originals (not served by the uploads route)
+ * @returns {string} - Absolute originals directory path
+ */
+const getOriginalsDir = () =>
+  process.env.NODE_ENV === "production"
+    ? path.join(__dirname, "private_originals") // dist/private_originals
+    : path.join(__dirname, "../private_originals"); // backend/src/private_originals
+
+/**
+ * Keep the unwatermarked original of an upload
+ * @param {Buffer} buffer - Original image contents
+ * @param {string} publicId - Filename of the public copy
+ */
+const saveOriginalImage = async (buffer, publicId) => {
+  const originalsDir = getOriginalsDir();
+  await fs.mkdir(originalsDir, { recursive: true });
+  await fs.writeFile(path.join(originalsDir, path.basename(publicId)), buffer);
+};
+
+/**
+ * Read the unwatermarked original of an image
+ * @param {string} publicId - Filename of the public copy
+ * @returns {Promise<Buffer|null>} - Original contents, null for images uploaded before originals
+ *   were kept
+ */
+const readOriginalImage = async (publicId) => {
+  try {
+    return await fs.readFile(path.join(getOriginalsDir(), path.basename(publicId)));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Load the watermark logo once
+ * @returns {Promise<Buffer|null>} - Logo contents, null if the logo file is missing
+ */
+const getWatermarkLogo = async () => {
+  if (watermarkLogo === undefined) {
+    try {
+      watermarkLogo = await fs.readFile(WATERMARK_LOGO_PATH);
+    } catch (error) {
+      console.warn(
+        `⚠️ Watermark logo not found at ${WATERMARK_LOGO_PATH} - photos are not watermarked`
+      );
+      watermarkLogo = null;
+    }
+  }
+  return watermarkLogo;
+};
+
+/**
+ * Create the public copy of an uploaded image (watermarked when requested and a logo is set up)
+ * @param {Buffer} buffer - Original image contents
+ * @param {boolean} watermark - Overlay the brand logo
+ * @returns {Promise<Object>} - { buffer, watermarked }
+ */
+const createPublicImage = async (buffer, watermark = WATERMARK_ENABLED) => {
+  const logo = watermark ? await getWatermarkLogo() : null;
+  if (!logo) return { buffer, watermarked: false };
+
+  return {
+    buffer: await applyWatermark(buffer, {
+      logo,
+      position: WATERMARK_POSITION,
+      opacity: WATERMARK_OPACITY,
+      scale: WATERMARK_SCALE,
+      margin: WATERMARK_MARGIN,
+      quality: WATERMARK_QUALITY,
+    }),
+    watermarked: true,
+  };
+};
+
+/**
+ * Base URL of uploaded files
+ * @returns {string} - Uploads URL
+ */
+const getUploadsUrl = () =>
+  `${process.env.BASE_URL || "http://localhost:8000"}/uploads`;
+
+/**
+ * Strip the extension from an image publicId
+ * @param {string} publicId - Image publicId (filename)
+ * @returns {string} - Base filename
+ */
+const getBaseFilename = (publicId) => publicId.replace(/\.[^/.]+$/, "");
+
+/**
+ * File name of a responsive variant
+ * @param {string} publicId - Image publicId (filename)
+ * @param {number} width - Variant width
+ * @param {string} format - Variant format
+ * @returns {string} - Variant filename (e.g. 1700000000000-abc_640w.avif)
+ */
+const getVariantFilename = (publicId, width, format) =>
+  `${getBaseFilename(publicId)}_${width}w.${format}`;
+
+/**
+ * Find the responsive variant files of an image
+ * Matches any width, so variants from an earlier width configuration are found too
+ * @param {string} uploadDir - Folder of the image
+ * @param {string} baseFilename - Image filename without extension
+ * @returns {Promise<string[]>} - Variant filenames
+ */
+const findVariantFiles = async (uploadDir, baseFilename) => {
+  const pattern = new RegExp(
+    `^${baseFilename.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}_\\d+w\\.(${IMAGE_VARIANT_FORMATS.join("|")})$`
+  );
+
+  try {
+    const files = await fs.readdir(uploadDir);
+    return files.filter((file) => pattern.test(file));
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Build a srcset attribute value from an image's variants
+ * @param {Object[]} variants - Variants ({ url, width, format })
+ * @param {string} format - Format to include
+ * @returns {string} - e.g. "https://.../a_320w.webp 320w, https://.../a_640w.webp 640w"
+ */
+const buildSrcset = (variants, format) =>
+  (variants || [])
+    .filter((variant) => variant.format === format)
+    .sort((a, b) => a.width - b.width)
+    .map((variant) => `${variant.url} ${variant.width}w`)
+    .join(", ");
+
+/**
+ * Generate the configured responsive variants of an uploaded image next to the original
+ * Widths above the original are skipped; an image narrower than the largest configured width
+ * also gets a variant at its own width so the srcset covers its full size. AVIF stops at
+ * AVIF_MAX_WIDTH
+ * @param {Buffer} buffer - Original image contents
+ * @param {string} publicId - Filename of the saved original
+ * @param {Object} options - { metadata (read from the buffer if omitted), uploadDir (folder of
+ *   the original, defaults to getUploadDir()), version (cache-busting query for regenerated files) }
+ * @returns {Promise<Object>} - { variants, srcset } for the image subdocument
+ */
+const generateImageVariants = async (
+  buffer,
+  publicId,
+  { metadata = null, uploadDir = getUploadDir(), version = null } = {}
+) => {
+  const {
+    width: storedWidth,
+    height: storedHeight,
+    orientation,
+  } = metadata || (await getImageMetadata(buffer));
+  // Width once the EXIF orientation is applied (orientations 5-8 swap width and height)
+  const originalWidth = orientation >= 5 ? storedHeight : storedWidth;
+  const largestWidth = IMAGE_VARIANT_WIDTHS[IMAGE_VARIANT_WIDTHS.length - 1];
+
+  const widths = Array.from(
+    new Set([
+      ...IMAGE_VARIANT_WIDTHS.filter((width) => width < originalWidth),
+      Math.min(originalWidth, largestWidth),
+    ])
+  );
+
+  const variants = [];
+
+  try {
+    // One at a time - AVIF encoding is CPU heavy
+    for (const format of IMAGE_VARIANT_FORMATS) {
+      const formatWidths =
+        format === "avif" ? widths.filter((width) => width <= AVIF_MAX_WIDTH) : widths;
+
+      for (const width of formatWidths) {
+        const variant = await createImageVariant(buffer, {
+          width,
+          format,
+          quality: IMAGE_VARIANT_QUALITY[format],
+          ...(format === "avif" && { effort: AVIF_EFFORT }),
+        });
+        const filename = getVariantFilename(publicId, width, format);
+
+        await fs.writeFile(path.join(uploadDir, filename), variant.buffer);
+
+        variants.push({
+          url: `${getUploadsUrl()}/${filename}${version ? `?v=${version}` : ""}`,
+          width,
+          height: variant.height,
+          format,
+          size: variant.size,
+        });
+      }
+    }
+  } catch (error) {
+    // Don't leave a partial set of variants behind
+    await Promise.allSettled(
+      variants.map((variant) =>
+        fs.unlink(path.join(uploadDir, path.posix.basename(variant.url.split("?")[0])))
+      )
+    );
+    throw error;
+  }
+
+  console.log(
+    `🖼️ Generated ${variants.length} variants for ${publicId} (${widths.join("/")}px)`
+  );
+
+  return {
+    variants,
+    srcset: Object.fromEntries(
+      IMAGE_VARIANT_FORMATS.map((format) => [format, buildSrcset(variants, format)])
+    ),
+  };
+};
+
+/**
+ * Regenerate the public copy and variants of an image from its private original
+ * URLs get a new version query, so cached copies are not served
+ * @param {Object} image - Image subdocument (publicId)
+ * @param {boolean} watermark - Overlay the brand logo
+ * @returns {Promise<Object|null>} - Updated image fields ({ url, size, watermarked, variants,
+ *   srcset }), null if the original is not available or the logo is missing
+ */
+const regenerateImageFiles = async (image, watermark) => {
+  const original = await readOriginalImage(image.publicId);
+  if (!original) return null;
+
+  const { buffer, watermarked } = await createPublicImage(original, watermark);
+  if (watermarked !== watermark) return null;
+
+  const filename = path.basename(image.publicId);
+  const version = Date.now();
+
+  await fs.writeFile(path.join(getUploadDir(), filename), buffer);
+  const responsive = await generateImageVariants(buffer, filename, { version });
+
+  return {
+    url: `${getUploadsUrl()}/${filename}?v=${version}`,
+    size: buffer.length,
+    watermarked,
+    ...responsive,
+  };
+};
+
+/**
+ * Helper function to delete local image files
+ * @param {string} publicId - The public ID of the image (filename without extension)
+ */
+const deleteLocalImageFiles = async (publicId) => {
+  try {
+    const uploadDir = getUploadDir();
+
+    console.log(
+      `🗑️ DELETE DEBUG - Attempting to delete files for publicId: ${publicId}`
+    );
+    console.log(`🗑️ DELETE DEBUG - Upload directory: ${uploadDir}`);
+
+    // Extract base filename without extension if publicId already includes extension
+    let baseFilename = publicId;
+    const knownExtensions = [".webp", ".jpg", ".jpeg", ".png"];
+    const hasExtension = knownExtensions.some((ext) =>
+      publicId.toLowerCase().endsWith(ext)
+    );
+
+    if (hasExtension) {
+      // Remove extension to get base filename
+      const lastDotIndex = publicId.lastIndexOf(".");
+      baseFilename = publicId.substring(0, lastDotIndex);
+      console.log(
+        `🗑️ DELETE DEBUG - PublicId has extension, using base: ${baseFilename}`
+      );
+    }
+
+    // List of possible file extensions and sizes
+    const possibleFiles = [
+      `${baseFilename}.webp`,
+      `${baseFilename}_thumb.webp`,
+      `${baseFilename}_medium.webp`,
+      `${baseFilename}_large.webp`,
+      `${baseFilename}_original.webp`,
+      `${baseFilename}.jpg`,
+      `${baseFilename}.jpeg`,
+      `${baseFilename}.png`,
+    ];
+
+    // Responsive variants
+    possibleFiles.push(...(await findVariantFiles(uploadDir, baseFilename)));
+
+    // If publicId already had extension, also try the original filename as-is
+    if (hasExtension && !possibleFiles.includes(publicId)) {
+      possibleFiles.push(publicId);
+    }
+
+    let deletedCount = 0;
+    const deletionPromises = possibleFiles.map(async (filename) => {
+      const filePath = path.join(uploadDir, filename);
+      try {
+        await fs.access(filePath); // Check if file exists
+        await fs.unlink(filePath); // Delete the file
+        console.log(`🗑️ DELETE DEBUG - Successfully deleted: ${filename}`);
+        deletedCount++;
+      } catch (error) {
+        // File doesn't exist or couldn't be deleted
+        console.log(
+          `🗑️ DELETE DEBUG - File not found or couldn't delete: ${filename}`
+        );
+      }
+    });
+
+    // Unwatermarked original
+    const originalFiles = new Set([
+      path.basename(publicId),
+      `${path.basename(baseFilename)}.webp`,
+    ]);
+    originalFiles.forEach((filename) =>
+      deletionPromises.push(
+        fs.unlink(path.join(getOriginalsDir(), filename)).catch(() => {})
+      )
+    );
+
+    await Promise.all(deletionPromises);
+    console.log(
+      `🗑️ DELETE DEBUG - Total files deleted for ${publicId}: ${deletedCount}`
+    );
+  } catch (error) {
+    console.error(
+      `❌ Error deleting local files for publicId ${publicId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Delete several images, logging (not throwing) individual failures
+ * @param {string[]} publicIds - Image publicIds to delete
+ */
+const deleteImageFiles = async (publicIds) => {
+  if (!publicIds || publicIds.length === 0) return;
+
+  const deletePromises = publicIds.map((publicId) =>
+    deleteLocalImageFiles(publicId).catch((error) => {
+      console.error(`❌ Failed to delete local files for image ${publicId}:`, error);
+    })
+  );
+
+  await Promise.allSettled(deletePromises);
+  console.log(`🗑️ Deleted ${publicIds.length} images that are no longer referenced`);
+};
+
+/**
+ * Validate an image buffer and save it to the uploads folder
+ * Uses the same file naming and URL format as the property image upload
+ * @param {Buffer} buffer - Image file contents
+ * @param {string} originalName - Original file name
+ * @param {Object} options - { watermark } overlay the brand logo (defaults to WATERMARK_ENABLED)
+ * @returns {Promise<Object>} - Property image data (url, publicId, originalName, size, format,
+ *   dimensions, placeholders, perceptual hash, watermark state and responsive variants)
+ */
+const saveImageFile = async (
+  buffer,
+  originalName,
+  { watermark = WATERMARK_ENABLED } = {}
+) => {
+  await validateImage(buffer);
+
+  const uploadDir = getUploadDir();
+  await fs.mkdir(uploadDir, { recursive: true });
+
+  const timestamp = Date.now();
+  const randomString = Math.random().toString(36).substring(2, 15);
+  const filename = `${timestamp}-${randomString}.webp`;
+
+  const metadata = await getImageMetadata(buffer);
+  const placeholders = await getImagePlaceholders(buffer);
+  const phash = await getPerceptualHash(buffer);
+  const publicImage = await createPublicImage(buffer, watermark);
+
+  await saveOriginalImage(buffer, filename);
+  await fs.writeFile(path.join(uploadDir, filename), publicImage.buffer);
+
+  let responsive;
+  try {
+    responsive = await generateImageVariants(publicImage.buffer, filename, {
+      metadata,
+      uploadDir,
+    });
+  } catch (error) {
+    await deleteLocalImageFiles(filename).catch(() => {});
+    throw error;
+  }
+
+  return {
+    url: `${getUploadsUrl()}/${filename}`,
+    publicId: filename,
+    originalName,
+    size: publicImage.buffer.length,
+    format: "webp",
+    watermarked: publicImage.watermarked,
+    width: metadata.orientation >= 5 ? metadata.height : metadata.width,
+    height: metadata.orientation >= 5 ? metadata.width : metadata.height,
+    ...placeholders,
+    phash,
+    ...responsive,
+  };
+};
+
+module.exports = {
+  getUploadDir,
+  getOriginalsDir,
+  saveOriginalImage,
+  readOriginalImage,
+  createPublicImage,
+  regenerateImageFiles,
+  buildSrcset,
+  findVariantFiles,
+  generateImageVariants,
+  saveImageFile,
+  deleteLocalImageFiles,
+  deleteImageFiles,
+};
@@ -0,0 +1,57 @@
+/**
+ * Perceptual Hash Helpers
+ * Distance between two photo hashes and the bands used to look up near matches in the database
+ */
+
+const { PHASH_BAND_COUNT } = require("../config/imageDuplicates");
+
+// Number of set bits per byte value
+const BIT_COUNTS = Array.from({ length: 256 }, (_, value) => {
+  let count = 0;
+  for (let bits = value; bits; bits >>= 1) count += bits & 1;
+  return count;
+});
+
+// Flat or blank images hash to all zeros and would match each other regardless of content
+const EMPTY_HASH = "0000000000000000";
+
+/**
+ * Number of differing bits between two perceptual hashes (Hamming distance)
+ * @param {Buffer} a - Hash bytes
+ * @param {Buffer} b - Hash bytes
+ * @returns {number} - Differing bits
+ */
+const hashDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) distance += BIT_COUNTS[a[i] ^ b[i]];
+  return distance;
+};
+
+/**
+ * Whether an image hash can be compared
+ * @param {string} phash - Perceptual hash (hex)
+ * @returns {boolean} - True for a usable hash
+ */
+const isComparableHash = (phash) =>
+  typeof phash === "string" && /^[0-9a-f]{16}$/.test(phash) && phash !== EMPTY_HASH;
+
+/**
+ * Split a hash into its bands, one per byte, prefixed with the byte position (e.g. "3af")
+ * Hashes at most PHASH_BAND_COUNT - 1 bits apart always share at least one band
+ * @param {string} phash - Perceptual hash (hex)
+ * @returns {string[]|undefined} - Bands, undefined for hashes that cannot be compared
+ */
+const getHashBands = (phash) => {
+  if (!isComparableHash(phash)) return undefined;
+
+  return Array.from(
+    { length: PHASH_BAND_COUNT },
+    (_, position) => `${position}${phash.substring(position * 2, position * 2 + 2)}`
+  );
+};
+
+module.exports = {
+  hashDistance,
+  isComparableHash,
+  getHashBands,
+};
@@ -0,0 +1,82 @@
+/**
+ * Inquiry Routing
+ * Resolves who receives a website inquiry on the server: the listing's own agent, a fallback
+ * routing rule (by emirate/listingType) when that agent has been deactivated, otherwise the team
+ * inbox. The team inbox (INQUIRY_TEAM_EMAIL, default EMAIL_USER) is copied on every inquiry.
+ */
+
+const User = require("../models/User");
+const InquiryRoutingRule = require("../models/InquiryRoutingRule");
+
+/**
+ * Team inbox copied on inquiries
+ * @returns {string} - Email address
+ */
+const getTeamInbox = () => process.env.INQUIRY_TEAM_EMAIL || process.env.EMAIL_USER;
+
+/**
+ * Find the agent of the most specific active fallback rule for a listing
+ * Emirate + listingType beats emirate only, which beats listingType only
+ * @param {Object} property - Property (location.emirate, listingType)
+ * @returns {Promise<Object|null>} - Active agent (name, email) or null
+ */
+const findFallbackAgent = async (property) => {
+  const emirate = property.location?.emirate || null;
+  const listingType = property.listingType || null;
+
+  const rules = await InquiryRoutingRule.find({
+    isActive: true,
+    emirate: { $in: [emirate, null] },
+    listingType: { $in: [listingType, null] },
+  })
+    .populate("agent", "name email isActive role")
+    .lean();
+
+  const specificity = (rule) => (rule.emirate ? 2 : 0) + (rule.listingType ? 1 : 0);
+
+  const rule = rules
+    .filter((candidate) => candidate.agent?.isActive)
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+
+  return rule ? rule.agent : null;
+};
+
+/**
+ * Resolve the recipients of an inquiry
+ * Client-supplied recipients are never used
+ * @param {Object|null} property - Property the inquiry is about (createdBy, location, listingType)
+ * @returns {Promise<Object>} - { to, cc, agent, routedBy } (agent is null when sent to the team inbox)
+ */
+const resolveInquiryRecipients = async (property) => {
+  const teamInbox = getTeamInbox();
+  let agent = null;
+  let routedBy = "team";
+
+  if (property) {
+    const owner = await User.findById(property.createdBy).select("name email isActive role");
+
+    if (owner?.isActive) {
+      agent = owner;
+      routedBy = "owner";
+    } else {
+      agent = await findFallbackAgent(property);
+      routedBy = agent ? "rule" : "team";
+    }
+  }
+
+  if (!agent || !agent.email) {
+    return { to: teamInbox, cc: undefined, agent: null, routedBy: "team" };
+  }
+
+  return {
+    to: agent.email,
+    cc: agent.email.toLowerCase() === teamInbox?.toLowerCase() ? undefined : teamInbox,
+    agent,
+    routedBy,
+  };
+};
+
+module.exports = {
+  getTeamInbox,
+  resolveInquiryRecipients,
+};
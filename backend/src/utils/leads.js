@@ -0,0 +1,183 @@
+/**
+ * Lead Helpers
+ * Every website form submission is stored as a lead for the admin CRM pipeline; leads about a
+ * listing are assigned to the agent the inquiry is routed to, and a scheduled check emails
+ * follow-up reminders
+ */
+
+const mongoose = require("mongoose");
+const Lead = require("../models/Lead");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { CLOSED_LEAD_STATUSES } = require("../constants/propertyTypes");
+const { createTransporter } = require("../config/email");
+const { escapeHtml } = require("./propertySearch");
+const { getTeamInbox, resolveInquiryRecipients } = require("./inquiryRouting");
+
+/**
+ * Keep the non-empty extra form answers as strings
+ * @param {Object} requirements - Extra form fields
+ * @returns {Object|undefined} - Requirements or undefined when there are none
+ */
+const cleanRequirements = (requirements = {}) => {
+  const entries = Object.entries(requirements)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([key, value]) => [key, String(value).substring(0, 200)]);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+};
+
+/**
+ * Store a website form submission as a lead
+ * Inquiries about a listing are linked to the listing and assigned to the agent they are routed to
+ * @param {Object} data - { source, name, email, phone, message, requirements, propertyId, valuationRequest,
+ *   status (pipeline stage, e.g. "viewing" when the visitor booked a viewing) }
+ * @returns {Promise<Object>} - { lead, property, routing } (routing from resolveInquiryRecipients)
+ */
+const createLeadFromSubmission = async ({
+  source,
+  name,
+  email,
+  phone,
+  message,
+  requirements,
+  propertyId,
+  valuationRequest = null,
+  status,
+}) => {
+  const property =
+    propertyId && mongoose.Types.ObjectId.isValid(String(propertyId))
+      ? await Property.findById(String(propertyId)).select(
+          "title slug createdBy listingType location.emirate"
+        )
+      : null;
+
+  const routing = await resolveInquiryRecipients(property);
+
+  const lead = new Lead({
+    source,
+    name,
+    email,
+    phone,
+    message,
+    requirements: cleanRequirements(requirements),
+    property: property?._id || null,
+    agent: property?.createdBy || null,
+    assignedTo: routing.agent?._id || null,
+    valuationRequest,
+    status,
+  });
+
+  await lead.save();
+
+  console.log(
+    `📥 New ${source} lead ${lead._id}${property ? ` for property ${property._id}` : ""}`
+  );
+
+  return { lead, property, routing };
+};
+
+/**
+ * Email an assignee the leads whose follow-up is due
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {Object[]} leads - Due leads (with the property populated)
+ */
+const sendFollowUpReminderEmail = async (to, name, leads) => {
+  const transporter = createTransporter();
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to,
+    subject:
+      leads.length === 1
+        ? `Follow-up due: ${leads[0].name}`
+        : `${leads.length} lead follow-ups due`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Lead follow-ups due</h2>
+        <p>Hello ${escapeHtml(name || "")},</p>
+        <p>The following ${leads.length === 1 ? "lead is" : "leads are"} due for a follow-up:</p>
+        <ul>
+          ${leads
+            .map(
+              (lead) => `
+            <li style="margin-bottom: 8px;">
+              <strong>${escapeHtml(lead.name)}</strong> (${escapeHtml(lead.status)})<br>
+              <span style="color: #666;">${escapeHtml(lead.email)}${lead.phone ? ` · ${escapeHtml(lead.phone)}` : ""}</span><br>
+              ${lead.property ? `<span style="color: #666;">${escapeHtml(lead.property.title)}</span><br>` : ""}
+              <span style="color: #666;">Due ${new Date(lead.followUpAt).toISOString().substring(0, 16).replace("T", " ")} UTC</span>
+            </li>`
+            )
+            .join("")}
+        </ul>
+        <p>Update the lead in the dashboard once you have been in touch.</p>
+      </div>
+    `,
+  });
+};
+
+/**
+ * Email follow-up reminders for open leads that are due
+ * Unassigned leads are sent to the team inbox; registered with the scheduler (see server.js)
+ * @returns {Promise<number>} - Number of leads reminded
+ */
+const sendLeadFollowUpReminders = async () => {
+  const now = new Date();
+
+  const leads = await Lead.find({
+    followUpAt: { $lte: now },
+    followUpReminderSentAt: null,
+    status: { $nin: CLOSED_LEAD_STATUSES },
+  })
+    .select("name email phone status followUpAt assignedTo property")
+    .populate("property", "title")
+    .lean();
+
+  if (leads.length === 0) return 0;
+
+  const leadsByAssignee = new Map();
+  leads.forEach((lead) => {
+    const assigneeId = lead.assignedTo ? lead.assignedTo.toString() : "unassigned";
+    if (!leadsByAssignee.has(assigneeId)) {
+      leadsByAssignee.set(assigneeId, []);
+    }
+    leadsByAssignee.get(assigneeId).push(lead);
+  });
+
+  const assignees = await User.find({
+    _id: { $in: Array.from(leadsByAssignee.keys()).filter((id) => id !== "unassigned") },
+  }).select("name email isActive");
+  const assigneeById = new Map(assignees.map((user) => [user._id.toString(), user]));
+
+  let remindedCount = 0;
+
+  for (const [assigneeId, assigneeLeads] of leadsByAssignee) {
+    const assignee = assigneeById.get(assigneeId);
+    // Leads of unassigned or deactivated users go to the team inbox
+    const recipient =
+      assignee && assignee.isActive !== false
+        ? { email: assignee.email, name: assignee.name }
+        : { email: getTeamInbox(), name: "EarlyBirds team" };
+
+    try {
+      await sendFollowUpReminderEmail(recipient.email, recipient.name, assigneeLeads);
+      await Lead.updateMany(
+        { _id: { $in: assigneeLeads.map((lead) => lead._id) } },
+        { $set: { followUpReminderSentAt: now } }
+      );
+      remindedCount += assigneeLeads.length;
+    } catch (error) {
+      console.error(`❌ Failed to send lead follow-up reminder to ${recipient.email}:`, error);
+    }
+  }
+
+  console.log(`🔔 Sent follow-up reminders for ${remindedCount} lead(s)`);
+
+  return remindedCount;
+};
+
+module.exports = {
+  createLeadFromSubmission,
+  sendLeadFollowUpReminders,
+};
@@ -0,0 +1,535 @@
+/**
+ * Listing Schedule Helpers
+ * Scheduled publishing (an approved draft with a publishAt goes live when it arrives) and
+ * automatic expiry (live listings are archived at expiresAt unless the owner renews them from
+ * the reminder email). Status changes follow the same transition rules as manual edits.
+ */
+
+const jwt = require("jsonwebtoken");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { EXPIRING_STATUSES } = require("../constants/propertyTypes");
+const {
+  LISTING_LIFETIME_DAYS,
+  RENEWAL_DAYS,
+  EXPIRY_REMINDER_DAYS,
+  RENEW_LINK_GRACE_DAYS,
+} = require("../config/listingSchedule");
+const { createTransporter } = require("../config/email");
+const { escapeHtml } = require("./propertySearch");
+const { ensureBaselineRevision, recordRevision } = require("./propertyRevisions");
+const { getPermitIssue } = require("./propertyPermits");
+const { getValidStatusTransitions } = require("./propertyStatus");
+const { notifySavedSearches } = require("./savedSearchAlerts");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purpose claim of renew link tokens (keeps other JWTs from being used as renew links)
+const RENEW_TOKEN_PURPOSE = "listing-renew";
+
+/**
+ * Base URL of the admin panel (renew link pages, which confirm the renewal through the API)
+ * @returns {string} - Admin panel URL
+ */
+const getAdminUrl = () => process.env.Admin_URL || "http://localhost:3001";
+
+/**
+ * Format a date for emails (e.g. "12 Nov 2026")
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "Asia/Dubai",
+  });
+
+/**
+ * Parse a schedule date from request data ("" or null clears it)
+ * @param {*} value - Date value
+ * @param {string} field - Field name
+ * @returns {Object} - { value } (undefined when not sent) or { error }
+ */
+const parseScheduleDate = (value, field) => {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === "" || value === "null") return { value: null };
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: { field, message: `${field} must be a valid date` } };
+  }
+  return { value: date };
+};
+
+/**
+ * Check whether a listing is a scheduled draft (submitted for a launch date, in the approval flow)
+ * @param {Object} property - Property
+ * @returns {boolean} - True for scheduled listings
+ */
+const isScheduledListing = (property) =>
+  Boolean(property) &&
+  property.status === "draft" &&
+  Boolean(property.publishAt) &&
+  property.approvalStatus !== "not_applicable";
+
+/**
+ * Apply publishAt / expiresAt from create or update data
+ * A draft submitted as available with a future publishAt stays a draft until then (a scheduled
+ * listing); listings going live again with a past expiry date get a fresh lifetime
+ * @param {Object} data - Property data from the request (updated in place)
+ * @param {Object} existing - Current property when updating
+ * @returns {Object} - { errors, scheduled }
+ */
+const applyListingSchedule = (data, existing = null) => {
+  const now = new Date();
+  const publishAt = parseScheduleDate(data.publishAt, "publishAt");
+  const expiresAt = parseScheduleDate(data.expiresAt, "expiresAt");
+  const errors = [publishAt.error, expiresAt.error].filter(Boolean);
+
+  // Managed by the scheduler only
+  delete data.expiredAt;
+  delete data.expiryReminderSentAt;
+
+  if (errors.length > 0) return { errors, scheduled: false };
+
+  if (publishAt.value && publishAt.value <= now) {
+    errors.push({ field: "publishAt", message: "publishAt must be in the future" });
+  }
+  if (expiresAt.value && expiresAt.value <= now) {
+    errors.push({ field: "expiresAt", message: "expiresAt must be in the future" });
+  }
+
+  const finalPublishAt =
+    publishAt.value !== undefined ? publishAt.value : existing?.publishAt || null;
+  const finalExpiresAt =
+    expiresAt.value !== undefined ? expiresAt.value : existing?.expiresAt || null;
+
+  if (finalPublishAt && finalExpiresAt && finalExpiresAt <= finalPublishAt) {
+    errors.push({ field: "expiresAt", message: "expiresAt must be after publishAt" });
+  }
+  if (errors.length > 0) return { errors, scheduled: false };
+
+  if (publishAt.value !== undefined) data.publishAt = publishAt.value;
+  if (expiresAt.value !== undefined) data.expiresAt = expiresAt.value;
+
+  // New listings default to available (see the Property model)
+  const currentStatus = existing ? existing.status : "draft";
+  let newStatus = data.status || (existing ? existing.status : "available");
+
+  // Submitting a draft for a future launch schedules it; saving it as a draft keeps it
+  // scheduled (plain drafts with a publishAt are not published)
+  let scheduled =
+    currentStatus === "draft" &&
+    newStatus === "draft" &&
+    Boolean(finalPublishAt) &&
+    isScheduledListing(existing);
+
+  if (
+    newStatus === "available" &&
+    currentStatus === "draft" &&
+    finalPublishAt &&
+    finalPublishAt > now
+  ) {
+    data.status = "draft";
+    newStatus = "draft";
+    scheduled = true;
+  }
+
+  // Expired listings brought back by hand start a new lifetime
+  if (
+    existing &&
+    EXPIRING_STATUSES.includes(newStatus) &&
+    expiresAt.value === undefined &&
+    existing.expiresAt &&
+    existing.expiresAt <= now
+  ) {
+    data.expiresAt = null;
+  }
+  if (existing?.expiredAt && newStatus !== "archived") {
+    data.expiredAt = null;
+  }
+
+  return { errors, scheduled };
+};
+
+/**
+ * Create the signed token of a listing's renew link
+ * Tied to the current expiry date, so a link renews the listing only once
+ * @param {Object} property - Property with expiresAt
+ * @returns {string} - Signed token
+ */
+const createRenewToken = (property) =>
+  jwt.sign(
+    {
+      propertyId: property._id.toString(),
+      expiresAt: property.expiresAt.getTime(),
+      purpose: RENEW_TOKEN_PURPOSE,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(
+        60 * 60,
+        Math.ceil((property.expiresAt.getTime() - Date.now()) / 1000) +
+          RENEW_LINK_GRACE_DAYS * 24 * 60 * 60
+      ),
+    }
+  );
+
+/**
+ * Verify a renew link token
+ * @param {string} token - Signed token
+ * @returns {Object|null} - { propertyId, expiresAt } or null if the token is invalid or expired
+ */
+const verifyRenewToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === RENEW_TOKEN_PURPOSE
+      ? { propertyId: decoded.propertyId, expiresAt: decoded.expiresAt }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Renew a live or expired listing for another RENEWAL_DAYS
+ * Expired listings go back to the status they had before they were archived
+ * @param {Object} property - Property document
+ * @param {Object} options - { userId } acting user (null for renew links)
+ * @returns {Promise<Object>} - { property } or { error }
+ */
+const renewListing = async (property, { userId = null } = {}) => {
+  const now = new Date();
+  const isExpired = property.status === "archived" && Boolean(property.expiredAt);
+
+  if (!isExpired && !EXPIRING_STATUSES.includes(property.status)) {
+    return { error: `A ${property.status} listing cannot be renewed` };
+  }
+
+  if (isExpired) {
+    const restoredStatus = property.previousStatus;
+    const allowedStatuses = getValidStatusTransitions("archived", restoredStatus, property);
+
+    if (!restoredStatus || !allowedStatuses.includes(restoredStatus)) {
+      return {
+        error:
+          (restoredStatus === "available" && getPermitIssue(property)) ||
+          "The listing cannot be restored to its previous status",
+      };
+    }
+
+    await ensureBaselineRevision(property);
+    property.status = restoredStatus;
+    property.previousStatus = undefined;
+    property.expiredAt = null;
+  }
+
+  const base = property.expiresAt && property.expiresAt > now ? property.expiresAt : now;
+  property.expiresAt = new Date(base.getTime() + RENEWAL_DAYS * DAY_MS);
+  property.updatedAt = now;
+  property.$locals.changedBy = userId;
+  property.$locals.historyNote = "Listing renewed";
+  await property.save();
+
+  if (isExpired) {
+    await recordRevision(property, { userId, reason: "update" });
+  }
+
+  return { property };
+};
+
+/**
+ * Email an owner a list of their listings with optional renew links
+ * @param {Object} owner - User (name, email)
+ * @param {Object} content - { subject, heading, intro, properties, renewLinks, footer }
+ */
+const sendListingScheduleEmail = async (
+  owner,
+  { subject, heading, intro, properties, renewLinks = false, footer = "" }
+) => {
+  const transporter = createTransporter();
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: owner.email,
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p>Hello ${escapeHtml(owner.name || "")},</p>
+        <p>${intro}</p>
+        <ul>
+          ${properties
+            .map(
+              ({ property, detail }) => `
+            <li style="margin-bottom: 12px;">
+              <strong>${escapeHtml(property.title)}</strong><br>
+              <span style="color: #666;">${escapeHtml(detail)}</span>
+              ${
+                renewLinks
+                  ? `<br><a href="${getAdminUrl()}/properties/renew?token=${createRenewToken(property)}"
+                 style="display: inline-block; margin-top: 6px; background-color: #bd8c31; color: #fff; padding: 6px 14px; text-decoration: none; border-radius: 4px;">
+                Renew for ${RENEWAL_DAYS} days
+              </a>`
+                  : ""
+              }
+            </li>`
+            )
+            .join("")}
+        </ul>
+        ${footer ? `<p style="color: #666;">${footer}</p>` : ""}
+      </div>
+    `,
+  });
+};
+
+/**
+ * Group properties by owner and send each owner one email
+ * @param {Map} propertiesByOwner - ownerId -> [{ property, detail }]
+ * @param {Function} buildEmail - (items) => email content for sendListingScheduleEmail
+ * @param {string} label - Email type for error logs
+ */
+const emailOwners = async (propertiesByOwner, buildEmail, label) => {
+  const owners = await User.find({
+    _id: { $in: Array.from(propertiesByOwner.keys()) },
+  }).select("name email");
+
+  for (const owner of owners) {
+    try {
+      const items = propertiesByOwner.get(owner._id.toString());
+      await sendListingScheduleEmail(owner, { properties: items, ...buildEmail(items) });
+    } catch (error) {
+      console.error(`❌ Failed to send ${label} email to ${owner.email}:`, error);
+    }
+  }
+};
+
+/**
+ * Add a property to an owner group
+ * @param {Map} groups - ownerId -> items
+ * @param {Object} property - Property
+ * @param {string} detail - Line shown under the title
+ */
+const addToOwnerGroup = (groups, property, detail) => {
+  const ownerId = property.createdBy.toString();
+  if (!groups.has(ownerId)) groups.set(ownerId, []);
+  groups.get(ownerId).push({ property, detail });
+};
+
+/**
+ * Publish approved scheduled listings whose publishAt has arrived
+ * Listings that can no longer go live (e.g. the advertising permit expired) become plain
+ * drafts and their owners are told why. Registered with the scheduler (see server.js)
+ * @returns {Promise<number>} - Number of listings published
+ */
+const publishScheduledListings = async () => {
+  const now = new Date();
+
+  const properties = await Property.find({
+    status: "draft",
+    approvalStatus: "approved",
+    publishAt: { $lte: now },
+  });
+
+  if (properties.length === 0) return 0;
+
+  const failedByOwner = new Map();
+  let publishedCount = 0;
+
+  for (const property of properties) {
+    try {
+      await ensureBaselineRevision(property);
+
+      const allowedStatuses = getValidStatusTransitions(
+        property.status,
+        property.previousStatus,
+        property
+      );
+      // Automatic change - no acting user in the history
+      property.$locals.changedBy = null;
+      property.updatedAt = now;
+
+      if (!allowedStatuses.includes("available")) {
+        const reason =
+          getPermitIssue(property) || "The listing cannot be published from its current status";
+
+        property.publishAt = null;
+        property.approvalStatus = "not_applicable"; // Back to a plain draft
+        property.$locals.historyNote = `Scheduled publish failed: ${reason}`;
+        await property.save();
+
+        addToOwnerGroup(failedByOwner, property, reason);
+        continue;
+      }
+
+      property.status = "available";
+      property.$locals.historyNote = "Scheduled publish";
+      await property.save();
+
+      await recordRevision(property, { reason: "update" });
+      publishedCount++;
+
+      notifySavedSearches(property).catch((error) =>
+        console.error("Error sending saved search alerts:", error)
+      );
+    } catch (error) {
+      console.error(`❌ Failed to publish scheduled property ${property._id}:`, error);
+    }
+  }
+
+  if (failedByOwner.size > 0) {
+    await emailOwners(
+      failedByOwner,
+      (items) => ({
+        subject:
+          items.length === 1
+            ? "Scheduled listing not published"
+            : `${items.length} scheduled listings not published`,
+        heading: "Scheduled listing not published",
+        intro: `The following ${items.length === 1 ? "listing was" : "listings were"} due to go live but could not be published, so ${items.length === 1 ? "it was" : "they were"} moved back to draft:`,
+        footer: "Fix the issue and publish the listing again.",
+      }),
+      "scheduled publish"
+    );
+  }
+
+  console.log(`🚀 Published ${publishedCount} scheduled listing(s)`);
+  return publishedCount;
+};
+
+/**
+ * Give live listings without an expiry date their default lifetime, then archive listings whose
+ * expiry date has passed and tell their owners (with renew links).
+ * Registered with the scheduler (see server.js)
+ * @returns {Promise<number>} - Number of listings archived
+ */
+const expireListings = async () => {
+  const now = new Date();
+
+  for (const [listingType, days] of Object.entries(LISTING_LIFETIME_DAYS)) {
+    await Property.updateMany(
+      {
+        listingType,
+        status: { $in: EXPIRING_STATUSES },
+        approvalStatus: "approved",
+        expiresAt: null,
+      },
+      { $set: { expiresAt: new Date(now.getTime() + days * DAY_MS) } }
+    );
+  }
+
+  const properties = await Property.find({
+    status: { $in: EXPIRING_STATUSES },
+    expiresAt: { $lte: now },
+  });
+
+  if (properties.length === 0) return 0;
+
+  const expiredByOwner = new Map();
+
+  for (const property of properties) {
+    try {
+      const allowedStatuses = getValidStatusTransitions(
+        property.status,
+        property.previousStatus
+      );
+      if (!allowedStatuses.includes("archived")) continue;
+
+      await ensureBaselineRevision(property);
+
+      property.previousStatus = property.status;
+      property.status = "archived";
+      property.expiredAt = now;
+      property.updatedAt = now;
+      // Automatic change - no acting user in the history
+      property.$locals.changedBy = null;
+      property.$locals.historyNote = "Listing expired";
+      await property.save();
+
+      await recordRevision(property, { reason: "update" });
+
+      addToOwnerGroup(
+        expiredByOwner,
+        property,
+        `Expired on ${formatDate(property.expiresAt)}`
+      );
+    } catch (error) {
+      console.error(`❌ Failed to archive expired property ${property._id}:`, error);
+    }
+  }
+
+  await emailOwners(
+    expiredByOwner,
+    (items) => ({
+      subject:
+        items.length === 1 ? "Listing expired" : `${items.length} listings expired`,
+      heading: "Listing expired",
+      intro: `The following ${items.length === 1 ? "listing has" : "listings have"} expired and ${items.length === 1 ? "was" : "were"} removed from the website. Renew to put ${items.length === 1 ? "it" : "them"} back online:`,
+      renewLinks: true,
+    }),
+    "listing expired"
+  );
+
+  const expiredCount = Array.from(expiredByOwner.values()).flat().length;
+  console.log(`📦 Archived ${expiredCount} expired listing(s)`);
+
+  return expiredCount;
+};
+
+/**
+ * Remind owners a few days before their live listings expire (one reminder per expiry date)
+ * Registered with the scheduler (see server.js)
+ * @returns {Promise<number>} - Number of listings included in reminders
+ */
+const sendExpiryReminders = async () => {
+  const now = new Date();
+
+  const properties = await Property.find({
+    status: { $in: EXPIRING_STATUSES },
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_REMINDER_DAYS * DAY_MS) },
+    expiryReminderSentAt: null,
+  }).select("title createdBy expiresAt");
+
+  if (properties.length === 0) return 0;
+
+  const remindersByOwner = new Map();
+  properties.forEach((property) =>
+    addToOwnerGroup(remindersByOwner, property, `Expires on ${formatDate(property.expiresAt)}`)
+  );
+
+  await emailOwners(
+    remindersByOwner,
+    (items) => ({
+      subject:
+        items.length === 1
+          ? "Your listing expires soon"
+          : `${items.length} of your listings expire soon`,
+      heading: "Listing expiring soon",
+      intro: `The following ${items.length === 1 ? "listing expires" : "listings expire"} in the next ${EXPIRY_REMINDER_DAYS} days and will be removed from the website unless renewed:`,
+      renewLinks: true,
+    }),
+    "expiry reminder"
+  );
+
+  // Marked even if an email failed, so an unreachable owner is not retried every run
+  await Property.updateMany(
+    { _id: { $in: properties.map((property) => property._id) } },
+    { $set: { expiryReminderSentAt: now } }
+  );
+
+  console.log(`⏳ Sent expiry reminders for ${properties.length} listing(s)`);
+  return properties.length;
+};
+
+module.exports = {
+  isScheduledListing,
+  applyListingSchedule,
+  createRenewToken,
+  verifyRenewToken,
+  renewListing,
+  publishScheduledListings,
+  expireListings,
+  sendExpiryReminders,
+};
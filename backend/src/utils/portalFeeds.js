@@ -0,0 +1,521 @@
+/**
+ * Portal Syndication Feed Helpers
+ * Renders approved, available listings as Property Finder / Bayut XML. Each listing's XML is
+ * cached per feed and only re-rendered when the property or the feed mappings change, so a
+ * feed request only loads the listings that changed since the previous one.
+ */
+
+const crypto = require("crypto");
+const Property = require("../models/Property");
+const { PORTAL_FEED_DEFAULTS } = require("../config/portalFeeds");
+const { SQM_TO_SQFT } = require("../constants/propertyTypes");
+
+// Listings published to the portals
+const FEED_PROPERTY_FILTER = { approvalStatus: "approved", status: "available" };
+
+// Mapping keys holding name -> portal value maps
+const MAPPING_OBJECT_KEYS = [
+  "propertyTypes",
+  "listingTypes",
+  "commercialListingTypes",
+  "emirates",
+  "areas",
+  "amenities",
+];
+
+// feedId -> Map(propertyId -> { version, xml })
+const listingCache = new Map();
+
+// feedId -> { etag, lastModified } of the last generated content
+const feedStates = new Map();
+
+/**
+ * Check for a plain object
+ * @param {*} value - Any value
+ * @returns {boolean} - True for non-array objects
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate mapping updates for a feed
+ * @param {Object} mappings - Mapping updates
+ * @returns {string[]} - Error messages
+ */
+const validateFeedMappings = (mappings) => {
+  if (!isPlainObject(mappings)) {
+    return ["Mappings must be an object"];
+  }
+
+  const errors = [];
+
+  Object.entries(mappings).forEach(([key, value]) => {
+    if (MAPPING_OBJECT_KEYS.includes(key)) {
+      const validEntries =
+        isPlainObject(value) &&
+        Object.values(value).every(
+          (mapped) => mapped === null || typeof mapped === "string"
+        );
+      if (!validEntries) {
+        errors.push(`${key} must map names to text values (null removes an entry)`);
+      }
+    } else if (key === "commercialPropertyTypes") {
+      if (!Array.isArray(value) || value.some((type) => typeof type !== "string")) {
+        errors.push("commercialPropertyTypes must be a list of property types");
+      }
+    } else if (key === "includeUnmappedAmenities") {
+      if (typeof value !== "boolean") {
+        errors.push("includeUnmappedAmenities must be true or false");
+      }
+    } else {
+      errors.push(`Unknown mapping "${key}"`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Default mappings for a portal
+ * @param {string} portal - Portal key
+ * @returns {Object} - Copy of the portal's default mappings
+ */
+const getDefaultFeedMappings = (portal) =>
+  JSON.parse(JSON.stringify(PORTAL_FEED_DEFAULTS[portal].mappings));
+
+/**
+ * Apply mapping updates - map entries are merged (null removes an entry), other values replaced
+ * @param {Object} current - Current feed mappings
+ * @param {Object} updates - Validated mapping updates
+ * @returns {Object} - New mappings
+ */
+const mergeFeedMappings = (current, updates) => {
+  const merged = { ...current };
+
+  Object.entries(updates).forEach(([key, value]) => {
+    if (!MAPPING_OBJECT_KEYS.includes(key)) {
+      merged[key] = value;
+      return;
+    }
+
+    const entries = { ...(current[key] || {}) };
+    Object.entries(value).forEach(([name, mapped]) => {
+      if (mapped === null) {
+        delete entries[name];
+      } else {
+        entries[name] = mapped;
+      }
+    });
+    merged[key] = entries;
+  });
+
+  return merged;
+};
+
+/**
+ * Wrap text in a CDATA section
+ * @param {*} value - Text
+ * @returns {string} - CDATA section
+ */
+const cdata = (value) =>
+  `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm:ss" (UTC)
+ * @param {Date} date - Date
+ * @returns {string} - Feed date
+ */
+const formatFeedDate = (date) =>
+  new Date(date).toISOString().replace("T", " ").substring(0, 19);
+
+/**
+ * Look up a value in a mapping, falling back to the value itself
+ * @param {Object} map - Mapping
+ * @param {string} value - Our value
+ * @returns {string} - Portal value
+ */
+const mapValue = (map, value) => (map && map[value]) || value;
+
+/**
+ * Portal offering type / purpose for a listing
+ * @param {Object} property - Property
+ * @param {Object} mappings - Feed mappings
+ * @returns {string} - Portal offering type
+ */
+const getOfferingType = (property, mappings) => {
+  const isCommercial = (mappings.commercialPropertyTypes || []).includes(
+    property.propertyType
+  );
+  return mapValue(
+    isCommercial ? mappings.commercialListingTypes : mappings.listingTypes,
+    property.listingType
+  );
+};
+
+/**
+ * Portal amenity values for a listing (duplicates removed)
+ * @param {Object} property - Property
+ * @param {Object} mappings - Feed mappings
+ * @returns {string[]} - Portal amenities
+ */
+const getFeedAmenities = (property, mappings) => {
+  const amenities = (property.amenities || [])
+    .map((amenity) =>
+      mappings.amenities?.[amenity] ||
+      (mappings.includeUnmappedAmenities ? amenity : null)
+    )
+    .filter(Boolean);
+
+  return Array.from(new Set(amenities));
+};
+
+/**
+ * Listing images with the main image first
+ * @param {Object} property - Property
+ * @returns {Object[]} - Sorted images
+ */
+const getFeedImages = (property) =>
+  [...(property.images || [])].sort(
+    (a, b) => Number(b.isMain) - Number(a.isMain) || a.order - b.order
+  );
+
+/**
+ * Built-up area in square feet
+ * @param {Object} property - Property
+ * @returns {number|undefined} - Area in sqft
+ */
+const getAreaInSqft = (property) => {
+  const area = property.details?.area;
+  if (!area) return undefined;
+  return Math.round(property.details.areaUnit === "sqm" ? area * SQM_TO_SQFT : area);
+};
+
+/**
+ * Optional XML element (omitted when the value is empty)
+ * @param {string} name - Element name
+ * @param {*} value - Element content (already escaped/CDATA)
+ * @returns {string} - Element or empty string
+ */
+const element = (name, value) =>
+  value === undefined || value === null || value === ""
+    ? ""
+    : `    <${name}>${value}</${name}>\n`;
+
+/**
+ * Property Finder listing XML
+ * @param {Object} property - Property (lean, createdBy populated)
+ * @param {Object} mappings - Feed mappings
+ * @returns {string} - <property> element
+ */
+const renderPropertyFinderListing = (property, mappings) => {
+  const { location = {}, details = {} } = property;
+  const lastUpdate = formatFeedDate(property.updatedAt);
+  const coordinates = location.coordinates?.coordinates;
+  const agent = property.createdBy;
+  const price =
+    property.listingType === "rent"
+      ? `<yearly>${escapeXml(property.price)}</yearly>`
+      : escapeXml(property.price);
+
+  return (
+    `  <property last_update="${lastUpdate}">\n` +
+    element("reference_number", escapeXml(property._id)) +
+    element("permit_number", escapeXml(property.permit?.number)) +
+    element("offering_type", escapeXml(getOfferingType(property, mappings))) +
+    element(
+      "property_type",
+      escapeXml(mapValue(mappings.propertyTypes, property.propertyType))
+    ) +
+    element("price", property.price !== undefined ? price : undefined) +
+    element("city", cdata(mapValue(mappings.emirates, location.emirate))) +
+    element("community", cdata(mapValue(mappings.areas, location.area))) +
+    element("sub_community", location.neighborhood ? cdata(location.neighborhood) : "") +
+    element("title_en", cdata(property.title)) +
+    element("description_en", cdata(property.description)) +
+    element("amenities", escapeXml(getFeedAmenities(property, mappings).join(","))) +
+    element("size", getAreaInSqft(property)) +
+    element(
+      "bedroom",
+      property.propertyType === "studio" ? 0 : details.bedrooms
+    ) +
+    element("bathroom", details.bathrooms) +
+    element("parking", details.parking?.available ? details.parking.spaces : undefined) +
+    element(
+      "completion_status",
+      property.listingType === "off plan" ? "off_plan" : "completed"
+    ) +
+    element("geopoints", coordinates ? `${coordinates[0]},${coordinates[1]}` : "") +
+    (agent
+      ? "    <agent>\n" +
+        `      <id>${escapeXml(agent._id)}</id>\n` +
+        `      <name>${cdata(agent.name)}</name>\n` +
+        `      <email>${escapeXml(agent.email)}</email>\n` +
+        "    </agent>\n"
+      : "") +
+    "    <photo>\n" +
+    getFeedImages(property)
+      .map(
+        (image) =>
+          `      <url last_update="${lastUpdate}">${escapeXml(image.url)}</url>\n`
+      )
+      .join("") +
+    "    </photo>\n" +
+    "  </property>\n"
+  );
+};
+
+/**
+ * Property Finder feed document
+ * @param {string[]} listings - Listing XML
+ * @param {Date} lastModified - Feed content date
+ * @returns {string} - XML document
+ */
+const renderPropertyFinderDocument = (listings, lastModified) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  `<list last_update="${formatFeedDate(lastModified)}" listing_count="${listings.length}">\n` +
+  listings.join("") +
+  "</list>\n";
+
+/**
+ * Bayut listing XML
+ * @param {Object} property - Property (lean, createdBy populated)
+ * @param {Object} mappings - Feed mappings
+ * @returns {string} - <Property> element
+ */
+const renderBayutListing = (property, mappings) => {
+  const { location = {}, details = {} } = property;
+  const coordinates = location.coordinates?.coordinates;
+  const agent = property.createdBy;
+
+  return (
+    "  <Property>\n" +
+    element("Property_Ref_No", cdata(property._id)) +
+    element("Permit_Number", property.permit?.number ? cdata(property.permit.number) : "") +
+    element("Property_Status", "live") +
+    element("Property_purpose", cdata(getOfferingType(property, mappings))) +
+    element(
+      "Property_Type",
+      cdata(mapValue(mappings.propertyTypes, property.propertyType))
+    ) +
+    element("Property_Size", getAreaInSqft(property)) +
+    element("Property_Size_Unit", getAreaInSqft(property) ? "SQFT" : "") +
+    element(
+      "Bedrooms",
+      property.propertyType === "studio" ? 0 : details.bedrooms
+    ) +
+    element("Bathrooms", details.bathrooms) +
+    element("Price", escapeXml(property.price)) +
+    element("Rent_Frequency", property.listingType === "rent" ? "Yearly" : "") +
+    element("Off_plan", property.listingType === "off plan" ? "Yes" : "No") +
+    element("City", cdata(mapValue(mappings.emirates, location.emirate))) +
+    element("Locality", cdata(mapValue(mappings.areas, location.area))) +
+    element("Sub_Locality", location.neighborhood ? cdata(location.neighborhood) : "") +
+    element("Property_Title", cdata(property.title)) +
+    element("Property_Description", cdata(property.description)) +
+    "    <Features>\n" +
+    getFeedAmenities(property, mappings)
+      .map((amenity) => `      <Feature>${cdata(amenity)}</Feature>\n`)
+      .join("") +
+    "    </Features>\n" +
+    "    <Images>\n" +
+    getFeedImages(property)
+      .map((image) => `      <Image>${cdata(image.url)}</Image>\n`)
+      .join("") +
+    "    </Images>\n" +
+    element("Latitude", coordinates ? coordinates[1] : "") +
+    element("Longitude", coordinates ? coordinates[0] : "") +
+    element("Listing_Agent", agent ? cdata(agent.name) : "") +
+    element("Listing_Agent_Email", agent ? escapeXml(agent.email) : "") +
+    element("Last_Updated", formatFeedDate(property.updatedAt)) +
+    "  </Property>\n"
+  );
+};
+
+/**
+ * Bayut feed document
+ * @param {string[]} listings - Listing XML
+ * @returns {string} - XML document
+ */
+const renderBayutDocument = (listings) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  "<Properties>\n" +
+  listings.join("") +
+  "</Properties>\n";
+
+// Renderers per portal
+const FEED_FORMATS = {
+  propertyFinder: {
+    renderListing: renderPropertyFinderListing,
+    renderDocument: renderPropertyFinderDocument,
+  },
+  bayut: {
+    renderListing: renderBayutListing,
+    renderDocument: renderBayutDocument,
+  },
+};
+
+/**
+ * Cache version of a listing in a feed
+ * @param {Date} updatedAt - Property update date
+ * @param {Object} feed - Portal feed
+ * @returns {string} - Version key
+ */
+const getListingVersion = (updatedAt, feed) =>
+  `${new Date(updatedAt).getTime()}:${new Date(feed.mappingsUpdatedAt).getTime()}`;
+
+/**
+ * Round a date down to whole seconds (HTTP date precision)
+ * @param {Date|number} date - Date
+ * @returns {Date} - Rounded date
+ */
+const toHttpDate = (date) =>
+  new Date(Math.floor(new Date(date).getTime() / 1000) * 1000);
+
+/**
+ * Work out the current feed content version without rendering it
+ * @param {Object} feed - Portal feed
+ * @returns {Promise<Object>} - { listings: [{ id, version }], etag, lastModified }
+ */
+const getPortalFeedState = async (feed) => {
+  const properties = await Property.find(FEED_PROPERTY_FILTER)
+    .select("_id updatedAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const listings = properties.map((property) => ({
+    id: property._id.toString(),
+    version: getListingVersion(property.updatedAt, feed),
+  }));
+
+  const etag = `"${crypto
+    .createHash("sha1")
+    .update(
+      `${feed.portal}|${listings
+        .map((listing) => `${listing.id}@${listing.version}`)
+        .join(",")}`
+    )
+    .digest("hex")}"`;
+
+  const feedId = feed._id.toString();
+  let state = feedStates.get(feedId);
+
+  if (!state || state.etag !== etag) {
+    // After a restart the newest change is the best estimate; later changes
+    // (including listings leaving the feed) move Last-Modified to now
+    const latestChange = Math.max(
+      new Date(feed.mappingsUpdatedAt).getTime(),
+      ...properties.map((property) => new Date(property.updatedAt).getTime())
+    );
+    state = {
+      etag,
+      lastModified: toHttpDate(state ? Date.now() : latestChange),
+    };
+    feedStates.set(feedId, state);
+  }
+
+  return { listings, etag: state.etag, lastModified: state.lastModified };
+};
+
+/**
+ * Render a feed, re-rendering only listings whose cached XML is out of date
+ * @param {Object} feed - Portal feed
+ * @param {Object} state - Result of getPortalFeedState
+ * @returns {Promise<string>} - XML document
+ */
+const renderPortalFeed = async (feed, { listings, lastModified }) => {
+  const format = FEED_FORMATS[feed.portal];
+  const feedId = feed._id.toString();
+  const cache = listingCache.get(feedId) || new Map();
+
+  const staleIds = listings
+    .filter((listing) => cache.get(listing.id)?.version !== listing.version)
+    .map((listing) => listing.id);
+
+  if (staleIds.length > 0) {
+    const properties = await Property.find({ _id: { $in: staleIds } })
+      .populate("createdBy", "name email")
+      .lean();
+
+    properties.forEach((property) => {
+      cache.set(property._id.toString(), {
+        version: getListingVersion(property.updatedAt, feed),
+        xml: format.renderListing(property, feed.mappings),
+      });
+    });
+  }
+
+  // Forget listings that left the feed
+  const listingIds = new Set(listings.map((listing) => listing.id));
+  Array.from(cache.keys()).forEach((propertyId) => {
+    if (!listingIds.has(propertyId)) cache.delete(propertyId);
+  });
+  listingCache.set(feedId, cache);
+
+  console.log(
+    `📡 Portal feed ${feedId} (${feed.portal}): ${listings.length} listings, ${staleIds.length} re-rendered`
+  );
+
+  return format.renderDocument(
+    listings.map((listing) => cache.get(listing.id)?.xml).filter(Boolean),
+    lastModified
+  );
+};
+
+/**
+ * Drop cached XML for a feed (after it is deleted)
+ * @param {string} feedId - Portal feed ID
+ */
+const clearPortalFeedCache = (feedId) => {
+  listingCache.delete(String(feedId));
+  feedStates.delete(String(feedId));
+};
+
+/**
+ * Check a feed access token without leaking timing information
+ * @param {string} provided - Token from the request
+ * @param {string} expected - Feed token
+ * @returns {boolean} - True if the tokens match
+ */
+const isValidFeedToken = (provided, expected) => {
+  if (typeof provided !== "string" || !expected) return false;
+
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+};
+
+/**
+ * Public URL of a feed
+ * @param {Object} feed - Portal feed (token selected)
+ * @returns {string} - Feed URL including the access token
+ */
+const getPortalFeedUrl = (feed) =>
+  `${process.env.BASE_URL || "http://localhost:8000"}/api/portal-feeds/${feed._id}/feed.xml?token=${feed.token}`;
+
+module.exports = {
+  validateFeedMappings,
+  getDefaultFeedMappings,
+  mergeFeedMappings,
+  getPortalFeedState,
+  renderPortalFeed,
+  clearPortalFeedCache,
+  isValidFeedToken,
+  getPortalFeedUrl,
+};
@@ -0,0 +1,152 @@
+/**
+ * Developer & Project Helpers
+ * Payment plan summaries, project unit listings and the rules for linking properties to projects
+ */
+
+const mongoose = require("mongoose");
+const Property = require("../models/Property");
+const Project = require("../models/Project");
+const { PAYMENT_PLAN_STAGES } = require("../constants/propertyTypes");
+
+// Units shown on public project pages
+const PUBLIC_UNIT_FILTER = { status: "available", approvalStatus: "approved" };
+
+// Listing fields returned for project units
+const UNIT_FIELDS =
+  "title slug propertyType listingType price details.bedrooms details.bathrooms details.area details.areaUnit images";
+
+/**
+ * Summarize a payment plan by stage (e.g. 10/50/40)
+ * @param {Object[]} paymentPlan - Payment plan milestones
+ * @returns {Object|null} - { stages: { booking, construction, handover, post_handover }, label }
+ */
+const summarizePaymentPlan = (paymentPlan = []) => {
+  if (paymentPlan.length === 0) return null;
+
+  const stages = Object.fromEntries(PAYMENT_PLAN_STAGES.map((stage) => [stage, 0]));
+  paymentPlan.forEach((milestone) => {
+    stages[milestone.stage] += milestone.percentage;
+  });
+
+  return {
+    stages,
+    label: PAYMENT_PLAN_STAGES.filter((stage) => stages[stage] > 0)
+      .map((stage) => Math.round(stages[stage] * 100) / 100)
+      .join("/"),
+  };
+};
+
+/**
+ * Get a project's available units with a summary by property type and bedrooms
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} - { units, summary }
+ */
+const getProjectUnits = async (projectId) => {
+  const filter = {
+    ...PUBLIC_UNIT_FILTER,
+    project: new mongoose.Types.ObjectId(projectId),
+  };
+
+  const [units, [summary]] = await Promise.all([
+    Property.find(filter)
+      .select(UNIT_FIELDS)
+      .sort({ price: 1 })
+      .lean(),
+    Property.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                minPrice: { $min: "$price" },
+                maxPrice: { $max: "$price" },
+              },
+            },
+          ],
+          propertyTypes: [
+            {
+              $group: {
+                _id: "$propertyType",
+                count: { $sum: 1 },
+                minPrice: { $min: "$price" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          bedrooms: [
+            {
+              $group: {
+                _id: "$details.bedrooms",
+                count: { $sum: 1 },
+                minPrice: { $min: "$price" },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]),
+  ]);
+
+  const totals = summary.totals[0] || { count: 0, minPrice: null, maxPrice: null };
+  const toBuckets = (key) =>
+    summary[key].map(({ _id, count, minPrice }) => ({
+      [key === "propertyTypes" ? "propertyType" : "bedrooms"]: _id,
+      count,
+      minPrice,
+    }));
+
+  return {
+    units,
+    summary: {
+      totalUnits: totals.count,
+      minPrice: totals.minPrice,
+      maxPrice: totals.maxPrice,
+      propertyTypes: toBuckets("propertyTypes"),
+      bedrooms: toBuckets("bedrooms"),
+    },
+  };
+};
+
+/**
+ * Check that a property can be linked to a project
+ * Admins can link their listings to approved projects or projects they created
+ * @param {string|null} projectId - Project ID (null/undefined = no project)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<string|null>} - Error message or null if the link is allowed
+ */
+const getProjectLinkError = async (projectId, user) => {
+  if (!projectId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return "Invalid project ID";
+  }
+
+  const project = await Project.findById(projectId).select(
+    "approvalStatus createdBy"
+  );
+
+  if (!project) {
+    return "Project not found";
+  }
+
+  if (
+    user.role !== "SuperAdmin" &&
+    project.approvalStatus !== "approved" &&
+    project.createdBy?.toString() !== user.id.toString()
+  ) {
+    return "Properties can only be linked to approved projects or projects you created";
+  }
+
+  return null;
+};
+
+module.exports = {
+  PUBLIC_UNIT_FILTER,
+  summarizePaymentPlan,
+  getProjectUnits,
+  getProjectLinkError,
+};
@@ -0,0 +1,251 @@
+/**
+ * Property Approval Flow Helpers
+ * Approval status rules for edits and pending change sets for approved listings:
+ * an admin's edit to an approved listing is stored as a change request while the
+ * approved version stays public, and is merged into the live property when approved
+ */
+
+const Property = require("../models/Property");
+const PropertyChangeRequest = require("../models/PropertyChangeRequest");
+const {
+  createSnapshot,
+  diffSnapshots,
+  isImageReferencedByRevisions,
+} = require("./propertyRevisions");
+
+// Fields managed by the workflow itself - never part of a change set
+const NON_CHANGEABLE_FIELDS = [
+  "_id",
+  "__v",
+  "slug",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedAt",
+  "approvalStatus",
+  "approvedBy",
+  "approvedAt",
+  "rejectionReason",
+  "expiredAt",
+  "expiryReminderSentAt",
+];
+
+/**
+ * Determine the approval status after an edit
+ * Shared by direct edits, revision restores and change set approvals
+ * @param {string} currentStatus - The property's status before the edit
+ * @param {string} newStatus - The property's status after the edit
+ * @param {string} userRole - Role of the user making the edit
+ * @returns {string|undefined} - New approval status, or undefined to keep the current one
+ */
+const resolveApprovalStatusForEdit = (currentStatus, newStatus, userRole) => {
+  // If changing FROM draft TO non-draft: needs approval (or auto-approve for SuperAdmin)
+  if (currentStatus === "draft" && newStatus !== "draft") {
+    return userRole === "SuperAdmin" ? "approved" : "pending";
+  }
+
+  // If changing FROM non-draft TO draft: remove from approval workflow
+  if (currentStatus !== "draft" && newStatus === "draft") {
+    return "not_applicable";
+  }
+
+  // If staying non-draft and making other changes: reset to pending for re-approval (or auto-approve for SuperAdmin)
+  if (currentStatus !== "draft" && newStatus !== "draft") {
+    if (userRole === "admin") return "pending";
+    if (userRole === "SuperAdmin") return "approved"; // SuperAdmin properties are auto-approved
+  }
+
+  // If staying draft: keep current approval status (should be "not_applicable")
+  return undefined;
+};
+
+/**
+ * Check whether an edit must be submitted as a change request instead of applied directly
+ * @param {Object} property - Live property document
+ * @param {string} userRole - Role of the editing user
+ * @returns {boolean} - True for admin edits to approved, published listings
+ */
+const requiresChangeRequest = (property, userRole) =>
+  userRole === "admin" &&
+  property.approvalStatus === "approved" &&
+  property.status !== "draft";
+
+/**
+ * Keep only schema fields a change set may modify
+ * Unset values are stored as null (Mixed fields drop undefined) and restored on apply
+ * @param {Object} updateData - Update data built by the controller
+ * @returns {Object} - Plain change set
+ */
+const sanitizeChanges = (updateData) => {
+  const changes = {};
+
+  Object.entries(updateData).forEach(([field, value]) => {
+    if (NON_CHANGEABLE_FIELDS.includes(field)) return;
+    if (Property.schema.pathType(field) === "adhocOrUndefined") return;
+
+    changes[field] =
+      value === undefined ? null : JSON.parse(JSON.stringify(value));
+  });
+
+  return changes;
+};
+
+/**
+ * Convert stored null values back to undefined so optional enum fields are unset
+ * @param {Object} changes - Stored change set
+ * @returns {Object} - Values ready to assign to a property
+ */
+const toAssignableChanges = (changes) => {
+  const assignable = {};
+
+  Object.entries(changes).forEach(([field, value]) => {
+    assignable[field] = value === null ? undefined : value;
+  });
+
+  return assignable;
+};
+
+/**
+ * Build an unsaved copy of a property with a change set applied (for diffs)
+ * @param {Object} property - Live property document
+ * @param {Object} changes - Change set
+ * @returns {Object} - Property document with changes applied
+ */
+const buildProposedProperty = (property, changes) => {
+  const proposed = Property.hydrate(
+    property.toObject({ depopulate: true, versionKey: false })
+  );
+  Object.assign(proposed, toAssignableChanges(changes));
+  return proposed;
+};
+
+/**
+ * Field-level diff between the live property and a change set
+ * @param {Object} property - Live property document
+ * @param {Object} changes - Change set
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+const diffChanges = (property, changes) =>
+  diffSnapshots(
+    createSnapshot(property),
+    createSnapshot(buildProposedProperty(property, changes))
+  );
+
+/**
+ * Find images added by change sets that are no longer used anywhere
+ * @param {Object} property - Live property document
+ * @param {string[]} imageIds - Candidate image publicIds
+ * @param {string[]} keepIds - Image publicIds still in use by another change set
+ * @returns {Promise<string[]>} - Image publicIds safe to delete
+ */
+const findUnusedImages = async (property, imageIds, keepIds = []) => {
+  const liveIds = (property.images || []).map((image) => image.publicId);
+  const unused = [];
+
+  for (const publicId of imageIds) {
+    if (liveIds.includes(publicId) || keepIds.includes(publicId)) continue;
+    if (await isImageReferencedByRevisions(property._id, publicId)) continue;
+    unused.push(publicId);
+  }
+
+  return unused;
+};
+
+/**
+ * Submit a change set for an approved property, superseding any pending one
+ * @param {Object} property - Live property document
+ * @param {Object} updateData - Proposed update data
+ * @param {Object} options - Submission options
+ * @param {string} options.userId - Submitting admin
+ * @param {string[]} options.addedImageIds - Images uploaded with this edit
+ * @param {string} options.source - "edit" or "restore"
+ * @param {number} options.restoredFrom - Restored revision number (restore only)
+ * @returns {Promise<Object>} - { changeRequest, orphanedImageIds } (changeRequest is null if nothing changed)
+ */
+const submitChangeRequest = async (
+  property,
+  updateData,
+  { userId, addedImageIds = [], source = "edit", restoredFrom } = {}
+) => {
+  const changes = sanitizeChanges(updateData);
+  const diff = diffChanges(property, changes);
+  const proposedImageIds = (changes.images || []).map((image) => image.publicId);
+
+  // Only one pending change set per property - a newer edit replaces the previous one
+  const supersededRequests = await PropertyChangeRequest.find({
+    property: property._id,
+    status: "pending",
+  });
+
+  await PropertyChangeRequest.updateMany(
+    { _id: { $in: supersededRequests.map((request) => request._id) } },
+    { $set: { status: "superseded", reviewedAt: new Date() } }
+  );
+
+  const orphanedImageIds = await findUnusedImages(
+    property,
+    supersededRequests.flatMap((request) => request.addedImageIds),
+    proposedImageIds
+  );
+
+  if (diff.length === 0) {
+    return {
+      changeRequest: null,
+      orphanedImageIds: [
+        ...orphanedImageIds,
+        ...(await findUnusedImages(property, addedImageIds)),
+      ],
+    };
+  }
+
+  const changeRequest = await PropertyChangeRequest.create({
+    property: property._id,
+    changes,
+    diff,
+    addedImageIds,
+    source,
+    restoredFrom,
+    submittedBy: userId,
+  });
+
+  return { changeRequest, orphanedImageIds };
+};
+
+/**
+ * Merge an approved change set into the live property (not saved)
+ * @param {Object} property - Live property document
+ * @param {Object} changeRequest - Pending change request
+ * @param {string} reviewerId - SuperAdmin approving the changes
+ */
+const applyChangeRequest = (property, changeRequest, reviewerId) => {
+  const previousStatus = property.status;
+
+  Object.assign(property, toAssignableChanges(changeRequest.changes));
+
+  // Approved by the SuperAdmin, so the listing stays approved (or leaves the workflow if moved to draft)
+  const approvalStatus = resolveApprovalStatusForEdit(
+    previousStatus,
+    property.status,
+    "SuperAdmin"
+  );
+  if (approvalStatus !== undefined) {
+    property.approvalStatus = approvalStatus;
+  }
+
+  property.rejectionReason = undefined;
+  property.updatedBy = changeRequest.submittedBy;
+  property.updatedAt = new Date();
+  property.approvedBy = reviewerId;
+  property.approvedAt = new Date();
+  // Attribute history entries to the admin who made the edit
+  property.$locals.changedBy = changeRequest.submittedBy;
+};
+
+module.exports = {
+  resolveApprovalStatusForEdit,
+  requiresChangeRequest,
+  diffChanges,
+  findUnusedImages,
+  submitChangeRequest,
+  applyChangeRequest,
+};
@@ -0,0 +1,251 @@
+/**
+ * Property Comparison
+ * Normalises listings into a side-by-side table (prices as totals in AED, sizes in sqft) for
+ * GET /api/properties/compare and visitor comparison sets
+ */
+
+const mongoose = require("mongoose");
+const { getAreaInSqft, getTotalPrice } = require("./propertyFinancials");
+const { SQM_TO_SQFT } = require("../constants/propertyTypes");
+
+// Listings compared side by side at most
+const MAX_COMPARE_PROPERTIES = 4;
+
+// Property fields needed for a comparison
+const COMPARE_FIELDS =
+  "title slug propertyType listingType status price priceType currency location details amenities images project";
+
+/**
+ * Round a value for display
+ * @param {number|null} value - Value
+ * @returns {number|null} - Rounded value
+ */
+const roundValue = (value) =>
+  value === null || value === undefined || Number.isNaN(value) ? null : Math.round(value);
+
+// Comparison rows: key, label, section, value getter and which value is best (lowest/highest)
+const COMPARE_ROWS = [
+  {
+    key: "price",
+    label: "Price (AED)",
+    section: "price",
+    best: "lowest",
+    get: (p) => roundValue(getTotalPrice(p)),
+  },
+  {
+    key: "pricePerSqft",
+    label: "Price per sq ft (AED)",
+    section: "price",
+    best: "lowest",
+    get: (p) => {
+      const price = getTotalPrice(p);
+      const size = getAreaInSqft(p);
+      return price && size ? roundValue(price / size) : null;
+    },
+  },
+  {
+    key: "listingType",
+    label: "Listing type",
+    section: "price",
+    get: (p) => p.listingType,
+  },
+  {
+    key: "status",
+    label: "Status",
+    section: "price",
+    get: (p) => p.status,
+  },
+  {
+    key: "propertyType",
+    label: "Property type",
+    section: "details",
+    get: (p) => p.propertyType,
+  },
+  {
+    key: "bedrooms",
+    label: "Bedrooms",
+    section: "details",
+    best: "highest",
+    get: (p) => p.details?.bedrooms ?? null,
+  },
+  {
+    key: "bathrooms",
+    label: "Bathrooms",
+    section: "details",
+    best: "highest",
+    get: (p) => p.details?.bathrooms ?? null,
+  },
+  {
+    key: "sizeSqft",
+    label: "Size (sq ft)",
+    section: "details",
+    best: "highest",
+    get: (p) => roundValue(getAreaInSqft(p)),
+  },
+  {
+    key: "landAreaSqft",
+    label: "Land area (sq ft)",
+    section: "details",
+    best: "highest",
+    get: (p) =>
+      p.details?.landArea
+        ? roundValue(
+            p.details.areaUnit === "sqm" ? p.details.landArea * SQM_TO_SQFT : p.details.landArea
+          )
+        : null,
+  },
+  {
+    key: "floorLevel",
+    label: "Floor",
+    section: "details",
+    get: (p) => p.details?.floorLevel ?? null,
+  },
+  {
+    key: "totalFloors",
+    label: "Floors in building",
+    section: "details",
+    get: (p) => p.details?.totalFloors ?? null,
+  },
+  {
+    key: "yearBuilt",
+    label: "Year built",
+    section: "details",
+    best: "highest",
+    get: (p) => p.details?.yearBuilt ?? null,
+  },
+  {
+    key: "parkingSpaces",
+    label: "Parking spaces",
+    section: "details",
+    best: "highest",
+    get: (p) => (p.details?.parking?.available ? p.details.parking.spaces || 1 : 0),
+  },
+  {
+    key: "emirate",
+    label: "Emirate",
+    section: "location",
+    get: (p) => p.location?.emirate || null,
+  },
+  {
+    key: "area",
+    label: "Area",
+    section: "location",
+    get: (p) => p.location?.area || null,
+  },
+  {
+    key: "neighborhood",
+    label: "Neighborhood",
+    section: "location",
+    get: (p) => p.location?.neighborhood || null,
+  },
+  {
+    key: "address",
+    label: "Address",
+    section: "location",
+    get: (p) => p.location?.address || null,
+  },
+];
+
+/**
+ * Index of the best value in a row (null when values are missing or all equal)
+ * @param {Array} values - Row values
+ * @param {string} best - "lowest" or "highest"
+ * @returns {number|null} - Column index
+ */
+const findBestIndex = (values, best) => {
+  const numbers = values.filter((value) => typeof value === "number");
+  if (numbers.length < 2 || new Set(numbers).size === 1) return null;
+
+  const target = best === "lowest" ? Math.min(...numbers) : Math.max(...numbers);
+  return values.indexOf(target);
+};
+
+/**
+ * Parse the listings to compare (comma-separated string or array of IDs)
+ * @param {string|string[]} input - Property IDs
+ * @param {Object} options - { min } minimum number of listings
+ * @returns {Object} - { ids, errors } with duplicates removed and order kept
+ */
+const parseCompareIds = (input, { min = 2 } = {}) => {
+  const raw = (Array.isArray(input) ? input : String(input || "").split(","))
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+  const ids = [...new Set(raw)];
+  const errors = [];
+
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    errors.push({ field: "ids", message: `Invalid property IDs: ${invalid.join(", ")}` });
+  }
+  if (ids.length < min || ids.length > MAX_COMPARE_PROPERTIES) {
+    errors.push({
+      field: "ids",
+      message: `Compare between ${min} and ${MAX_COMPARE_PROPERTIES} properties`,
+    });
+  }
+
+  return { ids, errors };
+};
+
+/**
+ * Build the side-by-side comparison of listings
+ * @param {Object[]} properties - Properties (lean) in column order
+ * @returns {Object} - { properties, rows, amenities }
+ */
+const buildPropertyComparison = (properties) => {
+  const rows = COMPARE_ROWS.map(({ key, label, section, best, get }) => {
+    const values = properties.map(get);
+    return {
+      key,
+      label,
+      section,
+      values,
+      bestIndex: best ? findBestIndex(values, best) : null,
+    };
+  }).filter((row) => row.values.some((value) => value !== null && value !== undefined));
+
+  // Union of amenities, most common first
+  const amenityCounts = new Map();
+  properties.forEach((property) =>
+    (property.amenities || []).forEach((amenity) =>
+      amenityCounts.set(amenity, (amenityCounts.get(amenity) || 0) + 1)
+    )
+  );
+  const amenities = Array.from(amenityCounts.keys())
+    .sort((a, b) => amenityCounts.get(b) - amenityCounts.get(a) || a.localeCompare(b))
+    .map((amenity) => ({
+      name: amenity,
+      values: properties.map((property) => (property.amenities || []).includes(amenity)),
+    }));
+
+  return {
+    properties: properties.map((property) => {
+      const mainImage = property.images?.find((image) => image.isMain) || property.images?.[0];
+      return {
+        id: property._id,
+        title: property.title,
+        slug: property.slug,
+        image: mainImage
+          ? {
+              url: mainImage.url,
+              altText: mainImage.altText,
+              srcset: mainImage.srcset,
+              blurhash: mainImage.blurhash,
+              lqip: mainImage.lqip,
+              dominantColor: mainImage.dominantColor,
+            }
+          : null,
+        coordinates: property.location?.coordinates?.coordinates || null,
+      };
+    }),
+    rows,
+    amenities,
+  };
+};
+
+module.exports = {
+  MAX_COMPARE_PROPERTIES,
+  COMPARE_FIELDS,
+  parseCompareIds,
+  buildPropertyComparison,
+};
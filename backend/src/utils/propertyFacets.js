@@ -0,0 +1,160 @@
+/**
+ * Property Search Facets
+ * Builds a single aggregation that returns filter counts for the search sidebar
+ * (e.g. "Dubai Marina (42)", "2 BR (118)")
+ */
+
+const { PRICE_FACET_BOUNDARIES } = require("../constants/propertyTypes");
+const { FACET_FIELDS, castFilterForAggregation } = require("./propertyFilters");
+
+// Maximum number of amenity buckets returned
+const MAX_AMENITY_FACETS = 50;
+
+/**
+ * Pick the price bucket boundaries for the current listing type filter
+ * @param {string|Object} listingTypeCondition - Active listingType condition (if any)
+ * @returns {number[]} - Ascending bucket boundaries
+ */
+const getPriceBoundaries = (listingTypeCondition) =>
+  listingTypeCondition === "rent"
+    ? PRICE_FACET_BOUNDARIES.rent
+    : PRICE_FACET_BOUNDARIES.sale;
+
+/**
+ * Build the $match stage for a facet: every active facet filter except its own,
+ * so selecting "Dubai Marina" still shows counts for the other areas
+ * @param {string} facet - Facet name
+ * @param {Object} facetFilters - Active facet conditions keyed by facet name
+ * @returns {Object[]} - Zero or one $match stages
+ */
+const matchOtherFacets = (facet, facetFilters) => {
+  const conditions = Object.entries(facetFilters)
+    .filter(([name]) => name !== facet)
+    .map(([name, condition]) => ({ [FACET_FIELDS[name]]: condition }));
+
+  return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+};
+
+/**
+ * Build a simple "group by field" facet pipeline
+ * @param {string} facet - Facet name
+ * @param {Object} facetFilters - Active facet conditions
+ * @param {Object} sort - Sort applied to the buckets
+ * @returns {Object[]} - Aggregation pipeline
+ */
+const valueFacet = (facet, facetFilters, sort = { count: -1, _id: 1 }) => [
+  ...matchOtherFacets(facet, facetFilters),
+  { $match: { [FACET_FIELDS[facet]]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${FACET_FIELDS[facet]}`, count: { $sum: 1 } } },
+  { $sort: sort },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+/**
+ * Build the aggregation pipeline returning all facet counts
+ * @param {Object} baseFilter - Listing filter without the faceted conditions (ACL, status, search, geo)
+ * @param {Object} facetFilters - Active facet conditions keyed by facet name
+ * @returns {Object[]} - Aggregation pipeline producing a single facets document
+ */
+const buildFacetPipeline = (baseFilter, facetFilters) => {
+  const priceBoundaries = getPriceBoundaries(facetFilters.listingType);
+
+  return [
+    { $match: baseFilter },
+    {
+      $facet: {
+        emirate: valueFacet("emirate", facetFilters),
+        area: valueFacet("area", facetFilters),
+        propertyType: valueFacet("propertyType", facetFilters),
+        listingType: valueFacet("listingType", facetFilters),
+        bedrooms: valueFacet("bedrooms", facetFilters, { _id: 1 }),
+        price: [
+          ...matchOtherFacets("price", facetFilters),
+          { $match: { price: { $type: "number" } } },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: priceBoundaries,
+              default: "above",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        amenities: [
+          ...matchOtherFacets("amenities", facetFilters),
+          { $unwind: "$amenities" },
+          { $group: { _id: "$amenities", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_AMENITY_FACETS },
+          { $project: { _id: 0, value: "$_id", count: 1 } },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Convert raw $bucket output into labelled price ranges
+ * @param {Object[]} buckets - $bucket results ({ _id: lowerBound | "above", count })
+ * @param {number[]} boundaries - Bucket boundaries used in the pipeline
+ * @returns {Object[]} - [{ min, max, count }] where max is null for the open-ended bucket
+ */
+const formatPriceBuckets = (buckets, boundaries) =>
+  buckets.map((bucket) => {
+    if (bucket._id === "above") {
+      return {
+        min: boundaries[boundaries.length - 1],
+        max: null,
+        count: bucket.count,
+      };
+    }
+
+    const index = boundaries.indexOf(bucket._id);
+    return {
+      min: bucket._id,
+      max: boundaries[index + 1],
+      count: bucket.count,
+    };
+  });
+
+/**
+ * Run the facet aggregation for a listing query
+ * @param {Object} Property - Property model
+ * @param {Object} filter - Full listing filter (from buildPropertyListFilter)
+ * @param {Object} facetFilters - Faceted conditions (from buildPropertyListFilter)
+ * @returns {Promise<Object>} - Facet counts keyed by facet name
+ */
+const getPropertyFacets = async (Property, filter, facetFilters) => {
+  // Strip the faceted conditions from the base match; each facet re-applies the others
+  const baseFilter = { ...filter };
+  Object.keys(facetFilters).forEach((facet) => {
+    delete baseFilter[FACET_FIELDS[facet]];
+  });
+
+  const castFacetFilters = {};
+  Object.entries(facetFilters).forEach(([facet, condition]) => {
+    castFacetFilters[facet] = castFilterForAggregation(Property, {
+      [FACET_FIELDS[facet]]: condition,
+    })[FACET_FIELDS[facet]];
+  });
+
+  const [facets] = await Property.aggregate(
+    buildFacetPipeline(
+      castFilterForAggregation(Property, baseFilter),
+      castFacetFilters
+    )
+  );
+
+  return {
+    ...facets,
+    price: formatPriceBuckets(
+      facets.price,
+      getPriceBoundaries(facetFilters.listingType)
+    ),
+  };
+};
+
+module.exports = {
+  buildFacetPipeline,
+  getPropertyFacets,
+};
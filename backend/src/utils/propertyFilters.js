@@ -0,0 +1,300 @@
+/**
+ * Property Listing Filters
+ * Builds the MongoDB filter used by the public property listing and map endpoints
+ * from query parameters, the user's role and the ACL query filters
+ */
+
+const {
+  parseLatLng,
+  parseBoundingBox,
+  bboxToPolygon,
+  parseRadiusKm,
+  EARTH_RADIUS_KM,
+} = require("./geo");
+const { buildTextSearch } = require("./propertySearch");
+
+// Statuses visitors are allowed to filter by
+const PUBLISHED_STATUSES = ["available", "sold", "rented", "pending"];
+
+// Faceted query parameters and the property fields they filter on
+const FACET_FIELDS = {
+  emirate: "location.emirate",
+  area: "location.area",
+  propertyType: "propertyType",
+  listingType: "listingType",
+  bedrooms: "details.bedrooms",
+  price: "price",
+  amenities: "amenities",
+};
+
+/**
+ * Turn a single or comma-separated query value into an equality or $in condition
+ * @param {string} value - Raw query value (e.g. "Dubai Marina,Business Bay")
+ * @returns {string|Object} - Plain value or { $in: [...] }
+ */
+const toMatchCondition = (value) => {
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+/**
+ * Turn a single or comma-separated numeric query value into an equality or $in condition
+ * @param {string} value - Raw query value (e.g. "2" or "2,3")
+ * @returns {number|Object} - Number or { $in: [...] }
+ */
+const toNumberCondition = (value) => {
+  const values = String(value)
+    .split(",")
+    .map((item) => parseInt(item.trim()))
+    .filter((item) => !Number.isNaN(item));
+
+  return values.length > 1 ? { $in: values } : values[0];
+};
+
+/**
+ * Build the listing filter for GET /api/properties style queries
+ * @param {Object} query - Request query parameters
+ * @param {Object} context - Request context
+ * @param {string} context.userRole - Role of the requesting user ("visitor" if anonymous)
+ * @param {Object} context.queryFilters - ACL filters from buildPropertyQuery
+ * @param {Object} context.user - Authenticated user (if any)
+ * @returns {Object} - { filter, facetFilters, near, textSearch, errors } where facetFilters holds the
+ * conditions applied to faceted fields (keyed by facet name), near is { point, radiusKm }
+ * and textSearch is { searchString, terms, expandedTerms } when a search term was given
+ */
+const buildPropertyListFilter = (
+  query = {},
+  { userRole = "visitor", queryFilters = {}, user = null } = {}
+) => {
+  const {
+    emirate,
+    area,
+    propertyType,
+    listingType,
+    minPrice,
+    maxPrice,
+    bedrooms,
+    status,
+    approvalStatus,
+    search,
+    near,
+    radius,
+    bbox,
+    amenities,
+    project,
+  } = query;
+
+  const errors = [];
+
+  // Conditions for faceted fields, tracked separately so facet counts can exclude their own filter
+  const facetFilters = {};
+
+  // Start with ACL query filters (set by ACL middleware based on user role)
+  const filter = { ...queryFilters } || {};
+
+  // Apply approval status filtering based on user role
+  if (userRole === "SuperAdmin") {
+    // SuperAdmin can see all non-draft properties regardless of approval status
+    // ACL middleware already excludes draft properties
+    // No additional filtering needed
+  } else if (userRole === "admin") {
+    // Admin can see their own properties (all approval statuses)
+    // ACL middleware already filters to own properties via createdBy
+    // No additional approval status filtering needed for own properties
+  } else {
+    // Visitors can only see approved properties
+    filter.approvalStatus = "approved";
+  }
+
+  // Handle listing status filter
+  if (status) {
+    if (userRole === "admin" || userRole === "SuperAdmin") {
+      // Admin and SuperAdmin can filter by any status
+      filter.status = status;
+    } else {
+      // Visitors can only filter by published statuses
+      if (PUBLISHED_STATUSES.includes(status)) {
+        filter.status = status;
+      }
+      // If invalid status requested, ignore it (keep ACL default)
+    }
+  }
+
+  // Apply additional user-specified filters
+  if (emirate) facetFilters.emirate = toMatchCondition(emirate);
+  if (area) facetFilters.area = toMatchCondition(area);
+  if (propertyType) facetFilters.propertyType = toMatchCondition(propertyType);
+  if (listingType) facetFilters.listingType = toMatchCondition(listingType);
+  if (bedrooms && toNumberCondition(bedrooms) !== undefined) {
+    facetFilters.bedrooms = toNumberCondition(bedrooms);
+  }
+
+  // Price range filter
+  if (minPrice || maxPrice) {
+    facetFilters.price = {};
+    if (minPrice) facetFilters.price.$gte = parseInt(minPrice);
+    if (maxPrice) facetFilters.price.$lte = parseInt(maxPrice);
+  }
+
+  // Amenities filter - listings must have every requested amenity
+  if (amenities) {
+    const requestedAmenities = String(amenities)
+      .split(",")
+      .map((amenity) => amenity.trim())
+      .filter(Boolean);
+    if (requestedAmenities.length > 0) {
+      facetFilters.amenities = { $all: requestedAmenities };
+    }
+  }
+
+  Object.entries(facetFilters).forEach(([facet, condition]) => {
+    filter[FACET_FIELDS[facet]] = condition;
+  });
+
+  // Units of a project (off-plan / new developments)
+  if (project) {
+    if (String(project).match(/^[0-9a-fA-F]{24}$/)) {
+      filter.project = String(project);
+    } else {
+      errors.push({
+        field: "project",
+        message: "project must be a valid project ID",
+        value: project,
+      });
+    }
+  }
+
+  // Handle approval status filter for admin users
+  if (approvalStatus && (userRole === "admin" || userRole === "SuperAdmin")) {
+    // Override the default approval status filtering with user's specific choice
+    if (
+      approvalStatus === "pending" ||
+      approvalStatus === "approved" ||
+      approvalStatus === "rejected" ||
+      approvalStatus === "not_applicable"
+    ) {
+      // Remove any existing approval status filters
+      delete filter.approvalStatus;
+      delete filter.$or;
+
+      // Apply the specific approval status filter
+      filter.approvalStatus = approvalStatus;
+
+      // For admin users, also ensure they can only see their own properties or approved ones
+      if (userRole === "admin" && user && user.id) {
+        if (approvalStatus === "approved") {
+          // For approved properties, admin can see all approved properties
+          filter.approvalStatus = "approved";
+        } else {
+          // For pending/rejected, admin can only see their own
+          filter.$and = [
+            { approvalStatus: approvalStatus },
+            { createdBy: user.id },
+          ];
+          delete filter.approvalStatus; // Remove the direct filter since we're using $and
+        }
+      }
+    }
+  }
+
+  // Handle search filter - MongoDB text search over the weighted Property text index
+  let textSearch = null;
+
+  if (search && String(search).trim()) {
+    textSearch = buildTextSearch(String(search).trim());
+
+    if (textSearch.searchString) {
+      filter.$text = { $search: textSearch.searchString };
+    } else {
+      // Input without any searchable words (e.g. "((")
+      errors.push({
+        field: "search",
+        message: "search must contain at least one letter or number",
+        value: search,
+      });
+      textSearch = null;
+    }
+  }
+
+  if (textSearch && near) {
+    // $geoNear must be the first stage of a pipeline, so it cannot be combined with $text
+    errors.push({
+      field: "search",
+      message: "search cannot be combined with near/radius; use bbox instead",
+    });
+  }
+
+  // Geospatial filters - radius ("near") and map viewport ("bbox") are mutually exclusive
+  let nearQuery = null;
+
+  if (near && bbox) {
+    errors.push({
+      field: "bbox",
+      message: "Use either near/radius or bbox, not both",
+    });
+  } else if (near) {
+    const point = parseLatLng(near);
+    const radiusKm = parseRadiusKm(radius);
+
+    if (!point) {
+      errors.push({
+        field: "near",
+        message: "near must be in the format 'lat,lng'",
+        value: near,
+      });
+    }
+    if (radiusKm === null) {
+      errors.push({
+        field: "radius",
+        message: "radius must be a positive number of kilometres (max 200)",
+        value: radius,
+      });
+    }
+
+    if (point && radiusKm !== null) {
+      nearQuery = { point, radiusKm };
+      filter["location.coordinates"] = {
+        $geoWithin: {
+          $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM],
+        },
+      };
+    }
+  } else if (bbox) {
+    const box = parseBoundingBox(bbox);
+
+    if (!box) {
+      errors.push({
+        field: "bbox",
+        message: "bbox must be in the format 'minLng,minLat,maxLng,maxLat'",
+        value: bbox,
+      });
+    } else {
+      filter["location.coordinates"] = {
+        $geoWithin: { $geometry: bboxToPolygon(box) },
+      };
+    }
+  }
+
+  return { filter, facetFilters, near: nearQuery, textSearch, errors };
+};
+
+/**
+ * Cast a listing filter against a model schema for use in aggregation pipelines
+ * (aggregate() does not cast values such as ObjectId strings from optionalAuth users)
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Listing filter
+ * @returns {Object} - Casted filter
+ */
+const castFilterForAggregation = (Model, filter) =>
+  Model.find().cast(Model, filter);
+
+module.exports = {
+  PUBLISHED_STATUSES,
+  FACET_FIELDS,
+  buildPropertyListFilter,
+  castFilterForAggregation,
+};
@@ -0,0 +1,558 @@
+/**
+ * Property Financials Helpers
+ * Mortgage payments under the UAE loan-to-value caps, purchase costs and rental yield
+ * estimates from comparable listings in the same area (see config/financials.js)
+ */
+
+const Property = require("../models/Property");
+const { SQM_TO_SQFT } = require("../constants/propertyTypes");
+const {
+  RESIDENCY_TYPES,
+  LTV_PRICE_THRESHOLD,
+  LOAN_TO_VALUE_CAPS,
+  OFF_PLAN_LTV_CAP,
+  MORTGAGE_DEFAULTS,
+  LAND_DEPARTMENT_FEES,
+  PURCHASE_COSTS,
+  YIELD_ASSUMPTIONS,
+  COMPARABLES,
+} = require("../config/financials");
+
+// Listings used as comparables (published and reviewed)
+const COMPARABLE_STATUSES = {
+  rent: ["available", "rented"],
+  sale: ["available", "sold"],
+};
+
+/**
+ * Round an amount to whole AED
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount);
+
+/**
+ * Convert a rate to a percentage with two decimals
+ * @param {number} rate - Rate (0.045)
+ * @returns {number} - Percentage (4.5)
+ */
+const toPercent = (rate) => Math.round(rate * 10000) / 100;
+
+/**
+ * Get a property's built-up area in square feet
+ * @param {Object} property - Property
+ * @returns {number|null} - Area in sqft
+ */
+const getAreaInSqft = (property) => {
+  const area = property.details?.area;
+  if (!area) return null;
+  return property.details.areaUnit === "sqm" ? area * SQM_TO_SQFT : area;
+};
+
+/**
+ * Get the total price of a listing (per-sqft/per-sqm prices are multiplied by the area)
+ * For rentals this is the annual rent
+ * @param {Object} property - Property (price, priceType, details)
+ * @returns {number|null} - Total price or null if it cannot be determined
+ */
+const getTotalPrice = (property) => {
+  const { price, priceType = "total" } = property;
+  if (!price) return null;
+
+  if (priceType === "total") return price;
+
+  const areaSqft = getAreaInSqft(property);
+  if (!areaSqft) return null;
+
+  return priceType === "per_sqm" ? price * (areaSqft / SQM_TO_SQFT) : price * areaSqft;
+};
+
+/**
+ * Parse the calculator options from the query string
+ * @param {Object} query - Request query (residency, firstHome, downPayment, downPaymentPercent,
+ *   interestRate, termYears, serviceChargePerSqft)
+ * @returns {Object} - { options, errors }
+ */
+const parseFinancialOptions = (query = {}) => {
+  const errors = [];
+  const options = {
+    residency: query.residency || "resident",
+    firstHome: query.firstHome !== "false",
+    interestRate: MORTGAGE_DEFAULTS.interestRate,
+    termYears: MORTGAGE_DEFAULTS.termYears,
+    serviceChargePerSqft: YIELD_ASSUMPTIONS.serviceChargePerSqft,
+  };
+
+  if (!RESIDENCY_TYPES.includes(options.residency)) {
+    errors.push({
+      field: "residency",
+      message: `residency must be one of: ${RESIDENCY_TYPES.join(", ")}`,
+    });
+  }
+
+  /**
+   * Parse an optional number within a range
+   * @param {string} field - Query field
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number|undefined} - Parsed value
+   */
+  const parseNumber = (field, min, max) => {
+    if (query[field] === undefined || query[field] === "") return undefined;
+
+    const value = Number(query[field]);
+    if (Number.isNaN(value) || value < min || value > max) {
+      errors.push({
+        field,
+        message: `${field} must be a number between ${min} and ${max}`,
+        value: query[field],
+      });
+      return undefined;
+    }
+    return value;
+  };
+
+  const interestRate = parseNumber("interestRate", 0, 30);
+  if (interestRate !== undefined) options.interestRate = interestRate / 100;
+
+  const termYears = parseNumber("termYears", 1, MORTGAGE_DEFAULTS.maxTermYears);
+  if (termYears !== undefined) options.termYears = Math.round(termYears);
+
+  const serviceChargePerSqft = parseNumber("serviceChargePerSqft", 0, 1000);
+  if (serviceChargePerSqft !== undefined) {
+    options.serviceChargePerSqft = serviceChargePerSqft;
+  }
+
+  options.downPayment = parseNumber("downPayment", 0, Number.MAX_SAFE_INTEGER);
+  const downPaymentPercent = parseNumber("downPaymentPercent", 0, 100);
+  if (downPaymentPercent !== undefined) {
+    options.downPaymentPercent = downPaymentPercent / 100;
+  }
+
+  return { options, errors };
+};
+
+/**
+ * Maximum loan-to-value for a purchase
+ * @param {number} price - Purchase price
+ * @param {Object} options - Calculator options (residency, firstHome)
+ * @param {boolean} isOffPlan - Off-plan purchase
+ * @returns {number} - Maximum loan-to-value (0.8 = 80%)
+ */
+const getMaxLoanToValue = (price, { residency, firstHome }, isOffPlan) => {
+  const caps = LOAN_TO_VALUE_CAPS[residency];
+  let maxLtv = !firstHome
+    ? caps.additionalHome
+    : price > LTV_PRICE_THRESHOLD
+    ? caps.firstHomeAboveThreshold
+    : caps.firstHome;
+
+  if (isOffPlan) {
+    maxLtv = Math.min(maxLtv, OFF_PLAN_LTV_CAP);
+  }
+
+  return maxLtv;
+};
+
+/**
+ * Monthly repayment of an amortizing loan
+ * @param {number} loanAmount - Loan amount
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} termYears - Loan term in years
+ * @returns {number} - Monthly payment
+ */
+const getMonthlyPayment = (loanAmount, annualRate, termYears) => {
+  const months = termYears * 12;
+  const monthlyRate = annualRate / 12;
+
+  if (monthlyRate === 0) return loanAmount / months;
+
+  return (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+};
+
+/**
+ * Calculate the mortgage for a purchase
+ * The down payment defaults to the minimum allowed by the loan-to-value cap
+ * @param {number} price - Purchase price
+ * @param {Object} options - Calculator options
+ * @param {boolean} isOffPlan - Off-plan purchase
+ * @returns {Object} - { mortgage, errors }
+ */
+const calculateMortgage = (price, options, isOffPlan) => {
+  const maxLoanToValue = getMaxLoanToValue(price, options, isOffPlan);
+  const minDownPayment = price * (1 - maxLoanToValue);
+
+  let downPayment = minDownPayment;
+  if (options.downPayment !== undefined) {
+    downPayment = options.downPayment;
+  } else if (options.downPaymentPercent !== undefined) {
+    downPayment = price * options.downPaymentPercent;
+  }
+
+  // Allow for rounding of user-entered amounts
+  if (downPayment < minDownPayment - 1) {
+    return {
+      mortgage: null,
+      errors: [
+        {
+          field: "downPayment",
+          message: `The minimum down payment is AED ${roundAmount(
+            minDownPayment
+          ).toLocaleString("en-US")} (${toPercent(
+            1 - maxLoanToValue
+          )}% of the price) for this purchase`,
+        },
+      ],
+    };
+  }
+
+  downPayment = Math.min(downPayment, price);
+  const loanAmount = price - downPayment;
+  const monthlyPayment = getMonthlyPayment(
+    loanAmount,
+    options.interestRate,
+    options.termYears
+  );
+  const totalPayable = monthlyPayment * options.termYears * 12;
+
+  return {
+    mortgage: {
+      residency: options.residency,
+      firstHome: options.firstHome,
+      offPlan: isOffPlan,
+      maxLoanToValuePercent: toPercent(maxLoanToValue),
+      minDownPayment: roundAmount(minDownPayment),
+      downPayment: roundAmount(downPayment),
+      loanAmount: roundAmount(loanAmount),
+      loanToValuePercent: toPercent(loanAmount / price),
+      interestRatePercent: toPercent(options.interestRate),
+      termYears: options.termYears,
+      monthlyPayment: roundAmount(monthlyPayment),
+      totalInterest: roundAmount(totalPayable - loanAmount),
+      totalPayable: roundAmount(totalPayable),
+    },
+    errors: [],
+  };
+};
+
+/**
+ * Calculate the one-off purchase costs (land department, agency, trustee and bank fees)
+ * @param {number} price - Purchase price
+ * @param {string} emirate - Emirate of the property
+ * @param {number} loanAmount - Mortgage amount (0 for cash purchases)
+ * @returns {Object} - { items: [{ key, label, amount }], total }
+ */
+const calculatePurchaseCosts = (price, emirate, loanAmount = 0) => {
+  const landDepartment = LAND_DEPARTMENT_FEES[emirate] || LAND_DEPARTMENT_FEES.default;
+  const withVat = (amount) => amount * (1 + PURCHASE_COSTS.vatRate);
+
+  const items = [
+    {
+      key: "transferFee",
+      label: `${landDepartment.name} transfer fee (${toPercent(
+        landDepartment.transferFeeRate
+      )}%)`,
+      amount: price * landDepartment.transferFeeRate + landDepartment.transferAdminFee,
+    },
+    {
+      key: "titleDeedFee",
+      label: "Title deed issuance",
+      amount: PURCHASE_COSTS.titleDeedFee,
+    },
+    {
+      key: "registrationTrusteeFee",
+      label: "Registration trustee fee (incl. VAT)",
+      amount: withVat(
+        price < PURCHASE_COSTS.trusteeFeeThreshold
+          ? PURCHASE_COSTS.trusteeFeeBelowThreshold
+          : PURCHASE_COSTS.trusteeFeeAboveThreshold
+      ),
+    },
+    {
+      key: "agencyFee",
+      label: `Agency fee (${toPercent(PURCHASE_COSTS.agencyFeeRate)}% + VAT)`,
+      amount: withVat(price * PURCHASE_COSTS.agencyFeeRate),
+    },
+  ];
+
+  if (loanAmount > 0) {
+    items.push(
+      {
+        key: "mortgageRegistrationFee",
+        label: `Mortgage registration (${toPercent(
+          landDepartment.mortgageRegistrationRate
+        )}% of the loan)`,
+        amount:
+          loanAmount * landDepartment.mortgageRegistrationRate +
+          landDepartment.mortgageRegistrationAdminFee,
+      },
+      {
+        key: "bankArrangementFee",
+        label: `Bank arrangement fee (up to ${toPercent(
+          PURCHASE_COSTS.bankArrangementFeeRate
+        )}% + VAT)`,
+        amount: withVat(
+          Math.min(
+            loanAmount * PURCHASE_COSTS.bankArrangementFeeRate,
+            PURCHASE_COSTS.bankArrangementFeeMax
+          )
+        ),
+      },
+      {
+        key: "valuationFee",
+        label: "Property valuation (incl. VAT)",
+        amount: withVat(PURCHASE_COSTS.valuationFee),
+      }
+    );
+  }
+
+  const roundedItems = items.map((item) => ({ ...item, amount: roundAmount(item.amount) }));
+
+  return {
+    items: roundedItems,
+    total: roundedItems.reduce((sum, item) => sum + item.amount, 0),
+  };
+};
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} - Median
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Estimate a value from comparable listings in the same area
+ * The match is broadened (same type and bedrooms → same type → whole area) until enough
+ * comparables are found; values are normalized per sqft when both listings have an area
+ * @param {Object} property - Subject property
+ * @param {string} listingType - Comparable listing type ("rent" for rents, "sale" for prices)
+ * @returns {Promise<Object|null>} - { estimate, comparables: { count, matchedOn, perSqft } } or null
+ */
+const estimateFromComparables = async (property, listingType) => {
+  if (!property.location?.area) return null;
+
+  const since = new Date();
+  since.setMonth(since.getMonth() - COMPARABLES.maxAgeMonths);
+
+  const candidates = await Property.find({
+    _id: { $ne: property._id },
+    listingType,
+    approvalStatus: "approved",
+    status: { $in: COMPARABLE_STATUSES[listingType] },
+    "location.emirate": property.location.emirate,
+    "location.area": property.location.area,
+    price: { $gt: 0 },
+    createdAt: { $gte: since },
+  })
+    .select("price priceType propertyType details.bedrooms details.area details.areaUnit")
+    .sort({ createdAt: -1 })
+    .limit(COMPARABLES.maxCount)
+    .lean();
+
+  const bedrooms = property.details?.bedrooms;
+  const matchLevels = [
+    {
+      matchedOn: ["area", "propertyType", "bedrooms"],
+      test: (candidate) =>
+        candidate.propertyType === property.propertyType &&
+        candidate.details?.bedrooms === bedrooms,
+    },
+    {
+      matchedOn: ["area", "propertyType"],
+      test: (candidate) => candidate.propertyType === property.propertyType,
+    },
+    { matchedOn: ["area"], test: () => true },
+  ];
+
+  const subjectAreaSqft = getAreaInSqft(property);
+
+  for (const { matchedOn, test } of matchLevels) {
+    const comparables = candidates
+      .filter(test)
+      .map((candidate) => ({
+        total: getTotalPrice(candidate),
+        areaSqft: getAreaInSqft(candidate),
+      }))
+      .filter((candidate) => candidate.total);
+
+    if (comparables.length < COMPARABLES.minCount) continue;
+
+    // Per-sqft estimates adjust for size differences when the areas are known
+    const perSqftValues = comparables
+      .filter((candidate) => candidate.areaSqft)
+      .map((candidate) => candidate.total / candidate.areaSqft);
+    const perSqft =
+      perSqftValues.length >= COMPARABLES.minCount ? median(perSqftValues) : null;
+
+    return {
+      estimate: roundAmount(
+        subjectAreaSqft && perSqft
+          ? perSqft * subjectAreaSqft
+          : median(comparables.map((candidate) => candidate.total))
+      ),
+      comparables: {
+        count: comparables.length,
+        matchedOn,
+        perSqft: perSqft ? Math.round(perSqft * 100) / 100 : null,
+      },
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Gross and net yield for a rent and purchase price
+ * Net income deducts service charges, maintenance, vacancy and management;
+ * net yield is on the price plus purchase costs
+ * @param {Object} params - { annualRent, price, purchaseCosts, areaSqft, options }
+ * @returns {Object} - Yield breakdown
+ */
+const calculateYield = ({ annualRent, price, purchaseCosts, areaSqft, options }) => {
+  const serviceCharges = areaSqft ? areaSqft * options.serviceChargePerSqft : 0;
+  const maintenance = annualRent * YIELD_ASSUMPTIONS.maintenanceRate;
+  const vacancy = annualRent * YIELD_ASSUMPTIONS.vacancyRate;
+  const management = annualRent * YIELD_ASSUMPTIONS.managementFeeRate;
+  const netAnnualIncome = annualRent - serviceCharges - maintenance - vacancy - management;
+  const totalInvestment = price + purchaseCosts;
+
+  return {
+    annualRent: roundAmount(annualRent),
+    grossYieldPercent: toPercent(annualRent / price),
+    netYieldPercent: toPercent(netAnnualIncome / totalInvestment),
+    netAnnualIncome: roundAmount(netAnnualIncome),
+    totalInvestment: roundAmount(totalInvestment),
+    annualCosts: {
+      serviceCharges: roundAmount(serviceCharges),
+      maintenance: roundAmount(maintenance),
+      vacancy: roundAmount(vacancy),
+      management: roundAmount(management),
+    },
+    assumptions: {
+      serviceChargePerSqft: options.serviceChargePerSqft,
+      maintenancePercent: toPercent(YIELD_ASSUMPTIONS.maintenanceRate),
+      vacancyPercent: toPercent(YIELD_ASSUMPTIONS.vacancyRate),
+      managementFeePercent: toPercent(YIELD_ASSUMPTIONS.managementFeeRate),
+    },
+  };
+};
+
+/**
+ * Calculate the financials of a listing
+ * Sale and off-plan listings get a mortgage, purchase costs and a yield on comparable rents;
+ * rentals get a yield on the value estimated from comparable sales
+ * @param {Object} property - Property
+ * @param {Object} options - Parsed calculator options
+ * @returns {Promise<Object>} - { financials, errors }
+ */
+const calculatePropertyFinancials = async (property, options) => {
+  const totalPrice = getTotalPrice(property);
+
+  if (!totalPrice) {
+    return {
+      financials: null,
+      errors: [
+        {
+          field: "price",
+          message:
+            "Financials are not available for listings without a price (or without an area for per-area prices)",
+        },
+      ],
+    };
+  }
+
+  const areaSqft = getAreaInSqft(property);
+  const price = {
+    amount: property.price,
+    priceType: property.priceType,
+    currency: property.currency,
+    total: roundAmount(totalPrice),
+  };
+
+  if (property.listingType === "rent") {
+    const valuation = await estimateFromComparables(property, "sale");
+    const purchaseCosts =
+      valuation && calculatePurchaseCosts(valuation.estimate, property.location?.emirate);
+
+    return {
+      financials: {
+        listingType: property.listingType,
+        price,
+        mortgage: null,
+        purchaseCosts: null,
+        rentalYield: valuation
+          ? {
+              basis: "comparable_sales",
+              estimatedValue: valuation.estimate,
+              comparables: valuation.comparables,
+              ...calculateYield({
+                annualRent: totalPrice,
+                price: valuation.estimate,
+                purchaseCosts: purchaseCosts.total,
+                areaSqft,
+                options,
+              }),
+            }
+          : null,
+      },
+      errors: [],
+    };
+  }
+
+  const { mortgage, errors } = calculateMortgage(
+    totalPrice,
+    options,
+    property.listingType === "off plan"
+  );
+  if (errors.length > 0) {
+    return { financials: null, errors };
+  }
+
+  const purchaseCosts = calculatePurchaseCosts(
+    totalPrice,
+    property.location?.emirate,
+    mortgage.loanAmount
+  );
+  const rent = await estimateFromComparables(property, "rent");
+
+  return {
+    financials: {
+      listingType: property.listingType,
+      price,
+      mortgage,
+      purchaseCosts,
+      // Cash needed at purchase: down payment plus purchase costs
+      upfrontCash: mortgage.downPayment + purchaseCosts.total,
+      rentalYield: rent
+        ? {
+            basis: "comparable_rents",
+            comparables: rent.comparables,
+            ...calculateYield({
+              annualRent: rent.estimate,
+              price: totalPrice,
+              purchaseCosts: purchaseCosts.total,
+              areaSqft,
+              options,
+            }),
+          }
+        : null,
+    },
+    errors: [],
+  };
+};
+
+module.exports = {
+  getAreaInSqft,
+  getTotalPrice,
+  parseFinancialOptions,
+  calculateMortgage,
+  calculatePurchaseCosts,
+  estimateFromComparables,
+  calculatePropertyFinancials,
+};
@@ -0,0 +1,106 @@
+/**
+ * Property History Helpers
+ * Price change summaries ("price reduced by 5%" badges) and role-based timeline views
+ */
+
+const PropertyHistory = require("../models/PropertyHistory");
+const { PRICE_CHANGE_BADGE_DAYS } = require("../constants/propertyTypes");
+
+/**
+ * Get the most recent price change (within the badge window) for a set of properties
+ * @param {Array} propertyIds - Property ObjectIds
+ * @returns {Promise<Map>} - Map of property id string → { direction, percent, previousPrice, currentPrice, changedAt }
+ */
+const getPriceChangeSummaries = async (propertyIds) => {
+  const summaries = new Map();
+  if (!propertyIds || propertyIds.length === 0) return summaries;
+
+  const cutoff = new Date(Date.now() - PRICE_CHANGE_BADGE_DAYS * 24 * 60 * 60 * 1000);
+
+  const latestChanges = await PropertyHistory.aggregate([
+    {
+      $match: {
+        property: { $in: propertyIds },
+        field: "price",
+        oldValue: { $type: "number" },
+        newValue: { $type: "number" },
+        changedAt: { $gte: cutoff },
+      },
+    },
+    { $sort: { changedAt: -1 } },
+    {
+      $group: {
+        _id: "$property",
+        oldValue: { $first: "$oldValue" },
+        newValue: { $first: "$newValue" },
+        changedAt: { $first: "$changedAt" },
+      },
+    },
+  ]);
+
+  latestChanges.forEach((change) => {
+    if (!change.oldValue || change.oldValue === change.newValue) return;
+
+    summaries.set(change._id.toString(), {
+      direction: change.newValue < change.oldValue ? "reduced" : "increased",
+      percent:
+        Math.round(
+          (Math.abs(change.oldValue - change.newValue) / change.oldValue) * 1000
+        ) / 10,
+      previousPrice: change.oldValue,
+      currentPrice: change.newValue,
+      changedAt: change.changedAt,
+    });
+  });
+
+  return summaries;
+};
+
+/**
+ * Attach a priceChange summary to each property in a listing
+ * @param {Array} properties - Property documents or plain objects
+ * @returns {Promise<Object[]>} - Plain objects with priceChange (null when there is no recent change)
+ */
+const attachPriceChanges = async (properties) => {
+  const summaries = await getPriceChangeSummaries(
+    properties.map((property) => property._id)
+  );
+
+  return properties.map((property) => {
+    const result = typeof property.toJSON === "function" ? property.toJSON() : property;
+    return {
+      ...result,
+      priceChange: summaries.get(property._id.toString()) || null,
+    };
+  });
+};
+
+/**
+ * Shape history entries for the requesting role
+ * Visitors only see price and listing status changes, without who made them
+ * @param {Object[]} entries - PropertyHistory documents (changedBy populated for staff)
+ * @param {string} userRole - Role of the requesting user
+ * @returns {Object[]} - Timeline entries
+ */
+const formatHistoryForRole = (entries, userRole) => {
+  if (userRole === "admin" || userRole === "SuperAdmin") {
+    return entries;
+  }
+
+  return entries
+    .filter((entry) => entry.field === "price" || entry.field === "status")
+    .filter((entry) => entry.newValue !== "draft" && entry.oldValue !== "draft")
+    .map((entry) => ({
+      field: entry.field,
+      oldValue: entry.oldValue,
+      newValue: entry.newValue,
+      currency: entry.currency,
+      changedAt: entry.changedAt,
+    }));
+};
+
+module.exports = {
+  getPriceChangeSummaries,
+  attachPriceChanges,
+  formatHistoryForRole,
+};
@@ -0,0 +1,700 @@
+/**
+ * Bulk Property Import Helpers
+ * Reads CSV/XLSX listings and a zip of images, validates every row and creates the valid ones
+ *
+ * Columns use the same field names as the admin property form, e.g. title, description,
+ * propertyType, listingType, price, status, focusKeyword, metaTitle, metaDescription,
+ * location[address], location[emirate], location[area], location[latitude], location[longitude],
+ * details[bedrooms], details[parking][available], permit[number], permit[expiresAt],
+ * project (project ID), publishAt, expiresAt ...
+ * List columns are separated by ";" - amenities (names) and images (file names in the zip,
+ * the first one is the main image)
+ */
+
+const path = require("path");
+const zlib = require("zlib");
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const AdmZip = require("adm-zip");
+const Property = require("../models/Property");
+const {
+  PROPERTY_TYPES,
+  LISTING_TYPES,
+  EMIRATES,
+  EMIRATE_AREA_MAP,
+  PROPERTY_TYPE_AMENITIES_MAP,
+  AREA_UNITS,
+  PARKING_TYPES,
+} = require("../constants/propertyTypes");
+const {
+  parsePropertyFormFields,
+  checkCreatePropertyRules,
+  isFocusKeywordUnique,
+} = require("../middleware/validation");
+const { getPermitIssue } = require("./propertyPermits");
+const { getProjectLinkError } = require("./projects");
+const { applyListingSchedule } = require("./listingSchedule");
+const { validateImage } = require("../config/imageProcessor");
+const { recordRevision } = require("./propertyRevisions");
+const { saveImageFile, deleteImageFiles } = require("./imageFiles");
+
+// Separator for list columns (amenities, images)
+const LIST_SEPARATOR = ";";
+
+// Upper bounds for a single import
+const MAX_IMPORT_ROWS = 500;
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024; // 1GB uncompressed
+
+// Zip compression method inflated here with an output limit (stored files are not compressed)
+const ZIP_DEFLATED = 8;
+
+// Imported listings are either drafts or submitted for approval
+const IMPORT_STATUSES = ["draft", "available"];
+
+// Columns every row must fill in - [column, label]
+const REQUIRED_COLUMNS = [
+  ["title", "Title"],
+  ["description", "Description"],
+  ["focusKeyword", "Focus keyword"],
+  ["propertyType", "Property type"],
+  ["listingType", "Listing type"],
+  ["location[address]", "Address"],
+  ["location[emirate]", "Emirate"],
+  ["location[area]", "Area"],
+];
+
+// Fields managed by the workflow itself - never taken from the spreadsheet
+const NON_IMPORTABLE_FIELDS = [
+  "_id",
+  "__v",
+  "slug",
+  "previousStatus",
+  "expiredAt",
+  "expiryReminderSentAt",
+  "approvalStatus",
+  "approvedBy",
+  "approvedAt",
+  "rejectionReason",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedAt",
+];
+
+/**
+ * Split a list cell into trimmed, non-empty values
+ * @param {string} value - Cell value
+ * @returns {string[]} - List values
+ */
+const splitList = (value) =>
+  (value || "")
+    .split(LIST_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Find the predefined option matching a value (case-insensitive)
+ * @param {string} value - Cell value
+ * @param {string[]} options - Allowed values
+ * @returns {string|undefined} - Matching option with its canonical spelling
+ */
+const findOption = (value, options = []) =>
+  options.find(
+    (option) => option.toLowerCase() === String(value).trim().toLowerCase()
+  );
+
+/**
+ * Parse a yes/no cell
+ * @param {*} value - Cell value
+ * @returns {boolean|undefined} - Parsed value, undefined if not recognised
+ */
+const parseBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(normalized)) return true;
+  if (["false", "no", "0"].includes(normalized)) return false;
+  return undefined;
+};
+
+/**
+ * Read the first worksheet of an XLSX file (first row holds the column names)
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {Promise<Object[]>} - [{ rowNumber, fields }]
+ */
+const readWorkbookRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    headers[columnNumber] = cell.text.trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const fields = {};
+    headers.forEach((header, columnNumber) => {
+      if (header) {
+        fields[header] = row.getCell(columnNumber).text.trim();
+      }
+    });
+    rows.push({ rowNumber, fields });
+  });
+
+  return rows;
+};
+
+/**
+ * Read a CSV file (first line holds the column names)
+ * @param {Buffer} buffer - CSV file contents
+ * @returns {Object[]} - [{ rowNumber, fields }]
+ */
+const readCsvRows = (buffer) =>
+  parse(buffer, {
+    columns: (headers) => headers.map((header) => header.trim()),
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true,
+  }).map(({ record, info }) => ({ rowNumber: info.lines, fields: record }));
+
+/**
+ * Read the listing rows of an uploaded spreadsheet
+ * @param {Object} file - Multer file (CSV or XLSX, in memory)
+ * @returns {Promise<Object[]>} - Non-empty rows as [{ rowNumber, fields }]
+ */
+const readImportSheet = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const rows =
+    extension === ".xlsx"
+      ? await readWorkbookRows(file.buffer)
+      : readCsvRows(file.buffer);
+
+  const listingRows = rows.filter((row) =>
+    Object.values(row.fields).some((value) => value !== "")
+  );
+
+  if (listingRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(
+      `Too many rows: ${listingRows.length} (max: ${MAX_IMPORT_ROWS} per import)`
+    );
+  }
+
+  return listingRows;
+};
+
+/**
+ * Index the images in an uploaded zip archive by file name (folders are ignored)
+ * Nothing is extracted yet - see extractArchiveImage
+ * @param {Object} file - Multer file (zip, in memory)
+ * @returns {Object} - { entries: Map<lowercase name, entry>, duplicates: Set<lowercase name>,
+ *   extracted: Set<lowercase name>, extractedSize }
+ */
+const readImageArchive = (file) => {
+  const zip = new AdmZip(file.buffer);
+  const entries = new Map();
+  const duplicates = new Set();
+
+  const files = zip
+    .getEntries()
+    .filter((entry) => !entry.isDirectory)
+    .filter((entry) => !entry.entryName.startsWith("__MACOSX/"))
+    .filter((entry) => !path.posix.basename(entry.entryName).startsWith("."));
+
+  if (files.length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(
+      `Too many files in the image archive (max: ${MAX_ARCHIVE_ENTRIES})`
+    );
+  }
+
+  files.forEach((entry) => {
+    const name = path.posix.basename(entry.entryName).toLowerCase();
+
+    if (entries.has(name)) {
+      duplicates.add(name);
+    }
+    entries.set(name, entry);
+  });
+
+  return { entries, duplicates, extracted: new Set(), extractedSize: 0 };
+};
+
+/**
+ * Extract an image from the archive, counting the bytes actually decompressed against the
+ * archive limit (the sizes declared in the zip headers are not trusted)
+ * @param {Object} archive - Indexed image archive
+ * @param {string} name - Image file name
+ * @returns {Buffer} - File contents
+ */
+const extractArchiveImage = (archive, name) => {
+  const key = name.toLowerCase();
+  const entry = archive.entries.get(key);
+  const tooLarge = new Error("The image archive is too large once extracted (max: 1GB)");
+
+  // Files extracted again (validation, then saving) only count once
+  const remaining = archive.extracted.has(key)
+    ? MAX_ARCHIVE_SIZE
+    : MAX_ARCHIVE_SIZE - archive.extractedSize;
+
+  let data;
+  if (entry.header.method === ZIP_DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(entry.getCompressedData(), {
+        maxOutputLength: Math.max(1, remaining),
+      });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge;
+      throw error;
+    }
+  } else {
+    data = entry.getData();
+  }
+
+  if (!archive.extracted.has(key)) {
+    if (data.length > remaining) throw tooLarge;
+    archive.extracted.add(key);
+    archive.extractedSize += data.length;
+  }
+
+  return data;
+};
+
+/**
+ * Convert spreadsheet cells into property data using the property form parser
+ * @param {Object} fields - Row cells keyed by column name
+ * @returns {Object} - { data, imageNames }
+ */
+const buildImportRow = (fields) => {
+  const formFields = {};
+
+  Object.entries(fields).forEach(([column, value]) => {
+    // Empty cells leave optional fields unset
+    if (value === "" || value === undefined) return;
+    if (column === "amenities" || column === "images") return;
+    if (NON_IMPORTABLE_FIELDS.includes(column)) return;
+    formFields[column] = value;
+  });
+
+  splitList(fields.amenities).forEach((amenity, index) => {
+    formFields[`amenities[${index}]`] = amenity;
+  });
+
+  return {
+    data: parsePropertyFormFields(formFields),
+    imageNames: splitList(fields.images),
+  };
+};
+
+/**
+ * Map a validation rule path to the import column name, e.g. location.address -> location[address]
+ * @param {string} field - Rule path
+ * @returns {string} - Column name
+ */
+const toColumnName = (field) => field.replace(/\.([^.]+)/g, "[$1]");
+
+/**
+ * Replace a value with the predefined option it matches (case-insensitive)
+ * @param {Function} addError - Error collector
+ * @param {Object} target - Object holding the value
+ * @param {string} key - Key of the value in target
+ * @param {string} field - Column name
+ * @param {string} label - Field label used in messages
+ * @param {string[]} options - Allowed values
+ * @returns {string|undefined} - Matching option, undefined if missing or invalid
+ */
+const normalizeOption = (addError, target, key, field, label, options) => {
+  if (!target || target[key] === undefined) return undefined;
+
+  const option = findOption(target[key], options);
+  if (!option) {
+    addError(field, `Invalid ${label} "${target[key]}". Must be one of: ${options.join(", ")}`);
+  } else {
+    target[key] = option;
+  }
+  return option;
+};
+
+/**
+ * Validate one row with the property creation rules plus the import-only checks (required
+ * columns, emirate/area and amenity maps, permit, images)
+ * Values matching a predefined option in a different case are normalized first
+ * @param {Object} row - { fields, data, imageNames } (scheduled is set on it)
+ * @param {Object|null} archive - Indexed image archive
+ * @returns {Promise<Object[]>} - [{ field, message }]
+ */
+const validateImportRow = async (row, archive) => {
+  const { fields, data, imageNames } = row;
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  // The property form lets drafts leave these empty, imported listings must be complete
+  REQUIRED_COLUMNS.forEach(([column, label]) => {
+    if (!fields[column]) {
+      addError(column, `${label} is required`);
+    }
+  });
+
+  const propertyType = normalizeOption(
+    addError,
+    data,
+    "propertyType",
+    "propertyType",
+    "property type",
+    PROPERTY_TYPES
+  );
+  normalizeOption(addError, data, "listingType", "listingType", "listing type", LISTING_TYPES);
+
+  // Rows without a status are imported as drafts
+  data.status = findOption(data.status || "draft", IMPORT_STATUSES) || data.status;
+
+  // Location - the area must belong to the selected emirate
+  const location = data.location;
+  const emirate = normalizeOption(
+    addError,
+    location,
+    "emirate",
+    "location[emirate]",
+    "emirate",
+    EMIRATES
+  );
+  if (emirate && location.area !== undefined) {
+    const area = findOption(location.area, EMIRATE_AREA_MAP[emirate]);
+    if (!area) {
+      addError(
+        "location[area]",
+        `Invalid area "${location.area}" for ${emirate}. Must be one of: ${EMIRATE_AREA_MAP[emirate].join(", ")}`
+      );
+    } else {
+      location.area = area;
+    }
+  }
+
+  if (
+    (fields["location[latitude]"] || fields["location[longitude]"]) &&
+    !location?.coordinates
+  ) {
+    addError(
+      "location[latitude]",
+      "Latitude and longitude must both be provided as valid coordinates"
+    );
+  }
+
+  // Property details
+  const details = data.details || {};
+  normalizeOption(addError, details, "areaUnit", "details[areaUnit]", "area unit", AREA_UNITS);
+
+  if (details.parking) {
+    const parking = details.parking;
+    const parkingAvailable =
+      parking.available === undefined ? false : parseBoolean(parking.available);
+
+    if (parkingAvailable === undefined) {
+      addError(
+        "details[parking][available]",
+        "Parking available must be yes/no or true/false"
+      );
+    } else {
+      parking.available = parkingAvailable;
+    }
+
+    if (parkingAvailable) {
+      normalizeOption(
+        addError,
+        parking,
+        "type",
+        "details[parking][type]",
+        "parking type",
+        PARKING_TYPES
+      );
+    }
+  }
+
+  const validAmenities = PROPERTY_TYPE_AMENITIES_MAP[propertyType] || [];
+  if (data.amenities) {
+    data.amenities = data.amenities.map(
+      (amenity) => findOption(amenity, validAmenities) || amenity
+    );
+  }
+
+  // Same rules as the property form
+  const { errors: ruleErrors } = await checkCreatePropertyRules(data);
+  ruleErrors.forEach(({ field, message }) => addError(toColumnName(field), message));
+
+  // Listings published straight away need a valid advertising permit where required
+  const permitIssue =
+    data.status === "available" && location && getPermitIssue(data);
+  if (permitIssue) {
+    addError("permit[number]", permitIssue);
+  }
+
+  // Same publishAt / expiresAt rules as the property form (after the permit check, as in
+  // createProperty) - available rows with a future publishAt are imported as scheduled drafts
+  const { errors: scheduleErrors, scheduled } = applyListingSchedule(data);
+  scheduleErrors.forEach(({ field, message }) => addError(field, message));
+  row.scheduled = scheduled;
+
+  // Amenities must be predefined for the property type (the form only warns about these)
+  if (propertyType && data.amenities) {
+    const invalidAmenities = data.amenities.filter(
+      (amenity) => !validAmenities.includes(amenity)
+    );
+    if (invalidAmenities.length > 0) {
+      addError(
+        "amenities",
+        `Amenities not available for ${propertyType} properties: ${invalidAmenities.join(", ")}`
+      );
+    }
+  }
+
+  // Images must be in the uploaded archive
+  if (imageNames.length === 0) {
+    addError("images", "At least one image file name is required");
+  } else if (imageNames.length > 10) {
+    addError("images", "Cannot have more than 10 images per property");
+  } else if (!archive) {
+    addError("images", "No image archive was uploaded");
+  } else {
+    const lowerNames = imageNames.map((name) => name.toLowerCase());
+
+    if (new Set(lowerNames).size !== lowerNames.length) {
+      addError("images", "Duplicate image file names are not allowed");
+    }
+
+    imageNames.forEach((name, index) => {
+      if (archive.duplicates.has(lowerNames[index])) {
+        addError("images", `Image "${name}" matches more than one file in the archive`);
+      } else if (!archive.entries.has(lowerNames[index])) {
+        addError("images", `Image "${name}" was not found in the archive`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Check the images referenced by valid rows can be read (each archive file is checked once)
+ * @param {Object[]} rows - Validated rows
+ * @param {Object|null} archive - Indexed image archive
+ */
+const validateRowImages = async (rows, archive) => {
+  const results = new Map();
+
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+
+    for (const name of row.imageNames) {
+      const key = name.toLowerCase();
+
+      if (!results.has(key)) {
+        try {
+          await validateImage(extractArchiveImage(archive, name));
+          results.set(key, null);
+        } catch (error) {
+          results.set(key, error.message);
+        }
+      }
+
+      if (results.get(key)) {
+        row.errors.push({
+          field: "images",
+          message: `Image "${name}" is invalid: ${results.get(key)}`,
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Check titles and focus keywords are unique in the file and focus keywords against existing
+ * listings and blogs (existing titles are checked by the property creation rules)
+ * @param {Object[]} rows - Validated rows
+ */
+const validateRowUniqueness = async (rows) => {
+  const titles = new Map();
+  const focusKeywords = new Map();
+
+  for (const row of rows) {
+    const { title, focusKeyword } = row.data;
+
+    if (title) {
+      const key = title.trim().toLowerCase();
+      if (titles.has(key)) {
+        row.errors.push({
+          field: "title",
+          message: `Duplicate title (also used in row ${titles.get(key)})`,
+        });
+      } else {
+        titles.set(key, row.rowNumber);
+      }
+    }
+
+    if (focusKeyword) {
+      const key = focusKeyword.trim().toLowerCase();
+      if (focusKeywords.has(key)) {
+        row.errors.push({
+          field: "focusKeyword",
+          message: `Duplicate focus keyword (also used in row ${focusKeywords.get(key)})`,
+        });
+      } else {
+        focusKeywords.set(key, row.rowNumber);
+        if (!(await isFocusKeywordUnique(focusKeyword))) {
+          row.errors.push({
+            field: "focusKeyword",
+            message:
+              "This focus keyword is already in use by another property or blog. Please choose a different one.",
+          });
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check that rows linked to a project reference a project the user can use
+ * @param {Object[]} rows - Validated rows
+ * @param {Object} user - Importing user
+ */
+const validateRowProjects = async (rows, user) => {
+  const results = new Map();
+
+  for (const row of rows) {
+    const { project } = row.data;
+    if (!project) continue;
+
+    if (!results.has(project)) {
+      results.set(project, await getProjectLinkError(project, user));
+    }
+
+    if (results.get(project)) {
+      row.errors.push({ field: "project", message: results.get(project) });
+    }
+  }
+};
+
+/**
+ * Build the property document for a row
+ * @param {Object} row - Validated row
+ * @param {string} userId - Importing user (owner of the listing)
+ * @param {Object[]} images - Property image data
+ * @returns {Object} - Unsaved property document
+ */
+const buildImportedProperty = (row, userId, images) =>
+  new Property({
+    ...row.data,
+    images,
+    createdBy: userId,
+    // Drafts stay out of the approval workflow, everything else (scheduled drafts included)
+    // waits for review
+    approvalStatus:
+      row.data.status === "draft" && !row.scheduled ? "not_applicable" : "pending",
+  });
+
+/**
+ * Run the schema validation for rows that passed the import rules
+ * Images are represented by their file names since nothing is saved yet
+ * @param {Object[]} rows - Validated rows
+ * @param {string} userId - Importing user
+ */
+const validateRowSchemas = async (rows, userId) => {
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+
+    const property = buildImportedProperty(
+      row,
+      userId,
+      row.imageNames.map((name, index) => ({
+        url: name,
+        publicId: name,
+        order: index,
+        isMain: index === 0,
+      }))
+    );
+
+    try {
+      await property.validate();
+    } catch (error) {
+      if (error.name !== "ValidationError") throw error;
+      Object.values(error.errors).forEach((err) =>
+        row.errors.push({ field: err.path, message: err.message })
+      );
+    }
+  }
+};
+
+/**
+ * Parse and validate all rows of an import
+ * @param {Object[]} sheetRows - Rows read from the spreadsheet
+ * @param {Object|null} archive - Indexed image archive
+ * @param {Object} user - Importing user
+ * @returns {Promise<Object[]>} - [{ rowNumber, fields, data, imageNames, scheduled, errors }]
+ */
+const validateImportRows = async (sheetRows, archive, user) => {
+  const rows = [];
+  for (const { rowNumber, fields } of sheetRows) {
+    const row = { rowNumber, fields, ...buildImportRow(fields) };
+    row.errors = await validateImportRow(row, archive);
+    rows.push(row);
+  }
+
+  await validateRowUniqueness(rows);
+  await validateRowProjects(rows, user);
+  await validateRowImages(rows, archive);
+  await validateRowSchemas(rows, user.id);
+
+  return rows;
+};
+
+/**
+ * Save a valid row's images and create the property owned by the importing user
+ * Images saved for the row are removed again if the property cannot be created
+ * @param {Object} row - Valid row
+ * @param {Object} archive - Indexed image archive
+ * @param {string} userId - Importing user
+ * @returns {Promise<Object>} - Created property
+ */
+const createImportedProperty = async (row, archive, userId) => {
+  const images = [];
+
+  try {
+    for (const [index, name] of row.imageNames.entries()) {
+      const entry = archive.entries.get(name.toLowerCase());
+      const image = await saveImageFile(
+        extractArchiveImage(archive, name),
+        path.posix.basename(entry.entryName)
+      );
+
+      images.push({
+        ...image,
+        altText: `Property image ${index + 1}`,
+        order: index,
+        isMain: index === 0,
+      });
+    }
+
+    const property = buildImportedProperty(row, userId, images);
+    await property.save();
+
+    // First revision - the starting point for diffs and rollbacks
+    await recordRevision(property, { userId, reason: "create" });
+
+    return property;
+  } catch (error) {
+    await deleteImageFiles(images.map((image) => image.publicId));
+    throw error;
+  }
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readImportSheet,
+  readImageArchive,
+  validateImportRows,
+  createImportedProperty,
+};
@@ -0,0 +1,156 @@
+/**
+ * Advertising Permit Helpers
+ * Listings in emirates that regulate property advertising (RERA / Trakheesi in Dubai) can only
+ * be published with a valid permit; a scheduled check unpublishes listings whose permit expired
+ */
+
+const Property = require("../models/Property");
+const User = require("../models/User");
+const {
+  PERMIT_REQUIRED_EMIRATES,
+  PERMIT_ENFORCED_STATUSES,
+} = require("../constants/propertyTypes");
+const { createTransporter } = require("../config/email");
+const { escapeHtml } = require("./propertySearch");
+const { ensureBaselineRevision, recordRevision } = require("./propertyRevisions");
+
+/**
+ * Check whether listings in an emirate need an advertising permit
+ * @param {string} emirate - Emirate
+ * @returns {boolean} - True if a permit is required
+ */
+const requiresPermit = (emirate) => PERMIT_REQUIRED_EMIRATES.includes(emirate);
+
+/**
+ * Check whether a listing's permit allows publishing it
+ * @param {Object} property - Property (or the property data after an edit)
+ * @param {Date} now - Reference date
+ * @returns {string|null} - Reason publishing is blocked, or null if the listing may be published
+ */
+const getPermitIssue = ({ location, permit }, now = new Date()) => {
+  if (!requiresPermit(location?.emirate)) return null;
+
+  if (!permit?.number) {
+    return `An advertising permit number is required to publish listings in ${location.emirate}`;
+  }
+
+  if (!permit.expiresAt) {
+    return "The advertising permit expiry date is required";
+  }
+
+  if (new Date(permit.expiresAt) <= now) {
+    return `The advertising permit expired on ${new Date(permit.expiresAt)
+      .toISOString()
+      .substring(0, 10)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Email a listing owner about listings moved back to draft
+ * @param {Object} owner - User (name, email)
+ * @param {Object[]} properties - Unpublished properties
+ */
+const sendPermitExpiredEmail = async (owner, properties) => {
+  const transporter = createTransporter();
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: owner.email,
+    subject:
+      properties.length === 1
+        ? `Listing unpublished: advertising permit expired`
+        : `${properties.length} listings unpublished: advertising permits expired`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Advertising permit expired</h2>
+        <p>Hello ${escapeHtml(owner.name || "")},</p>
+        <p>The advertising permit of the following ${properties.length === 1 ? "listing has" : "listings have"} expired, so ${properties.length === 1 ? "it was" : "they were"} moved back to draft and removed from the website:</p>
+        <ul>
+          ${properties
+            .map(
+              (property) => `
+            <li style="margin-bottom: 8px;">
+              <strong>${escapeHtml(property.title)}</strong><br>
+              <span style="color: #666;">Permit ${escapeHtml(property.permit.number || "")} expired on ${new Date(property.permit.expiresAt).toISOString().substring(0, 10)}</span>
+            </li>`
+            )
+            .join("")}
+        </ul>
+        <p>Renew the permit, update the permit number and expiry date, and publish the listing again to send it for approval.</p>
+      </div>
+    `,
+  });
+};
+
+/**
+ * Move actively advertised listings with an expired permit back to draft and notify their owners
+ * Registered with the scheduler (see server.js)
+ * @returns {Promise<number>} - Number of listings unpublished
+ */
+const expireListingPermits = async () => {
+  const now = new Date();
+
+  const properties = await Property.find({
+    "location.emirate": { $in: PERMIT_REQUIRED_EMIRATES },
+    status: { $in: PERMIT_ENFORCED_STATUSES },
+    "permit.expiresAt": { $lte: now },
+  });
+
+  if (properties.length === 0) return 0;
+
+  const unpublishedByOwner = new Map();
+
+  for (const property of properties) {
+    try {
+      await ensureBaselineRevision(property);
+
+      property.status = "draft";
+      property.approvalStatus = "not_applicable"; // Drafts are outside the approval workflow
+      property.updatedAt = now;
+      // Automatic change - no acting user in the history
+      property.$locals.changedBy = null;
+      property.$locals.historyNote = "Advertising permit expired";
+      await property.save();
+
+      await recordRevision(property, { reason: "update" });
+
+      const ownerId = property.createdBy.toString();
+      if (!unpublishedByOwner.has(ownerId)) {
+        unpublishedByOwner.set(ownerId, []);
+      }
+      unpublishedByOwner.get(ownerId).push(property);
+    } catch (error) {
+      console.error(
+        `❌ Failed to unpublish property ${property._id} with expired permit:`,
+        error
+      );
+    }
+  }
+
+  const owners = await User.find({
+    _id: { $in: Array.from(unpublishedByOwner.keys()) },
+  }).select("name email");
+
+  for (const owner of owners) {
+    try {
+      await sendPermitExpiredEmail(owner, unpublishedByOwner.get(owner._id.toString()));
+    } catch (error) {
+      console.error(`❌ Failed to send permit expiry email to ${owner.email}:`, error);
+    }
+  }
+
+  const unpublishedCount = Array.from(unpublishedByOwner.values()).flat().length;
+  console.log(
+    `📋 Moved ${unpublishedCount} listing(s) with expired advertising permits back to draft`
+  );
+
+  return unpublishedCount;
+};
+
+module.exports = {
+  requiresPermit,
+  getPermitIssue,
+  expireListingPermits,
+};
@@ -0,0 +1,263 @@
+/**
+ * Property Revision Helpers
+ * Full-document snapshots of properties with field-level diffs and restore data
+ * Images removed by an edit stay on disk while a retained revision still references them
+ */
+
+const PropertyRevision = require("../models/PropertyRevision");
+
+// Default number of revisions kept per property (override with PROPERTY_REVISION_LIMIT)
+const DEFAULT_REVISION_LIMIT = 20;
+
+// Fields that describe the workflow rather than the listing content - never restored
+const NON_RESTORABLE_FIELDS = [
+  "_id",
+  "__v",
+  "slug",
+  "status",
+  "previousStatus",
+  "publishAt",
+  "expiresAt",
+  "expiredAt",
+  "expiryReminderSentAt",
+  "approvalStatus",
+  "approvedBy",
+  "approvedAt",
+  "rejectionReason",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedAt",
+];
+
+// Bookkeeping fields left out of diffs
+const IGNORED_DIFF_FIELDS = ["_id", "__v", "updatedAt", "updatedBy", "expiryReminderSentAt"];
+
+/**
+ * Maximum number of revisions kept per property
+ * @returns {number} - Revision limit
+ */
+const getRevisionLimit = () =>
+  parseInt(process.env.PROPERTY_REVISION_LIMIT) || DEFAULT_REVISION_LIMIT;
+
+/**
+ * Convert a value to plain JSON (ObjectIds and dates become strings)
+ * @param {*} value - Any value
+ * @returns {*} - JSON-compatible value
+ */
+const normalize = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Take a full snapshot of a property document
+ * @param {Object} property - Property document
+ * @returns {Object} - Plain snapshot (references depopulated)
+ */
+const createSnapshot = (property) =>
+  normalize(property.toObject({ depopulate: true, versionKey: false }));
+
+/**
+ * Flatten a snapshot into dotted paths; arrays are compared as whole values
+ * @param {Object} value - Snapshot or nested object
+ * @param {string} prefix - Path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} - { "location.area": "JVC", "amenities": [...], ... }
+ */
+const flatten = (value, prefix = "", result = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+
+    if (child && typeof child === "object" && !Array.isArray(child)) {
+      flatten(child, fieldPath, result);
+    } else {
+      result[fieldPath] = child;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Object[]} - [{ field, from, to }] sorted by field path
+ */
+const diffSnapshots = (fromSnapshot, toSnapshot) => {
+  const from = flatten(normalize(fromSnapshot));
+  const to = flatten(normalize(toSnapshot));
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  return Array.from(fields)
+    .filter((field) => !IGNORED_DIFF_FIELDS.includes(field.split(".")[0]))
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .sort()
+    .map((field) => ({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field],
+    }));
+};
+
+/**
+ * Collect image publicIds referenced by snapshots
+ * @param {Object[]} snapshots - Property snapshots
+ * @returns {Set<string>} - Image publicIds
+ */
+const collectImageIds = (snapshots) =>
+  new Set(
+    snapshots.flatMap((snapshot) =>
+      (snapshot?.images || []).map((image) => image.publicId)
+    )
+  );
+
+/**
+ * Delete revisions beyond the retention limit
+ * @param {Object} property - Current property document
+ * @returns {Promise<string[]>} - Image publicIds no longer referenced by the property or any kept revision
+ */
+const pruneRevisions = async (property) => {
+  const staleRevisions = await PropertyRevision.find({ property: property._id })
+    .sort({ revisionNumber: -1 })
+    .skip(getRevisionLimit())
+    .select("_id snapshot.images");
+
+  if (staleRevisions.length === 0) return [];
+
+  await PropertyRevision.deleteMany({
+    _id: { $in: staleRevisions.map((revision) => revision._id) },
+  });
+
+  const keptRevisions = await PropertyRevision.find({
+    property: property._id,
+  }).select("snapshot.images");
+
+  const referencedIds = collectImageIds([
+    { images: property.images },
+    ...keptRevisions.map((revision) => revision.snapshot),
+  ]);
+
+  return Array.from(
+    collectImageIds(staleRevisions.map((revision) => revision.snapshot))
+  ).filter((publicId) => !referencedIds.has(publicId));
+};
+
+/**
+ * Record a revision of the property's current state
+ * @param {Object} property - Saved property document
+ * @param {Object} options - Revision options
+ * @param {string} options.userId - User who made the change
+ * @param {string} options.reason - "create", "baseline", "update" or "restore"
+ * @param {number} options.restoredFrom - Restored revision number (restore only)
+ * @returns {Promise<Object>} - { revision, orphanedImageIds } (revision is null if nothing changed)
+ */
+const recordRevision = async (
+  property,
+  { userId, reason = "update", restoredFrom } = {}
+) => {
+  const snapshot = createSnapshot(property);
+  const latest = await PropertyRevision.findOne({ property: property._id }).sort({
+    revisionNumber: -1,
+  });
+
+  const changedFields = latest
+    ? Array.from(
+        new Set(
+          diffSnapshots(latest.snapshot, snapshot).map(
+            (change) => change.field.split(".")[0]
+          )
+        )
+      )
+    : [];
+
+  // Saving without changes doesn't need a new revision
+  if (latest && changedFields.length === 0 && reason === "update") {
+    return { revision: null, orphanedImageIds: [] };
+  }
+
+  const revision = await PropertyRevision.create({
+    property: property._id,
+    revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+    snapshot,
+    reason,
+    changedFields,
+    restoredFrom,
+    createdBy: userId,
+  });
+
+  const orphanedImageIds = await pruneRevisions(property);
+
+  return { revision, orphanedImageIds };
+};
+
+/**
+ * Record the pre-edit state of properties created before revisions existed
+ * @param {Object} property - Property document (unmodified)
+ * @param {string} userId - User about to edit the property
+ */
+const ensureBaselineRevision = async (property, userId) => {
+  const hasRevisions = await PropertyRevision.exists({ property: property._id });
+
+  if (!hasRevisions) {
+    await recordRevision(property, { userId, reason: "baseline" });
+  }
+};
+
+/**
+ * Check whether any retained revision of a property references an image
+ * @param {string} propertyId - Property ID
+ * @param {string} publicId - Image publicId
+ * @returns {Promise<boolean>} - True if the image must be kept on disk
+ */
+const isImageReferencedByRevisions = async (propertyId, publicId) =>
+  Boolean(
+    await PropertyRevision.exists({
+      property: propertyId,
+      "snapshot.images.publicId": publicId,
+    })
+  );
+
+/**
+ * Delete all revisions of the given properties
+ * @param {Array} propertyIds - Property IDs
+ * @returns {Promise<string[]>} - Image publicIds referenced by the deleted revisions
+ */
+const deletePropertyRevisions = async (propertyIds) => {
+  const revisions = await PropertyRevision.find({
+    property: { $in: propertyIds },
+  }).select("snapshot.images");
+
+  await PropertyRevision.deleteMany({ property: { $in: propertyIds } });
+
+  return Array.from(
+    collectImageIds(revisions.map((revision) => revision.snapshot))
+  );
+};
+
+/**
+ * Build the update data that restores a snapshot's content
+ * Workflow fields (status, approval, ownership, timestamps) are left untouched
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} - Fields to assign to the property
+ */
+const buildRestoreData = (snapshot) => {
+  const restoreData = {};
+
+  Object.entries(snapshot).forEach(([field, value]) => {
+    if (!NON_RESTORABLE_FIELDS.includes(field)) {
+      restoreData[field] = value;
+    }
+  });
+
+  return restoreData;
+};
+
+module.exports = {
+  createSnapshot,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  isImageReferencedByRevisions,
+  deletePropertyRevisions,
+  buildRestoreData,
+};
@@ -0,0 +1,211 @@
+/**
+ * Property Text Search Helpers
+ * Typo-tolerant term expansion for area names and highlighted snippets for search results
+ */
+
+const { EMIRATES, EMIRATE_AREA_MAP } = require("../constants/propertyTypes");
+
+// Characters around a match to include in a description snippet
+const SNIPPET_RADIUS = 80;
+
+// Maximum number of search terms processed (protects against very long queries)
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Input text
+ * @returns {string[]} - Word tokens (letters and digits only)
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/i)
+    .filter(Boolean);
+
+// Vocabulary of location words (e.g. "marina", "jumeirah", "jvc") used for typo correction
+const LOCATION_VOCABULARY = Array.from(
+  new Set(
+    [...EMIRATES, ...Object.values(EMIRATE_AREA_MAP).flat()]
+      .flatMap(tokenize)
+      .filter((word) => word.length >= 3)
+  )
+);
+
+/**
+ * Levenshtein edit distance with an early exit once maxDistance is exceeded
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Distance above which the exact value is irrelevant
+ * @returns {number} - Edit distance (or maxDistance + 1 if larger)
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Find location words a search term most likely refers to (prefix or small typo)
+ * @param {string} term - Lowercase search term
+ * @returns {string[]} - Matching location words (excluding the term itself)
+ */
+const findLocationMatches = (term) => {
+  if (term.length < 3 || LOCATION_VOCABULARY.includes(term)) {
+    return [];
+  }
+
+  // Prefix matches ("jumei" → "jumeirah") take precedence over typo matches
+  const prefixMatches = LOCATION_VOCABULARY.filter((word) =>
+    word.startsWith(term)
+  );
+  if (prefixMatches.length > 0) {
+    return prefixMatches.slice(0, 3);
+  }
+
+  // Allow one typo for short words and two for longer ones ("marna" → "marina")
+  const maxDistance = term.length >= 7 ? 2 : 1;
+  return LOCATION_VOCABULARY.filter(
+    (word) => editDistance(term, word, maxDistance) <= maxDistance
+  ).slice(0, 3);
+};
+
+/**
+ * Build the $text search string, expanding misspelled or partial area names
+ * @param {string} search - Raw search input
+ * @returns {Object} - { searchString, terms, expandedTerms }
+ */
+const buildTextSearch = (search) => {
+  const terms = Array.from(new Set(tokenize(search))).slice(0, MAX_SEARCH_TERMS);
+
+  const expandedTerms = {};
+  terms.forEach((term) => {
+    const matches = findLocationMatches(term);
+    if (matches.length > 0) {
+      expandedTerms[term] = matches;
+    }
+  });
+
+  // $text uses OR semantics between words, so appending corrections widens the match
+  const searchWords = [...terms, ...Object.values(expandedTerms).flat()];
+
+  return {
+    searchString: Array.from(new Set(searchWords)).join(" "),
+    terms,
+    expandedTerms,
+  };
+};
+
+/**
+ * Escape HTML special characters (snippets are rendered as HTML by the frontend)
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Wrap matched words in <mark> tags (input is escaped first)
+ * @param {string} text - Text to highlight
+ * @param {RegExp} matcher - Word-prefix matcher for the search terms
+ * @returns {string} - Escaped HTML with <mark> highlights
+ */
+const highlight = (text, matcher) =>
+  escapeHtml(text).replace(matcher, (match) => `<mark>${match}</mark>`);
+
+/**
+ * Build highlighted snippets for a search result
+ * @param {Object} property - Property document or plain object
+ * @param {string[]} words - Search words (including expanded terms)
+ * @returns {Object|null} - { title, description, location } HTML snippets, or null if nothing matched
+ */
+const buildHighlights = (property, words) => {
+  if (!words || words.length === 0) return null;
+
+  // Match any word that starts with a search term (mirrors stemming loosely)
+  const pattern = words.map(escapeRegex).join("|");
+  // (the lookbehind keeps escaped entities such as "&amp;" intact)
+  const matcher = new RegExp(`(?<![&#])\\b(?:${pattern})[a-z0-9]*`, "gi");
+  const tester = new RegExp(`\\b(?:${pattern})`, "i");
+
+  const highlights = {};
+
+  if (property.title && tester.test(property.title)) {
+    highlights.title = highlight(property.title, matcher);
+  }
+
+  if (property.description) {
+    const match = property.description.match(tester);
+    if (match) {
+      const start = Math.max(0, match.index - SNIPPET_RADIUS);
+      const end = Math.min(
+        property.description.length,
+        match.index + match[0].length + SNIPPET_RADIUS
+      );
+      const snippet = property.description.slice(start, end).trim();
+      highlights.description = `${start > 0 ? "…" : ""}${highlight(
+        snippet,
+        matcher
+      )}${end < property.description.length ? "…" : ""}`;
+    }
+  }
+
+  const location = property.location
+    ? [
+        property.location.address,
+        property.location.neighborhood,
+        property.location.area,
+        property.location.emirate,
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+  if (location && tester.test(location)) {
+    highlights.location = highlight(location, matcher);
+  }
+
+  return Object.keys(highlights).length > 0 ? highlights : null;
+};
+
+module.exports = {
+  tokenize,
+  buildTextSearch,
+  buildHighlights,
+  escapeHtml,
+  escapeRegex,
+};
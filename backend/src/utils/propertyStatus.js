@@ -0,0 +1,83 @@
+/**
+ * Property Status Helpers
+ * Listing lifecycle transitions shared by the property controller and scheduled status
+ * changes (scheduled publishing and listing expiry)
+ */
+
+const { getPermitIssue } = require("./propertyPermits");
+
+/**
+ * Helper function to get valid status transitions
+ * This mirrors the frontend logic for consistency
+ * @param {string} currentStatus - The current property status
+ * @param {string} previousStatus - Status before archiving
+ * @param {Object} permitState - Location and permit the listing will have ({ location, permit });
+ *   listings that need an advertising permit cannot become available without a valid one
+ * @returns {string[]} - Array of valid status transitions
+ */
+const getValidStatusTransitions = (
+  currentStatus,
+  previousStatus = undefined,
+  permitState = undefined
+) => {
+  const transitions = getStatusTransitions(currentStatus, previousStatus);
+
+  if (
+    permitState &&
+    currentStatus !== "available" &&
+    getPermitIssue(permitState)
+  ) {
+    return transitions.filter((status) => status !== "available");
+  }
+
+  return transitions;
+};
+
+/**
+ * Status transitions allowed by the listing lifecycle
+ * @param {string} currentStatus - The current property status
+ * @param {string} previousStatus - Status before archiving
+ * @returns {string[]} - Array of valid status transitions
+ */
+const getStatusTransitions = (currentStatus, previousStatus) => {
+  switch (currentStatus) {
+    case "draft":
+      // From draft: can only go to available (or stay draft)
+      return ["draft", "available"];
+    case "available":
+      // From available: can select any other status
+      return ["available", "pending", "sold", "rented", "archived"];
+    case "pending":
+      // From pending: can select any other status
+      return ["pending", "available", "sold", "rented", "archived"];
+    case "sold":
+    case "rented":
+      // From sold or rented: can only select archived (or keep current)
+      return [currentStatus, "archived"];
+    case "archived":
+      // From archived: can only go back to the previous status
+      const baseOptions = ["archived"];
+
+      if (previousStatus) {
+        // If we know the previous status, allow going back to it only
+        if (!baseOptions.includes(previousStatus)) {
+          baseOptions.push(previousStatus);
+        }
+      } else {
+        // This should not happen in normal flow since properties always have status history
+        // But if it does, we'll only allow staying archived to prevent invalid transitions
+        console.warn(
+          "⚠️ Archived property found without previousStatus - this should not happen"
+        );
+      }
+
+      return baseOptions;
+    default:
+      // Default: all except draft
+      return ["pending", "available", "sold", "rented", "archived"];
+  }
+};
+
+module.exports = {
+  getValidStatusTransitions,
+};
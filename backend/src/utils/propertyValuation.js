@@ -0,0 +1,189 @@
+/**
+ * Automated Valuation Helpers
+ * Estimates a sale value or annual rent range for instant-valuation requests from our own
+ * sold/rented/available listings, broadening the match until enough comparables are found
+ */
+
+const Property = require("../models/Property");
+const { COMPARABLES } = require("../config/financials");
+const { getAreaInSqft, getTotalPrice } = require("./propertyFinancials");
+
+// Listing statuses used as comparables per valuation purpose
+const VALUATION_COMPARABLE_STATUSES = {
+  sale: ["sold", "available"],
+  rent: ["rented", "available"],
+};
+
+// Comparables returned with an estimate (closest in size first)
+const MAX_SHOWN_COMPARABLES = 10;
+
+/**
+ * Value at a quantile of a sorted list (linear interpolation)
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} - Value
+ */
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Round an estimate to a presentable figure (nearest 1,000 AED, 100 AED for small amounts)
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+const roundEstimate = (amount) => {
+  const step = amount >= 100000 ? 1000 : 100;
+  return Math.round(amount / step) * step;
+};
+
+/**
+ * Load recent comparable listings
+ * @param {Object} subject - Valuation subject
+ * @param {boolean} inArea - Restrict to the subject's area
+ * @returns {Promise<Object[]>} - Comparable candidates with total price and size
+ */
+const findCandidates = async (subject, inArea) => {
+  const since = new Date();
+  since.setMonth(since.getMonth() - COMPARABLES.maxAgeMonths);
+
+  const listings = await Property.find({
+    listingType: subject.purpose,
+    approvalStatus: "approved",
+    status: { $in: VALUATION_COMPARABLE_STATUSES[subject.purpose] },
+    propertyType: subject.propertyType,
+    "location.emirate": subject.emirate,
+    ...(inArea && { "location.area": subject.area }),
+    price: { $gt: 0 },
+    createdAt: { $gte: since },
+  })
+    .select(
+      "title slug listingType status propertyType price priceType location.area details.bedrooms details.area details.areaUnit createdAt"
+    )
+    .sort({ createdAt: -1 })
+    .limit(COMPARABLES.maxCount)
+    .lean();
+
+  return listings
+    .map((listing) => ({
+      listing,
+      price: getTotalPrice(listing),
+      sizeSqft: getAreaInSqft(listing),
+    }))
+    .filter((candidate) => candidate.price);
+};
+
+/**
+ * Format a comparable for the response and the stored request
+ * @param {Object} candidate - Comparable candidate
+ * @returns {Object} - Comparable summary
+ */
+const formatComparable = ({ listing, price, sizeSqft }) => ({
+  property: listing._id,
+  title: listing.title,
+  slug: listing.slug,
+  listingType: listing.listingType,
+  status: listing.status,
+  propertyType: listing.propertyType,
+  area: listing.location?.area,
+  bedrooms: listing.details?.bedrooms,
+  sizeSqft: sizeSqft ? Math.round(sizeSqft) : undefined,
+  price: Math.round(price),
+  pricePerSqft: sizeSqft ? Math.round(price / sizeSqft) : undefined,
+  listedAt: listing.createdAt,
+});
+
+/**
+ * Estimate a value range for a property from comparable listings
+ * Matches on area + bedrooms, then area, then the whole emirate (+ bedrooms), then the emirate;
+ * with a size the range is the 25th-75th percentile price per sqft times the size
+ * @param {Object} subject - { purpose, emirate, area, propertyType, bedrooms, sizeSqft }
+ * @returns {Promise<Object>} - { estimate, comparables }
+ */
+const estimateValuation = async (subject) => {
+  const matchesBedrooms = (candidate) =>
+    candidate.listing.details?.bedrooms === subject.bedrooms;
+  const hasBedrooms = subject.bedrooms !== undefined && subject.bedrooms !== null;
+
+  const matchLevels = [
+    { inArea: true, bedrooms: true, matchedOn: ["area", "propertyType", "bedrooms"] },
+    { inArea: true, bedrooms: false, matchedOn: ["area", "propertyType"] },
+    { inArea: false, bedrooms: true, matchedOn: ["emirate", "propertyType", "bedrooms"] },
+    { inArea: false, bedrooms: false, matchedOn: ["emirate", "propertyType"] },
+  ].filter((level) => (!level.inArea || subject.area) && (!level.bedrooms || hasBedrooms));
+
+  const candidatesByScope = {};
+
+  for (const [levelIndex, level] of matchLevels.entries()) {
+    const scope = level.inArea ? "area" : "emirate";
+    if (!candidatesByScope[scope]) {
+      candidatesByScope[scope] = await findCandidates(subject, level.inArea);
+    }
+
+    const comparables = candidatesByScope[scope].filter(
+      (candidate) => !level.bedrooms || matchesBedrooms(candidate)
+    );
+    if (comparables.length < COMPARABLES.minCount) continue;
+
+    // Price per sqft adjusts for size differences when the size is known
+    const perSqftValues = comparables
+      .filter((candidate) => candidate.sizeSqft)
+      .map((candidate) => candidate.price / candidate.sizeSqft)
+      .sort((a, b) => a - b);
+    const usePerSqft =
+      subject.sizeSqft && perSqftValues.length >= COMPARABLES.minCount;
+
+    const values = usePerSqft
+      ? perSqftValues
+      : comparables.map((candidate) => candidate.price).sort((a, b) => a - b);
+    const scale = usePerSqft ? subject.sizeSqft : 1;
+
+    const confidence =
+      levelIndex === 0 && comparables.length >= 10
+        ? "high"
+        : level.inArea && comparables.length >= 5
+        ? "medium"
+        : "low";
+
+    // Closest in size first, otherwise the most recent
+    const shownComparables = [...comparables]
+      .sort((a, b) =>
+        subject.sizeSqft && a.sizeSqft && b.sizeSqft
+          ? Math.abs(a.sizeSqft - subject.sizeSqft) -
+            Math.abs(b.sizeSqft - subject.sizeSqft)
+          : 0
+      )
+      .slice(0, MAX_SHOWN_COMPARABLES)
+      .map(formatComparable);
+
+    return {
+      estimate: {
+        low: roundEstimate(quantile(values, 0.25) * scale),
+        mid: roundEstimate(quantile(values, 0.5) * scale),
+        high: roundEstimate(quantile(values, 0.75) * scale),
+        pricePerSqft: usePerSqft ? Math.round(quantile(values, 0.5)) : undefined,
+        currency: "AED",
+        confidence,
+        comparableCount: comparables.length,
+        matchedOn: level.matchedOn,
+      },
+      comparables: shownComparables,
+    };
+  }
+
+  return {
+    estimate: {
+      reason: `Not enough comparable ${subject.propertyType} ${
+        subject.purpose === "rent" ? "rentals" : "sales"
+      } in ${subject.area || subject.emirate} for an automatic estimate`,
+    },
+    comparables: [],
+  };
+};
+
+module.exports = {
+  estimateValuation,
+};
@@ -0,0 +1,452 @@
+/**
+ * Saved Search Alerts
+ * Matches newly published properties against visitors' saved searches and sends
+ * instant alerts or daily digest emails
+ */
+
+const Property = require("../models/Property");
+const SavedSearch = require("../models/SavedSearch");
+const { createTransporter } = require("../config/email");
+const { buildPropertyQuery } = require("../config/permissions");
+const { buildPropertyListFilter } = require("./propertyFilters");
+const { escapeHtml } = require("./propertySearch");
+const {
+  parseLatLng,
+  parseBoundingBox,
+  parseRadiusKm,
+  distanceKm,
+} = require("./geo");
+
+// getProperties query parameters a saved search may store
+const SAVED_SEARCH_FILTER_FIELDS = [
+  "emirate",
+  "area",
+  "propertyType",
+  "listingType",
+  "minPrice",
+  "maxPrice",
+  "bedrooms",
+  "amenities",
+  "search",
+  "near",
+  "radius",
+  "bbox",
+];
+
+// Minimum time between two digests for the same saved search
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Maximum number of properties listed in a single digest email
+const MAX_DIGEST_PROPERTIES = 20;
+
+// Number of notified property ids remembered per saved search
+const MAX_NOTIFIED_HISTORY = 500;
+
+/**
+ * Keep only supported, non-empty filter parameters and validate them
+ * @param {Object} rawFilters - Filters submitted by the visitor
+ * @returns {Object} - { filters, errors }
+ */
+const sanitizeSavedSearchFilters = (rawFilters) => {
+  const filters = {};
+
+  if (rawFilters && typeof rawFilters === "object") {
+    SAVED_SEARCH_FILTER_FIELDS.forEach((field) => {
+      const value = rawFilters[field];
+      if (value !== undefined && value !== null && String(value).trim() !== "") {
+        filters[field] = String(value).trim();
+      }
+    });
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return {
+      filters,
+      errors: [
+        {
+          field: "filters",
+          message: `At least one filter is required (${SAVED_SEARCH_FILTER_FIELDS.join(", ")})`,
+        },
+      ],
+    };
+  }
+
+  const { errors } = buildSavedSearchFilter(filters);
+  return { filters, errors };
+};
+
+/**
+ * Build the property filter for a saved search, with the same visibility rules as a visitor
+ * @param {Object} filters - Saved search filters
+ * @returns {Object} - Result of buildPropertyListFilter
+ */
+const buildSavedSearchFilter = (filters) =>
+  buildPropertyListFilter(filters, {
+    userRole: "visitor",
+    queryFilters: buildPropertyQuery(null),
+  });
+
+/**
+ * Base URL of the public website (property links, and the confirmation/unsubscribe pages that
+ * apply the link through the API)
+ * @returns {string} - Website URL
+ */
+const getSiteUrl = () => process.env.User_URL || "http://localhost:3000";
+
+/**
+ * Human readable summary of saved search filters (e.g. "2 bed · JVC · up to AED 1,200,000")
+ * @param {Object} filters - Saved search filters
+ * @returns {string} - Summary text
+ */
+const describeFilters = (filters) => {
+  const parts = [];
+
+  if (filters.bedrooms) parts.push(`${filters.bedrooms} bed`);
+  if (filters.propertyType) parts.push(filters.propertyType);
+  if (filters.listingType) parts.push(`for ${filters.listingType}`);
+  if (filters.area) parts.push(filters.area);
+  if (filters.emirate) parts.push(filters.emirate);
+  if (filters.minPrice) {
+    parts.push(`from AED ${Number(filters.minPrice).toLocaleString("en-US")}`);
+  }
+  if (filters.maxPrice) {
+    parts.push(`up to AED ${Number(filters.maxPrice).toLocaleString("en-US")}`);
+  }
+  if (filters.amenities) parts.push(`with ${filters.amenities}`);
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.near) parts.push(`within ${filters.radius || 5} km of a location`);
+  if (filters.bbox) parts.push("in a map area");
+
+  return parts.join(" · ");
+};
+
+/**
+ * Render a property as an email list item
+ * @param {Object} property - Property document
+ * @returns {string} - HTML snippet
+ */
+const renderPropertyItem = (property) => {
+  const image = property.images?.find((img) => img.isMain) || property.images?.[0];
+  const location = [property.location?.area, property.location?.emirate]
+    .filter(Boolean)
+    .join(", ");
+  const price =
+    property.price !== undefined && property.price !== null
+      ? `${property.currency || "AED"} ${property.price.toLocaleString("en-US")}`
+      : "Price on request";
+
+  return `
+    <tr>
+      <td style="padding: 12px 0; border-bottom: 1px solid #eee;">
+        ${image ? `<img src="${escapeHtml(image.url)}" alt="" width="160" style="display: block; margin-bottom: 8px;">` : ""}
+        <a href="${getSiteUrl()}/properties/${encodeURIComponent(property.slug)}" style="color: #333; font-weight: bold;">${escapeHtml(property.title)}</a>
+        <p style="margin: 4px 0; color: #666;">${escapeHtml(location)}</p>
+        <p style="margin: 4px 0; color: #333;">${escapeHtml(price)}${property.details?.bedrooms !== undefined ? ` · ${property.details.bedrooms} bed` : ""}</p>
+      </td>
+    </tr>
+  `;
+};
+
+/**
+ * Footer with the per-search unsubscribe link
+ * @param {Object} savedSearch - Saved search (with unsubscribeToken selected)
+ * @returns {string} - HTML snippet
+ */
+const renderUnsubscribeFooter = (savedSearch) => `
+  <hr style="margin: 20px 0;">
+  <p style="font-size: 12px; color: #666;">
+    You are receiving this because you saved the search "${escapeHtml(savedSearch.name || describeFilters(savedSearch.filters))}".
+    <a href="${getSiteUrl()}/saved-searches/unsubscribe?token=${savedSearch.unsubscribeToken}">Unsubscribe from this alert</a>
+  </p>
+`;
+
+/**
+ * Send the double opt-in confirmation email for a new saved search
+ * @param {Object} savedSearch - Saved search (with tokens selected)
+ */
+const sendConfirmationEmail = async (savedSearch) => {
+  const transporter = createTransporter();
+  const summary = describeFilters(savedSearch.filters);
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: savedSearch.email,
+    subject: "Confirm your property alert",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm your property alert</h2>
+        <p>You asked to be notified about new listings matching:</p>
+        <p style="font-weight: bold;">${escapeHtml(savedSearch.name || summary)}</p>
+        ${savedSearch.name ? `<p style="color: #666;">${escapeHtml(summary)}</p>` : ""}
+        <p>Alerts will be sent ${savedSearch.frequency === "daily" ? "as a daily digest" : "as soon as a matching property is listed"}.</p>
+        <p>
+          <a href="${getSiteUrl()}/saved-searches/confirm?token=${savedSearch.confirmToken}"
+             style="display: inline-block; padding: 10px 20px; background: #333; color: #fff; text-decoration: none;">
+            Confirm alert
+          </a>
+        </p>
+        <p style="font-size: 12px; color: #666;">If you did not request this alert, you can ignore this email.</p>
+      </div>
+    `,
+  });
+};
+
+/**
+ * Send an alert email listing one or more matching properties
+ * @param {Object} savedSearch - Saved search (with unsubscribeToken selected)
+ * @param {Object[]} properties - Matching properties
+ */
+const sendAlertEmail = async (savedSearch, properties) => {
+  const transporter = createTransporter();
+  const title = savedSearch.name || describeFilters(savedSearch.filters);
+  const subject =
+    properties.length === 1
+      ? `New listing: ${properties[0].title}`
+      : `${properties.length} new listings for "${title}"`;
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: savedSearch.email,
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New properties matching "${escapeHtml(title)}"</h2>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${properties.map(renderPropertyItem).join("")}
+        </table>
+        <p>Best regards,<br>The EarlyBirds Properties Team</p>
+        ${renderUnsubscribeFooter(savedSearch)}
+      </div>
+    `,
+  });
+};
+
+/**
+ * Split a single or comma-separated filter value
+ * @param {string} value - Saved filter value (e.g. "Dubai Marina,Business Bay")
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+const toFilterList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Check a property against the structured filters of a saved search in memory
+ * Mirrors buildPropertyListFilter for the saved search fields; the text search is checked separately
+ * @param {Object} filters - Saved search filters (already validated)
+ * @param {Object} property - Property document
+ * @returns {boolean} - True if every structured filter matches
+ */
+const matchesSavedSearchFilters = (filters, property) => {
+  const listFilters = {
+    emirate: property.location?.emirate,
+    area: property.location?.area,
+    propertyType: property.propertyType,
+    listingType: property.listingType,
+  };
+
+  for (const [field, value] of Object.entries(listFilters)) {
+    if (filters[field] && !toFilterList(filters[field]).includes(value)) return false;
+  }
+
+  if (filters.bedrooms) {
+    const bedrooms = toFilterList(filters.bedrooms)
+      .map((item) => parseInt(item))
+      .filter((item) => !Number.isNaN(item));
+    if (bedrooms.length > 0 && !bedrooms.includes(property.details?.bedrooms)) return false;
+  }
+
+  if (filters.minPrice && !(property.price >= parseInt(filters.minPrice))) return false;
+  if (filters.maxPrice && !(property.price <= parseInt(filters.maxPrice))) return false;
+
+  if (filters.amenities) {
+    const amenities = property.amenities || [];
+    if (!toFilterList(filters.amenities).every((amenity) => amenities.includes(amenity))) {
+      return false;
+    }
+  }
+
+  if (filters.near || filters.bbox) {
+    const point = property.location?.coordinates;
+    if (!point?.coordinates || point.coordinates.length !== 2) return false;
+
+    if (filters.near) {
+      const center = parseLatLng(filters.near);
+      if (distanceKm(center, point) > parseRadiusKm(filters.radius)) return false;
+    } else {
+      const box = parseBoundingBox(filters.bbox);
+      const [lng, lat] = point.coordinates;
+      if (lng < box.minLng || lng > box.maxLng || lat < box.minLat || lat > box.maxLat) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Find the saved searches a newly published property matches
+ * Structured filters are matched in memory; text searches need the text index, so each distinct
+ * search term is checked with one query (only for searches whose other filters already match)
+ * @param {Object[]} savedSearches - Active, confirmed saved searches
+ * @param {Object} property - Property document
+ * @returns {Promise<Object[]>} - Matching saved searches
+ */
+const findMatchingSavedSearches = async (savedSearches, property) => {
+  const candidates = [];
+
+  for (const savedSearch of savedSearches) {
+    const { errors, textSearch } = buildSavedSearchFilter(savedSearch.filters);
+    if (errors.length > 0) continue;
+    if (!matchesSavedSearchFilters(savedSearch.filters, property)) continue;
+
+    candidates.push({ savedSearch, searchString: textSearch?.searchString });
+  }
+
+  const textMatches = new Map();
+  for (const { searchString } of candidates) {
+    if (!searchString || textMatches.has(searchString)) continue;
+
+    textMatches.set(
+      searchString,
+      Boolean(
+        await Property.exists({ _id: property._id, $text: { $search: searchString } })
+      )
+    );
+  }
+
+  return candidates
+    .filter(({ searchString }) => !searchString || textMatches.get(searchString))
+    .map(({ savedSearch }) => savedSearch);
+};
+
+/**
+ * Notify subscribers whose saved searches match a newly published property
+ * Instant searches are emailed immediately; daily searches queue the match for the digest
+ * @param {Object} property - Property that was just approved and made available
+ * @returns {Promise<Object>} - { matched, sent, queued }
+ */
+const notifySavedSearches = async (property) => {
+  const stats = { matched: 0, sent: 0, queued: 0 };
+
+  if (property.approvalStatus !== "approved" || property.status !== "available") {
+    return stats;
+  }
+
+  // One query for the searches, then the property is matched against them in memory
+  const savedSearches = await SavedSearch.find({
+    isActive: true,
+    isConfirmed: true,
+    notifiedProperties: { $ne: property._id },
+  })
+    .select("+unsubscribeToken -notifiedProperties -pendingMatches")
+    .lean();
+
+  const matchingSearches = await findMatchingSavedSearches(savedSearches, property);
+
+  for (const savedSearch of matchingSearches) {
+    try {
+      stats.matched++;
+
+      const update = {
+        $push: {
+          notifiedProperties: {
+            $each: [property._id],
+            $slice: -MAX_NOTIFIED_HISTORY,
+          },
+        },
+      };
+
+      if (savedSearch.frequency === "instant") {
+        await sendAlertEmail(savedSearch, [property]);
+        update.$set = { lastNotifiedAt: new Date() };
+        update.$inc = { alertsSent: 1 };
+        stats.sent++;
+      } else {
+        update.$addToSet = { pendingMatches: property._id };
+        stats.queued++;
+      }
+
+      await SavedSearch.updateOne({ _id: savedSearch._id }, update);
+    } catch (error) {
+      console.error(
+        `❌ Failed to process saved search ${savedSearch._id} for property ${property._id}:`,
+        error
+      );
+    }
+  }
+
+  if (stats.matched > 0) {
+    console.log(
+      `🔔 Property "${property.title}" matched ${stats.matched} saved searches (${stats.sent} sent, ${stats.queued} queued)`
+    );
+  }
+
+  return stats;
+};
+
+/**
+ * Send daily digests for saved searches with queued matches
+ * Runs from the background scheduler; each search gets at most one digest per 24 hours
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDailyDigests = async () => {
+  const cutoff = new Date(Date.now() - DIGEST_INTERVAL_MS);
+  let sent = 0;
+
+  const cursor = SavedSearch.find({
+    isActive: true,
+    isConfirmed: true,
+    frequency: "daily",
+    "pendingMatches.0": { $exists: true },
+    $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: cutoff } }],
+  })
+    .select("+unsubscribeToken")
+    .cursor();
+
+  for await (const savedSearch of cursor) {
+    try {
+      // Re-check the queued listings: they may have been sold, edited or unpublished since
+      const { filter } = buildSavedSearchFilter(savedSearch.filters);
+      const properties = await Property.find({
+        ...filter,
+        _id: { $in: savedSearch.pendingMatches },
+      })
+        .sort({ createdAt: -1 })
+        .limit(MAX_DIGEST_PROPERTIES);
+
+      if (properties.length > 0) {
+        await sendAlertEmail(savedSearch, properties);
+        sent++;
+      }
+
+      await SavedSearch.updateOne(
+        { _id: savedSearch._id },
+        {
+          $set: { pendingMatches: [], lastNotifiedAt: new Date() },
+          $inc: { alertsSent: properties.length > 0 ? 1 : 0 },
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to send digest for saved search ${savedSearch._id}:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📬 Sent ${sent} saved search digests`);
+  }
+
+  return sent;
+};
+
+module.exports = {
+  SAVED_SEARCH_FILTER_FIELDS,
+  sanitizeSavedSearchFilters,
+  describeFilters,
+  sendConfirmationEmail,
+  notifySavedSearches,
+  sendDailyDigests,
+};
@@ -0,0 +1,79 @@
+/**
+ * Background Job Scheduler
+ * Minimal in-process interval scheduler for recurring jobs (alert digests, expiry checks)
+ * Jobs are registered by name and started once the database connection is ready
+ */
+
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name (used in logs)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function executed on every run
+ */
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Scheduled job "${name}" is already registered`);
+  }
+
+  jobs.set(name, { intervalMs, handler, timer: null, running: false });
+};
+
+/**
+ * Run a registered job once, skipping the run if the previous one is still in progress
+ * @param {string} name - Job name
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  try {
+    await job.handler();
+  } catch (error) {
+    console.error(`❌ Scheduled job "${name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all registered jobs
+ * Disabled with DISABLE_SCHEDULER=true (e.g. when running several server instances)
+ */
+const startScheduler = () => {
+  if (process.env.DISABLE_SCHEDULER === "true") {
+    console.log("⏸️ Background scheduler disabled");
+    return;
+  }
+
+  jobs.forEach((job, name) => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(name), job.intervalMs);
+    // Don't keep the process alive just for scheduled jobs
+    job.timer.unref();
+  });
+
+  console.log(`⏰ Background scheduler started (${jobs.size} jobs)`);
+};
+
+/**
+ * Stop all running jobs (used during graceful shutdown)
+ */
+const stopScheduler = () => {
+  jobs.forEach((job) => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,290 @@
+/**
+ * Similar Property Helpers
+ * Scores other approved, available listings of the same listing type in the same emirate, within
+ * the price band and one bedroom of the listing, by location, price, bedrooms, amenity overlap
+ * and property type. Results are cached per listing and only recomputed when the listing or one
+ * of the candidates changes.
+ */
+
+const crypto = require("crypto");
+const Property = require("../models/Property");
+const {
+  PROPERTY_TYPE_AMENITIES_MAP,
+  PRICE_TYPES,
+} = require("../constants/propertyTypes");
+const {
+  SIMILARITY_WEIGHTS,
+  PRICE_BAND,
+  NEARBY_RADIUS_KM,
+  MAX_SIMILAR_LIMIT,
+  MIN_SIMILARITY_SCORE,
+  MAX_SIMILAR_CANDIDATES,
+  MAX_CACHED_RECOMMENDATIONS,
+} = require("../config/similarProperties");
+const { getTotalPrice } = require("./propertyFinancials");
+const { distanceKm } = require("./geo");
+
+// Property fields needed to score and show a recommendation
+const SIMILAR_FIELDS =
+  "title slug propertyType listingType status price priceType currency location details amenities images updatedAt";
+
+// propertyId -> { version, recommendations }
+const recommendationCache = new Map();
+
+// Prices stored per square foot / metre (the total depends on each listing's size)
+const PER_AREA_PRICE_TYPES = PRICE_TYPES.filter((priceType) => priceType !== "total");
+
+/**
+ * Listings that can be recommended next to a property
+ * Total prices must be within PRICE_BAND of the listing's and bedrooms within one, so the
+ * candidate limit only applies to comparable listings. Per-area prices are checked when scoring.
+ * @param {Object} property - Subject property
+ * @returns {Object} - MongoDB filter
+ */
+const buildCandidateFilter = (property) => {
+  const filter = {
+    _id: { $ne: property._id },
+    approvalStatus: "approved",
+    status: "available",
+    listingType: property.listingType,
+    "location.emirate": property.location?.emirate,
+  };
+
+  const price = getTotalPrice(property);
+  if (price) {
+    filter.$or = [
+      {
+        priceType: { $nin: PER_AREA_PRICE_TYPES },
+        price: { $gte: price * (1 - PRICE_BAND), $lte: price * (1 + PRICE_BAND) },
+      },
+      { priceType: { $in: PER_AREA_PRICE_TYPES } },
+    ];
+  }
+
+  const bedrooms = property.details?.bedrooms;
+  if (typeof bedrooms === "number") {
+    filter["details.bedrooms"] = { $gte: bedrooms - 1, $lte: bedrooms + 1 };
+  }
+
+  return filter;
+};
+
+/**
+ * Cache version of a property's recommendations (changes when the property or any candidate
+ * is updated, or when listings join or leave the filtered candidate pool)
+ * @param {Object} property - Subject property
+ * @param {Object[]} candidates - Candidates ({ _id, updatedAt })
+ * @returns {string} - Version key
+ */
+const getRecommendationVersion = (property, candidates) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [property, ...candidates]
+        .map((listing) => `${listing._id}@${new Date(listing.updatedAt).getTime()}`)
+        .join(",")
+    )
+    .digest("hex");
+
+/**
+ * Score how similar a candidate is to the subject property
+ * @param {Object} subject - Subject property
+ * @param {Object} candidate - Candidate property
+ * @returns {Object} - { score (0-100), reasons, breakdown }
+ */
+const scoreSimilarity = (subject, candidate) => {
+  const breakdown = {};
+  const reasons = [];
+
+  // Location: same area, otherwise distance between the pins
+  const subjectPoint = subject.location?.coordinates;
+  const candidatePoint = candidate.location?.coordinates;
+  const sameArea =
+    subject.location?.area &&
+    subject.location.area.toLowerCase() === candidate.location?.area?.toLowerCase();
+
+  if (sameArea) {
+    breakdown.location = 1;
+    reasons.push(`Same area (${candidate.location.area})`);
+  } else if (subjectPoint?.coordinates && candidatePoint?.coordinates) {
+    const distance = distanceKm(subjectPoint, candidatePoint);
+    breakdown.location =
+      distance <= NEARBY_RADIUS_KM ? 0.8 * (1 - distance / NEARBY_RADIUS_KM) : 0;
+    if (breakdown.location > 0) {
+      reasons.push(`Nearby in ${candidate.location.area} (${distance.toFixed(1)} km away)`);
+    }
+  } else {
+    breakdown.location = 0;
+  }
+
+  // Price: within the band, closer prices score higher
+  const subjectPrice = getTotalPrice(subject);
+  if (subjectPrice) {
+    const candidatePrice = getTotalPrice(candidate);
+    const difference = candidatePrice ? (candidatePrice - subjectPrice) / subjectPrice : null;
+
+    breakdown.price =
+      difference !== null && Math.abs(difference) <= PRICE_BAND
+        ? 1 - (Math.abs(difference) / PRICE_BAND) * 0.5
+        : 0;
+
+    if (breakdown.price > 0) {
+      const percent = Math.round(Math.abs(difference) * 100);
+      reasons.push(
+        percent === 0
+          ? "Same price"
+          : `Similar price (${percent}% ${difference > 0 ? "higher" : "lower"})`
+      );
+    }
+  }
+
+  // Bedrooms: exact match, half for one more or fewer
+  const subjectBedrooms = subject.details?.bedrooms;
+  if (subjectBedrooms !== undefined && subjectBedrooms !== null) {
+    const candidateBedrooms = candidate.details?.bedrooms;
+    const difference =
+      candidateBedrooms !== undefined && candidateBedrooms !== null
+        ? candidateBedrooms - subjectBedrooms
+        : null;
+
+    breakdown.bedrooms = difference === 0 ? 1 : Math.abs(difference) === 1 ? 0.5 : 0;
+
+    if (difference === 0) {
+      reasons.push(
+        subjectBedrooms === 0 ? "Also a studio layout" : `Same number of bedrooms (${subjectBedrooms})`
+      );
+    } else if (Math.abs(difference) === 1) {
+      reasons.push(`One bedroom ${difference > 0 ? "more" : "fewer"}`);
+    }
+  }
+
+  // Amenities: share of the subject's amenities (those relevant to its type) the candidate has
+  const relevantAmenities = PROPERTY_TYPE_AMENITIES_MAP[subject.propertyType] || [];
+  const subjectAmenities = (subject.amenities || []).filter(
+    (amenity) => relevantAmenities.length === 0 || relevantAmenities.includes(amenity)
+  );
+  if (subjectAmenities.length > 0) {
+    const shared = subjectAmenities.filter((amenity) =>
+      (candidate.amenities || []).includes(amenity)
+    );
+
+    breakdown.amenities = shared.length / subjectAmenities.length;
+
+    if (shared.length > 0) {
+      reasons.push(
+        `Shares ${shared.length} ${shared.length === 1 ? "amenity" : "amenities"} ` +
+          `(${shared.slice(0, 3).join(", ")}${shared.length > 3 ? ", ..." : ""})`
+      );
+    }
+  }
+
+  // Property type
+  breakdown.propertyType = candidate.propertyType === subject.propertyType ? 1 : 0;
+  if (breakdown.propertyType) {
+    reasons.push(`Same property type (${subject.propertyType})`);
+  }
+
+  // Weighted average over the criteria the subject has data for
+  const criteria = Object.keys(breakdown);
+  const totalWeight = criteria.reduce((sum, key) => sum + SIMILARITY_WEIGHTS[key], 0);
+  const score = criteria.reduce(
+    (sum, key) => sum + (SIMILARITY_WEIGHTS[key] * breakdown[key] * 100) / totalWeight,
+    0
+  );
+
+  Object.keys(breakdown).forEach((key) => {
+    breakdown[key] = Math.round(breakdown[key] * 100) / 100;
+  });
+
+  return { score: Math.round(score), reasons, breakdown };
+};
+
+/**
+ * Format a recommended listing as a card
+ * @param {Object} property - Candidate property (lean)
+ * @param {Object} match - Result of scoreSimilarity
+ * @returns {Object} - Recommendation
+ */
+const formatRecommendation = (property, match) => {
+  const mainImage = property.images?.find((image) => image.isMain) || property.images?.[0];
+
+  return {
+    id: property._id,
+    title: property.title,
+    slug: property.slug,
+    propertyType: property.propertyType,
+    listingType: property.listingType,
+    price: property.price,
+    priceType: property.priceType,
+    currency: property.currency,
+    location: {
+      emirate: property.location?.emirate,
+      area: property.location?.area,
+    },
+    bedrooms: property.details?.bedrooms,
+    bathrooms: property.details?.bathrooms,
+    size: property.details?.area,
+    areaUnit: property.details?.areaUnit,
+    image: mainImage
+      ? {
+          url: mainImage.url,
+          altText: mainImage.altText,
+          srcset: mainImage.srcset,
+          blurhash: mainImage.blurhash,
+          lqip: mainImage.lqip,
+          dominantColor: mainImage.dominantColor,
+        }
+      : null,
+    match,
+  };
+};
+
+/**
+ * Get the listings most similar to a property (served from cache while nothing changed)
+ * @param {Object} property - Subject property (with SIMILAR_FIELDS)
+ * @param {number} limit - Listings to return
+ * @returns {Promise<Object>} - { recommendations, cached }
+ */
+const findSimilarProperties = async (property, limit) => {
+  const filter = buildCandidateFilter(property);
+
+  const candidates = await Property.find(filter)
+    .select("_id updatedAt")
+    .sort({ createdAt: -1 })
+    .limit(MAX_SIMILAR_CANDIDATES)
+    .lean();
+
+  const propertyId = property._id.toString();
+  const version = getRecommendationVersion(property, candidates);
+  const cached = recommendationCache.get(propertyId);
+
+  if (cached && cached.version === version) {
+    return { recommendations: cached.recommendations.slice(0, limit), cached: true };
+  }
+
+  const listings = await Property.find({ _id: { $in: candidates.map((c) => c._id) } })
+    .select(SIMILAR_FIELDS)
+    .lean();
+
+  const recommendations = listings
+    .map((listing) => ({ listing, match: scoreSimilarity(property, listing) }))
+    .filter(({ match }) => match.score >= MIN_SIMILARITY_SCORE)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, MAX_SIMILAR_LIMIT)
+    .map(({ listing, match }) => formatRecommendation(listing, match));
+
+  // Oldest entries go first once the cache is full (Map keeps insertion order)
+  recommendationCache.delete(propertyId);
+  if (recommendationCache.size >= MAX_CACHED_RECOMMENDATIONS) {
+    recommendationCache.delete(recommendationCache.keys().next().value);
+  }
+  recommendationCache.set(propertyId, { version, recommendations });
+
+  return { recommendations: recommendations.slice(0, limit), cached: false };
+};
+
+module.exports = {
+  SIMILAR_FIELDS,
+  scoreSimilarity,
+  findSimilarProperties,
+};
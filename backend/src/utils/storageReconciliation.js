@@ -0,0 +1,453 @@
+/**
+ * Storage Reconciliation Helpers
+ * Cross-references the files in the uploads folder (and the private originals) with every record
+ * that points at an upload. Files no record uses are orphans; references to missing files are
+ * dangling. Orphans are quarantined for a few days before deletion and restored if a record
+ * references them again in the meantime.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const Property = require("../models/Property");
+const PropertyRevision = require("../models/PropertyRevision");
+const PropertyChangeRequest = require("../models/PropertyChangeRequest");
+const Blog = require("../models/Blog");
+const JobApplication = require("../models/JobApplication");
+const Developer = require("../models/Developer");
+const Project = require("../models/Project");
+const ValuationRequest = require("../models/ValuationRequest");
+const { getUploadDir, getOriginalsDir } = require("./imageFiles");
+const {
+  STORAGE_RECONCILE_MODE,
+  STORAGE_QUARANTINE_DAYS,
+  ORPHAN_GRACE_HOURS,
+  STORAGE_REPORT_ITEM_LIMIT,
+} = require("../config/storageReconciliation");
+
+// Records whose fields point at uploaded files (every string field is scanned, so images embedded
+// in descriptions or blog content count too). Revisions and pending change sets keep the images
+// of earlier and proposed versions alive.
+const REFERENCE_SOURCES = [
+  { model: Property },
+  { model: PropertyRevision, select: "property revisionNumber snapshot" },
+  { model: PropertyChangeRequest, filter: { status: "pending" }, select: "property changes addedImageIds" },
+  { model: Blog },
+  { model: JobApplication, select: "cvPath" },
+  { model: Developer },
+  { model: Project },
+  { model: ValuationRequest, select: "images" },
+];
+
+// "/uploads/<file>" in URLs, stored file paths and HTML content
+const UPLOAD_PATH_PATTERN = /\/uploads\/([^\s"'<>()?#]+)/g;
+
+// Fields holding a bare uploads file name
+const FILENAME_FIELDS = ["publicId", "addedImageIds"];
+
+// Suffixes of files derived from an upload (legacy sizes and responsive variants)
+const DERIVED_SUFFIX_PATTERN = /_(thumb|medium|large|original|\d+w)$/;
+
+// Result of the last reconciliation that changed files, for the SuperAdmin report
+let lastRun = null;
+let running = false;
+
+/**
+ * Get the quarantine folder of orphaned files (not served by the uploads route)
+ * @returns {string} - Absolute quarantine directory path
+ */
+const getQuarantineDir = () =>
+  process.env.NODE_ENV === "production"
+    ? path.join(__dirname, "upload_quarantine") // dist/upload_quarantine
+    : path.join(__dirname, "../upload_quarantine"); // backend/src/upload_quarantine
+
+/**
+ * Key shared by an upload and the files derived from it (variants, legacy sizes, original)
+ * @param {string} file - Path relative to the uploads folder
+ * @returns {string} - Folder and base name without extension or size suffix
+ */
+const getOwnerKey = (file) => {
+  const dir = path.posix.dirname(file);
+  const base = path.posix
+    .basename(file)
+    .replace(/\.[^/.]+$/, "")
+    .replace(DERIVED_SUFFIX_PATTERN, "");
+  return dir === "." ? base : `${dir}/${base}`;
+};
+
+/**
+ * Call a visitor for every string in a lean document
+ * @param {*} value - Document or field value
+ * @param {string} field - Dotted field path (array indexes left out)
+ * @param {Function} visit - (string, field) => void
+ */
+const walkStrings = (value, field, visit) => {
+  if (typeof value === "string") {
+    visit(value, field);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => walkStrings(item, field, visit));
+  } else if (value && value.constructor === Object) {
+    Object.entries(value).forEach(([key, item]) =>
+      walkStrings(item, field ? `${field}.${key}` : key, visit)
+    );
+  }
+};
+
+/**
+ * Uploads files referenced by a string field
+ * @param {string} value - Field value
+ * @param {string} field - Dotted field path
+ * @returns {string[][]} - Candidate file paths per reference (any of them satisfies it)
+ */
+const extractReferences = (value, field) => {
+  // Stored file paths may use Windows separators
+  const normalized = value.replace(/\\/g, "/");
+  const references = [];
+
+  for (const match of normalized.matchAll(UPLOAD_PATH_PATTERN)) {
+    let file = match[1];
+    try {
+      file = decodeURIComponent(file);
+    } catch (error) {
+      // Keep the raw path
+    }
+    if (!file.split("/").includes("..")) references.push([file]);
+  }
+
+  const key = field.split(".").pop();
+  if (
+    references.length === 0 &&
+    FILENAME_FIELDS.includes(key) &&
+    /^[\w.\-/]+$/.test(normalized) &&
+    !normalized.split("/").includes("..")
+  ) {
+    const basename = path.posix.basename(normalized);
+    references.push(
+      Array.from(new Set([normalized, `${normalized}.webp`, basename, `${basename}.webp`]))
+    );
+  }
+
+  return references;
+};
+
+/**
+ * Collect every uploads file referenced by the database
+ * @returns {Promise<Object>} - { keys (owner keys in use), references: [{ model, id, field, file, candidates }] }
+ */
+const collectReferences = async () => {
+  const keys = new Set();
+  const references = [];
+
+  for (const { model, filter = {}, select } of REFERENCE_SOURCES) {
+    let query = model.find(filter).lean();
+    if (select) query = query.select(select);
+
+    const seen = new Set();
+    for await (const doc of query.cursor()) {
+      walkStrings(doc, "", (value, field) => {
+        for (const candidates of extractReferences(value, field)) {
+          candidates.forEach((candidate) => keys.add(getOwnerKey(candidate)));
+
+          const referenceKey = `${doc._id}:${candidates[0]}`;
+          if (seen.has(referenceKey)) continue;
+          seen.add(referenceKey);
+
+          references.push({
+            model: model.modelName,
+            id: doc._id,
+            field,
+            file: candidates[0],
+            candidates,
+          });
+        }
+      });
+    }
+  }
+
+  return { keys, references };
+};
+
+/**
+ * List the files under a folder
+ * @param {string} rootDir - Folder to scan
+ * @returns {Promise<Object[]>} - [{ file (relative, "/" separated), fullPath, size, modifiedAt }]
+ */
+const listFiles = async (rootDir) => {
+  const files = [];
+
+  const scan = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await scan(fullPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(fullPath);
+        files.push({
+          file: path.relative(rootDir, fullPath).split(path.sep).join("/"),
+          fullPath,
+          size: stats.size,
+          modifiedAt: stats.mtime,
+        });
+      }
+    }
+  };
+
+  await scan(rootDir);
+  return files;
+};
+
+/**
+ * Move a file, creating the target folder (copies across file systems)
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+const moveFile = async (from, to) => {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+};
+
+/**
+ * Storage areas checked for orphans
+ * Originals are named after their public copy, so they share its owner key
+ * @returns {Object[]} - [{ area, dir }]
+ */
+const getStorageAreas = () => [
+  { area: "uploads", dir: getUploadDir() },
+  { area: "originals", dir: getOriginalsDir() },
+];
+
+/**
+ * Quarantine runs (one folder per reconciliation, named after its start time)
+ * @returns {Promise<Object[]>} - [{ dir, quarantinedAt, files: [{ area, file, fullPath, size }] }]
+ */
+const listQuarantine = async () => {
+  const quarantineDir = getQuarantineDir();
+  let entries;
+  try {
+    entries = await fs.readdir(quarantineDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const runs = [];
+  for (const entry of entries) {
+    const quarantinedAt = Number(entry.name);
+    if (!entry.isDirectory() || !Number.isInteger(quarantinedAt)) continue;
+
+    const dir = path.join(quarantineDir, entry.name);
+    const files = [];
+    for (const { area } of getStorageAreas()) {
+      const areaFiles = await listFiles(path.join(dir, area));
+      files.push(...areaFiles.map((file) => ({ area, ...file })));
+    }
+    runs.push({ dir, quarantinedAt, files });
+  }
+
+  return runs;
+};
+
+/**
+ * Limit a report list, keeping the total count
+ * @param {Object[]} items - Items
+ * @returns {Object} - { count, items (first STORAGE_REPORT_ITEM_LIMIT), truncated }
+ */
+const summarize = (items) => ({
+  count: items.length,
+  items: items.slice(0, STORAGE_REPORT_ITEM_LIMIT),
+  truncated: items.length > STORAGE_REPORT_ITEM_LIMIT,
+});
+
+/**
+ * Cross-reference uploaded files with the database and clean up orphans
+ * In "quarantine" mode quarantined files that are referenced again are restored first and
+ * quarantine folders older than STORAGE_QUARANTINE_DAYS are deleted
+ * @param {Object} options - { mode ("report" | "quarantine" | "delete"), trigger (for the logs/report) }
+ * @returns {Promise<Object>} - Reconciliation report
+ */
+const reconcileStorage = async ({
+  mode = STORAGE_RECONCILE_MODE,
+  trigger = "manual",
+} = {}) => {
+  if (running) {
+    throw new Error("Storage reconciliation is already running");
+  }
+
+  running = true;
+  const startedAt = new Date();
+  const errors = [];
+  const recordError = (action, file, error) => {
+    errors.push({ action, file, error: error.message });
+    console.error(`❌ Storage reconciliation could not ${action} ${file}:`, error.message);
+  };
+
+  try {
+    const areas = getStorageAreas();
+    const areaDirs = Object.fromEntries(areas.map(({ area, dir }) => [area, dir]));
+    const { keys, references } = await collectReferences();
+
+    // Quarantined files a record uses again go back; expired quarantine folders are deleted
+    const quarantineRuns = await listQuarantine();
+    const restored = [];
+    const purgeBefore = startedAt.getTime() - STORAGE_QUARANTINE_DAYS * 24 * 60 * 60 * 1000;
+    let purgedCount = 0;
+    let heldCount = 0;
+
+    for (const run of quarantineRuns) {
+      const remaining = [];
+      for (const file of run.files) {
+        if (!keys.has(getOwnerKey(file.file))) {
+          remaining.push(file);
+          continue;
+        }
+
+        restored.push({ area: file.area, file: file.file, quarantinedAt: new Date(run.quarantinedAt) });
+        if (mode === "report") continue;
+        try {
+          const target = path.join(areaDirs[file.area], file.file);
+          await fs.access(target).then(
+            () => fs.unlink(file.fullPath), // A newer copy was uploaded meanwhile
+            () => moveFile(file.fullPath, target)
+          );
+        } catch (error) {
+          recordError("restore", file.file, error);
+        }
+      }
+
+      if (run.quarantinedAt < purgeBefore) {
+        purgedCount += remaining.length;
+        if (mode !== "report") {
+          await fs.rm(run.dir, { recursive: true, force: true }).catch((error) =>
+            recordError("purge", run.dir, error)
+          );
+        }
+      } else {
+        heldCount += remaining.length;
+      }
+    }
+
+    // Files on disk that no record uses (recent uploads may not be saved to a record yet)
+    const graceCutoff = startedAt.getTime() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000;
+    const existing = new Set();
+    const orphans = [];
+    let fileCount = 0;
+
+    for (const { area, dir } of areas) {
+      const files = await listFiles(dir);
+      fileCount += files.length;
+
+      for (const file of files) {
+        if (area === "uploads") existing.add(file.file);
+        if (keys.has(getOwnerKey(file.file))) continue;
+        if (file.modifiedAt.getTime() > graceCutoff) continue;
+        orphans.push({ area, ...file });
+      }
+    }
+
+    // Records pointing at files that are gone
+    const dangling = references
+      .filter(({ candidates }) => !candidates.some((candidate) => existing.has(candidate)))
+      .map(({ model, id, field, file }) => ({ model, id, field, file }));
+
+    let quarantinedCount = 0;
+    let deletedCount = 0;
+    if (mode !== "report") {
+      const quarantineRunDir = path.join(getQuarantineDir(), String(startedAt.getTime()));
+
+      for (const orphan of orphans) {
+        try {
+          if (mode === "quarantine") {
+            await moveFile(orphan.fullPath, path.join(quarantineRunDir, orphan.area, orphan.file));
+            quarantinedCount++;
+          } else {
+            await fs.unlink(orphan.fullPath);
+            deletedCount++;
+          }
+        } catch (error) {
+          recordError(mode === "quarantine" ? "quarantine" : "delete", orphan.file, error);
+        }
+      }
+    }
+
+    const finishedAt = new Date();
+    const report = {
+      mode,
+      trigger,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      referenceCount: references.length,
+      fileCount,
+      orphans: {
+        ...summarize(
+          orphans.map(({ area, file, size, modifiedAt }) => ({ area, file, size, modifiedAt }))
+        ),
+        size: orphans.reduce((sum, orphan) => sum + orphan.size, 0),
+        quarantined: quarantinedCount,
+        deleted: deletedCount,
+      },
+      dangling: summarize(dangling),
+      quarantine: {
+        days: STORAGE_QUARANTINE_DAYS,
+        restored: summarize(restored),
+        purged: purgedCount,
+        held: heldCount + quarantinedCount,
+      },
+      errors,
+    };
+
+    console.log(
+      `🧹 Storage reconciliation (${mode}, ${trigger}): ${orphans.length} orphaned files` +
+        ` (${quarantinedCount} quarantined, ${deletedCount} deleted), ${dangling.length} dangling references,` +
+        ` ${restored.length} restored, ${purgedCount} purged from quarantine`
+    );
+
+    if (mode !== "report") lastRun = report;
+    return report;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Scheduled reconciliation with the configured mode
+ */
+const runScheduledReconciliation = async () => {
+  if (running) return;
+  await reconcileStorage({ trigger: "scheduled" });
+};
+
+/**
+ * Whether a reconciliation is in progress
+ * @returns {boolean} - True while running
+ */
+const isReconciliationRunning = () => running;
+
+/**
+ * Report of the last reconciliation that cleaned up files
+ * @returns {Object|null} - Report, null if none ran since the server started
+ */
+const getLastReconciliation = () => lastRun;
+
+module.exports = {
+  getQuarantineDir,
+  reconcileStorage,
+  runScheduledReconciliation,
+  isReconciliationRunning,
+  getLastReconciliation,
+};
@@ -0,0 +1,151 @@
+/**
+ * Valuation Request Emails
+ * The automatic estimate sent to the requester and the notification for the sales team
+ */
+
+const { createTransporter } = require("../config/email");
+const { escapeHtml } = require("./propertySearch");
+const { getTeamInbox } = require("./inquiryRouting");
+
+/**
+ * Base URL of the public website (property links)
+ * @returns {string} - Website URL
+ */
+const getSiteUrl = () => process.env.User_URL || "http://localhost:3000";
+
+/**
+ * Format an AED amount
+ * @param {number} amount - Amount
+ * @returns {string} - e.g. "AED 1,250,000"
+ */
+const formatAmount = (amount) => `AED ${Math.round(amount).toLocaleString("en-US")}`;
+
+/**
+ * Describe the valued property (e.g. "2 bed apartment · 1,200 sq ft · JVC, Dubai")
+ * @param {Object} request - Valuation request
+ * @returns {string} - Summary text
+ */
+const describeProperty = (request) =>
+  [
+    `${request.bedrooms !== undefined && request.bedrooms !== null ? `${request.bedrooms} bed ` : ""}${request.propertyType}`,
+    request.sizeSqft && `${request.sizeSqft.toLocaleString("en-US")} sq ft`,
+    [request.area, request.emirate].filter(Boolean).join(", "),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Render the comparables table
+ * @param {Object[]} comparables - Comparables used for the estimate
+ * @param {string} purpose - "sale" or "rent"
+ * @returns {string} - HTML snippet
+ */
+const renderComparables = (comparables, purpose) => `
+  <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+    <tr style="text-align: left; color: #666;">
+      <th style="padding: 6px 0;">Listing</th>
+      <th>Size</th>
+      <th>${purpose === "rent" ? "Annual rent" : "Price"}</th>
+      <th>Status</th>
+    </tr>
+    ${comparables
+      .map(
+        (comparable) => `
+    <tr style="border-top: 1px solid #eee;">
+      <td style="padding: 6px 0;">
+        <a href="${getSiteUrl()}/properties/${encodeURIComponent(comparable.slug || "")}" style="color: #333;">${escapeHtml(comparable.title || "")}</a>
+        <br><span style="color: #666;">${escapeHtml(comparable.area || "")}${comparable.bedrooms !== undefined ? ` · ${comparable.bedrooms} bed` : ""}</span>
+      </td>
+      <td>${comparable.sizeSqft ? `${comparable.sizeSqft.toLocaleString("en-US")} sq ft` : "-"}</td>
+      <td>${formatAmount(comparable.price)}</td>
+      <td>${escapeHtml(comparable.status || "")}</td>
+    </tr>`
+      )
+      .join("")}
+  </table>
+`;
+
+/**
+ * Email the automatic estimate (or the follow-up notice when there is none) to the requester
+ * @param {Object} request - Valuation request
+ */
+const sendValuationEstimateEmail = async (request) => {
+  const transporter = createTransporter();
+  const { estimate } = request;
+  const hasEstimate = Boolean(estimate?.mid);
+  const valueLabel = request.purpose === "rent" ? "annual rent" : "value";
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: request.email,
+    subject: hasEstimate
+      ? `Your property valuation: ${formatAmount(estimate.low)} - ${formatAmount(estimate.high)}`
+      : "We received your valuation request",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Your instant valuation</h2>
+        <p>Hello ${escapeHtml(request.name)},</p>
+        <p>Thank you for your valuation request for your ${escapeHtml(describeProperty(request))}.</p>
+        ${
+          hasEstimate
+            ? `
+        <p>Based on ${estimate.comparableCount} comparable listing(s) on our platform, the estimated ${valueLabel} is:</p>
+        <p style="font-size: 22px; font-weight: bold; color: #333; margin: 8px 0;">
+          ${formatAmount(estimate.low)} - ${formatAmount(estimate.high)}
+        </p>
+        <p style="color: #666;">Most likely around ${formatAmount(estimate.mid)}${estimate.pricePerSqft ? ` (${formatAmount(estimate.pricePerSqft)} per sq ft)` : ""} · ${escapeHtml(estimate.confidence)} confidence</p>
+        <h3 style="color: #333;">Comparable listings</h3>
+        ${renderComparables(request.comparables, request.purpose)}
+        `
+            : `<p>We did not find enough comparable listings for an automatic estimate, so one of our consultants will prepare your valuation.</p>`
+        }
+        <p>One of our consultants will contact you to discuss the valuation in detail.</p>
+        <p style="font-size: 12px; color: #666;">This automatic estimate is based on listings on our platform and is not a formal valuation.</p>
+      </div>
+    `,
+  });
+};
+
+/**
+ * Notify the team inbox about a new valuation request
+ * @param {Object} request - Valuation request
+ */
+const sendValuationRequestNotification = async (request) => {
+  const transporter = createTransporter();
+  const { estimate } = request;
+
+  await transporter.sendMail({
+    from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+    to: getTeamInbox(),
+    replyTo: request.email,
+    subject: `Instant Valuation Request: ${request.propertyType} in ${request.emirate}`,
+    html: `
+      <h2>Instant Valuation Request</h2>
+      <p><strong>Name:</strong> ${escapeHtml(request.name)}</p>
+      <p><strong>Email:</strong> ${escapeHtml(request.email)}</p>
+      <p><strong>Phone:</strong> ${escapeHtml(request.phone)}</p>
+      ${request.propertyStatus ? `<p><strong>Property Status:</strong> ${escapeHtml(request.propertyStatus)}</p>` : ""}
+      <p><strong>Property:</strong> ${escapeHtml(describeProperty(request))} (${request.purpose === "rent" ? "rental" : "sale"} valuation)</p>
+      ${request.expectedPrice ? `<p><strong>Expected Price:</strong> ${formatAmount(request.expectedPrice)}</p>` : ""}
+      <p><strong>Automatic Estimate:</strong> ${
+        estimate?.mid
+          ? `${formatAmount(estimate.low)} - ${formatAmount(estimate.high)} (${estimate.confidence} confidence, ${estimate.comparableCount} comparables)`
+          : escapeHtml(estimate?.reason || "None")
+      }</p>
+      ${
+        request.images?.length > 0
+          ? `<p><strong>Images:</strong></p>
+      <ul>
+        ${request.images.map((image) => `<li><a href="${escapeHtml(image.url)}" target="_blank">${escapeHtml(image.originalName || "Property Image")}</a></li>`).join("")}
+      </ul>`
+          : "<p><strong>Images:</strong> No images uploaded</p>"
+      }
+      <p>The request is in the valuation queue for follow-up.</p>
+    `,
+  });
+};
+
+module.exports = {
+  sendValuationEstimateEmail,
+  sendValuationRequestNotification,
+};
@@ -0,0 +1,155 @@
+/**
+ * Viewing Emails
+ * Booking, reschedule and cancellation emails for the visitor and the agent, each with an
+ * .ics invite so the viewing lands in (or is removed from) their calendars
+ */
+
+const { createTransporter } = require("../config/email");
+const { VIEWING_TIMEZONE } = require("../config/viewings");
+const { escapeHtml } = require("./propertySearch");
+const { buildIcsEvent } = require("./ics");
+const { createManageToken } = require("./viewings");
+
+// Wording per event
+const EVENT_COPY = {
+  booked: { title: "Viewing confirmed", verb: "is confirmed" },
+  rescheduled: { title: "Viewing rescheduled", verb: "has been moved" },
+  cancelled: { title: "Viewing cancelled", verb: "has been cancelled" },
+};
+
+/**
+ * Base URL of the public website (property and manage links)
+ * @returns {string} - Website URL
+ */
+const getSiteUrl = () => process.env.User_URL || "http://localhost:3000";
+
+/**
+ * Format a viewing time in UAE time
+ * @param {Date} date - Instant
+ * @returns {string} - Weekday, date and time
+ */
+const formatViewingTime = (date) =>
+  new Date(date).toLocaleString("en-GB", {
+    timeZone: VIEWING_TIMEZONE,
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Address line of a property
+ * @param {Object} property - Property
+ * @returns {string} - Address
+ */
+const formatLocation = (property) =>
+  [property.location?.address, property.location?.area, property.location?.emirate]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Build the .ics attachment for a viewing
+ * @param {Object} viewing - Viewing
+ * @param {Object} property - Property
+ * @param {Object} agent - Agent (name, email)
+ * @returns {Object} - Nodemailer attachment
+ */
+const buildInviteAttachment = (viewing, property, agent) => {
+  const method = viewing.status === "cancelled" ? "CANCEL" : "REQUEST";
+
+  return {
+    filename: "viewing.ics",
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildIcsEvent({
+      uid: `viewing-${viewing._id}@earlybirdsproperties.com`,
+      sequence: viewing.sequence,
+      start: viewing.start,
+      end: viewing.end,
+      summary: `Property viewing: ${property.title}`,
+      description: `Viewing of ${property.title} with ${agent.name}.\nVisitor: ${viewing.name} (${viewing.phone})`,
+      location: formatLocation(property),
+      url: `${getSiteUrl()}/properties/${property.slug}`,
+      organizer: { name: agent.name, email: agent.email },
+      attendees: [{ name: viewing.name, email: viewing.email }],
+      method,
+    }),
+  };
+};
+
+/**
+ * Email the visitor and the agent about a booked, rescheduled or cancelled viewing
+ * @param {Object} viewing - Viewing
+ * @param {Object} details - { property, agent, event: "booked"|"rescheduled"|"cancelled", previousStart }
+ */
+const sendViewingEmails = async (viewing, { property, agent, event, previousStart }) => {
+  const transporter = createTransporter();
+  const copy = EVENT_COPY[event];
+  const invite = buildInviteAttachment(viewing, property, agent);
+  const when = escapeHtml(formatViewingTime(viewing.start));
+  const propertyLink = `${getSiteUrl()}/properties/${encodeURIComponent(property.slug || "")}`;
+  const previousTime = previousStart
+    ? `<p style="color: #666;">Previously: ${escapeHtml(formatViewingTime(previousStart))}</p>`
+    : "";
+
+  // Reschedule/cancel links only while the viewing is still on
+  const token = viewing.status === "confirmed" ? createManageToken(viewing) : null;
+  const manageLinks = token
+    ? `
+        <p>
+          <a href="${getSiteUrl()}/viewings/reschedule?token=${token}" style="color: #333;">Reschedule</a>
+          &nbsp;·&nbsp;
+          <a href="${getSiteUrl()}/viewings/cancel?token=${token}" style="color: #333;">Cancel viewing</a>
+        </p>`
+    : "";
+
+  await Promise.all([
+    transporter.sendMail({
+      from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+      to: viewing.email,
+      replyTo: agent.email,
+      subject: `${copy.title}: ${property.title}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${copy.title}</h2>
+        <p>Hello ${escapeHtml(viewing.name)},</p>
+        <p>Your viewing of <a href="${propertyLink}" style="color: #333;">${escapeHtml(property.title)}</a> ${copy.verb}.</p>
+        <p style="font-size: 18px; font-weight: bold; color: #333;">${when} (UAE time)</p>
+        ${previousTime}
+        <p><strong>Address:</strong> ${escapeHtml(formatLocation(property))}</p>
+        <p><strong>Agent:</strong> ${escapeHtml(agent.name)} (${escapeHtml(agent.email)})</p>
+        ${viewing.cancellationReason && event === "cancelled" ? `<p><strong>Reason:</strong> ${escapeHtml(viewing.cancellationReason)}</p>` : ""}
+        ${manageLinks}
+        <p style="font-size: 12px; color: #666;">The attached calendar invite ${event === "cancelled" ? "removes the viewing from" : "adds the viewing to"} your calendar.</p>
+      </div>
+    `,
+      attachments: [invite],
+    }),
+    transporter.sendMail({
+      from: `"EarlyBirds Properties" <${process.env.EMAIL_USER}>`,
+      to: agent.email,
+      replyTo: viewing.email,
+      subject: `${copy.title}: ${property.title} - ${viewing.name}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${copy.title}</h2>
+        <p>Hello ${escapeHtml(agent.name)},</p>
+        <p>The viewing of <a href="${propertyLink}" style="color: #333;">${escapeHtml(property.title)}</a> ${copy.verb}${viewing.cancelledBy ? ` by the ${viewing.cancelledBy}` : ""}.</p>
+        <p style="font-size: 18px; font-weight: bold; color: #333;">${when} (UAE time)</p>
+        ${previousTime}
+        <p><strong>Visitor:</strong> ${escapeHtml(viewing.name)}</p>
+        <p><strong>Email:</strong> ${escapeHtml(viewing.email)}</p>
+        <p><strong>Phone:</strong> ${escapeHtml(viewing.phone)}</p>
+        ${viewing.message ? `<p><strong>Message:</strong> ${escapeHtml(viewing.message)}</p>` : ""}
+        ${viewing.cancellationReason && event === "cancelled" ? `<p><strong>Reason:</strong> ${escapeHtml(viewing.cancellationReason)}</p>` : ""}
+      </div>
+    `,
+      attachments: [invite],
+    }),
+  ]);
+};
+
+module.exports = {
+  sendViewingEmails,
+};
@@ -0,0 +1,215 @@
+/**
+ * Viewing Scheduling Helpers
+ * Bookable slots from an agent's weekly hours, blackout dates and confirmed viewings, plus the
+ * signed tokens behind the reschedule/cancel links sent to visitors
+ */
+
+const jwt = require("jsonwebtoken");
+const AgentAvailability = require("../models/AgentAvailability");
+const Viewing = require("../models/Viewing");
+const {
+  VIEWING_UTC_OFFSET_MINUTES,
+  DEFAULT_AVAILABILITY,
+  MANAGE_TOKEN_GRACE_HOURS,
+} = require("../config/viewings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MANAGE_TOKEN_PURPOSE = "viewing-manage";
+
+/**
+ * Get an agent's availability settings (defaults when not configured)
+ * @param {string} agentId - Agent user ID
+ * @returns {Promise<Object>} - Availability settings
+ */
+const getAgentAvailability = async (agentId) => {
+  const availability = await AgentAvailability.findOne({ agent: agentId }).lean();
+  return (
+    availability || {
+      agent: agentId,
+      ...DEFAULT_AVAILABILITY,
+      blackoutDates: [],
+      acceptingBookings: true,
+    }
+  );
+};
+
+/**
+ * Local (UAE) calendar date of an instant
+ * @param {Date} date - Instant
+ * @returns {string} - YYYY-MM-DD
+ */
+const toLocalDateString = (date) =>
+  new Date(date.getTime() + VIEWING_UTC_OFFSET_MINUTES * 60000).toISOString().substring(0, 10);
+
+/**
+ * Convert a local (UAE) date and time to an instant
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date} - Instant
+ */
+const localTimeToDate = (dateString, time) =>
+  new Date(
+    new Date(`${dateString}T${time}:00.000Z`).getTime() - VIEWING_UTC_OFFSET_MINUTES * 60000
+  );
+
+/**
+ * List an agent's free slots in a time range
+ * @param {string} agentId - Agent user ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} options - { excludeViewingId } (ignore a viewing being rescheduled)
+ * @returns {Promise<Object[]>} - Slots [{ start, end }]
+ */
+const getAvailableSlots = async (agentId, from, to, { excludeViewingId } = {}) => {
+  const availability = await getAgentAvailability(agentId);
+  if (!availability.acceptingBookings) return [];
+
+  const now = new Date();
+  const earliest = new Date(
+    Math.max(from.getTime(), now.getTime() + availability.minNoticeHours * 60 * 60 * 1000)
+  );
+  const lastBookableDay = toLocalDateString(
+    new Date(now.getTime() + availability.maxDaysAhead * DAY_MS)
+  );
+  const latest = new Date(
+    Math.min(to.getTime(), localTimeToDate(lastBookableDay, "23:59").getTime())
+  );
+
+  if (earliest >= latest) return [];
+
+  const bookedViewings = await Viewing.find({
+    agent: agentId,
+    status: "confirmed",
+    start: { $lt: latest },
+    end: { $gt: earliest },
+    ...(excludeViewingId && { _id: { $ne: excludeViewingId } }),
+  })
+    .select("start end")
+    .lean();
+
+  const blackoutDates = new Set(availability.blackoutDates.map(({ date }) => date));
+  const slotMs = availability.slotMinutes * 60000;
+  const slots = [];
+
+  for (
+    let day = toLocalDateString(earliest);
+    day <= toLocalDateString(latest);
+    day = toLocalDateString(new Date(localTimeToDate(day, "12:00").getTime() + DAY_MS))
+  ) {
+    if (blackoutDates.has(day)) continue;
+
+    const dayOfWeek = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+
+    // Overlapping windows are merged so slots on a day never overlap each other
+    const dayHours = [];
+    availability.weeklyHours
+      .filter((hours) => hours.dayOfWeek === dayOfWeek)
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .forEach((hours) => {
+        const previous = dayHours[dayHours.length - 1];
+        if (previous && hours.start < previous.end) {
+          if (hours.end > previous.end) previous.end = hours.end;
+        } else {
+          dayHours.push({ start: hours.start, end: hours.end });
+        }
+      });
+
+    for (const hours of dayHours) {
+      const windowEnd = localTimeToDate(day, hours.end).getTime();
+
+      for (
+        let start = localTimeToDate(day, hours.start).getTime();
+        start + slotMs <= windowEnd;
+        start += slotMs
+      ) {
+        const end = start + slotMs;
+        if (start < earliest.getTime() || end > latest.getTime()) continue;
+
+        const isBooked = bookedViewings.some(
+          (viewing) => viewing.start.getTime() < end && viewing.end.getTime() > start
+        );
+        if (!isBooked) {
+          slots.push({ start: new Date(start), end: new Date(end) });
+        }
+      }
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Find the free slot starting at an instant
+ * @param {string} agentId - Agent user ID
+ * @param {Date} start - Requested start
+ * @param {Object} options - { excludeViewingId }
+ * @returns {Promise<Object|null>} - Slot or null if the time is not bookable
+ */
+const findAvailableSlot = async (agentId, start, options = {}) => {
+  const slots = await getAvailableSlots(
+    agentId,
+    new Date(start.getTime() - 1),
+    new Date(start.getTime() + DAY_MS),
+    options
+  );
+  return slots.find((slot) => slot.start.getTime() === start.getTime()) || null;
+};
+
+/**
+ * Check whether another confirmed viewing of the agent overlaps a saved viewing
+ * Called after the write: the unique index only rejects identical start times, and of two
+ * concurrent overlapping bookings at least the one checking last sees the other
+ * @param {Object} viewing - Saved viewing
+ * @returns {Promise<boolean>} - True if the viewing must be rolled back
+ */
+const hasOverlappingViewing = async (viewing) =>
+  Boolean(
+    await Viewing.exists({
+      agent: viewing.agent._id || viewing.agent,
+      status: "confirmed",
+      _id: { $ne: viewing._id },
+      start: { $lt: viewing.end },
+      end: { $gt: viewing.start },
+    })
+  );
+
+/**
+ * Create the signed token for a viewing's reschedule/cancel links
+ * @param {Object} viewing - Viewing
+ * @returns {string} - Signed token
+ */
+const createManageToken = (viewing) =>
+  jwt.sign(
+    { viewingId: viewing._id.toString(), purpose: MANAGE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(
+        60 * 60,
+        Math.ceil((viewing.end.getTime() - Date.now()) / 1000) + MANAGE_TOKEN_GRACE_HOURS * 60 * 60
+      ),
+    }
+  );
+
+/**
+ * Verify a reschedule/cancel token
+ * @param {string} token - Signed token
+ * @returns {string|null} - Viewing ID or null if the token is invalid or expired
+ */
+const verifyManageToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === MANAGE_TOKEN_PURPOSE ? decoded.viewingId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getAgentAvailability,
+  toLocalDateString,
+  getAvailableSlots,
+  findAvailableSlot,
+  hasOverlappingViewing,
+  createManageToken,
+  verifyManageToken,
+};
@@ -0,0 +1,78 @@
+/**
+ * Visitor Session Helpers
+ * Anonymous visitors shortlist listings (favorites) and keep comparison sets; only listings a
+ * visitor may see are ever returned, so withdrawn listings silently drop out
+ */
+
+const Property = require("../models/Property");
+const VisitorSession = require("../models/VisitorSession");
+const { buildPropertyQuery } = require("../config/permissions");
+
+// Favorites kept per visitor
+const MAX_FAVORITES = 100;
+
+// Comparison sets kept per visitor
+const MAX_COMPARE_SETS = 20;
+
+// Property fields shown on a favorite card
+const FAVORITE_CARD_FIELDS =
+  "title slug propertyType listingType status price priceType currency location.emirate location.area details.bedrooms details.bathrooms details.area details.areaUnit images";
+
+/**
+ * Load visitor-visible listings keeping the order of the IDs
+ * @param {Array} ids - Property IDs
+ * @param {string} fields - Fields to select
+ * @returns {Promise<Object[]>} - Lean properties (missing or hidden listings are left out)
+ */
+const findVisibleProperties = async (ids, fields) => {
+  if (!ids || ids.length === 0) return [];
+
+  const properties = await Property.find({
+    _id: { $in: ids },
+    ...buildPropertyQuery(null),
+  })
+    .select(fields)
+    .lean();
+
+  const byId = new Map(properties.map((property) => [property._id.toString(), property]));
+  return ids.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Get the visible favorite listings of a visitor, most recently added first
+ * Also used to merge a visitor's shortlist into saved-search emails
+ * @param {Object|string} sessionOrId - Visitor session document or ID
+ * @param {string} fields - Fields to select
+ * @returns {Promise<Object[]>} - Lean properties with addedAt
+ */
+const getFavoriteProperties = async (sessionOrId, fields = FAVORITE_CARD_FIELDS) => {
+  const session =
+    sessionOrId && sessionOrId.favorites
+      ? sessionOrId
+      : await VisitorSession.findById(sessionOrId).select("favorites").lean();
+
+  if (!session) return [];
+
+  const favorites = [...session.favorites].sort((a, b) => b.addedAt - a.addedAt);
+  const addedAt = new Map(
+    favorites.map((favorite) => [favorite.property.toString(), favorite.addedAt])
+  );
+
+  const properties = await findVisibleProperties(
+    favorites.map((favorite) => favorite.property),
+    fields
+  );
+
+  return properties.map((property) => ({
+    ...property,
+    addedAt: addedAt.get(property._id.toString()),
+  }));
+};
+
+module.exports = {
+  MAX_FAVORITES,
+  MAX_COMPARE_SETS,
+  FAVORITE_CARD_FIELDS,
+  findVisibleProperties,
+  getFavoriteProperties,
+};
@@ -0,0 +1,110 @@
+/**
+ * Watermark Helpers
+ * Resolves whether uploads are watermarked (request field, then upload route, then config) and
+ * keeps a property's photos in line with its own watermark setting
+ */
+
+const { WATERMARK_ENABLED } = require("../config/watermark");
+const { regenerateImageFiles } = require("./imageFiles");
+
+/**
+ * Parse a watermark setting from request data
+ * @param {*} value - true / false, "true" / "false", or ""/null to follow the upload route
+ * @returns {boolean|null|undefined} - Setting, null to clear it, undefined when not sent
+ */
+const parseWatermarkOption = (value) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  if (value === null || value === "" || value === "null") return null;
+  return undefined;
+};
+
+/**
+ * Whether the images of an upload request are watermarked
+ * @param {Object} req - Express request object (body.watermark, watermarkUploads from the route)
+ * @returns {boolean} - True to overlay the brand logo
+ */
+const resolveUploadWatermark = (req) => {
+  const option = parseWatermarkOption(req.body?.watermark);
+  if (typeof option === "boolean") return option;
+
+  return req.watermarkUploads !== undefined ? req.watermarkUploads : WATERMARK_ENABLED;
+};
+
+// Image fields that describe the files on disk rather than the photo itself
+const IMAGE_FILE_FIELDS = ["url", "size", "watermarked", "variants", "srcset"];
+
+/**
+ * Regenerate the photos of a property whose watermark state differs from its setting
+ * Properties without their own setting keep each photo as it was uploaded
+ * @param {Object} property - Property document (not saved)
+ * @param {Object} [options]
+ * @param {string[]} [options.regenerate] - Public IDs whose files are rewritten even when the flag matches
+ * @returns {Promise<number>} - Number of photos regenerated
+ */
+const syncPropertyWatermarks = async (property, { regenerate = [] } = {}) => {
+  const hasSetting = typeof property.watermark === "boolean";
+  if (!hasSetting && regenerate.length === 0) return 0;
+
+  let regeneratedCount = 0;
+
+  for (const image of property.images || []) {
+    const watermark = hasSetting ? property.watermark : Boolean(image.watermarked);
+    const forced = regenerate.includes(image.publicId);
+    if (!forced && Boolean(image.watermarked) === watermark) continue;
+
+    const files = await regenerateImageFiles(image, watermark);
+    if (!files) {
+      console.warn(
+        `⚠️ Could not ${watermark ? "watermark" : "unwatermark"} image ${image.publicId} (no private original or logo)`
+      );
+      continue;
+    }
+
+    Object.assign(image, files);
+    regeneratedCount++;
+  }
+
+  if (regeneratedCount > 0) {
+    console.log(`💧 Regenerated ${regeneratedCount} photo(s) of property ${property._id}`);
+  }
+
+  return regeneratedCount;
+};
+
+/**
+ * Bring restored photos in line with the files on disk, then with the watermark setting
+ * Files are shared by every revision and rewritten in place, so the url and watermark flag kept in
+ * a snapshot may no longer describe them. Photos still on the property take their current file
+ * state, the others are regenerated from their private original
+ * @param {Object} property - Property document with the restored images assigned (not saved)
+ * @param {Object[]} currentImages - Images of the property before the restore
+ * @returns {Promise<number>} - Number of photos regenerated
+ */
+const syncRestoredImages = async (property, currentImages = []) => {
+  const currentByPublicId = new Map(
+    currentImages.map((image) => [image.publicId, image])
+  );
+  const regenerate = [];
+
+  for (const image of property.images || []) {
+    const current = currentByPublicId.get(image.publicId);
+    if (!current) {
+      regenerate.push(image.publicId);
+      continue;
+    }
+
+    IMAGE_FILE_FIELDS.forEach((field) => {
+      image[field] = current[field];
+    });
+  }
+
+  return syncPropertyWatermarks(property, { regenerate });
+};
+
+module.exports = {
+  parseWatermarkOption,
+  resolveUploadWatermark,
+  syncPropertyWatermarks,
+  syncRestoredImages,
+};